@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Renders JSON exports (the output of exportFormToJson) into the other export formats under Node,
+ * without the original form. The exporters in src/ run against the in-memory FormApp in lib/,
+ * which rebuilds a form from an export.
+ *
+ * Usage: node bin/form-export.js <snapshot.json>... [options] (see --help)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { createAppsScript, toPlain } = require('../lib/appsScript');
+
+const USAGE = `Usage: form-export <snapshot.json>... [options]
+
+Renders JSON exports of a form into other formats, without the original form.
+
+Options:
+  -o, --out-dir <dir>         Folder for the rendered files (default: current folder)
+  -f, --format <formats>      Comma-separated formats: json, nested, md, html, mmd, dot (default: md)
+      --name <name>           File name without extension (default: the snapshot's name; one snapshot only)
+      --images <mode>         base64 embeds images, files saves them next to the output (default: base64)
+      --options <file.json>   Markdown options as in the MARKDOWN_OPTIONS setting, including templates
+      --diagram               Add a Mermaid diagram of the section navigation to Markdown
+      --no-settings           Leave out the Markdown Settings block
+      --front-matter          Start Markdown with YAML front matter
+      --toc                   Add a Markdown table of contents
+      --choice-style <style>  bullets or checkboxes
+      --required-marker <s>   Text appended to required question headings, such as " *"
+      --heading-offset <n>    Move every Markdown heading down by 0-3 levels
+      --answer-key            Mark correct quiz answers in Markdown
+  -h, --help                  Show this help
+
+Markdown options start from the MARKDOWN_OPTIONS defaults in src/config.js. --options overrides them, and the flags
+override --options. Older exports are upgraded to the current schema version first.`;
+
+const CLI_OPTIONS = {
+  'out-dir': { type: 'string', short: 'o', default: '.' },
+  format: { type: 'string', short: 'f', multiple: true },
+  name: { type: 'string' },
+  images: { type: 'string', default: 'base64' },
+  options: { type: 'string' },
+  diagram: { type: 'boolean' },
+  'no-settings': { type: 'boolean' },
+  'front-matter': { type: 'boolean' },
+  toc: { type: 'boolean' },
+  'choice-style': { type: 'string' },
+  'required-marker': { type: 'string' },
+  'heading-offset': { type: 'string' },
+  'answer-key': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error in the command line itself, reported together with the usage.
+ */
+class UsageError extends Error {}
+
+/**
+ * Reads the command line into the settings of a run.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @return {Object} {help, snapshots, outDir, formats, name, images, markdown}
+ * @throws {UsageError} If an option is unknown or has an invalid value
+ */
+function readCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const values = parsed.values;
+  if (values.help) return { help: true };
+
+  if (parsed.positionals.length === 0) {
+    throw new UsageError('Name at least one snapshot file');
+  }
+  if (values.name && parsed.positionals.length > 1) {
+    throw new UsageError('--name can only be used with one snapshot');
+  }
+  if (values.images !== 'base64' && values.images !== 'files') {
+    throw new UsageError('--images must be base64 or files, got ' + values.images);
+  }
+
+  const markdown = values.options ? JSON.parse(fs.readFileSync(values.options, 'utf8')) : {};
+  if (values.diagram) markdown.diagram = true;
+  if (values['no-settings']) markdown.settings = false;
+  if (values['front-matter']) markdown.frontMatter = true;
+  if (values.toc) markdown.toc = true;
+  if (values['choice-style'] !== undefined) markdown.choiceStyle = values['choice-style'];
+  if (values['required-marker'] !== undefined) markdown.requiredMarker = values['required-marker'];
+  if (values['heading-offset'] !== undefined) markdown.headingOffset = Number(values['heading-offset']);
+  if (values['answer-key']) markdown.answerKey = true;
+
+  const formats = (values.format || ['md']).join(',').split(',').map((format) => format.trim()).filter(Boolean);
+
+  return {
+    help: false,
+    snapshots: parsed.positionals,
+    outDir: values['out-dir'],
+    formats,
+    name: values.name,
+    images: values.images,
+    markdown
+  };
+}
+
+/**
+ * Reads a snapshot, upgrades it to the current schema version and checks it against the schema.
+ * Images that were exported as separate files are read from next to the snapshot.
+ *
+ * @param {Object} script - Sandbox from createAppsScript
+ * @param {string} file - Path of the snapshot
+ * @return {Object} Export at the current schema version, with every image embedded
+ * @throws {Error} If the snapshot does not match the schema or an image file is missing
+ */
+function readSnapshot(script, file) {
+  const data = toPlain(script.run('upgradeExport', fs.readFileSync(file, 'utf8')));
+
+  const result = toPlain(script.run('validateExport', data));
+  if (!result.valid) {
+    throw new Error(file + ' does not match the export schema:\n' +
+      result.errors.map((error) => '  ' + error.path + ' ' + error.message).join('\n'));
+  }
+
+  data.items.forEach((item) => {
+    if (!item.image || item.image.base64Data !== undefined) return;
+    const imagePath = path.join(path.dirname(file), item.image.file);
+    if (!fs.existsSync(imagePath)) {
+      throw new Error('Image of item ' + item.id + ' was exported as ' + item.image.file + ', which is not next to ' + file);
+    }
+    item.image.base64Data = fs.readFileSync(imagePath).toString('base64');
+  });
+
+  return data;
+}
+
+/**
+ * Renders one snapshot in every requested format and writes the files.
+ *
+ * @param {Object} script - Sandbox from createAppsScript
+ * @param {string} file - Path of the snapshot
+ * @param {Object} settings - Settings from readCommandLine
+ * @return {string[]} Paths of the written files
+ * @throws {Error} If the snapshot cannot be read or rendered, or a file would overwrite the snapshot
+ */
+function renderSnapshot(script, file, settings) {
+  const data = readSnapshot(script, file);
+  const form = script.FormApp.addForm(data);
+  const items = form.getItems();
+
+  const baseName = settings.name || path.basename(file, path.extname(file));
+  const videoUrls = {};
+  data.items.forEach((item) => {
+    if (item.videoUrl) videoUrls[item.id] = item.videoUrl;
+  });
+  const media = { media: settings.images, mediaBaseName: baseName, videoUrls };
+  const markdown = script.run('markdownOptions_', script.run('readConfig'), Object.assign({}, settings.markdown, media));
+
+  const outputs = settings.formats.map((format) => {
+    const renderer = script.global.BATCH_EXPORT_FORMATS[format];
+    return {
+      path: path.join(settings.outDir, baseName + renderer.extension),
+      content: renderer.render(form, items, { markdown, media })
+    };
+  });
+  if (settings.images === 'files') {
+    script.run('collectImageFiles', items, baseName).forEach((image) => {
+      outputs.push({ path: path.join(settings.outDir, image.fileName), content: Buffer.from(image.blob.getBytes()) });
+    });
+  }
+
+  outputs.forEach((output) => {
+    if (path.resolve(output.path) === path.resolve(file)) {
+      throw new Error(output.path + ' would overwrite the snapshot; choose another --out-dir or --name');
+    }
+  });
+  fs.mkdirSync(settings.outDir, { recursive: true });
+  outputs.forEach((output) => fs.writeFileSync(output.path, output.content));
+  return outputs.map((output) => output.path);
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io] - {stdout, stderr}: functions that print a line (default: console)
+ * @return {number} Exit code: 0 on success, 1 if a snapshot failed, 2 for an invalid command line
+ */
+function main(argv, io = { stdout: console.log, stderr: console.error }) {
+  let settings;
+  try {
+    settings = readCommandLine(argv);
+  } catch (e) {
+    io.stderr('Error: ' + e.message + '\n\n' + USAGE);
+    return e instanceof UsageError ? 2 : 1;
+  }
+  if (settings.help) {
+    io.stdout(USAGE);
+    return 0;
+  }
+
+  const script = createAppsScript();
+  const unknown = settings.formats.filter((format) => !Object.prototype.hasOwnProperty.call(script.global.BATCH_EXPORT_FORMATS, format));
+  if (unknown.length) {
+    io.stderr('Error: Unknown format ' + unknown.join(', ') + ' (available: ' + Object.keys(script.global.BATCH_EXPORT_FORMATS).join(', ') + ')');
+    return 2;
+  }
+
+  // A snapshot that fails does not stop the others
+  let failed = 0;
+  settings.snapshots.forEach((file) => {
+    try {
+      renderSnapshot(script, file, settings).forEach((written) => io.stdout('✓ ' + written));
+    } catch (e) {
+      failed += 1;
+      io.stderr('✗ ' + file + ': ' + e.message);
+    }
+  });
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
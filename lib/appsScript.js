@@ -0,0 +1,123 @@
+/**
+ * Loads the Apps Script sources from src/ into a sandbox with in-memory services,
+ * so the exporters can run under Node.
+ *
+ * All src/*.js files share one global scope, just like in the Apps Script runtime.
+ *
+ * Usage:
+ *   const script = createAppsScript({ forms: [fixture], folders: ['folder-id'] });
+ *   script.run('runExportAll');
+ *   script.DriveApp.folders['folder-id'].files
+ *
+ * The first form and folder are set as the FORM_ID and EXPORT_FOLDER_ID Script Properties.
+ * The tests (through test/harness/) and the form-export CLI in bin/ both run the scripts this way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createFakeFormApp } = require('./fakeFormApp');
+const {
+  createFakeDriveApp,
+  createFakeDrive,
+  createFakeUrlFetchApp,
+  createFakeLogger,
+  createFakeUtilities,
+  createFakeSession,
+  createFakeScriptApp,
+  createFakeHtmlService,
+  createFakePropertiesService,
+  MimeType
+} = require('./fakeServices');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+/**
+ * Reads every script file from src/ once, in name order.
+ *
+ * @return {Object[]} Array of { name, code }
+ */
+function readSources() {
+  return fs.readdirSync(SRC_DIR)
+    .filter((name) => /\.(js|gs)$/.test(name))
+    .sort()
+    .map((name) => ({ name, code: fs.readFileSync(path.join(SRC_DIR, name), 'utf8') }));
+}
+
+/**
+ * Creates a sandbox with the Apps Script sources loaded.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.forms] - Form fixtures (export-shaped JSON); the first one becomes the FORM_ID property
+ * @param {string[]} [options.folders] - Drive folder IDs; the first one becomes the EXPORT_FOLDER_ID property
+ * @param {Object} [options.properties] - Additional Script Properties (or overrides); an empty value unsets one,
+ *   and values other than strings are saved as JSON
+ * @param {string} [options.activeFormId] - Form returned by FormApp.getActiveForm()
+ * @param {Object} [options.globals] - Additional globals (or overrides) set after loading
+ * @param {function} [options.now] - Clock used for Drive file creation dates
+ * @param {string} [options.timeZone] - Script time zone returned by Session.getScriptTimeZone(); UTC by default
+ * @return {Object} Sandbox with the fake services, the script globals (global), the configured form (formId),
+ *   and run(name, ...args)
+ */
+function createAppsScript(options = {}) {
+  const FormApp = createFakeFormApp({ forms: options.forms, activeFormId: options.activeFormId });
+  const DriveApp = createFakeDriveApp({ folders: options.folders, now: options.now, formApp: FormApp });
+  const Drive = createFakeDrive(DriveApp);
+  const UrlFetchApp = createFakeUrlFetchApp();
+  const Logger = createFakeLogger();
+  const Utilities = createFakeUtilities();
+  const Session = createFakeSession({ timeZone: options.timeZone });
+  const ScriptApp = createFakeScriptApp();
+  const HtmlService = createFakeHtmlService(SRC_DIR);
+  const PropertiesService = createFakePropertiesService();
+
+  const formIds = Object.keys(FormApp.forms);
+  const properties = Object.assign({
+    FORM_ID: formIds.length ? formIds[0] : '',
+    EXPORT_FOLDER_ID: options.folders && options.folders.length ? options.folders[0] : ''
+  }, options.properties || {});
+  Object.keys(properties).forEach((name) => {
+    const value = properties[name];
+    if (value) PropertiesService.script.setProperty(name, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+
+  const context = vm.createContext({ FormApp, DriveApp, Drive, UrlFetchApp, Logger, Utilities, Session, ScriptApp, HtmlService, PropertiesService, MimeType, console });
+  readSources().forEach((source) => {
+    vm.runInContext(source.code, context, { filename: path.join('src', source.name) });
+  });
+
+  Object.assign(context, options.globals || {});
+
+  return {
+    global: context,
+    formId: properties.FORM_ID,
+    FormApp,
+    DriveApp,
+    Drive,
+    UrlFetchApp,
+    Logger,
+    Utilities,
+    Session,
+    ScriptApp,
+    HtmlService,
+    PropertiesService,
+    run: (name, ...args) => context[name](...args)
+  };
+}
+
+/**
+ * Copies a value created inside the sandbox into plain Node objects.
+ * Sandbox arrays and objects have their own prototypes, which strict deep equality rejects.
+ *
+ * @param {*} value - JSON-compatible value
+ * @return {*} Equivalent value built from this realm's Object and Array
+ */
+function toPlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createAppsScript,
+  toPlain
+};
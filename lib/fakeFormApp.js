@@ -0,0 +1,565 @@
+/**
+ * In-memory stand-in for the Apps Script FormApp service.
+ *
+ * Forms are built from fixtures shaped like the output of exportFormToJson
+ * ({ metadata, items }), so any saved export can be loaded back as a form.
+ * Items keep their state in that same shape, which lets the exporters read
+ * them and the importer write them through the usual FormApp methods.
+ */
+
+const ENUMS = {
+  ItemType: [
+    'CHECKBOX', 'CHECKBOX_GRID', 'DATE', 'DATETIME', 'DURATION', 'FILE_UPLOAD', 'GRID', 'IMAGE',
+    'LIST', 'MULTIPLE_CHOICE', 'PAGE_BREAK', 'PARAGRAPH_TEXT', 'RATING', 'SCALE', 'SECTION_HEADER',
+    'TEXT', 'TIME', 'VIDEO'
+  ],
+  PageNavigationType: ['CONTINUE', 'GO_TO_PAGE', 'RESTART', 'SUBMIT'],
+  Alignment: ['LEFT', 'CENTER', 'RIGHT'],
+  RatingIconType: ['STAR', 'HEART', 'THUMB_UP'],
+  DestinationType: ['SPREADSHEET']
+};
+
+/**
+ * Builds an Apps Script style enum: one shared object per value, printing as its name.
+ *
+ * @param {string[]} names - Enum value names
+ * @return {Object} Enum object keyed by name
+ */
+function createEnum(names) {
+  const values = {};
+  names.forEach((name) => {
+    values[name] = Object.freeze({ name, toString: () => name, toJSON: () => name });
+  });
+  return Object.freeze(values);
+}
+
+const ItemType = createEnum(ENUMS.ItemType);
+const PageNavigationType = createEnum(ENUMS.PageNavigationType);
+const Alignment = createEnum(ENUMS.Alignment);
+const RatingIconType = createEnum(ENUMS.RatingIconType);
+const DestinationType = createEnum(ENUMS.DestinationType);
+
+const REQUIRED = ['isRequired', 'setRequired'];
+const GENERAL_FEEDBACK = ['getPoints', 'setPoints', 'getGeneralFeedback', 'setGeneralFeedback'];
+const CHOICE_FEEDBACK = ['getPoints', 'setPoints', 'getFeedbackForCorrect', 'setFeedbackForCorrect', 'getFeedbackForIncorrect', 'setFeedbackForIncorrect'];
+const CHOICES = ['getChoices', 'setChoices', 'setChoiceValues', 'createChoice'];
+const OTHER_OPTION = ['hasOtherOption', 'showOtherOption'];
+const GRID = ['getRows', 'getColumns', 'setRows', 'setColumns'];
+const MEDIA = ['getAlignment', 'setAlignment', 'getWidth', 'setWidth'];
+
+// Methods each typed item exposes, following the Apps Script reference
+const TYPED_METHODS = {
+  TEXT: [...REQUIRED, ...GENERAL_FEEDBACK],
+  PARAGRAPH_TEXT: [...REQUIRED, ...GENERAL_FEEDBACK],
+  MULTIPLE_CHOICE: [...REQUIRED, ...CHOICES, ...OTHER_OPTION, ...CHOICE_FEEDBACK],
+  CHECKBOX: [...REQUIRED, ...CHOICES, ...OTHER_OPTION, ...CHOICE_FEEDBACK],
+  LIST: [...REQUIRED, ...CHOICES, ...CHOICE_FEEDBACK],
+  SCALE: [...REQUIRED, ...GENERAL_FEEDBACK, 'getLowerBound', 'getUpperBound', 'getLeftLabel', 'getRightLabel', 'setBounds', 'setLabels'],
+  GRID: [...REQUIRED, ...GRID],
+  CHECKBOX_GRID: [...REQUIRED, ...GRID],
+  DATE: [...REQUIRED, ...GENERAL_FEEDBACK, 'includesYear', 'setIncludesYear'],
+  DATETIME: [...REQUIRED, ...GENERAL_FEEDBACK, 'includesYear', 'setIncludesYear'],
+  TIME: [...REQUIRED, ...GENERAL_FEEDBACK],
+  DURATION: [...REQUIRED, ...GENERAL_FEEDBACK],
+  RATING: [...REQUIRED, 'getRatingScaleLevel', 'getRatingIcon', 'setRatingScaleLevel', 'setRatingIcon'],
+  SECTION_HEADER: [],
+  IMAGE: [...MEDIA, 'getImage', 'setImage'],
+  VIDEO: [...MEDIA, 'setVideoUrl'],
+  PAGE_BREAK: ['getPageNavigationType', 'getGoToPage', 'setGoToPage'],
+  // Apps Script has no asFileUploadItem(), so file upload items only have the generic methods
+  FILE_UPLOAD: null
+};
+
+const COMMON_METHODS = ['getId', 'getIndex', 'getTitle', 'getHelpText', 'getType', 'setTitle', 'setHelpText'];
+
+/**
+ * Converts a type name to its downcast method name (e.g., MULTIPLE_CHOICE -> asMultipleChoiceItem).
+ *
+ * @param {string} type - Item type name
+ * @return {string} Downcast method name
+ */
+function downcastMethodName(type) {
+  return 'as' + type.toLowerCase().split('_').map((part) => part[0].toUpperCase() + part.slice(1)).join('') + 'Item';
+}
+
+/**
+ * Stand-in for a binary blob. Bytes are kept as a Buffer.
+ */
+class FakeBlob {
+  constructor(bytes, contentType, name) {
+    this.bytes = Buffer.from(bytes);
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() { return Array.from(this.bytes); }
+  getDataAsString() { return this.bytes.toString('utf8'); }
+  getContentType() { return this.contentType; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  isGoogleType() { return false; }
+  copyBlob() { return new FakeBlob(this.bytes, this.contentType, this.name); }
+}
+
+/**
+ * Creates a blob from an exported image field ({name, contentType, base64Data}).
+ *
+ * @param {Object} image - Image description from a fixture
+ * @return {FakeBlob} Blob
+ */
+function blobFromFixture(image) {
+  return new FakeBlob(Buffer.from(image.base64Data || '', 'base64'), image.contentType || 'image/png', image.name);
+}
+
+/**
+ * Quiz feedback value object and its builder.
+ */
+class FakeQuizFeedback {
+  constructor(text, linkUrls) {
+    this.text = text || '';
+    this.linkUrls = linkUrls || [];
+  }
+
+  getText() { return this.text; }
+  getLinkUrls() { return this.linkUrls.slice(); }
+}
+
+class FakeQuizFeedbackBuilder {
+  constructor() {
+    this.text = '';
+    this.linkUrls = [];
+  }
+
+  setText(text) { this.text = text; return this; }
+  addLink(url) { this.linkUrls.push(url); return this; }
+  build() { return new FakeQuizFeedback(this.text, this.linkUrls); }
+}
+
+/**
+ * Choice of a MULTIPLE_CHOICE, CHECKBOX, or LIST item.
+ */
+class FakeChoice {
+  constructor(form, value, navigation, isCorrect) {
+    this.form = form;
+    this.value = value;
+    this.navigation = navigation || { type: 'CONTINUE' };
+    this.correct = !!isCorrect;
+  }
+
+  getValue() { return this.value; }
+  getPageNavigationType() { return PageNavigationType[this.navigation.type]; }
+  getGotoPage() {
+    if (this.navigation.type !== 'GO_TO_PAGE') return null;
+    const target = this.form.findRecord(this.navigation.goToPageId);
+    return target ? this.form.view(target).asPageBreakItem() : null;
+  }
+  isCorrectAnswer() { return this.correct; }
+}
+
+/**
+ * Implementation of every item method. Public item objects only expose the subset that
+ * Apps Script offers for the item's type (see TYPED_METHODS).
+ */
+class FakeItemImpl {
+  constructor(form, record) {
+    this.form = form;
+    this.record = record;
+  }
+
+  getId() { return this.record.id; }
+  getIndex() { return this.form.records.indexOf(this.record); }
+  getTitle() { return this.record.title || ''; }
+  getHelpText() { return this.record.helpText || ''; }
+  getType() { return ItemType[this.record.type]; }
+  setTitle(title) { this.record.title = title; }
+  setHelpText(text) { this.record.helpText = text; }
+
+  isRequired() { return !!this.record.isRequired; }
+  setRequired(required) { this.record.isRequired = !!required; }
+
+  getPoints() { return this.record.points || 0; }
+  setPoints(points) { this.record.points = points; }
+  getGeneralFeedback() { return this.feedback('general'); }
+  setGeneralFeedback(feedback) { this.setFeedback('general', feedback); }
+  getFeedbackForCorrect() { return this.feedback('correct'); }
+  setFeedbackForCorrect(feedback) { this.setFeedback('correct', feedback); }
+  getFeedbackForIncorrect() { return this.feedback('incorrect'); }
+  setFeedbackForIncorrect(feedback) { this.setFeedback('incorrect', feedback); }
+
+  feedback(kind) {
+    const feedback = this.record.feedback && this.record.feedback[kind];
+    return feedback ? new FakeQuizFeedback(feedback.text, feedback.linkUrls) : null;
+  }
+
+  setFeedback(kind, feedback) {
+    this.record.feedback = this.record.feedback || {};
+    this.record.feedback[kind] = { text: feedback.getText(), linkUrls: feedback.getLinkUrls() };
+  }
+
+  getChoices() {
+    const navigation = this.record.choiceNavigation || [];
+    const correct = this.record.correctAnswers || [];
+    return (this.record.choices || []).map((value, i) => new FakeChoice(this.form, value, navigation[i], correct.indexOf(value) !== -1));
+  }
+
+  setChoices(choices) {
+    if (!choices.length) throw new Error('Choices cannot be empty');
+    this.record.choices = choices.map((choice) => choice.value);
+    this.record.correctAnswers = choices.filter((choice) => choice.correct).map((choice) => choice.value);
+    if (this.record.type !== 'CHECKBOX') {
+      this.record.choiceNavigation = choices.map((choice) => Object.assign({}, choice.navigation));
+    }
+  }
+
+  setChoiceValues(values) {
+    this.setChoices(values.map((value) => this.createChoice(value)));
+  }
+
+  createChoice(value, option) {
+    if (option === undefined) return new FakeChoice(this.form, value);
+    if (typeof option === 'boolean') return new FakeChoice(this.form, value, null, option);
+    if (option && typeof option.getId === 'function') {
+      return new FakeChoice(this.form, value, { type: 'GO_TO_PAGE', goToPageId: option.getId() });
+    }
+    return new FakeChoice(this.form, value, { type: option.toString() });
+  }
+
+  hasOtherOption() { return !!this.record.hasOtherOption; }
+  showOtherOption(enabled) { this.record.hasOtherOption = !!enabled; }
+
+  getLowerBound() { return this.record.lowerBound; }
+  getUpperBound() { return this.record.upperBound; }
+  getLeftLabel() { return this.record.leftLabel || ''; }
+  getRightLabel() { return this.record.rightLabel || ''; }
+  setBounds(lower, upper) {
+    if (lower < 0 || lower > 1 || upper < 3 || upper > 10) throw new Error('Invalid scale bounds');
+    this.record.lowerBound = lower;
+    this.record.upperBound = upper;
+  }
+  setLabels(left, right) {
+    this.record.leftLabel = left;
+    this.record.rightLabel = right;
+  }
+
+  getRows() { return (this.record.rows || []).slice(); }
+  getColumns() { return (this.record.columns || []).slice(); }
+  setRows(rows) { this.record.rows = rows.slice(); }
+  setColumns(columns) { this.record.columns = columns.slice(); }
+
+  includesYear() { return this.record.includesYear !== false; }
+  setIncludesYear(enabled) { this.record.includesYear = !!enabled; }
+
+  getRatingScaleLevel() { return this.record.ratingScaleLevel || 5; }
+  getRatingIcon() { return RatingIconType[this.record.ratingIcon || 'STAR']; }
+  setRatingScaleLevel(level) { this.record.ratingScaleLevel = level; }
+  setRatingIcon(icon) { this.record.ratingIcon = icon.toString(); }
+
+  getAlignment() { return Alignment[this.record.alignment || 'LEFT']; }
+  setAlignment(alignment) { this.record.alignment = alignment.toString(); }
+  getWidth() { return this.record.width || 0; }
+  setWidth(width) { this.record.width = width; }
+  getImage() { return this.record.image ? blobFromFixture(this.record.image) : new FakeBlob([], 'image/png', null); }
+  setImage(blob) {
+    this.record.image = { name: blob.getName(), contentType: blob.getContentType(), base64Data: Buffer.from(blob.getBytes()).toString('base64') };
+  }
+  setVideoUrl(url) { this.record.videoUrl = url; }
+
+  getPageNavigationType() { return PageNavigationType[this.record.pageNavigationType || 'CONTINUE']; }
+  getGoToPage() {
+    if (this.record.pageNavigationType !== 'GO_TO_PAGE') return null;
+    const target = this.form.findRecord(this.record.goToPageId);
+    return target ? this.form.view(target).asPageBreakItem() : null;
+  }
+  setGoToPage(target) {
+    if (target && typeof target.getId === 'function') {
+      this.record.pageNavigationType = 'GO_TO_PAGE';
+      this.record.goToPageId = target.getId();
+    } else {
+      this.record.pageNavigationType = target.toString();
+      delete this.record.goToPageId;
+    }
+  }
+}
+
+/**
+ * Creates an object exposing only the named methods of an item implementation.
+ *
+ * @param {FakeItemImpl} impl - Item implementation
+ * @param {string[]} methods - Method names to expose
+ * @return {Object} Item view
+ */
+function exposeMethods(impl, methods) {
+  const view = {};
+  methods.forEach((name) => {
+    view[name] = (...args) => impl[name](...args);
+  });
+  return view;
+}
+
+/**
+ * Form response with answers keyed by item ID.
+ */
+class FakeFormResponse {
+  constructor(form, data) {
+    this.form = form;
+    this.data = data;
+  }
+
+  getId() { return this.data.id; }
+  getTimestamp() { return new Date(this.data.timestamp); }
+  getRespondentEmail() { return this.data.respondentEmail || ''; }
+  getItemResponses() {
+    return Object.keys(this.data.answers || {}).map((id) => {
+      const record = this.form.findRecord(Number(id));
+      const answer = this.data.answers[id];
+      return {
+        getItem: () => this.form.view(record),
+        getResponse: () => answer
+      };
+    });
+  }
+}
+
+/**
+ * In-memory form. Items are stored as export-shaped records.
+ */
+class FakeForm {
+  constructor(formApp, fixture) {
+    const metadata = fixture.metadata || {};
+    this.formApp = formApp;
+    this.metadata = Object.assign({
+      title: '',
+      description: '',
+      editorEmails: [],
+      confirmationMessage: '',
+      customClosedFormMessage: '',
+      isQuiz: false
+    }, metadata);
+    this.metadata.id = metadata.id || formApp.nextFormId();
+    this.settings = Object.assign({
+      acceptingResponses: true,
+      collectsEmail: false,
+      requiresLogin: false,
+      limitOneResponsePerUser: false,
+      allowResponseEdits: false,
+      showProgressBar: false,
+      showLinkToRespondAgain: true,
+      publishingSummary: false,
+      shuffleQuestions: false,
+      responseDestination: null
+    }, metadata.settings);
+    this.records = (fixture.items || []).slice().sort((a, b) => (a.index || 0) - (b.index || 0)).map((item) => {
+      const record = JSON.parse(JSON.stringify(item));
+      delete record.index;
+      if (record.id === undefined) record.id = formApp.nextItemId();
+      return record;
+    });
+    this.responses = (fixture.responses || []).map((data) => new FakeFormResponse(this, data));
+    this.views = new Map();
+  }
+
+  findRecord(id) {
+    return this.records.find((record) => record.id === id) || null;
+  }
+
+  /**
+   * Returns the generic Item object for a record, with downcast methods.
+   */
+  view(record) {
+    if (!this.views.has(record)) {
+      const impl = new FakeItemImpl(this, record);
+      const item = exposeMethods(impl, COMMON_METHODS);
+      Object.keys(TYPED_METHODS).forEach((type) => {
+        if (!TYPED_METHODS[type]) return;
+        item[downcastMethodName(type)] = () => {
+          if (record.type !== type) throw new Error('Item ' + record.id + ' is not a ' + type + ' item');
+          return exposeMethods(impl, COMMON_METHODS.concat(TYPED_METHODS[type]));
+        };
+      });
+      this.views.set(record, item);
+    }
+    return this.views.get(record);
+  }
+
+  addItem(type) {
+    const record = { id: this.formApp.nextItemId(), type, title: '', helpText: '' };
+    this.records.push(record);
+    return this.view(record)[downcastMethodName(type)]();
+  }
+
+  getId() { return this.metadata.id; }
+  getTitle() { return this.metadata.title; }
+  setTitle(title) { this.metadata.title = title; return this; }
+  getDescription() { return this.metadata.description; }
+  setDescription(description) { this.metadata.description = description; return this; }
+  getPublishedUrl() { return this.metadata.publishedUrl || 'https://docs.google.com/forms/d/e/' + this.metadata.id + '/viewform'; }
+  getEditUrl() { return 'https://docs.google.com/forms/d/' + this.metadata.id + '/edit'; }
+  getSummaryUrl() { return 'https://docs.google.com/forms/d/' + this.metadata.id + '/viewanalytics'; }
+  getEditors() { return this.metadata.editorEmails.map((email) => ({ getEmail: () => email })); }
+  getConfirmationMessage() { return this.metadata.confirmationMessage; }
+  setConfirmationMessage(message) { this.metadata.confirmationMessage = message; return this; }
+  getCustomClosedFormMessage() { return this.metadata.customClosedFormMessage; }
+  setCustomClosedFormMessage(message) { this.metadata.customClosedFormMessage = message; return this; }
+  isQuiz() { return !!this.metadata.isQuiz; }
+  setIsQuiz(enabled) { this.metadata.isQuiz = !!enabled; return this; }
+
+  // Settings are stored by their export field. A null setting throws, like settings the account cannot read.
+  setting(field) {
+    if (this.settings[field] === null) throw new Error('You do not have permission to read ' + field + '.');
+    return this.settings[field];
+  }
+  changeSetting(field, value) {
+    if (this.settings[field] === null) throw new Error('You do not have permission to change ' + field + '.');
+    this.settings[field] = !!value;
+    return this;
+  }
+  isAcceptingResponses() { return this.setting('acceptingResponses'); }
+  setAcceptingResponses(enabled) { return this.changeSetting('acceptingResponses', enabled); }
+  collectsEmail() { return this.setting('collectsEmail'); }
+  setCollectEmail(enabled) { return this.changeSetting('collectsEmail', enabled); }
+  requiresLogin() { return this.setting('requiresLogin'); }
+  setRequireLogin(enabled) { return this.changeSetting('requiresLogin', enabled); }
+  hasLimitOneResponsePerUser() { return this.setting('limitOneResponsePerUser'); }
+  setLimitOneResponsePerUser(enabled) { return this.changeSetting('limitOneResponsePerUser', enabled); }
+  canEditResponse() { return this.setting('allowResponseEdits'); }
+  setAllowResponseEdits(enabled) { return this.changeSetting('allowResponseEdits', enabled); }
+  hasProgressBar() { return this.setting('showProgressBar'); }
+  setProgressBar(enabled) { return this.changeSetting('showProgressBar', enabled); }
+  hasRespondAgainLink() { return this.setting('showLinkToRespondAgain'); }
+  setShowLinkToRespondAgain(enabled) { return this.changeSetting('showLinkToRespondAgain', enabled); }
+  isPublishingSummary() { return this.setting('publishingSummary'); }
+  setPublishingSummary(enabled) { return this.changeSetting('publishingSummary', enabled); }
+  getShuffleQuestions() { return this.setting('shuffleQuestions'); }
+  setShuffleQuestions(enabled) { return this.changeSetting('shuffleQuestions', enabled); }
+  getDestinationType() {
+    if (!this.settings.responseDestination) throw new Error('This form does not have a response destination.');
+    return DestinationType[this.settings.responseDestination.type];
+  }
+  getDestinationId() {
+    if (!this.settings.responseDestination) throw new Error('This form does not have a response destination.');
+    return this.settings.responseDestination.id;
+  }
+
+  getItems() { return this.records.map((record) => this.view(record)); }
+  getItemById(id) {
+    const record = this.findRecord(id);
+    return record ? this.view(record) : null;
+  }
+
+  getResponses(since) {
+    return this.responses.filter((response) => !since || response.getTimestamp() >= since);
+  }
+
+  addTextItem() { return this.addItem('TEXT'); }
+  addParagraphTextItem() { return this.addItem('PARAGRAPH_TEXT'); }
+  addMultipleChoiceItem() { return this.addItem('MULTIPLE_CHOICE'); }
+  addCheckboxItem() { return this.addItem('CHECKBOX'); }
+  addListItem() { return this.addItem('LIST'); }
+  addScaleItem() { return this.addItem('SCALE'); }
+  addGridItem() { return this.addItem('GRID'); }
+  addCheckboxGridItem() { return this.addItem('CHECKBOX_GRID'); }
+  addDateItem() { return this.addItem('DATE'); }
+  addDateTimeItem() { return this.addItem('DATETIME'); }
+  addTimeItem() { return this.addItem('TIME'); }
+  addDurationItem() { return this.addItem('DURATION'); }
+  addRatingItem() { return this.addItem('RATING'); }
+  addSectionHeaderItem() { return this.addItem('SECTION_HEADER'); }
+  addImageItem() { return this.addItem('IMAGE'); }
+  addVideoItem() { return this.addItem('VIDEO'); }
+  addPageBreakItem() { return this.addItem('PAGE_BREAK'); }
+}
+
+/**
+ * Creates a FormApp stand-in holding the given forms.
+ *
+ * @param {Object} [options] - { forms: fixture[], activeFormId: string }
+ * @return {Object} FormApp stand-in; created forms are available as formApp.forms (keyed by ID)
+ */
+function createFakeFormApp(options = {}) {
+  let formCounter = 0;
+  let itemCounter = 1000000;
+
+  const formApp = {
+    ItemType,
+    PageNavigationType,
+    Alignment,
+    RatingIconType,
+    DestinationType,
+    forms: {},
+    nextFormId: () => 'fake-form-' + (++formCounter),
+    nextItemId: () => ++itemCounter,
+
+    openById(id) {
+      if (!formApp.forms[id]) throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      return formApp.forms[id];
+    },
+    openByUrl(url) {
+      const match = /\/d\/(?:e\/)?([^/]+)/.exec(url);
+      return formApp.openById(match ? match[1] : url);
+    },
+    getActiveForm() {
+      return options.activeFormId ? formApp.forms[options.activeFormId] : null;
+    },
+    ui: createFakeUi(),
+    getUi() {
+      return formApp.ui;
+    },
+    create(title) {
+      const form = new FakeForm(formApp, { metadata: { title } });
+      formApp.forms[form.getId()] = form;
+      return form;
+    },
+    createFeedback() {
+      return new FakeQuizFeedbackBuilder();
+    },
+    addForm(fixture) {
+      const form = new FakeForm(formApp, fixture);
+      formApp.forms[form.getId()] = form;
+      return form;
+    }
+  };
+
+  (options.forms || []).forEach((fixture) => formApp.addForm(fixture));
+
+  return formApp;
+}
+
+/**
+ * Creates a stand-in for the form editor's Ui. It records what the script shows instead of showing it.
+ *
+ * @return {Object} Ui stand-in; ui.menus holds added menus as {title, entries}, where an entry is
+ *   {caption, functionName}, {separator: true} or a submenu {title, entries}; ui.sidebars and ui.alerts hold what was shown
+ */
+function createFakeUi() {
+  const createMenu = (title) => {
+    const menu = {
+      title,
+      entries: [],
+      addItem(caption, functionName) { menu.entries.push({ caption, functionName }); return menu; },
+      addSeparator() { menu.entries.push({ separator: true }); return menu; },
+      addSubMenu(subMenu) { menu.entries.push({ title: subMenu.title, entries: subMenu.entries }); return menu; },
+      addToUi() { ui.menus.push({ title: menu.title, entries: menu.entries }); }
+    };
+    return menu;
+  };
+
+  const ui = {
+    menus: [],
+    sidebars: [],
+    alerts: [],
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' },
+    createMenu,
+    createAddonMenu: () => createMenu('Add-on'),
+    showSidebar(output) { ui.sidebars.push(output); },
+    alert(title, optionalPrompt) {
+      ui.alerts.push(optionalPrompt === undefined ? { prompt: title } : { title, prompt: optionalPrompt });
+      return 'OK';
+    }
+  };
+  return ui;
+}
+
+module.exports = {
+  createFakeFormApp,
+  FakeBlob
+};
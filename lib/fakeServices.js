@@ -0,0 +1,417 @@
+/**
+ * In-memory stand-ins for DriveApp, the Drive advanced service, UrlFetchApp, Logger, Utilities, Session, ScriptApp,
+ * HtmlService, and PropertiesService.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { FakeBlob } = require('./fakeFormApp');
+
+/**
+ * Iterator in the style of Apps Script's FileIterator and FolderIterator.
+ *
+ * @param {Array} values - Values to iterate
+ * @return {Object} Iterator with hasNext() and next()
+ */
+function createIterator(values) {
+  let position = 0;
+  return {
+    hasNext: () => position < values.length,
+    next: () => {
+      if (position >= values.length) throw new Error('No more items');
+      return values[position++];
+    }
+  };
+}
+
+class FakeFile {
+  constructor(drive, id, name, content, mimeType) {
+    this.drive = drive;
+    this.id = id;
+    this.name = name;
+    this.content = content;
+    this.mimeType = mimeType;
+    this.trashed = false;
+    this.created = new Date(drive.clock());
+    this.updated = this.created;
+  }
+
+  getId() { return this.id; }
+  getUrl() { return 'https://drive.google.com/file/d/' + this.id + '/view'; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getMimeType() { return this.mimeType; }
+  getDateCreated() { return this.created; }
+  getLastUpdated() { return this.updated; }
+  getBlob() { return new FakeBlob(this.bytes || Buffer.from(this.content, 'utf8'), this.mimeType, this.name); }
+  setContent(content) { this.content = content; this.updated = new Date(this.drive.clock()); return this; }
+  isTrashed() { return this.trashed; }
+  setTrashed(trashed) { this.trashed = !!trashed; return this; }
+}
+
+class FakeFolder {
+  constructor(drive, id) {
+    this.drive = drive;
+    this.id = id;
+    this.files = [];
+  }
+
+  getId() { return this.id; }
+  // Folders are named after their ID
+  getName() { return this.id; }
+  getUrl() { return 'https://drive.google.com/drive/folders/' + this.id; }
+
+  createFile(nameOrBlob, content, mimeType) {
+    let file;
+    if (typeof nameOrBlob === 'string') {
+      file = new FakeFile(this.drive, this.drive.nextFileId(), nameOrBlob, String(content), mimeType || 'text/plain');
+    } else {
+      file = new FakeFile(this.drive, this.drive.nextFileId(), nameOrBlob.getName(), nameOrBlob.getDataAsString(), nameOrBlob.getContentType());
+      // Binary content is kept as bytes, since the text form of binary data is lossy
+      file.bytes = Buffer.from(nameOrBlob.getBytes());
+    }
+    this.files.push(file);
+    this.drive.files[file.id] = file;
+    return file;
+  }
+
+  getFiles() {
+    return createIterator(this.files.filter((file) => !file.trashed));
+  }
+
+  getFilesByName(name) {
+    return createIterator(this.files.filter((file) => !file.trashed && file.name === name));
+  }
+
+  getFilesByType(mimeType) {
+    return createIterator(this.files.filter((file) => !file.trashed && file.mimeType === mimeType));
+  }
+
+  /**
+   * Test helper: places an existing item, such as a form, in the folder under a fixed ID.
+   */
+  addFile(id, name, mimeType) {
+    const file = new FakeFile(this.drive, id, name, '', mimeType);
+    this.files.push(file);
+    this.drive.files[id] = file;
+    return file;
+  }
+}
+
+/**
+ * The MimeType values the scripts use.
+ */
+const MimeType = Object.freeze({
+  GOOGLE_FORMS: 'application/vnd.google-apps.form',
+  GOOGLE_DOCS: 'application/vnd.google-apps.document',
+  PLAIN_TEXT: 'text/plain',
+  HTML: 'text/html',
+  JSON: 'application/json'
+});
+
+/**
+ * Creates a DriveApp stand-in with the given folder IDs.
+ *
+ * Forms created or held by the given FormApp stand-in can be opened as Drive files too.
+ *
+ * @param {Object} [options] - { folders: string[], now: function returning a timestamp, formApp: FormApp stand-in }
+ * @return {Object} DriveApp stand-in; folders and files are reachable as driveApp.folders / driveApp.files
+ */
+function createFakeDriveApp(options = {}) {
+  let fileCounter = 0;
+  const driveApp = {
+    folders: {},
+    files: {},
+    clock: options.now || (() => Date.now()),
+    nextFileId: () => 'fake-file-' + (++fileCounter),
+
+    getFolderById(id) {
+      if (!driveApp.folders[id]) throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      return driveApp.folders[id];
+    },
+    getFileById(id) {
+      if (!driveApp.files[id] && options.formApp && options.formApp.forms[id]) {
+        driveApp.files[id] = new FakeFile(driveApp, id, options.formApp.forms[id].getTitle(), '', MimeType.GOOGLE_FORMS);
+      }
+      if (!driveApp.files[id]) throw new Error('No item with the given ID could be found, or you do not have permission to access it.');
+      return driveApp.files[id];
+    },
+    getFilesByType(mimeType) {
+      // Forms held by the FormApp stand-in are in the user's Drive too
+      Object.keys((options.formApp && options.formApp.forms) || {}).forEach((id) => driveApp.getFileById(id));
+      return createIterator(Object.values(driveApp.files).filter((file) => !file.trashed && file.mimeType === mimeType));
+    },
+    getRootFolder() {
+      return driveApp.folders.root || driveApp.addFolder('root');
+    },
+    addFolder(id) {
+      driveApp.folders[id] = new FakeFolder(driveApp, id);
+      return driveApp.folders[id];
+    }
+  };
+
+  (options.folders || []).forEach((id) => driveApp.addFolder(id));
+  return driveApp;
+}
+
+/**
+ * Creates a stand-in for the Drive advanced service (v3) on top of a DriveApp stand-in.
+ * Imported Docs are kept as files holding the uploaded text, which is enough to check what was sent.
+ *
+ * @param {Object} driveApp - DriveApp stand-in from createFakeDriveApp
+ * @return {Object} Drive stand-in with Files.create and Files.update
+ */
+function createFakeDrive(driveApp) {
+  return {
+    Files: {
+      create(resource, blob) {
+        const folder = driveApp.getFolderById(resource.parents[0]);
+        const file = folder.createFile(resource.name, blob.getDataAsString(), resource.mimeType);
+        return { id: file.getId(), name: file.getName(), mimeType: file.getMimeType() };
+      },
+      update(resource, fileId, blob) {
+        const file = driveApp.getFileById(fileId);
+        file.setContent(blob.getDataAsString());
+        return { id: file.getId(), name: file.getName(), mimeType: file.getMimeType() };
+      }
+    }
+  };
+}
+
+/**
+ * Creates a UrlFetchApp stand-in that records every request.
+ * Responses come from urlFetchApp.respond(handler), where handler(url, params) returns
+ * { code, body }; without a handler every request gets an empty 200 response.
+ *
+ * @return {Object} UrlFetchApp stand-in; requests are available as urlFetchApp.requests [{url, params}]
+ */
+function createFakeUrlFetchApp() {
+  let handler = () => ({ code: 200, body: '' });
+  const urlFetchApp = {
+    requests: [],
+    respond(newHandler) { handler = newHandler; },
+    fetch(url, params = {}) {
+      urlFetchApp.requests.push({ url, params });
+      const response = handler(url, params);
+      if (response.code >= 400 && !params.muteHttpExceptions) {
+        throw new Error('Request failed for ' + url + ' returned code ' + response.code);
+      }
+      return {
+        getResponseCode: () => response.code,
+        getContentText: () => (typeof response.body === 'string' ? response.body : JSON.stringify(response.body))
+      };
+    }
+  };
+  return urlFetchApp;
+}
+
+/**
+ * Creates a Logger stand-in that records every message.
+ *
+ * @return {Object} Logger stand-in; messages are available as logger.messages
+ */
+function createFakeLogger() {
+  const logger = {
+    messages: [],
+    log(message) {
+      logger.messages.push(String(message));
+      return logger;
+    }
+  };
+  return logger;
+}
+
+/**
+ * Formats a date with the subset of SimpleDateFormat patterns the scripts use
+ * (yyyy, MM, dd, HH, mm, ss), in the given IANA time zone.
+ *
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - Time zone such as "Europe/Paris"; empty for UTC
+ * @param {string} pattern - Format pattern
+ * @return {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const fields = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((all, part) => Object.assign(all, { [part.type]: part.value }), {});
+  const parts = {
+    yyyy: fields.year,
+    MM: fields.month,
+    dd: fields.day,
+    HH: fields.hour,
+    mm: fields.minute,
+    ss: fields.second
+  };
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, (token) => parts[token]);
+}
+
+/**
+ * Parses a date with the same pattern subset as formatDate. Unlike formatDate, always in UTC.
+ *
+ * @param {string} text - Date text
+ * @param {string} timeZone - Ignored, the stand-in always uses UTC
+ * @param {string} pattern - Format pattern
+ * @return {Date} Parsed date
+ */
+function parseDate(text, timeZone, pattern) {
+  const values = { yyyy: 1970, MM: 1, dd: 1, HH: 0, mm: 0, ss: 0 };
+  const tokens = [];
+  const regex = new RegExp('^' + pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, (token) => {
+    tokens.push(token);
+    return token === 'yyyy' ? '(\\d{4})' : '(\\d{2})';
+  }) + '$');
+  const match = regex.exec(text);
+  if (!match) throw new Error('Unparseable date: "' + text + '"');
+  tokens.forEach((token, i) => {
+    values[token] = Number(match[i + 1]);
+  });
+  return new Date(Date.UTC(values.yyyy, values.MM - 1, values.dd, values.HH, values.mm, values.ss));
+}
+
+/**
+ * Creates a Utilities stand-in.
+ *
+ * @return {Object} Utilities stand-in
+ */
+function createFakeUtilities() {
+  return {
+    formatDate,
+    parseDate,
+    base64Encode: (data) => Buffer.from(typeof data === 'string' ? Buffer.from(data, 'utf8') : data).toString('base64'),
+    base64Decode: (text) => Array.from(Buffer.from(text, 'base64')),
+    newBlob: (data, contentType, name) => new FakeBlob(typeof data === 'string' ? Buffer.from(data, 'utf8') : data, contentType, name),
+    // Like Apps Script, digests are returned as arrays of signed bytes
+    computeDigest: (algorithm, value, charset) => Array.from(crypto.createHash(algorithm).update(value, charset).digest()).map((byte) => (byte > 127 ? byte - 256 : byte)),
+    DigestAlgorithm: Object.freeze({ MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_512: 'sha512' }),
+    Charset: Object.freeze({ UTF_8: 'utf8', US_ASCII: 'ascii' })
+  };
+}
+
+/**
+ * Creates a Session stand-in.
+ *
+ * @param {Object} [options] - { timeZone: string, email: string }
+ * @return {Object} Session stand-in
+ */
+function createFakeSession(options = {}) {
+  const user = { getEmail: () => options.email || 'tester@example.com' };
+  return {
+    getScriptTimeZone: () => options.timeZone || 'UTC',
+    getActiveUser: () => user,
+    getEffectiveUser: () => user
+  };
+}
+
+/**
+ * Creates a ScriptApp stand-in that records installed triggers.
+ * Time-based triggers keep their schedule as trigger.schedule, e.g. { everyHours: 6 }.
+ *
+ * @return {Object} ScriptApp stand-in; installed triggers are available as scriptApp.triggers
+ */
+function createFakeScriptApp() {
+  let triggerCounter = 0;
+  const scriptApp = {
+    triggers: [],
+
+    newTrigger(handlerFunction) {
+      const trigger = {
+        id: 'fake-trigger-' + (++triggerCounter),
+        handlerFunction,
+        schedule: {},
+        getUniqueId: () => trigger.id,
+        getHandlerFunction: () => trigger.handlerFunction
+      };
+      const timeBased = {
+        everyMinutes(n) { trigger.schedule.everyMinutes = n; return timeBased; },
+        everyHours(n) { trigger.schedule.everyHours = n; return timeBased; },
+        everyDays(n) { trigger.schedule.everyDays = n; return timeBased; },
+        atHour(hour) { trigger.schedule.atHour = hour; return timeBased; },
+        create() {
+          scriptApp.triggers.push(trigger);
+          return trigger;
+        }
+      };
+      return { timeBased: () => timeBased };
+    },
+    getProjectTriggers: () => scriptApp.triggers.slice(),
+    getOAuthToken: () => 'fake-oauth-token',
+    deleteTrigger(trigger) {
+      scriptApp.triggers = scriptApp.triggers.filter((candidate) => candidate.id !== trigger.getUniqueId());
+    }
+  };
+  return scriptApp;
+}
+
+/**
+ * Creates an HtmlService stand-in that serves the .html files in a directory.
+ *
+ * @param {string} directory - Directory holding the HTML files (src/)
+ * @return {Object} HtmlService stand-in; outputs keep their title and meta tags as output.title and output.metaTags
+ */
+function createFakeHtmlService(directory) {
+  return {
+    createHtmlOutputFromFile(name) {
+      const output = {
+        content: fs.readFileSync(path.join(directory, name + '.html'), 'utf8'),
+        title: '',
+        metaTags: {},
+        getContent: () => output.content,
+        getTitle: () => output.title,
+        setTitle(title) { output.title = title; return output; },
+        addMetaTag(metaName, content) { output.metaTags[metaName] = content; return output; }
+      };
+      return output;
+    }
+  };
+}
+
+/**
+ * Creates a PropertiesService stand-in. Each kind of properties (user, script, document) is its own store.
+ *
+ * @return {Object} PropertiesService stand-in; stored values are available as propertiesService.user.values, ...
+ */
+function createFakePropertiesService() {
+  const createStore = () => {
+    const store = {
+      values: {},
+      getProperty: (key) => (Object.prototype.hasOwnProperty.call(store.values, key) ? store.values[key] : null),
+      getProperties: () => Object.assign({}, store.values),
+      setProperty(key, value) { store.values[key] = String(value); return store; },
+      deleteProperty(key) { delete store.values[key]; return store; }
+    };
+    return store;
+  };
+
+  const propertiesService = {
+    user: createStore(),
+    script: createStore(),
+    document: createStore(),
+    getUserProperties: () => propertiesService.user,
+    getScriptProperties: () => propertiesService.script,
+    getDocumentProperties: () => propertiesService.document
+  };
+  return propertiesService;
+}
+
+module.exports = {
+  createFakeDriveApp,
+  createFakeDrive,
+  createFakeUrlFetchApp,
+  createFakeLogger,
+  createFakeUtilities,
+  createFakeSession,
+  createFakeScriptApp,
+  createFakeHtmlService,
+  createFakePropertiesService,
+  formatDate,
+  MimeType
+};
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load .env file. It is optional: the script reads its settings from the Script Properties,
+// and .env only seeds them (see src/config.js and runSetup).
+const envPath = path.join(__dirname, '..', '.env');
+const envVars = {};
+
+if (fs.existsSync(envPath)) {
+  const envContent = fs.readFileSync(envPath, 'utf8');
+
+  envContent.split('\n').forEach(line => {
+    line = line.trim();
+    // Skip empty lines and comments
+    if (!line || line.startsWith('#')) return;
+
+    const [key, ...valueParts] = line.split('=');
+    if (key && valueParts.length > 0) {
+      envVars[key.trim()] = valueParts.join('=').trim();
+    }
+  });
+} else {
+  console.warn('Warning: .env file not found, pushing without seed values. Set the Script Properties in the Apps Script editor instead');
+}
+
+// Warn about settings the script needs, which must then be set as Script Properties
+const requiredVars = ['FORM_ID', 'EXPORT_FOLDER_ID'];
+const missingVars = requiredVars.filter(v => !envVars[v]);
+
+if (missingVars.length > 0) {
+  console.warn('Warning: Not seeded from .env, set them as Script Properties:', missingVars.join(', '));
+}
+
+// Create tmp/dist directory
+const distPath = path.join(__dirname, '..', 'tmp', 'dist');
+if (fs.existsSync(distPath)) {
+  // Clean existing dist folder
+  fs.rmSync(distPath, { recursive: true, force: true });
+}
+fs.mkdirSync(distPath, { recursive: true });
+
+// Copy all files from src to tmp/dist
+const srcPath = path.join(__dirname, '..', 'src');
+const srcFiles = fs.readdirSync(srcPath);
+
+srcFiles.forEach(file => {
+  const srcFilePath = path.join(srcPath, file);
+  const distFilePath = path.join(distPath, file);
+
+  if (fs.statSync(srcFilePath).isFile()) {
+    fs.copyFileSync(srcFilePath, distFilePath);
+  }
+});
+
+// Secret settings (tokens) are marked in CONFIG_SETTINGS. The seed is pushed as source code that every
+// editor of the script can read, so they are left out and must be set as Script Properties.
+const configScope = {};
+vm.runInNewContext(fs.readFileSync(path.join(srcPath, 'config.js'), 'utf8'), configScope);
+const isSecret = name => {
+  const setting = configScope.CONFIG_SETTINGS[name.split('.').pop()];
+  return !!(setting && setting.secret);
+};
+
+// Replace the empty seed with the values from .env. Empty values are left out, so they fall back to the defaults.
+const seed = {};
+const secrets = [];
+Object.keys(envVars).forEach(name => {
+  if (!envVars[name]) return;
+  if (isSecret(name)) {
+    secrets.push(name);
+  } else {
+    seed[name] = envVars[name];
+  }
+});
+if (secrets.length > 0) {
+  console.warn('Warning: Secrets are not pushed, set them as Script Properties:', secrets.join(', '));
+}
+const seedHeader = fs.readFileSync(path.join(srcPath, 'configSeed.js'), 'utf8').split('\n').filter(line => line.startsWith('//')).join('\n');
+fs.writeFileSync(path.join(distPath, 'configSeed.js'), `${seedHeader}\nvar CONFIG_SEED = ${JSON.stringify(seed, null, 2)};\n`, 'utf8');
+
+console.log('✓ Files copied to tmp/dist and .env written to the configuration seed');
+console.log(`  Seeded settings: ${Object.keys(seed).join(', ') || 'none'}`);
+console.log('  Run runSetup in the Apps Script editor to copy them into the Script Properties and check them');
@@ -1,112 +1,899 @@
-// Global config
-var FORM_ID = "{{FORM_ID}}";
-var EXPORT_FOLDER_ID = "{{EXPORT_FOLDER_ID}}";
+// Every setting is a Script Property, read at runtime: the form, export folder, formats, file names, time zone and
+// output destinations, and the Markdown, media, lint, response, batch, schedule and translation options
+// (see CONFIG_SETTINGS in config.js for their defaults). `npm run push` seeds them from .env; run runSetup to check them.
 
 /**
- * Exports form as both JSON and Markdown formats.
+ * Serves the web app, where users pick a form, formats and Markdown options, then download the
+ * exports or save them to their Drive (see webApp.js). Deploy the script as a web app to use it.
+ *
+ * @param {Object} e - Request event
+ * @return {HtmlOutput} The web app page
+ */
+function doGet(e) {
+  return HtmlService.createHtmlOutputFromFile("WebApp")
+    .setTitle("Google Form Exporter")
+    .addMetaTag("viewport", "width=device-width, initial-scale=1");
+}
+
+/**
+ * Adds the add-on menu to the form editor: Export → JSON / Markdown / All, and the sidebar.
+ * The menu entries export the open form (see addOn.js), not the configured FORM_ID.
+ *
+ * @param {Object} e - Open event; its authMode may not allow more than adding the menu
+ * @return {void}
+ */
+function onOpen(e) {
+  var ui = FormApp.getUi();
+  ui.createAddonMenu()
+    .addSubMenu(ui.createMenu("Export")
+      .addItem("JSON", "runAddOnExportToJSON")
+      .addItem("Markdown", "runAddOnExportToMarkdown")
+      .addItem("All", "runAddOnExportAll"))
+    .addSeparator()
+    .addItem("Settings and last export", "showAddOnSidebar")
+    .addToUi();
+}
+
+/**
+ * Adds the add-on menu right after the add-on is installed, without reopening the form.
+ *
+ * @param {Object} e - Install event
+ * @return {void}
+ */
+function onInstall(e) {
+  onOpen(e);
+}
+
+/**
+ * Shows the add-on sidebar with the user's settings and last export of the open form.
+ *
+ * @return {void}
+ */
+function showAddOnSidebar() {
+  FormApp.getUi().showSidebar(HtmlService.createHtmlOutputFromFile("Sidebar").setTitle("Form Exporter"));
+}
+
+/**
+ * Add-on menu entry: exports the open form as JSON to the user's folder.
+ *
+ * @return {void}
+ */
+function runAddOnExportToJSON() {
+  runAddOnExport_(["json"]);
+}
+
+/**
+ * Add-on menu entry: exports the open form as Markdown to the user's folder.
+ *
+ * @return {void}
+ */
+function runAddOnExportToMarkdown() {
+  runAddOnExport_(["md"]);
+}
+
+/**
+ * Add-on menu entry: exports the open form as JSON and Markdown to the user's folder.
+ *
+ * @return {void}
+ */
+function runAddOnExportAll() {
+  runAddOnExport_(["json", "md"]);
+}
+
+/**
+ * Exports the open form from the add-on menu and tells the user where the files went.
+ *
+ * @param {string[]} formats - Formats to export
+ * @return {void}
+ * @private
+ */
+function runAddOnExport_(formats) {
+  var ui = FormApp.getUi();
+  ui.alert("Form export", describeAddOnExport(exportAddOnForm(formats)), ui.ButtonSet.OK);
+}
+
+/**
+ * Copies the settings from .env into the Script Properties (keeping those already set), then checks
+ * that the configured forms and folders can be opened. Run it once after the first push, and again
+ * after changing the Script Properties. Each check is logged; the run fails if any check failed.
+ *
+ * @return {void}
+ */
+function runSetup() {
+  seedConfig().forEach(function(name) {
+    Logger.log("Set " + name + " from .env");
+  });
+
+  var checks = checkConfig();
+  checks.forEach(function(check) {
+    Logger.log((check.ok ? "✓ " : "✗ ") + check.setting + ": " + check.message);
+  });
+
+  var failed = checks.filter(function(check) {
+    return !check.ok;
+  });
+  if (failed.length > 0) {
+    throw new Error("Setup found " + failed.length + " problem(s), see the log");
+  }
+}
+
+/**
+ * Exports the form in every format in EXPORT_FORMATS (JSON and Markdown by default).
  * This function optimizes performance by fetching the form and items once,
- * then passing them to both exporters to avoid redundant API calls.
+ * then passing them to every exporter to avoid redundant API calls.
  *
  * @return {void}
  */
 function runExportAll() {
-  // Shared data-fetching phase - fetch once and reuse for both exports
-  var form, items;
+  // Shared data-fetching phase - fetch once and reuse for every export
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return; // Exit early, no export proceeds
+  var form = fetched.form;
+  var items = fetched.items;
+
+  // The exports share one timestamp, so they can share the image files saved next to them
+  var baseName = exportBaseName_(config, form.getTitle());
+  var media = exportMediaOptions_(config, items, baseName);
+  var renderOptions = { markdown: markdownOptions_(config, media), media: media };
+  Logger.log("Total items exported: " + items.length);
+
+  config.formats.forEach(function(format) {
+    try {
+      var content = BATCH_EXPORT_FORMATS[format].render(form, items, renderOptions);
+      Logger.log(content.split('\n').slice(0, 5).join('\n') + '\n\n[' + (content.split('\n').length - 5) + ' more lines...]');
+
+      saveOutput_(baseName + BATCH_EXPORT_FORMATS[format].extension, content);
+    } catch (e) {
+      Logger.log("Error exporting " + format + ": " + e.message);
+    }
+  });
+
+  saveImageFiles_(config, items, baseName);
+}
+
+/**
+ * Exports the form responses as JSON, CSV, and a Markdown summary and saves them to Google Drive.
+ * Uses the RESPONSE_EXPORT_OPTIONS setting for the date range and whether respondent emails are included.
+ *
+ * @return {void}
+ */
+function runExportResponses() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  var tz = config.timeZone;
+  var range = config.responses;
+  var options = {
+    startDate: range.startDate ? Utilities.parseDate(range.startDate, tz, "yyyy-MM-dd") : null,
+    // The end date is inclusive, so the range runs to the start of the following day
+    endDate: range.endDate ? new Date(Utilities.parseDate(range.endDate, tz, "yyyy-MM-dd").getTime() + 24 * 60 * 60 * 1000 - 1) : null,
+    omitRespondentEmails: range.omitRespondentEmails
+  };
+
+  var responses = exportResponsesToJson(config.formId, fetched.form, fetched.items, options);
+  Logger.log("Total responses exported: " + responses.count);
+
+  var timestamp = Utilities.formatDate(new Date(), tz, "yyyy-MM-dd_HH-mm-ss");
+  var baseName = "form_responses_" + timestamp;
 
   try {
-    Logger.log("Fetching form data...");
-    form = FormApp.openById(FORM_ID);
-    Logger.log("Form title: \"" + form.getTitle() + "\"");
-    Logger.log("Fetching form items...");
-    items = form.getItems();
+    saveOutput_(baseName + ".json", JSON.stringify(responses, null, 2));
   } catch (e) {
-    Logger.log("Error fetching form data: " + e.message);
-    return; // Exit early, neither export proceeds
+    Logger.log("Error exporting responses JSON: " + e.message);
   }
 
-  // Export to JSON (reusing fetched data)
   try {
-    var json = exportFormToJson(FORM_ID, form, items);
-    var stringified = JSON.stringify(json, null, 2);
+    saveOutput_(baseName + ".csv", responsesToCsv(responses));
+  } catch (e) {
+    Logger.log("Error exporting responses CSV: " + e.message);
+  }
 
-    Logger.log("Total items exported: " + json.count);
-    Logger.log(stringified.split('\n').slice(0, 5).join('\n') + '\n\n[' + (stringified.split('\n').length - 5) + ' more lines...]');
+  try {
+    saveOutput_(baseName + "_summary.md", summarizeResponsesToMarkdown(responses));
+  } catch (e) {
+    Logger.log("Error exporting responses summary: " + e.message);
+  }
+}
 
-    var timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd_HH-mm-ss");
-    var fileName = "form_export_" + timestamp + ".json";
+/**
+ * Exports every form in the batch manifest, then saves an index linking all exported files
+ * to the export folder as form_batch_<timestamp>.md and .json.
+ * A form that fails does not stop the others; the run fails at the end if any form failed,
+ * so scheduled runs surface as failed executions.
+ *
+ * @return {void}
+ */
+function runBatchExport() {
+  var config = readConfig();
+  var manifest = config.batchManifestFileId
+    ? JSON.parse(DriveApp.getFileById(config.batchManifestFileId).getBlob().getDataAsString())
+    : config.batchManifest;
 
-    saveToDrive_(fileName, stringified);
-  } catch (e) {
-    Logger.log("Error exporting JSON: " + e.message);
+  var result = exportFormBatch(manifest, { defaultFolderId: config.exportFolderId, markdown: config.markdown, timestamp: exportTimestamp_(config) });
+  var md = batchResultToMarkdown(result);
+  Logger.log(md);
+
+  saveOutput_("form_batch_" + result.timestamp + ".json", JSON.stringify(result, null, 2));
+  saveOutput_("form_batch_" + result.timestamp + ".md", md);
+
+  if (result.failedCount > 0) {
+    throw new Error("Batch export failed for " + result.failedCount + " of " + result.exports.length + " form(s)");
   }
+}
 
-  // Export to Markdown (reusing fetched data)
-  try {
-    var md = exportFormToMarkdown(FORM_ID, form, items);
-    Logger.log(md.split('\n').slice(0, 5).join('\n') + '\n\n[' + (md.split('\n').length - 5) + ' more lines...]');
+/**
+ * Installs a time-based trigger that runs runScheduledExport every SCHEDULED_EXPORT_OPTIONS.everyHours hours
+ * (see CONFIG_SETTINGS).
+ * Replaces the trigger if one is already installed, so it is safe to run again after changing the schedule.
+ *
+ * @return {void}
+ */
+function installScheduledExport() {
+  var everyHours = readConfig().schedule.everyHours;
+  if ([1, 2, 4, 6, 8, 12, 24].indexOf(everyHours) === -1) {
+    throw new Error("SCHEDULED_EXPORT_OPTIONS.everyHours must be 1, 2, 4, 6, 8, 12 or 24, got " + everyHours);
+  }
+
+  removeScheduledExport();
+
+  var builder = ScriptApp.newTrigger("runScheduledExport").timeBased();
+  if (everyHours === 24) {
+    builder.everyDays(1);
+  } else {
+    builder.everyHours(everyHours);
+  }
+  builder.create();
 
-    var timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd_HH-mm-ss");
-    var fileName = "form_export_" + timestamp + ".md";
+  Logger.log("Scheduled export installed, running every " + everyHours + " hour(s)");
+}
 
-    saveToDrive_(fileName, md);
+/**
+ * Removes the time-based trigger installed by installScheduledExport.
+ *
+ * @return {void}
+ */
+function removeScheduledExport() {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === "runScheduledExport") {
+      ScriptApp.deleteTrigger(trigger);
+      Logger.log("Removed scheduled export trigger");
+    }
+  });
+}
+
+/**
+ * Trigger handler for scheduled exports. Saves the JSON export, and the other formats in EXPORT_FORMATS,
+ * only when the form content differs from the most recent JSON export, then removes exports outside
+ * the retention policy.
+ *
+ * @return {void}
+ */
+function runScheduledExport() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) {
+    // Fail the execution so the trigger's failure notifications report it
+    throw new Error("Scheduled export could not fetch form " + config.formId);
+  }
+
+  var baseName = exportBaseName_(config, fetched.form.getTitle());
+  var media = exportMediaOptions_(config, fetched.items, baseName);
+
+  var json = exportFormToJson(config.formId, fetched.form, fetched.items, media);
+  var fingerprint = fingerprintExport(json);
+
+  var latest = findLatestExport_(".json");
+  var latestFingerprint = null;
+  if (latest) {
+    try {
+      // Older exports are upgraded first, so a new schema version alone does not count as a change
+      latestFingerprint = fingerprintExport(upgradeExport(latest.getBlob().getDataAsString()));
+    } catch (e) {
+      Logger.log("Could not read " + latest.getName() + ", saving a new export: " + e.message);
+    }
+  }
+
+  if (fingerprint === latestFingerprint) {
+    Logger.log("Form unchanged since " + latest.getName() + ", nothing saved");
+  } else {
+    // JSON is always saved, since the next run compares against it
+    saveOutput_(baseName + ".json", JSON.stringify(json, null, 2));
+    var renderOptions = { markdown: markdownOptions_(config, media), media: media };
+    config.formats.forEach(function(format) {
+      if (format === "json") return;
+      saveOutput_(baseName + BATCH_EXPORT_FORMATS[format].extension, BATCH_EXPORT_FORMATS[format].render(fetched.form, fetched.items, renderOptions));
+    });
+    saveImageFiles_(config, fetched.items, baseName);
+  }
+
+  applyExportRetention_();
+}
+
+/**
+ * Moves timestamped exports outside SCHEDULED_EXPORT_OPTIONS' retention policy to the Drive trash.
+ *
+ * @return {void}
+ * @private
+ */
+function applyExportRetention_() {
+  var config = readConfig();
+  if (!config.exportFolderId) return;
+
+  var iterator = DriveApp.getFolderById(config.exportFolderId).getFiles();
+  var files = [];
+  while (iterator.hasNext()) {
+    files.push(iterator.next());
+  }
+
+  var patterns = fileNamePatternToRegExps(config.fileNamePattern, config.formId);
+  selectExpiredSnapshots(files, config.schedule, patterns).forEach(function(file) {
+    file.setTrashed(true);
+    Logger.log("Removed old export: " + file.getName());
+  });
+}
+
+/**
+ * Fetches the configured form and its items once so several exports can share them.
+ *
+ * @param {Object} config - Configuration from readConfig
+ * @return {Object|null} Object with form and items, or null if the form could not be fetched
+ * @private
+ */
+function fetchFormData_(config) {
+  try {
+    Logger.log("Fetching form data...");
+    var form = FormApp.openById(config.formId);
+    Logger.log("Form title: \"" + form.getTitle() + "\"");
+    Logger.log("Fetching form items...");
+    return {
+      form: form,
+      items: form.getItems()
+    };
   } catch (e) {
-    Logger.log("Error exporting Markdown: " + e.message);
+    Logger.log("Error fetching form data: " + e.message);
+    return null;
   }
 }
 
 /**
  * Exports form as JSON format and saves to Google Drive.
- * Uses the global FORM_ID configuration to fetch the form data.
+ * Uses the configured FORM_ID to fetch the form data.
  *
  * @return {void}
  */
 function runExportToJSON() {
-  var json = exportFormToJson(FORM_ID);
+  var config = readConfig();
+  var form = FormApp.openById(config.formId);
+  var items = form.getItems();
+  var baseName = exportBaseName_(config, form.getTitle());
+
+  var json = exportFormToJson(config.formId, form, items, exportMediaOptions_(config, items, baseName));
   var stringified = JSON.stringify(json, null, 2);
 
   Logger.log("Total items exported: " + json.count);
   Logger.log(stringified);
 
-  var timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd_HH-mm-ss");
-  var fileName = "form_export_" + timestamp + ".json";
+  saveOutput_(baseName + ".json", stringified);
+  saveImageFiles_(config, items, baseName);
+}
+
+/**
+ * Exports form in the nested JSON layout, with sections that contain their items and
+ * readable keys, and saves it to Google Drive as form_export_<timestamp>_nested.json.
+ *
+ * @return {void}
+ */
+function runExportToNestedJSON() {
+  var config = readConfig();
+  var form = FormApp.openById(config.formId);
+  var nested = exportFormToNestedJson(config.formId, form, form.getItems());
+
+  var fileName = exportBaseName_(config, form.getTitle()) + "_nested.json";
 
-  saveToDrive_(fileName, stringified);
+  saveOutput_(fileName, JSON.stringify(nested, null, 2));
 }
 
 /**
  * Exports form as Markdown format and saves to Google Drive.
- * Uses the global FORM_ID configuration to fetch the form data.
+ * Uses the configured FORM_ID to fetch the form data.
  *
  * @return {void}
  */
 function runExportToMarkdown() {
-  var md = exportFormToMarkdown(FORM_ID);
+  var config = readConfig();
+  var form = FormApp.openById(config.formId);
+  var items = form.getItems();
+  var baseName = exportBaseName_(config, form.getTitle());
+
+  var md = exportFormToMarkdown(config.formId, form, items, markdownOptions_(config, exportMediaOptions_(config, items, baseName)));
   Logger.log(md);
 
-  var timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd_HH-mm-ss");
-  var fileName = "form_export_" + timestamp + ".md";
+  saveOutput_(baseName + ".md", md);
+  saveImageFiles_(config, items, baseName);
+}
+
+/**
+ * Exports form as a self-contained, printable HTML document and saves it to Google Drive.
+ *
+ * @return {void}
+ */
+function runExportToHtml() {
+  var config = readConfig();
+  var form = FormApp.openById(config.formId);
+  var html = exportFormToHtml(config.formId, form, form.getItems());
+
+  var fileName = exportBaseName_(config, form.getTitle()) + ".html";
+
+  saveOutput_(fileName, html);
+}
+
+/**
+ * Exports the section navigation as a Mermaid flowchart and a Graphviz DOT graph
+ * and saves both to Google Drive.
+ *
+ * @return {void}
+ */
+function runExportNavigationDiagram() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  var mermaid = exportFormToMermaid(config.formId, fetched.form, fetched.items);
+  Logger.log(mermaid);
 
-  saveToDrive_(fileName, md);
+  var baseName = exportBaseName_(config, fetched.form.getTitle());
+  saveOutput_(baseName + ".mmd", mermaid);
+  saveOutput_(baseName + ".dot", exportFormToDot(config.formId, fetched.form, fetched.items));
 }
 
 /**
- * Saves content to the configured Google Drive folder.
- * Uses the global EXPORT_FOLDER_ID to determine the target folder.
- * Logs success or error messages to the Apps Script Logger.
+ * Converts the form to a SurveyJS survey and saves it to Google Drive as
+ * form_export_<timestamp>_surveyjs.json, with a Markdown report of what could not be converted.
  *
- * @param {string} fileName - Name of the file to create
- * @param {string} content - Content to write to the file
  * @return {void}
+ */
+function runExportToSurveyJs() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  // Images are embedded in the survey, so they are always exported as base64
+  var json = exportFormToJson(config.formId, fetched.form, fetched.items, { videoUrls: lookUpVideoUrls_(config, fetched.items) });
+  var result = convertExportToSurveyJs(json);
+  Logger.log("SurveyJS conversion: " + result.report.length + " item(s) could not be converted exactly");
+
+  var baseName = exportBaseName_(config, fetched.form.getTitle());
+  saveOutput_(baseName + "_surveyjs.json", JSON.stringify(result.survey, null, 2));
+  saveOutput_(baseName + "_surveyjs_report.md",
+    conversionReportToMarkdown(result.report, "SurveyJS", fetched.form.getTitle()));
+}
+
+/**
+ * Converts the form to a LimeSurvey survey structure file and saves it to Google Drive as
+ * form_export_<timestamp>.lss, with a Markdown report of what could not be converted.
+ * The .lss file can be imported in LimeSurvey under Create survey > Import.
+ *
+ * @return {void}
+ */
+function runExportToLimeSurvey() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  var json = exportFormToJson(config.formId, fetched.form, fetched.items, { videoUrls: lookUpVideoUrls_(config, fetched.items) });
+  var result = convertExportToLimeSurvey(json);
+  Logger.log("LimeSurvey conversion: " + result.report.length + " item(s) could not be converted exactly");
+
+  var baseName = exportBaseName_(config, fetched.form.getTitle());
+  saveOutput_(baseName + ".lss", result.xml);
+  saveOutput_(baseName + "_limesurvey_report.md",
+    conversionReportToMarkdown(result.report, "LimeSurvey", fetched.form.getTitle()));
+}
+
+/**
+ * Extracts every translatable string of the form and saves one file per language in
+ * the targetLanguages of the TRANSLATION_OPTIONS setting, as form_strings_<timestamp>_<language>.xlf (or .po).
+ * Without target languages, a single template is saved (form_strings_<timestamp>.xlf or .pot).
+ *
+ * @return {void}
+ */
+function runExtractTranslations() {
+  var config = readConfig();
+  var translation = config.translation;
+  var format = translation.format;
+  if (format !== "xliff" && format !== "po") {
+    throw new Error("TRANSLATION_OPTIONS.format must be xliff or po, got " + format);
+  }
+
+  var json = exportFormToJson(config.formId);
+  var strings = extractFormStrings(json);
+  Logger.log("Extracted " + strings.length + " translatable string(s)");
+
+  var timestamp = exportTimestamp_(config);
+  var languages = translation.targetLanguages.length ? translation.targetLanguages : [""];
+  languages.forEach(function(language) {
+    var options = { sourceLanguage: translation.sourceLanguage, targetLanguage: language, original: json.metadata.id };
+    var baseName = "form_strings_" + timestamp + (language ? "_" + language : "");
+    if (format === "xliff") {
+      saveOutput_(baseName + ".xlf", stringsToXliff(strings, options));
+    } else {
+      saveOutput_(baseName + (language ? ".po" : ".pot"), stringsToPo(strings, options));
+    }
+  });
+}
+
+/**
+ * Builds a localized copy of the form from each translated file in TRANSLATION_OPTIONS.translationFileIds
+ * and saves its Markdown export as form_export_<timestamp>_<language>.md. Strings without a translation,
+ * or translated for an older version of the form, keep the original text and are logged.
+ * When keepForms is false, the copies are moved to the trash once the Markdown is saved.
+ * A file that fails does not stop the others; the run fails at the end if any file failed.
+ *
+ * @return {void}
+ */
+function runBuildLocalizedForms() {
+  var config = readConfig();
+  var json = exportFormToJson(config.formId);
+  var baseName = exportBaseName_(config, json.metadata.title);
+  var translation = config.translation;
+  var failed = 0;
+
+  translation.translationFileIds.forEach(function(fileId) {
+    try {
+      var file = DriveApp.getFileById(fileId);
+      var localized = localizeExport(json, file.getBlob().getDataAsString());
+      var language = localized.language || fileId;
+      Logger.log(file.getName() + " (" + language + "): " + localized.translatedCount + " string(s) translated, " +
+        localized.missing.length + " missing, " + localized.stale.length + " stale");
+      localized.stale.forEach(function(id) {
+        Logger.log("- " + id + " was translated from text that has changed since");
+      });
+
+      var copy = importFormFromJson(localized.json).form;
+      saveOutput_(baseName + "_" + slugify(language) + ".md",
+        exportFormToMarkdown(copy.getId(), copy, null, config.markdown));
+
+      if (translation.keepForms) {
+        Logger.log("Created " + language + " form: " + copy.getEditUrl());
+      } else {
+        DriveApp.getFileById(copy.getId()).setTrashed(true);
+      }
+    } catch (e) {
+      failed += 1;
+      Logger.log("Error localizing with file " + fileId + ": " + e.message);
+    }
+  });
+
+  if (failed > 0) {
+    throw new Error("Localization failed for " + failed + " of " + translation.translationFileIds.length + " file(s)");
+  }
+}
+
+/**
+ * Checks the form for broken branching and content problems, then saves the report
+ * as JSON and Markdown to Google Drive. When the LINT_FAIL_ON_ERROR setting is on, the run fails
+ * after saving if any errors were found, so scheduled runs surface as failed executions.
+ *
+ * @return {void}
+ */
+function runLintForm() {
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  var report = lintForm(config.formId, fetched.form, fetched.items);
+  var md = lintReportToMarkdown(report);
+  Logger.log(md);
+
+  var timestamp = exportTimestamp_(config);
+  saveOutput_("form_lint_" + timestamp + ".json", JSON.stringify(report, null, 2));
+  saveOutput_("form_lint_" + timestamp + ".md", md);
+
+  if (config.lintFailOnError && report.errorCount > 0) {
+    throw new Error("Form check found " + report.errorCount + " error(s)");
+  }
+}
+
+/**
+ * Exports a quiz as a Markdown answer key and saves it to Google Drive.
+ * Each question shows its points, correct choices are marked, and feedback is included.
+ *
+ * @return {void}
+ */
+function runExportAnswerKeyToMarkdown() {
+  var config = readConfig();
+  var form = FormApp.openById(config.formId);
+  if (!form.isQuiz()) {
+    Logger.log("Form is not a quiz, there is no answer key to export");
+    return;
+  }
+
+  var md = exportFormToMarkdown(config.formId, form, form.getItems(), markdownOptions_(config, { answerKey: true }));
+  Logger.log(md);
+
+  var fileName = exportBaseName_(config, form.getTitle()) + "_answer_key.md";
+
+  saveOutput_(fileName, md);
+}
+
+/**
+ * Returns the name of a form export without its extension: FILE_NAME_PATTERN filled in with
+ * the current time in the configured time zone.
+ *
+ * @param {Object} config - Configuration from readConfig
+ * @param {string} title - Title of the exported form
+ * @return {string} Base name, such as form_export_2025-12-10_14-30-45
+ * @private
+ */
+function exportBaseName_(config, title) {
+  return formatFileName(config.fileNamePattern, { timestamp: exportTimestamp_(config), formId: config.formId, title: title });
+}
+
+/**
+ * Returns the current time as a file name timestamp in the configured time zone.
+ *
+ * @param {Object} config - Configuration from readConfig
+ * @return {string} Timestamp such as 2025-12-10_14-30-45
+ * @private
+ */
+function exportTimestamp_(config) {
+  return Utilities.formatDate(new Date(), config.timeZone, "yyyy-MM-dd_HH-mm-ss");
+}
+
+/**
+ * Builds the media options of an export from the MEDIA_OPTIONS setting.
+ *
+ * @param {Object} config - Configuration of the exported form, from readConfig
+ * @param {FormApp.Item[]} items - Items of the exported form
+ * @param {string} baseName - Name of the export without its extension, the prefix of saved images
+ * @return {Object} Options for exportFormToJson and exportFormToMarkdown: {media, mediaBaseName, videoUrls}
+ * @private
+ */
+function exportMediaOptions_(config, items, baseName) {
+  return { media: config.media.mode, mediaBaseName: baseName, videoUrls: lookUpVideoUrls_(config, items) };
+}
+
+/**
+ * Looks up the video URLs of a form when MEDIA_OPTIONS.videoUrls is set and the form has videos.
+ * When the lookup fails the export goes ahead without them.
+ *
+ * @param {Object} config - Configuration of the exported form, from readConfig
+ * @param {FormApp.Item[]} items - Items of the exported form
+ * @return {Object} Video URLs keyed by item ID, empty when not looked up
  * @private
  */
-function saveToDrive_(fileName, content) {
-  if (!EXPORT_FOLDER_ID) return;
+function lookUpVideoUrls_(config, items) {
+  var hasVideos = items.some(function(item) {
+    return item.getType() === FormApp.ItemType.VIDEO;
+  });
+  if (!config.media.videoUrls || !hasVideos) return {};
 
   try {
-    var folder = DriveApp.getFolderById(EXPORT_FOLDER_ID);
-    folder.createFile(fileName, content, "text/plain");
-    Logger.log("Saved to Drive: " + fileName + " at: \nhttps://drive.google.com/drive/folders/" + EXPORT_FOLDER_ID);
+    return fetchVideoUrls(config.formId);
   } catch (e) {
-    Logger.log("Error saving to Drive: " + e.message);
+    Logger.log("Could not look up video URLs: " + e.message);
+    return {};
+  }
+}
+
+/**
+ * Combines the MARKDOWN_OPTIONS setting with the media options of an export, or other options for one export.
+ *
+ * @param {Object} config - Configuration of the exported form, from readConfig
+ * @param {Object} media - Options from exportMediaOptions_, or other options that take precedence
+ * @return {Object} Options for exportFormToMarkdown
+ * @private
+ */
+function markdownOptions_(config, media) {
+  var options = {};
+  Object.keys(config.markdown).forEach(function(key) {
+    options[key] = config.markdown[key];
+  });
+  Object.keys(media).forEach(function(key) {
+    options[key] = media[key];
+  });
+  return options;
+}
+
+/**
+ * Saves the images of an export as files next to it, when MEDIA_OPTIONS.mode is "files".
+ *
+ * @param {Object} config - Configuration of the exported form, from readConfig
+ * @param {FormApp.Item[]} items - Items of the exported form
+ * @param {string} baseName - Name of the export without its extension
+ * @return {void}
+ * @private
+ */
+function saveImageFiles_(config, items, baseName) {
+  if (config.media.mode !== "files") return;
+
+  collectImageFiles(items, baseName).forEach(function(image) {
+    saveOutput_(image.fileName, image.blob);
+  });
+}
+
+/**
+ * Saves an exported file to every configured output sink (by default, the Drive folder
+ * EXPORT_FOLDER_ID). Each sink logs where the file went, or why it could not be saved.
+ *
+ * @param {string} fileName - Name of the file, with its timestamp
+ * @param {string|Blob} content - Content to write to the file, or a blob for binary files
+ * @return {void}
+ * @private
+ */
+function saveOutput_(fileName, content) {
+  var config = readConfig();
+  saveToSinks(fileName, content, readOutputSettings(config.output, config.exportFolderId));
+}
+
+/**
+ * Recreates the form from the most recent JSON export in the configured Drive folder.
+ * Logs the URLs of the new form and every field that could not be reproduced.
+ *
+ * @return {void}
+ */
+function runImportFromLatestJSON() {
+  var file = findLatestExport_(".json");
+  if (!file) {
+    Logger.log("No form_export_*.json file found in the export folder");
+    return;
   }
-}
\ No newline at end of file
+
+  Logger.log("Importing " + file.getName() + "...");
+  var result = importFormFromJson(file.getBlob().getDataAsString());
+
+  Logger.log("Created form: " + result.form.getEditUrl());
+  Logger.log("Published at: " + result.form.getPublishedUrl());
+
+  if (result.unsupported.length === 0) {
+    Logger.log("All fields were reproduced");
+    return;
+  }
+
+  Logger.log(result.unsupported.length + " field(s) could not be reproduced:");
+  result.unsupported.forEach(function(entry) {
+    var where = entry.index === null ? "Form" : "Item " + entry.index + " (\"" + entry.title + "\")";
+    Logger.log("- " + where + " " + entry.field + ": " + entry.reason);
+  });
+}
+
+/**
+ * Checks the most recent JSON export in the Drive folder against the export schema
+ * and logs every problem found. Exports of older schema versions are checked after upgrading.
+ *
+ * @return {void}
+ */
+function runValidateLatestExport() {
+  var file = findLatestExport_(".json");
+  if (!file) {
+    Logger.log("No form_export_*.json file found in the export folder");
+    return;
+  }
+
+  var data = JSON.parse(file.getBlob().getDataAsString());
+  var version = getExportSchemaVersion(data);
+  if (version !== EXPORT_SCHEMA_VERSION) {
+    Logger.log(file.getName() + " uses schema version " + version + ", checking it upgraded to version " + EXPORT_SCHEMA_VERSION);
+    data = upgradeExport(data);
+  }
+
+  var result = validateExport(data);
+  if (result.valid) {
+    Logger.log(file.getName() + " matches export schema version " + EXPORT_SCHEMA_VERSION);
+    return;
+  }
+
+  Logger.log(file.getName() + " has " + result.errors.length + " schema error(s):");
+  result.errors.forEach(function(error) {
+    Logger.log("- " + error.path + " " + error.message);
+  });
+}
+
+/**
+ * Compares the most recent JSON export in the Drive folder with the live form.
+ * The live form is exported with the MEDIA_OPTIONS setting, like the saved export, so looked-up
+ * video URLs are not reported as removed.
+ * Saves the result as a JSON diff and a Markdown changelog next to the exports.
+ *
+ * @return {void}
+ */
+function runDiffAgainstLiveForm() {
+  var file = findLatestExport_(".json");
+  if (!file) {
+    Logger.log("No form_export_*.json file found in the export folder");
+    return;
+  }
+
+  var config = readConfig();
+  var fetched = fetchFormData_(config);
+  if (!fetched) return;
+
+  var saved = JSON.parse(file.getBlob().getDataAsString());
+  var baseName = file.getName().replace(/\.json$/, "");
+  var live = exportFormToJson(config.formId, fetched.form, fetched.items, exportMediaOptions_(config, fetched.items, baseName));
+  saveDiff_(diffExports(saved, live), { from: file.getName(), to: "live form" });
+}
+
+/**
+ * Compares the two most recent JSON exports in the Drive folder.
+ * Saves the result as a JSON diff and a Markdown changelog next to the exports.
+ *
+ * @return {void}
+ */
+function runDiffLatestExports() {
+  var files = listExports_(".json");
+  if (files.length < 2) {
+    Logger.log("At least two form_export_*.json files are needed, found " + files.length);
+    return;
+  }
+
+  var before = JSON.parse(files[1].getBlob().getDataAsString());
+  var after = JSON.parse(files[0].getBlob().getDataAsString());
+  saveDiff_(diffExports(before, after), { from: files[1].getName(), to: files[0].getName() });
+}
+
+/**
+ * Logs a diff and saves it to Drive as form_diff_<timestamp>.json and .md.
+ *
+ * @param {Object} diff - Diff produced by diffExports
+ * @param {Object} labels - Names of the compared snapshots, as {from: string, to: string}
+ * @return {void}
+ * @private
+ */
+function saveDiff_(diff, labels) {
+  var md = diffToMarkdown(diff, labels);
+  Logger.log(md);
+
+  var timestamp = exportTimestamp_(readConfig());
+  saveOutput_("form_diff_" + timestamp + ".json", JSON.stringify(diff, null, 2));
+  saveOutput_("form_diff_" + timestamp + ".md", md);
+}
+
+/**
+ * Finds the newest export file with the given extension in the configured Drive folder.
+ *
+ * @param {string} extension - File extension including the dot (e.g., ".json")
+ * @return {DriveApp.File|null} The newest matching file, or null if none exists
+ * @private
+ */
+function findLatestExport_(extension) {
+  return listExports_(extension)[0] || null;
+}
+
+/**
+ * Lists the export files with the given extension in the configured Drive folder, newest first.
+ * Relies on the timestamp in the file name, which sorts chronologically. Exports saved under their
+ * fixed name with DRIVE_OVERWRITE have no timestamp and are dated by their last update instead.
+ *
+ * @param {string} extension - File extension including the dot (e.g., ".json")
+ * @return {DriveApp.File[]} Matching files sorted from newest to oldest
+ * @private
+ */
+function listExports_(extension) {
+  var config = readConfig();
+  if (!config.exportFolderId) return [];
+
+  var patterns = fileNamePatternToRegExps(config.fileNamePattern, config.formId);
+  var files = DriveApp.getFolderById(config.exportFolderId).getFiles();
+  var matches = [];
+
+  while (files.hasNext()) {
+    var file = files.next();
+    // Batch exports and answer keys share the prefix but belong to other forms or hold other content
+    if (file.getName().slice(-extension.length) !== extension) continue;
+    var match = patterns.file.exec(file.getName());
+    if (match) {
+      matches.push({ file: file, timestamp: match[1] + "_" + match[2] });
+    } else if (patterns.fixedFile.test(file.getName())) {
+      matches.push({ file: file, timestamp: Utilities.formatDate(file.getLastUpdated(), config.timeZone, "yyyy-MM-dd_HH-mm-ss") });
+    }
+  }
+
+  return matches.sort(function(a, b) {
+    return a.timestamp < b.timestamp ? 1 : -1;
+  }).map(function(match) {
+    return match.file;
+  });
+}
@@ -0,0 +1,129 @@
+/**
+ * User property holding the add-on settings of the signed-in user, as JSON.
+ */
+var ADD_ON_SETTINGS_PROPERTY = "addOnSettings";
+
+/**
+ * Prefix of the user properties that record the last export of each form, followed by the form ID.
+ */
+var ADD_ON_LAST_EXPORT_PROPERTY = "addOnLastExport.";
+
+/**
+ * Formats the sidebar's Export button uses until the user picks others.
+ */
+var ADD_ON_DEFAULT_FORMATS = ["json", "md"];
+
+/**
+ * Returns the form open in the editor, which the add-on exports.
+ *
+ * @return {FormApp.Form} The active form
+ * @throws {Error} If the script does not run from a form editor
+ */
+function getAddOnForm() {
+  var form = FormApp.getActiveForm();
+  if (!form) {
+    throw new Error("No form is open. Run the add-on from the form editor's Add-ons menu");
+  }
+  return form;
+}
+
+/**
+ * Reads the add-on settings of the signed-in user. Settings that were never saved use the defaults:
+ * My Drive as the folder, JSON and Markdown, and the Markdown options of the MARKDOWN_OPTIONS setting.
+ *
+ * @return {Object} {folderId: string (empty for My Drive), formats: string[], markdown: Object}
+ */
+function readAddOnSettings() {
+  var stored = PropertiesService.getUserProperties().getProperty(ADD_ON_SETTINGS_PROPERTY);
+  var values = stored ? JSON.parse(stored) : {};
+
+  return {
+    folderId: values.folderId || "",
+    formats: values.formats && values.formats.length ? values.formats : ADD_ON_DEFAULT_FORMATS.slice(),
+    markdown: webAppMarkdownOptions_(values.markdown)
+  };
+}
+
+/**
+ * Checks and saves the add-on settings of the signed-in user.
+ *
+ * @param {Object} settings - {folder: folder link or ID (empty for My Drive), formats: string[], markdown: Object}
+ * @return {Object} The sidebar state with the saved settings, see getAddOnSidebarState
+ * @throws {Error} If the folder cannot be opened, no or unknown formats are picked, or a Markdown option is invalid
+ */
+function saveAddOnSettings(settings) {
+  var folderId = settings.folder ? parseFolderId(settings.folder) : "";
+  if (folderId) DriveApp.getFolderById(folderId);
+
+  var formats = settings.formats || [];
+  checkWebAppFormats_(formats);
+
+  var markdown = webAppMarkdownOptions_(settings.markdown);
+  readMarkdownOptions(markdown);
+
+  PropertiesService.getUserProperties().setProperty(ADD_ON_SETTINGS_PROPERTY, JSON.stringify({
+    folderId: folderId,
+    formats: formats,
+    markdown: markdown
+  }));
+  return getAddOnSidebarState();
+}
+
+/**
+ * Returns what the sidebar shows: the open form, the user's settings and chosen folder, and the
+ * user's last export of this form.
+ *
+ * @return {Object} {form: {id, title}, formats: [{format, label}], settings, folder: {id, name, url}, lastExport: Object|null}
+ */
+function getAddOnSidebarState() {
+  var form = getAddOnForm();
+  var settings = readAddOnSettings();
+  var folder = settings.folderId ? DriveApp.getFolderById(settings.folderId) : DriveApp.getRootFolder();
+  var lastExport = PropertiesService.getUserProperties().getProperty(ADD_ON_LAST_EXPORT_PROPERTY + form.getId());
+
+  return {
+    form: { id: form.getId(), title: form.getTitle() },
+    formats: WEB_APP_FORMATS,
+    settings: settings,
+    folder: { id: settings.folderId, name: settings.folderId ? folder.getName() : "My Drive", url: folder.getUrl() },
+    lastExport: lastExport ? JSON.parse(lastExport) : null
+  };
+}
+
+/**
+ * Exports the form open in the editor and saves the files to the user's folder, with the user's
+ * Markdown options. Like the web app, images are embedded. The export is recorded as the user's
+ * last export of the form.
+ *
+ * @param {string[]} [optionalFormats] - Formats to export; the formats in the user's settings when omitted
+ * @return {Object} {exportedAt: ISO date, files: [{name, location} or {name, error}]}
+ * @throws {Error} If no form is open, or no or unknown formats are picked
+ */
+function exportAddOnForm(optionalFormats) {
+  var form = getAddOnForm();
+  var settings = readAddOnSettings();
+
+  var formats = optionalFormats || settings.formats;
+  checkWebAppFormats_(formats);
+
+  var exported = renderWebAppFiles_(form, formats, settings.markdown);
+  var record = {
+    exportedAt: new Date().toISOString(),
+    files: saveWebAppFiles(exported.files, settings.folderId)
+  };
+
+  PropertiesService.getUserProperties().setProperty(ADD_ON_LAST_EXPORT_PROPERTY + form.getId(), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Describes an add-on export for the alert shown after a menu export.
+ *
+ * @param {Object} record - Result of exportAddOnForm
+ * @return {string} One line per file, with its location or why it could not be saved
+ */
+function describeAddOnExport(record) {
+  return record.files.map(function(file) {
+    return file.error ? file.name + ": " + file.error : file.name + " saved to " + file.location;
+  }).join("\n");
+}
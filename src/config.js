@@ -0,0 +1,409 @@
+/**
+ * Settings read from the Script Properties at runtime, keyed by property name. .env uses the same
+ * names and seeds them (see CONFIG_SEED and runSetup). key is the name in the object returned by
+ * readConfig; output settings end up in config.output, in the shape readOutputSettings reads.
+ * Settings marked perForm can also be set for a single form, as FORM.<form ID>.<name>. Secret
+ * settings are never seeded from .env, since the seed is pushed as source code: they can only be
+ * set as Script Properties. Settings whose default is not a string hold JSON; an object is merged
+ * key by key over its default, so a property only needs the keys it changes.
+ */
+var CONFIG_SETTINGS = {
+  FORM_ID: { key: "formId", defaultValue: "" },
+  EXPORT_FOLDER_ID: { key: "exportFolderId", defaultValue: "", perForm: true },
+  EXPORT_FORMATS: { key: "formats", defaultValue: "json,md", perForm: true },
+  FILE_NAME_PATTERN: { key: "fileNamePattern", defaultValue: "form_export_{timestamp}", perForm: true },
+  TIME_ZONE: { key: "timeZone", defaultValue: "", perForm: true },
+  OUTPUT_SINKS: { key: "sinks", output: true, perForm: true },
+  DRIVE_OVERWRITE: { key: "driveOverwrite", output: true, perForm: true },
+  DOCS_FOLDER_ID: { key: "docsFolderId", output: true, perForm: true },
+  WEBHOOK_URL: { key: "webhookUrl", output: true, perForm: true },
+  WEBHOOK_TOKEN: { key: "webhookToken", output: true, perForm: true, secret: true },
+  GIT_API_URL: { key: "gitApiUrl", output: true, perForm: true },
+  GIT_REPOSITORY: { key: "gitRepository", output: true, perForm: true },
+  GIT_BRANCH: { key: "gitBranch", output: true, perForm: true },
+  GIT_PATH: { key: "gitPath", output: true, perForm: true },
+  GIT_TOKEN: { key: "gitToken", output: true, perForm: true, secret: true },
+  // Markdown rendering. diagram embeds a Mermaid flowchart of the section navigation, settings: false leaves
+  // out the Settings block, frontMatter adds YAML front matter and toc a table of contents. choiceStyle is
+  // "bullets" or "checkboxes", requiredMarker is appended to required question headings (for example " *"),
+  // headingOffset (0-3) moves every heading down, and templates replaces parts of the layout
+  // (see readMarkdownOptions in toMarkdown.js and the README).
+  MARKDOWN_OPTIONS: {
+    key: "markdown",
+    perForm: true,
+    defaultValue: {
+      diagram: false,
+      settings: true,
+      frontMatter: false,
+      toc: false,
+      choiceStyle: "bullets",
+      requiredMarker: "",
+      headingOffset: 0,
+      skipUntitled: true,
+      templates: {}
+    }
+  },
+  // Images and videos. mode "base64" embeds each image in the export; "files" saves each image next to it,
+  // named after the export and the item. With videoUrls, video URLs are looked up with the Google Forms API.
+  MEDIA_OPTIONS: { key: "media", perForm: true, defaultValue: { mode: "base64", videoUrls: true } },
+  // Whether runLintForm fails (throws) when the form check finds errors
+  LINT_FAIL_ON_ERROR: { key: "lintFailOnError", perForm: true, defaultValue: true },
+  // Response export. Dates are "yyyy-MM-dd" in the configured time zone, empty for no limit.
+  RESPONSE_EXPORT_OPTIONS: {
+    key: "responses",
+    perForm: true,
+    defaultValue: { startDate: "", endDate: "", omitRespondentEmails: false }
+  },
+  // Batch export, used by runBatchExport. List forms ({formId, folderId, formats}), or set sourceFolderId to
+  // export every form in a Drive folder. folderId defaults to EXPORT_FOLDER_ID.
+  BATCH_EXPORT_MANIFEST: {
+    key: "batchManifest",
+    defaultValue: { sourceFolderId: "", folderId: "", formats: ["json", "md"], forms: [] }
+  },
+  // Drive file ID of a JSON manifest in the same shape, which then replaces BATCH_EXPORT_MANIFEST
+  BATCH_MANIFEST_FILE_ID: { key: "batchManifestFileId", defaultValue: "" },
+  // Scheduled export. everyHours is 1, 2, 4, 6, 8, 12 or 24; keepLast is the number of exports to keep
+  // (0 keeps all) and onePerDay keeps only the newest export of each day.
+  SCHEDULED_EXPORT_OPTIONS: { key: "schedule", defaultValue: { everyHours: 24, keepLast: 30, onePerDay: false } },
+  // Translation workflow. format is xliff or po; without targetLanguages a single template is extracted.
+  // translationFileIds are the translated files runBuildLocalizedForms reads; keepForms: false only keeps
+  // the localized Markdown.
+  TRANSLATION_OPTIONS: {
+    key: "translation",
+    perForm: true,
+    defaultValue: { format: "xliff", sourceLanguage: "en", targetLanguages: [], translationFileIds: [], keepForms: true }
+  }
+};
+
+/**
+ * Prefix of the properties that hold the settings of one form: FORM.<form ID>.<setting name>.
+ */
+var CONFIG_FORM_PREFIX = "FORM.";
+
+/**
+ * Script Property listing, comma-separated, the seeded settings that runSetup has handled. Those no
+ * longer fall back to CONFIG_SEED, so clearing their property unsets them.
+ */
+var CONFIG_SEEDED_PROPERTY = "CONFIG_SEEDED";
+
+/**
+ * Placeholders a file name pattern can use. {timestamp} is required, so every export gets its own name.
+ */
+var FILE_NAME_TOKENS = ["timestamp", "formId", "title"];
+
+/**
+ * Reads the configuration from the Script Properties, falling back to CONFIG_SEED (the values of
+ * .env at the last push) until runSetup has copied them, and then to the defaults in CONFIG_SETTINGS.
+ * A form's own settings (FORM.<form ID>.<name>) take precedence over the general ones.
+ *
+ * @param {string} [optionalFormId] - Form to read the settings of; FORM_ID when omitted
+ * @return {Object} {formId, exportFolderId, formats: string[], fileNamePattern, timeZone, output: Object,
+ *   markdown, media, lintFailOnError, responses, batchManifest, batchManifestFileId, schedule, translation}
+ * @throws {Error} If a format is unknown, the file name pattern is invalid or a JSON setting cannot be read
+ */
+function readConfig(optionalFormId) {
+  var properties = PropertiesService.getScriptProperties().getProperties();
+  var formId = optionalFormId || readConfigValue_(properties, "FORM_ID");
+
+  var config = { output: {} };
+  Object.keys(CONFIG_SETTINGS).forEach(function(name) {
+    var setting = CONFIG_SETTINGS[name];
+    var value = setting.perForm && formId ? readConfigValue_(properties, CONFIG_FORM_PREFIX + formId + "." + name) : "";
+    value = value || readConfigValue_(properties, name);
+    if (typeof setting.defaultValue === "string" || setting.defaultValue === undefined) {
+      value = value || setting.defaultValue || "";
+    } else {
+      value = readJsonSetting_(name, value, setting.defaultValue);
+    }
+    if (setting.output) {
+      config.output[setting.key] = value;
+    } else {
+      config[setting.key] = value;
+    }
+  });
+  config.formId = formId;
+
+  config.formats = config.formats.split(",").map(function(format) {
+    return format.trim().toLowerCase();
+  }).filter(function(format) {
+    return format;
+  });
+  config.formats.forEach(function(format) {
+    if (!BATCH_EXPORT_FORMATS.hasOwnProperty(format)) {
+      throw new Error("Unknown export format \"" + format + "\" in EXPORT_FORMATS (available: " + Object.keys(BATCH_EXPORT_FORMATS).join(", ") + ")");
+    }
+  });
+  checkFileNamePattern_(config.fileNamePattern);
+  config.timeZone = config.timeZone || Session.getScriptTimeZone();
+
+  return config;
+}
+
+/**
+ * Copies the settings seeded from .env into the Script Properties, except those already set there,
+ * so values changed in the Script Properties are never overwritten by a push. Each setting is
+ * seeded once: a property cleared after an earlier run stays cleared. Secret settings are skipped.
+ *
+ * @return {string[]} Names of the properties that were set
+ */
+function seedConfig() {
+  var store = PropertiesService.getScriptProperties();
+  var properties = store.getProperties();
+  var handled = readSeededNames_(properties);
+  var seeded = [];
+
+  Object.keys(CONFIG_SEED).forEach(function(name) {
+    if (handled.indexOf(name) !== -1 || isSecretSetting_(name)) return;
+    handled.push(name);
+
+    var value = String(CONFIG_SEED[name] === null || CONFIG_SEED[name] === undefined ? "" : CONFIG_SEED[name]).trim();
+    var current = properties[name] === null || properties[name] === undefined ? "" : String(properties[name]).trim();
+    if (value && !current) {
+      store.setProperty(name, value);
+      seeded.push(name);
+    }
+  });
+  if (handled.length > 0) store.setProperty(CONFIG_SEEDED_PROPERTY, handled.join(","));
+  return seeded;
+}
+
+/**
+ * Checks that the configured form and folders can be opened and that the output settings are
+ * complete, for FORM_ID and for every form that has settings of its own.
+ *
+ * @return {Object[]} One {setting, ok, message} per check
+ */
+function checkConfig() {
+  var properties = PropertiesService.getScriptProperties().getProperties();
+  var formIds = [readConfigValue_(properties, "FORM_ID")];
+  Object.keys(properties).forEach(function(name) {
+    var match = /^FORM\.(.+)\.(\w+)$/.exec(name);
+    if (match && formIds.indexOf(match[1]) === -1) formIds.push(match[1]);
+  });
+
+  var checks = [];
+  formIds.forEach(function(formId, index) {
+    var label = index === 0 ? "" : CONFIG_FORM_PREFIX + formId + ".";
+    if (!formId) {
+      checks.push({ setting: "FORM_ID", ok: false, message: "is not set" });
+      return;
+    }
+
+    var config;
+    try {
+      config = readConfig(formId);
+    } catch (e) {
+      checks.push({ setting: label || "Settings", ok: false, message: e.message });
+      return;
+    }
+
+    checks.push(checkConfigAccess_(index === 0 ? "FORM_ID" : label.slice(0, -1), function() {
+      return "form \"" + FormApp.openById(formId).getTitle() + "\"";
+    }));
+    checks.push(config.exportFolderId
+      ? checkConfigAccess_(label + "EXPORT_FOLDER_ID", function() {
+        return "folder \"" + DriveApp.getFolderById(config.exportFolderId).getName() + "\"";
+      })
+      : { setting: label + "EXPORT_FOLDER_ID", ok: false, message: "is not set, exports are not saved to Drive" });
+
+    var output;
+    try {
+      output = readOutputSettings(config.output, config.exportFolderId);
+    } catch (e) {
+      checks.push({ setting: label + "OUTPUT_SINKS", ok: false, message: e.message });
+      return;
+    }
+    if (output.sinks.indexOf("docs") !== -1 && output.docs.folderId !== config.exportFolderId) {
+      checks.push(checkConfigAccess_(label + "DOCS_FOLDER_ID", function() {
+        return "folder \"" + DriveApp.getFolderById(output.docs.folderId).getName() + "\"";
+      }));
+    }
+    if (output.sinks.indexOf("webhook") !== -1 && !output.webhook.url) {
+      checks.push({ setting: label + "WEBHOOK_URL", ok: false, message: "must be set for the webhook sink" });
+    }
+    if (output.sinks.indexOf("git") !== -1 && !(output.git.repository && output.git.token)) {
+      checks.push({ setting: label + "GIT_REPOSITORY", ok: false, message: "GIT_REPOSITORY and GIT_TOKEN must be set for the git sink" });
+    }
+  });
+  return checks;
+}
+
+/**
+ * Fills in a file name pattern.
+ *
+ * @param {string} pattern - Pattern such as "form_export_{timestamp}", see FILE_NAME_TOKENS
+ * @param {Object} values - {timestamp, formId, title}; the title is turned into a slug
+ * @return {string} File name without extension
+ */
+function formatFileName(pattern, values) {
+  return pattern.replace(/\{(\w+)\}/g, function(token, name) {
+    if (name === "title") return slugify(values.title) || "form";
+    return values[name];
+  });
+}
+
+/**
+ * Builds the regular expressions that recognize the plain exports of a form named with a file name
+ * pattern, in the shape of SNAPSHOT_FILE_PATTERN and SNAPSHOT_IMAGE_PATTERN: the timestamp's day and
+ * time are the first two groups. fixedFile recognizes the same exports saved under their fixed name
+ * with DRIVE_OVERWRITE (see fixedExportName), which has no timestamp.
+ *
+ * @param {string} pattern - File name pattern
+ * @param {string} formId - Form the exports belong to, for {formId}
+ * @return {Object} {file: RegExp for .json and .md exports, image: RegExp for images saved next to them,
+ *   fixedFile: RegExp for .json and .md exports without their timestamp}
+ */
+function fileNamePatternToRegExps(pattern, formId) {
+  function toSource(namePattern) {
+    return namePattern.split(/(\{\w+\})/).map(function(part) {
+      if (part === "{timestamp}") return "(\\d{4}-\\d{2}-\\d{2})_(\\d{2}-\\d{2}-\\d{2})";
+      if (part === "{title}") return "[a-z0-9-]+";
+      if (part === "{formId}") return escapeRegExp_(formId);
+      return escapeRegExp_(part);
+    }).join("");
+  }
+
+  // checkFileNamePattern_ makes sure a separator comes before the timestamp, or after it at the start
+  var around = pattern.split("{timestamp}");
+  var fixedPattern = around[0] ? around[0].slice(0, -1) + around[1] : around[1].slice(1);
+  var source = toSource(pattern);
+
+  return {
+    file: new RegExp("^" + source + "\\.(json|md)$"),
+    image: new RegExp("^" + source + "_image_\\d+\\.\\w+$"),
+    fixedFile: new RegExp("^" + toSource(fixedPattern) + "\\.(json|md)$")
+  };
+}
+
+/**
+ * Reads a JSON-valued setting. Objects are merged key by key over a copy of the default.
+ *
+ * @param {string} name - Property name, for errors
+ * @param {string} value - JSON text, empty for the default
+ * @param {*} defaultValue - Default value, which also gives the expected type
+ * @return {*} Setting value
+ * @throws {Error} If the text is not JSON or not of the default's type
+ * @private
+ */
+function readJsonSetting_(name, value, defaultValue) {
+  var result = JSON.parse(JSON.stringify(defaultValue));
+  if (!value) return result;
+
+  var parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (e) {
+    throw new Error(name + " is not valid JSON: " + e.message);
+  }
+  var isObject = function(candidate) {
+    return candidate !== null && typeof candidate === "object" && !Array.isArray(candidate);
+  };
+  if (isObject(defaultValue) ? !isObject(parsed) : typeof parsed !== typeof defaultValue) {
+    throw new Error(name + " must be " + (isObject(defaultValue) ? "a JSON object" : "JSON " + typeof defaultValue) + ", got " + value);
+  }
+  if (!isObject(parsed)) return parsed;
+
+  Object.keys(parsed).forEach(function(key) {
+    result[key] = parsed[key];
+  });
+  return result;
+}
+
+/**
+ * Reads one property, or its seeded value while the property is not set and runSetup has not yet
+ * copied the seed. Secret settings are only read from the property.
+ *
+ * @param {Object} properties - All Script Properties
+ * @param {string} name - Property name
+ * @return {string} Trimmed value, empty when neither is set
+ * @private
+ */
+function readConfigValue_(properties, name) {
+  var value = properties[name];
+  if ((value === undefined || value === null || String(value).trim() === "") &&
+      !isSecretSetting_(name) && readSeededNames_(properties).indexOf(name) === -1) {
+    value = CONFIG_SEED[name];
+  }
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+/**
+ * Lists the seeded settings that runSetup has handled, from CONFIG_SEEDED_PROPERTY.
+ *
+ * @param {Object} properties - All Script Properties
+ * @return {string[]} Property names
+ * @private
+ */
+function readSeededNames_(properties) {
+  return String(properties[CONFIG_SEEDED_PROPERTY] || "").split(",").filter(function(name) {
+    return name;
+  });
+}
+
+/**
+ * Tells whether a property holds a secret setting, for all forms or for one (FORM.<form ID>.<name>).
+ *
+ * @param {string} name - Property name
+ * @return {boolean} True for settings marked secret in CONFIG_SETTINGS
+ * @private
+ */
+function isSecretSetting_(name) {
+  var setting = CONFIG_SETTINGS[name.split(".").pop()];
+  return !!(setting && setting.secret);
+}
+
+/**
+ * Checks a file name pattern: known placeholders only, {timestamp} exactly once and separated from
+ * the rest of the name, no folders.
+ *
+ * @param {string} pattern - File name pattern
+ * @return {void}
+ * @throws {Error} If the pattern is invalid
+ * @private
+ */
+function checkFileNamePattern_(pattern) {
+  var tokens = pattern.match(/\{\w+\}/g) || [];
+  tokens.forEach(function(token) {
+    if (FILE_NAME_TOKENS.indexOf(token.slice(1, -1)) === -1) {
+      throw new Error("Unknown placeholder " + token + " in FILE_NAME_PATTERN (available: {" + FILE_NAME_TOKENS.join("}, {") + "})");
+    }
+  });
+  if (tokens.filter(function(token) { return token === "{timestamp}"; }).length !== 1) {
+    throw new Error("FILE_NAME_PATTERN must contain {timestamp} once, got " + pattern);
+  }
+  if (/[\/\\]/.test(pattern)) {
+    throw new Error("FILE_NAME_PATTERN cannot contain folders, got " + pattern);
+  }
+  // fixedExportName drops the timestamp with its separator, which must leave a name behind
+  var around = pattern.split("{timestamp}");
+  if (!((around[0].length > 1 && /[-_.]$/.test(around[0])) || (around[0] === "" && /^[-_.]./.test(around[1])))) {
+    throw new Error("FILE_NAME_PATTERN must separate {timestamp} from the rest of the name with _, - or ., got " + pattern);
+  }
+}
+
+/**
+ * Runs an access check and turns its outcome into a check result.
+ *
+ * @param {string} setting - Setting that is checked
+ * @param {function(): string} open - Opens what the setting names and describes it; throws if it cannot
+ * @return {Object} {setting, ok, message}
+ * @private
+ */
+function checkConfigAccess_(setting, open) {
+  try {
+    return { setting: setting, ok: true, message: open() };
+  } catch (e) {
+    return { setting: setting, ok: false, message: e.message };
+  }
+}
+
+/**
+ * Escapes text for use in a regular expression.
+ *
+ * @param {string} text - Literal text
+ * @return {string} Escaped text
+ * @private
+ */
+function escapeRegExp_(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
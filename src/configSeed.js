@@ -0,0 +1,5 @@
+// Settings from .env, written into this file by `npm run push` (scripts/seed-config.js). They are used while the
+// Script Property of the same name is not set, until runSetup copies them into the Script Properties.
+// Secret settings such as GIT_TOKEN are never written here. Leave this empty in the repository: the push
+// replaces the file.
+var CONFIG_SEED = {};
@@ -0,0 +1,213 @@
+/**
+ * Works out when each section of a nested export is shown, as a condition on earlier answers.
+ * Survey tools without Google Forms' section jumps show pages in order and skip the ones whose
+ * condition is false, so a section's condition describes every path that reaches it.
+ *
+ * Conditions are lists of alternatives; each alternative is a list of literals
+ * {key, op: "eq" | "ne", value} that must all hold. [[]] means always shown, [] means never.
+ * Only forward jumps can be expressed; jumps back to an earlier section are listed in the report.
+ *
+ * @param {Object} nested - Export in the nested layout (see nestExport)
+ * @param {Object[]} report - Conversion report; problems found are appended
+ * @return {Array[]} One condition per section, in section order
+ */
+function buildSectionConditions(nested, report) {
+  var sections = nested.sections;
+  var positions = {};
+  sections.forEach(function(section, i) {
+    positions[section.key] = i;
+  });
+
+  var conditions = sections.map(function(section, i) {
+    return i === 0 ? [[]] : [];
+  });
+
+  function addEdge(from, targetKey, literals, source, field) {
+    if (targetKey === null) {
+      report.push(conversionIssue_(source, field, "Navigation target section no longer exists"));
+      return;
+    }
+    var target = positions[targetKey];
+    if (target <= from) {
+      report.push(conversionIssue_(source, field, "Going back to an earlier section (\"" + targetKey + "\") cannot be expressed, respondents continue in order instead"));
+      return;
+    }
+    conditions[target] = orCondition_(conditions[target], andCondition_(conditions[from], literals));
+  }
+
+  sections.forEach(function(section, i) {
+    if (!conditions[i].length) {
+      report.push(conversionIssue_(section, "section", "No path reaches this section, so it is never shown"));
+      return;
+    }
+
+    var branchingItems = [];
+    var defaultLiterals = [];
+
+    section.items.forEach(function(item) {
+      (item.choiceNavigation || []).forEach(function(navigation, choiceIndex) {
+        if (navigation.type === "CONTINUE") return;
+        var value = item.choices[choiceIndex];
+        if (branchingItems.indexOf(item) === -1) branchingItems.push(item);
+        defaultLiterals.push({ key: item.key, op: "ne", value: value });
+
+        if (navigation.type === "GO_TO_PAGE") {
+          addEdge(i, navigation.goTo, [{ key: item.key, op: "eq", value: value }], item, "choiceNavigation");
+        } else if (navigation.type === "RESTART") {
+          addEdge(i, sections[0].key, [], item, "choiceNavigation");
+        }
+        // SUBMIT ends the survey, so it leads nowhere
+      });
+    });
+
+    if (branchingItems.length > 1) {
+      report.push(conversionIssue_(section, "choiceNavigation",
+        "Several questions in this section branch; each branch is applied as if it were the only one"));
+    }
+
+    var navigation = section.navigation;
+    if (navigation.type === "RESTART") {
+      addEdge(i, sections[0].key, defaultLiterals, section, "navigation");
+    } else if (navigation.type !== "SUBMIT" && navigation.goTo !== undefined) {
+      addEdge(i, navigation.goTo, defaultLiterals, section, "navigation");
+    }
+  });
+
+  return conditions;
+}
+
+/**
+ * Renders a conversion report as a Markdown list.
+ *
+ * @param {Object[]} report - Report entries {key, id, title, field, reason}
+ * @param {string} target - Name of the target format (e.g., "SurveyJS")
+ * @param {string} formTitle - Title of the converted form
+ * @return {string} Markdown report
+ */
+function conversionReportToMarkdown(report, target, formTitle) {
+  var lines = [];
+  lines.push("# " + target + " conversion: " + formTitle);
+  lines.push("");
+
+  if (!report.length) {
+    lines.push("Everything in the form was converted.");
+    return lines.join("\n");
+  }
+
+  lines.push("_" + report.length + (report.length === 1 ? " item" : " items") + " could not be converted exactly_");
+  lines.push("");
+  report.forEach(function(entry) {
+    var where = entry.key ? "**" + (entry.title || entry.key) + "** (`" + entry.key + "`)" : "**Form**";
+    lines.push("- " + where + " " + entry.field + ": " + entry.reason);
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Returns where the media of an image or video item can be loaded from: the image as a data URL,
+ * or the video URL. Media the export does not hold is reported.
+ *
+ * @param {Object} item - IMAGE or VIDEO item in the nested layout
+ * @param {Object[]} report - Conversion report; missing media is appended
+ * @return {string|null} Data URL or video URL, or null when the media is not in the export
+ */
+function mediaSource(item, report) {
+  if (item.type === "VIDEO") {
+    if (item.videoUrl) return item.videoUrl;
+    report.push(conversionIssue_(item, "videoUrl", "The video URL is not part of the export; add the video to the survey by hand"));
+    return null;
+  }
+
+  if (item.image && item.image.base64Data !== undefined) return imageSource(item.image);
+  report.push(conversionIssue_(item, "image", item.image && item.image.file
+    ? "The image was saved as " + item.image.file + "; add it to the survey by hand"
+    : "Image content is not part of the export; add the image to the survey by hand"));
+  return null;
+}
+
+/**
+ * Builds an entry of a conversion report.
+ *
+ * @param {Object|null} source - Section or item the entry is about, or null for form-level fields
+ * @param {string} field - Name of the field in the export
+ * @param {string} reason - What could not be converted and what was done instead
+ * @return {Object} Report entry with key, id, title, field, and reason
+ * @private
+ */
+function conversionIssue_(source, field, reason) {
+  return {
+    key: source ? source.key : null,
+    id: source ? source.id : null,
+    title: source ? source.title : null,
+    field: field,
+    reason: reason
+  };
+}
+
+/**
+ * Adds literals to every alternative of a condition, dropping alternatives that become contradictory.
+ *
+ * @param {Array[]} condition - Condition as a list of alternatives
+ * @param {Object[]} literals - Literals that must also hold
+ * @return {Array[]} New condition
+ * @private
+ */
+function andCondition_(condition, literals) {
+  var result = [];
+  condition.forEach(function(alternative) {
+    var combined = alternative.slice();
+    var possible = literals.every(function(literal) {
+      var equal = combined.filter(function(existing) {
+        return existing.key === literal.key && existing.op === "eq";
+      })[0];
+
+      if (equal) {
+        // An answer already fixed to one value decides every other literal about the same question
+        return literal.op === "eq" ? equal.value === literal.value : equal.value !== literal.value;
+      }
+      if (literal.op === "eq") {
+        var excluded = combined.some(function(existing) {
+          return existing.key === literal.key && existing.value === literal.value;
+        });
+        if (excluded) return false;
+        combined = combined.filter(function(existing) {
+          return existing.key !== literal.key;
+        });
+      } else if (combined.some(function(existing) { return existing.key === literal.key && existing.value === literal.value; })) {
+        return true;
+      }
+      combined.push(literal);
+      return true;
+    });
+    if (possible) result.push(combined);
+  });
+  return result;
+}
+
+/**
+ * Combines two conditions so that either may hold. An alternative without literals
+ * (always true) absorbs everything else, and duplicate alternatives are dropped.
+ *
+ * @param {Array[]} a - First condition
+ * @param {Array[]} b - Second condition
+ * @return {Array[]} New condition
+ * @private
+ */
+function orCondition_(a, b) {
+  var result = [];
+  var seen = {};
+  var all = a.concat(b);
+
+  for (var i = 0; i < all.length; i++) {
+    if (!all[i].length) return [[]];
+    var signature = JSON.stringify(all[i].map(function(literal) {
+      return [literal.key, literal.op, literal.value];
+    }).sort());
+    if (!seen[signature]) {
+      seen[signature] = true;
+      result.push(all[i]);
+    }
+  }
+  return result;
+}
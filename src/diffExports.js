@@ -0,0 +1,490 @@
+/**
+ * Compares two JSON exports of the same form and describes what changed between them.
+ * Items are matched by their ID, so a retitled question is reported as changed rather
+ * than as one removal plus one addition. Exports of older schema versions are upgraded
+ * first, so format changes between versions are not reported as form changes.
+ *
+ * @param {Object} before - Older export as produced by exportFormToJson
+ * @param {Object} after - Newer export as produced by exportFormToJson
+ * @return {Object} Diff with metadata, added, removed, and changed arrays plus a hasChanges flag
+ */
+function diffExports(before, after) {
+  before = upgradeExport(before);
+  after = upgradeExport(after);
+
+  var beforeItems = before.items || [];
+  var afterItems = after.items || [];
+
+  var beforeById = indexItemsById_(beforeItems);
+  var afterById = indexItemsById_(afterItems);
+
+  var added = afterItems.filter(function(item) {
+    return !beforeById[item.id];
+  }).map(summarizeDiffItem_);
+
+  var removed = beforeItems.filter(function(item) {
+    return !afterById[item.id];
+  }).map(summarizeDiffItem_);
+
+  var movedIds = findMovedItemIds_(beforeItems, afterItems, beforeById, afterById);
+
+  var changed = [];
+  afterItems.forEach(function(afterItem) {
+    var beforeItem = beforeById[afterItem.id];
+    if (!beforeItem) return;
+
+    var changes = diffItem_(beforeItem, afterItem, beforeItems, afterItems);
+    if (movedIds[afterItem.id]) {
+      changes.unshift({ kind: "moved", field: "index", from: beforeItem.index, to: afterItem.index });
+    }
+    if (changes.length) {
+      changed.push({
+        id: afterItem.id,
+        type: afterItem.type,
+        title: afterItem.title,
+        changes: changes
+      });
+    }
+  });
+
+  var metadata = diffMetadata_(before.metadata || {}, after.metadata || {});
+
+  return {
+    metadata: metadata,
+    added: added,
+    removed: removed,
+    changed: changed,
+    hasChanges: metadata.length + added.length + removed.length + changed.length > 0
+  };
+}
+
+/**
+ * Renders a diff produced by diffExports as a Markdown changelog.
+ *
+ * @param {Object} diff - Diff produced by diffExports
+ * @param {Object} [optionalLabels] - Names of the compared snapshots, as {from: string, to: string}
+ * @return {string} Markdown changelog
+ */
+function diffToMarkdown(diff, optionalLabels) {
+  var labels = optionalLabels || {};
+  var lines = [];
+
+  lines.push("# Form changes");
+  if (labels.from || labels.to) {
+    lines.push("");
+    lines.push("_Compared " + (labels.from || "previous export") + " with " + (labels.to || "current export") + "_");
+  }
+  lines.push("");
+
+  if (!diff.hasChanges) {
+    lines.push("No changes.");
+    return lines.join("\n");
+  }
+
+  if (diff.metadata.length) {
+    lines.push("## Form settings");
+    lines.push("");
+    diff.metadata.forEach(function(change) {
+      lines.push("- " + describeDiffChange_(change));
+    });
+    lines.push("");
+  }
+
+  if (diff.added.length) {
+    lines.push("## Added items");
+    lines.push("");
+    diff.added.forEach(function(item) {
+      lines.push("- " + describeDiffItem_(item) + " at position " + item.index);
+    });
+    lines.push("");
+  }
+
+  if (diff.removed.length) {
+    lines.push("## Removed items");
+    lines.push("");
+    diff.removed.forEach(function(item) {
+      lines.push("- " + describeDiffItem_(item) + " from position " + item.index);
+    });
+    lines.push("");
+  }
+
+  if (diff.changed.length) {
+    lines.push("## Changed items");
+    lines.push("");
+    diff.changed.forEach(function(item) {
+      lines.push("### " + describeDiffItem_(item));
+      lines.push("");
+      item.changes.forEach(function(change) {
+        lines.push("- " + describeDiffChange_(change));
+      });
+      lines.push("");
+    });
+  }
+
+  return lines.join("\n").replace(/\n+$/, "");
+}
+
+/**
+ * Compares the metadata objects of two exports field by field; response settings are compared
+ * one by one as "settings.<name>". Fields that only one export has are skipped: the older
+ * export was made before the field was recorded, so its value is unknown.
+ *
+ * @param {Object} before - Older metadata
+ * @param {Object} after - Newer metadata
+ * @return {Object[]} Changes as {kind: "metadata", field, from, to}
+ * @private
+ */
+function diffMetadata_(before, after) {
+  var changes = [];
+  unionKeys_(before, after).forEach(function(key) {
+    if (!before.hasOwnProperty(key) || !after.hasOwnProperty(key)) return;
+
+    if (key === "settings") {
+      diffMetadata_(before.settings, after.settings).forEach(function(change) {
+        change.field = "settings." + change.field;
+        changes.push(change);
+      });
+    } else if (!diffValuesEqual_(before[key], after[key])) {
+      changes.push({ kind: "metadata", field: key, from: before[key], to: after[key] });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Compares two versions of the same item.
+ * Title, required flag, choices, scale bounds, and navigation get dedicated change kinds;
+ * any other field that differs is reported with the generic "field" kind.
+ *
+ * @param {Object} before - Item from the older export
+ * @param {Object} after - Item from the newer export
+ * @param {Object[]} beforeItems - All items of the older export, for resolving navigation targets
+ * @param {Object[]} afterItems - All items of the newer export, for resolving navigation targets
+ * @return {Object[]} Changes as {kind, field, from, to} objects
+ * @private
+ */
+function diffItem_(before, after, beforeItems, afterItems) {
+  var changes = [];
+  var handled = { id: true, index: true, choices: true, choiceNavigation: true };
+
+  if (before.title !== after.title) {
+    changes.push({ kind: "retitled", field: "title", from: before.title, to: after.title });
+  }
+  handled.title = true;
+
+  if (before.isRequired !== after.isRequired) {
+    changes.push({ kind: "required", field: "isRequired", from: before.isRequired, to: after.isRequired });
+  }
+  handled.isRequired = true;
+
+  if (before.choices || after.choices) {
+    var beforeChoices = before.choices || [];
+    var afterChoices = after.choices || [];
+    if (!diffValuesEqual_(beforeChoices, afterChoices)) {
+      changes.push({
+        kind: "choices",
+        field: "choices",
+        from: beforeChoices,
+        to: afterChoices,
+        added: afterChoices.filter(function(value) { return beforeChoices.indexOf(value) === -1; }),
+        removed: beforeChoices.filter(function(value) { return afterChoices.indexOf(value) === -1; })
+      });
+    }
+  }
+
+  ["lowerBound", "upperBound", "leftLabel", "rightLabel"].forEach(function(field) {
+    handled[field] = true;
+    if (before[field] !== after[field]) {
+      changes.push({ kind: "scale", field: field, from: before[field], to: after[field] });
+    }
+  });
+
+  handled.pageNavigationType = true;
+  handled.goToPageId = true;
+  if (before.pageNavigationType !== after.pageNavigationType || before.goToPageId !== after.goToPageId) {
+    changes.push({
+      kind: "navigation",
+      field: "pageNavigationType",
+      from: describeSectionNavigation_(before.pageNavigationType, before.goToPageId, beforeItems),
+      to: describeSectionNavigation_(after.pageNavigationType, after.goToPageId, afterItems)
+    });
+  }
+
+  // Choice navigation is matched by choice value, so reordering choices alone is not a navigation change
+  var beforeChoiceNav = choiceNavigationByValue_(before);
+  var afterChoiceNav = choiceNavigationByValue_(after);
+  Object.keys(afterChoiceNav).forEach(function(value) {
+    var from = beforeChoiceNav[value];
+    var to = afterChoiceNav[value];
+    if (!from || (from.type === to.type && from.goToPageId === to.goToPageId)) return;
+    changes.push({
+      kind: "navigation",
+      field: "choiceNavigation",
+      choice: value,
+      from: describeSectionNavigation_(from.type, from.goToPageId, beforeItems),
+      to: describeSectionNavigation_(to.type, to.goToPageId, afterItems)
+    });
+  });
+
+  // Images are compared without their data, which depends on the media mode of each export
+  handled.image = true;
+  if (before.image && after.image && !diffImagesEqual_(before.image, after.image)) {
+    changes.push({
+      kind: "image",
+      field: "image",
+      from: { name: before.image.name, contentType: before.image.contentType },
+      to: { name: after.image.name, contentType: after.image.contentType }
+    });
+  }
+
+  // A null video URL was not looked up, so it is unknown rather than removed
+  handled.videoUrl = true;
+  if (before.videoUrl && after.videoUrl && before.videoUrl !== after.videoUrl) {
+    changes.push({ kind: "field", field: "videoUrl", from: before.videoUrl, to: after.videoUrl });
+  }
+
+  unionKeys_(before, after).forEach(function(key) {
+    if (handled[key]) return;
+    if (!diffValuesEqual_(before[key], after[key])) {
+      changes.push({ kind: "field", field: key, from: before[key], to: after[key] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Finds items whose relative order changed.
+ * The longest common subsequence of shared item IDs is treated as stationary, so inserting
+ * or deleting an item does not mark every later item as moved.
+ *
+ * @param {Object[]} beforeItems - Items of the older export
+ * @param {Object[]} afterItems - Items of the newer export
+ * @param {Object} beforeById - Older items keyed by ID
+ * @param {Object} afterById - Newer items keyed by ID
+ * @return {Object} Set of moved item IDs (keys map to true)
+ * @private
+ */
+function findMovedItemIds_(beforeItems, afterItems, beforeById, afterById) {
+  var beforeIds = beforeItems.filter(function(item) { return afterById[item.id]; }).map(function(item) { return item.id; });
+  var afterIds = afterItems.filter(function(item) { return beforeById[item.id]; }).map(function(item) { return item.id; });
+
+  // Classic dynamic-programming LCS table, sized (n + 1) x (m + 1)
+  var n = beforeIds.length;
+  var m = afterIds.length;
+  var table = [];
+  for (var i = 0; i <= n; i++) {
+    table.push(new Array(m + 1).fill(0));
+  }
+  for (i = n - 1; i >= 0; i--) {
+    for (var j = m - 1; j >= 0; j--) {
+      table[i][j] = beforeIds[i] === afterIds[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  var stationary = {};
+  i = 0;
+  j = 0;
+  while (i < n && j < m) {
+    if (beforeIds[i] === afterIds[j]) {
+      stationary[beforeIds[i]] = true;
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  var moved = {};
+  afterIds.forEach(function(id) {
+    if (!stationary[id]) moved[id] = true;
+  });
+  return moved;
+}
+
+/**
+ * Maps each choice value of an item to its exported navigation setting.
+ *
+ * @param {Object} item - Exported item
+ * @return {Object} Navigation objects ({type, goToPageId}) keyed by choice value
+ * @private
+ */
+function choiceNavigationByValue_(item) {
+  var result = {};
+  if (!item.choiceNavigation || !item.choices) return result;
+
+  item.choices.forEach(function(value, i) {
+    var nav = item.choiceNavigation[i];
+    if (nav) {
+      result[value] = nav;
+    }
+  });
+  return result;
+}
+
+/**
+ * Describes a navigation setting by target section title rather than by raw item ID,
+ * so the same target reads the same way in both exports.
+ *
+ * @param {string} navType - Navigation type name (CONTINUE, SUBMIT, RESTART, GO_TO_PAGE)
+ * @param {number} goToPageId - Target page break ID for GO_TO_PAGE
+ * @param {Object[]} allItems - All items of the export the navigation belongs to
+ * @return {string} Readable navigation description, or empty string when there is none
+ * @private
+ */
+function describeSectionNavigation_(navType, goToPageId, allItems) {
+  if (!navType) return "";
+  if (navType === "CONTINUE") return "Continue to next section";
+  if (navType === "SUBMIT") return "Submit form";
+  if (navType === "RESTART") return "Restart form";
+
+  if (navType === "GO_TO_PAGE") {
+    for (var i = 0; i < allItems.length; i++) {
+      if (allItems[i].id === goToPageId) {
+        return "Go to section \"" + (allItems[i].title || "Untitled") + "\"";
+      }
+    }
+    return "Go to missing section " + goToPageId;
+  }
+
+  return navType;
+}
+
+/**
+ * Renders one change entry as a sentence for the Markdown changelog.
+ *
+ * @param {Object} change - Change entry produced by diffMetadata_ or diffItem_
+ * @return {string} Markdown line content without the list marker
+ * @private
+ */
+function describeDiffChange_(change) {
+  switch (change.kind) {
+    case "moved":
+      return "Moved from position " + change.from + " to " + change.to;
+
+    case "retitled":
+      return "Retitled from " + formatDiffValue_(change.from) + " to " + formatDiffValue_(change.to);
+
+    case "required":
+      return change.to ? "Now required" : "No longer required";
+
+    case "choices":
+      var parts = [];
+      if (change.added.length) parts.push("added " + change.added.map(formatDiffValue_).join(", "));
+      if (change.removed.length) parts.push("removed " + change.removed.map(formatDiffValue_).join(", "));
+      if (!parts.length) parts.push("reordered");
+      return "Choices " + parts.join("; ");
+
+    case "image":
+      if (change.from.name === change.to.name) return "Image replaced";
+      return "Image replaced, " + formatDiffValue_(change.from.name) + " is now " + formatDiffValue_(change.to.name);
+
+    case "navigation":
+      var subject = change.field === "choiceNavigation" ? "Choice " + formatDiffValue_(change.choice) + " now leads to" : "Section now leads to";
+      return subject + " " + (change.to || "nothing") + " (was " + (change.from || "nothing") + ")";
+
+    default:
+      return "**" + change.field + "**: " + formatDiffValue_(change.from) + " → " + formatDiffValue_(change.to);
+  }
+}
+
+/**
+ * Renders an item reference for the Markdown changelog.
+ *
+ * @param {Object} item - Item summary or changed-item entry with title and type
+ * @return {string} Title in quotes followed by the item type
+ * @private
+ */
+function describeDiffItem_(item) {
+  return formatDiffValue_(item.title || "Untitled") + " (" + item.type + ")";
+}
+
+/**
+ * Formats a value for inline display in the changelog.
+ * Strings are quoted, empty values are shown as _empty_, and objects as compact JSON.
+ *
+ * @param {*} value - Value to format
+ * @return {string} Inline Markdown representation
+ * @private
+ */
+function formatDiffValue_(value) {
+  if (value === undefined || value === null || value === "") return "_empty_";
+  if (typeof value === "string") return "\"" + value + "\"";
+  if (typeof value === "object") return "`" + JSON.stringify(value) + "`";
+  return String(value);
+}
+
+/**
+ * Compares two exported images by name and type, and by content when both exports embed it.
+ * An image saved as a file cannot be compared by content.
+ *
+ * @param {Object} a - Image of the older export
+ * @param {Object} b - Image of the newer export
+ * @return {boolean} True if the images cannot be told apart
+ * @private
+ */
+function diffImagesEqual_(a, b) {
+  if (a.name !== b.name || a.contentType !== b.contentType) return false;
+  return a.base64Data === undefined || b.base64Data === undefined || a.base64Data === b.base64Data;
+}
+
+/**
+ * Reduces an exported item to the fields needed to identify it in a diff.
+ *
+ * @param {Object} item - Exported item
+ * @return {Object} Object with id, index, type, and title
+ * @private
+ */
+function summarizeDiffItem_(item) {
+  return {
+    id: item.id,
+    index: item.index,
+    type: item.type,
+    title: item.title
+  };
+}
+
+/**
+ * Builds a lookup of exported items by ID.
+ *
+ * @param {Object[]} items - Exported items
+ * @return {Object} Items keyed by ID
+ * @private
+ */
+function indexItemsById_(items) {
+  var byId = {};
+  items.forEach(function(item) {
+    byId[item.id] = item;
+  });
+  return byId;
+}
+
+/**
+ * Returns the keys present in either object, in first-seen order.
+ *
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @return {string[]} Combined keys without duplicates
+ * @private
+ */
+function unionKeys_(a, b) {
+  var keys = Object.keys(a);
+  Object.keys(b).forEach(function(key) {
+    if (keys.indexOf(key) === -1) keys.push(key);
+  });
+  return keys;
+}
+
+/**
+ * Compares two JSON-compatible values structurally.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {boolean} True if both values serialize identically
+ * @private
+ */
+function diffValuesEqual_(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,238 @@
+/**
+ * Output formats available to batch exports, keyed by the name used in the manifest.
+ * Each format renders one file from a fetched form and its items, with render options
+ * {markdown: exportFormToMarkdown options, media: exportFormToJson media options}.
+ */
+var BATCH_EXPORT_FORMATS = {
+  json: {
+    extension: ".json",
+    render: function(form, items, options) {
+      return JSON.stringify(exportFormToJson(form.getId(), form, items, options.media), null, 2);
+    }
+  },
+  nested: {
+    extension: "_nested.json",
+    render: function(form, items) {
+      return JSON.stringify(exportFormToNestedJson(form.getId(), form, items), null, 2);
+    }
+  },
+  md: {
+    extension: ".md",
+    render: function(form, items, options) {
+      return exportFormToMarkdown(form.getId(), form, items, options.markdown);
+    }
+  },
+  html: {
+    extension: ".html",
+    render: function(form, items) {
+      return exportFormToHtml(form.getId(), form, items);
+    }
+  },
+  mmd: {
+    extension: ".mmd",
+    render: function(form, items) {
+      return exportFormToMermaid(form.getId(), form, items);
+    }
+  },
+  dot: {
+    extension: ".dot",
+    render: function(form, items) {
+      return exportFormToDot(form.getId(), form, items);
+    }
+  }
+};
+
+/**
+ * Exports every form listed in a batch manifest and saves the files to each form's output folder.
+ * A form that cannot be opened, rendered, or saved is recorded as failed and the batch moves on.
+ *
+ * The manifest lists forms explicitly, names a Drive folder whose forms are all exported, or both:
+ *   {
+ *     sourceFolderId: "...",               // export every Google Form in this folder
+ *     folderId: "...",                     // default output folder
+ *     formats: ["json", "md"],             // default formats
+ *     forms: [{formId: "...", folderId: "...", formats: ["html"]}]
+ *   }
+ *
+ * @param {Object} manifest - Batch manifest as described above
+ * @param {Object} [optionalOptions] - {defaultFolderId: string, markdown: Object (exportFormToMarkdown options), timestamp: string}
+ * @return {Object} Result with timestamp, exports [{formId, title, folderId, status, files [{format, name, url}], error}], exportedCount, and failedCount
+ */
+function exportFormBatch(manifest, optionalOptions) {
+  var options = optionalOptions || {};
+  var renderOptions = { markdown: options.markdown || {} };
+  var timestamp = options.timestamp || Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd_HH-mm-ss");
+  var entries = resolveBatchManifest(manifest, options.defaultFolderId);
+  var usedNames = {};
+
+  var exports = entries.map(function(entry) {
+    var record = {
+      formId: entry.formId,
+      title: "",
+      folderId: entry.folderId,
+      status: "exported",
+      files: [],
+      error: null
+    };
+
+    try {
+      if (!entry.folderId) {
+        throw new Error("No output folder configured");
+      }
+
+      var form = FormApp.openById(entry.formId);
+      var items = form.getItems();
+      record.title = form.getTitle();
+
+      var folder = DriveApp.getFolderById(entry.folderId);
+      var baseName = "form_export_" + timestamp + "_" + uniqueBatchSlug_(record.title || entry.formId, entry.folderId, usedNames);
+
+      entry.formats.forEach(function(format) {
+        var spec = BATCH_EXPORT_FORMATS[format];
+        var fileName = baseName + spec.extension;
+        var file = folder.createFile(fileName, spec.render(form, items, renderOptions), mimeTypeForFile(fileName));
+        record.files.push({ format: format, name: file.getName(), url: file.getUrl() });
+      });
+
+      Logger.log("Exported \"" + record.title + "\" (" + entry.formId + "): " + entry.formats.join(", "));
+    } catch (e) {
+      record.status = "failed";
+      record.error = e.message;
+      Logger.log("Error exporting form " + entry.formId + ": " + e.message);
+    }
+
+    return record;
+  });
+
+  var failedCount = exports.filter(function(record) {
+    return record.status === "failed";
+  }).length;
+
+  return {
+    timestamp: timestamp,
+    exports: exports,
+    exportedCount: exports.length - failedCount,
+    failedCount: failedCount
+  };
+}
+
+/**
+ * Expands a batch manifest into one entry per form, with folder and formats filled in.
+ * Forms found in the source folder use the manifest defaults; a form listed explicitly
+ * keeps its own settings even if it is also in the source folder.
+ * Unknown formats are a configuration error and fail the whole batch before anything is exported.
+ *
+ * @param {Object} manifest - Batch manifest (see exportFormBatch)
+ * @param {string} [defaultFolderId] - Output folder used when neither the form nor the manifest sets one
+ * @return {Object[]} Array of {formId, folderId, formats}
+ */
+function resolveBatchManifest(manifest, defaultFolderId) {
+  var folderId = manifest.folderId || defaultFolderId || "";
+  var formats = manifest.formats && manifest.formats.length ? manifest.formats : ["json", "md"];
+  var entries = [];
+  var seen = {};
+
+  function addEntry(formId, entryFolderId, entryFormats) {
+    if (!formId || seen[formId]) return;
+    seen[formId] = true;
+
+    var resolvedFormats = entryFormats && entryFormats.length ? entryFormats : formats;
+    resolvedFormats.forEach(function(format) {
+      if (!BATCH_EXPORT_FORMATS.hasOwnProperty(format)) {
+        throw new Error("Unknown export format \"" + format + "\" for form " + formId +
+          " (available: " + Object.keys(BATCH_EXPORT_FORMATS).join(", ") + ")");
+      }
+    });
+
+    entries.push({
+      formId: formId,
+      folderId: entryFolderId || folderId,
+      formats: resolvedFormats
+    });
+  }
+
+  (manifest.forms || []).forEach(function(form) {
+    // A plain string is shorthand for a form that uses the defaults
+    if (typeof form === "string") {
+      addEntry(form);
+    } else {
+      addEntry(form.formId, form.folderId, form.formats);
+    }
+  });
+
+  if (manifest.sourceFolderId) {
+    var files = DriveApp.getFolderById(manifest.sourceFolderId).getFilesByType(MimeType.GOOGLE_FORMS);
+    var found = [];
+    while (files.hasNext()) {
+      var file = files.next();
+      found.push({ id: file.getId(), name: file.getName() });
+    }
+    found.sort(function(a, b) {
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    });
+    found.forEach(function(file) {
+      addEntry(file.id);
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Renders a batch result as a Markdown index that links every exported file.
+ *
+ * @param {Object} result - Result produced by exportFormBatch
+ * @return {string} Markdown index
+ */
+function batchResultToMarkdown(result) {
+  var lines = [];
+  lines.push("# Form exports " + result.timestamp);
+  lines.push("");
+  lines.push("_" + result.exportedCount + " exported, " + result.failedCount + " failed_");
+
+  if (!result.exports.length) {
+    lines.push("");
+    lines.push("No forms to export.");
+    return lines.join("\n");
+  }
+
+  lines.push("");
+  lines.push("| Form | Files |");
+  lines.push("|---|---|");
+  result.exports.forEach(function(record) {
+    var name = escapeBatchTableCell_(record.title || record.formId);
+    var files = record.status === "failed"
+      ? "**Failed:** " + escapeBatchTableCell_(record.error)
+      : record.files.map(function(file) {
+        return "[" + file.format + "](" + file.url + ")";
+      }).join(" · ");
+    lines.push("| " + name + " | " + files + " |");
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Turns a form title into a file name part that is unique among the files of one run in a folder.
+ *
+ * @param {string} text - Form title (or ID when the form has no title)
+ * @param {string} folderId - Output folder of the form
+ * @param {Object} usedNames - Names already taken in this run, keyed by folder ID
+ * @return {string} Slug, with a numeric suffix when needed
+ * @private
+ */
+function uniqueBatchSlug_(text, folderId, usedNames) {
+  usedNames[folderId] = usedNames[folderId] || {};
+  return uniqueKey(slugify(text) || "form", usedNames[folderId]);
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell.
+ *
+ * @param {string} text - Cell text
+ * @return {string} Text with pipes escaped and line breaks flattened
+ * @private
+ */
+function escapeBatchTableCell_(text) {
+  return String(text || "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
@@ -26,32 +26,57 @@
 /**
  * Converts the Form with the given ID into a JSON object.
  * Supports optional pre-fetched data to optimize performance when exporting multiple formats.
+ * Images are embedded as base64 unless the media option saves them as files (see exportMedia.js);
+ * the files themselves are saved by the caller.
  *
  * @param {string} formId - Google Form ID to export
  * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
  * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
- * @return {Object} JSON representation of the form with metadata, items array, and count
+ * @param {Object} [optionalOptions] - Media options: {media: "base64"|"files", mediaBaseName: string, videoUrls: Object}
+ * @return {Object} JSON representation of the form with schemaVersion, metadata, items array, and count (see exportSchema.js)
  */
-function exportFormToJson(formId, optionalForm, optionalItems) {
+function exportFormToJson(formId, optionalForm, optionalItems, optionalOptions) {
   // Use pre-fetched data if provided, otherwise fetch (backward compatible)
   var form = optionalForm || FormApp.openById(formId);
   var items = optionalItems || form.getItems();
 
+  var isQuiz = form.isQuiz();
+  var media = readMediaOptions(optionalOptions);
+
   var result = {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
     metadata: getFormMetadata(form),
-    items: items.map(itemToObject),
+    items: items.map(function(item) {
+      return itemToObject(item, isQuiz, media);
+    }),
     count: items.length
   };
 
   return result;
 }
 
+/**
+ * Form settings recorded in metadata.settings, in the order they are listed in the Markdown export.
+ * getter and setter name the FormApp.Form methods that read and change each setting.
+ */
+var FORM_SETTINGS = [
+  { field: "acceptingResponses", label: "Accepting responses", getter: "isAcceptingResponses", setter: "setAcceptingResponses" },
+  { field: "collectsEmail", label: "Collects email addresses", getter: "collectsEmail", setter: "setCollectEmail" },
+  { field: "requiresLogin", label: "Requires sign-in", getter: "requiresLogin", setter: "setRequireLogin" },
+  { field: "limitOneResponsePerUser", label: "Limited to one response", getter: "hasLimitOneResponsePerUser", setter: "setLimitOneResponsePerUser" },
+  { field: "allowResponseEdits", label: "Respondents can edit responses", getter: "canEditResponse", setter: "setAllowResponseEdits" },
+  { field: "showProgressBar", label: "Shows progress bar", getter: "hasProgressBar", setter: "setProgressBar" },
+  { field: "showLinkToRespondAgain", label: "Shows link to respond again", getter: "hasRespondAgainLink", setter: "setShowLinkToRespondAgain" },
+  { field: "publishingSummary", label: "Shows summary of responses", getter: "isPublishingSummary", setter: "setPublishingSummary" },
+  { field: "shuffleQuestions", label: "Shuffles question order", getter: "getShuffleQuestions", setter: "setShuffleQuestions" }
+];
+
 /**
  * Extracts and returns metadata from a Google Form object.
  * Includes title, description, URLs, editors, and configuration settings.
  *
  * @param {FormApp.Form} form - The Google Form object to extract metadata from
- * @return {Object} Object containing form metadata including title, id, description, publishedUrl, editorEmails, count, confirmationMessage, and customClosedFormMessage
+ * @return {Object} Object containing form metadata including title, id, description, publishedUrl, editUrl, summaryUrl, editorEmails, isQuiz, confirmationMessage, customClosedFormMessage, and settings
  */
 function getFormMetadata(form) {
   return {
@@ -59,25 +84,60 @@ function getFormMetadata(form) {
     id: form.getId(),
     description: form.getDescription(),
     publishedUrl: form.getPublishedUrl(),
+    editUrl: form.getEditUrl(),
+    summaryUrl: form.getSummaryUrl(),
     editorEmails: form.getEditors().map(function(user) {
       return user.getEmail();
     }),
-    count: form.getItems().length,
+    isQuiz: form.isQuiz(),
     confirmationMessage: form.getConfirmationMessage(),
-    customClosedFormMessage: form.getCustomClosedFormMessage()
+    customClosedFormMessage: form.getCustomClosedFormMessage(),
+    settings: getFormSettings(form)
   };
 }
 
+/**
+ * Reads the response settings of a form (see FORM_SETTINGS) and its linked response destination.
+ * A setting the account cannot read, such as requiresLogin outside Google Workspace, is null.
+ *
+ * @param {FormApp.Form} form - The Google Form object to read
+ * @return {Object} Settings keyed by FORM_SETTINGS field, plus responseDestination as {type, id} or null
+ */
+function getFormSettings(form) {
+  var settings = {};
+  FORM_SETTINGS.forEach(function(setting) {
+    try {
+      settings[setting.field] = form[setting.getter]();
+    } catch (e) {
+      settings[setting.field] = null;
+    }
+  });
+
+  // Both getters throw when no destination is linked
+  try {
+    settings.responseDestination = { type: form.getDestinationType().toString(), id: form.getDestinationId() };
+  } catch (e) {
+    settings.responseDestination = null;
+  }
+
+  return settings;
+}
+
 /**
  * Converts a Google Form item into a JSON object representation.
  * Uses type downcasting to access type-specific properties (e.g., choices, scale bounds).
  * Handles all form item types including TEXT, PARAGRAPH_TEXT, MULTIPLE_CHOICE, CHECKBOX,
- * LIST, SCALE, IMAGE, PAGE_BREAK, and VIDEO.
+ * LIST, SCALE, GRID, CHECKBOX_GRID, DATE, TIME, DATETIME, DURATION, RATING, SECTION_HEADER,
+ * FILE_UPLOAD, IMAGE, PAGE_BREAK, and VIDEO.
+ *
+ * When the form is a quiz, gradable items also carry their points, correct answers, and feedback.
  *
  * @param {FormApp.Item} item - The form item to convert
- * @return {Object} Object representing the item with properties: type, title, helpText, id, index, isRequired, points, and type-specific fields
+ * @param {boolean} [isQuiz] - Whether the form is a quiz (adds grading fields when true)
+ * @param {Object} [optionalMedia] - Media options from readMediaOptions (defaults to base64 images and no video URLs)
+ * @return {Object} Object representing the item with properties: type, title, helpText, id, index, isRequired, and type-specific fields
  */
-function itemToObject(item) {
+function itemToObject(item, isQuiz, optionalMedia) {
   var data = {};
 
   var itemType = item.getType();
@@ -87,24 +147,22 @@ function itemToObject(item) {
   data.id = item.getId();
   data.index = item.getIndex();
 
-  // Some item types do not implement isRequired()
+  // Downcast items to access type specific properties.
+  // FILE_UPLOAD has no asFileUploadItem(), so it stays a generic Item.
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + itemType.toString() + "_ITEM");
+  var typedItem = typeof item[itemTypeConstructorName] === "function" ? item[itemTypeConstructorName]() : item;
+
+  // isRequired() lives on the typed item, and some item types do not implement it
   var isRequired = false;
-  if (typeof item.isRequired === "function") {
+  if (typeof typedItem.isRequired === "function") {
     try {
-      isRequired = item.isRequired();
+      isRequired = typedItem.isRequired();
     } catch (e) {
       isRequired = false;
     }
   }
   data.isRequired = isRequired;
 
-  // Keep field for compatibility with previous JSON
-  data.points = 0;
-
-  // Downcast items to access type specific properties
-  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + itemType.toString() + "_ITEM");
-  var typedItem = item[itemTypeConstructorName]();
-
   switch (itemType) {
     case FormApp.ItemType.LIST:
     case FormApp.ItemType.CHECKBOX:
@@ -127,6 +185,14 @@ function itemToObject(item) {
       } else {
         data.hasOtherOption = false;
       }
+      // Only single-choice items can branch to another section
+      if (itemType !== FormApp.ItemType.CHECKBOX) {
+        try {
+          data.choiceNavigation = typedItem.getChoices().map(choiceNavigationToObject_);
+        } catch (e) {
+          Logger.log("Error getting choice navigation for item " + data.id + ": " + e.message);
+        }
+      }
       break;
 
     case FormApp.ItemType.SCALE:
@@ -136,33 +202,516 @@ function itemToObject(item) {
       data.rightLabel = typedItem.getRightLabel();
       break;
 
+    case FormApp.ItemType.GRID:
+    case FormApp.ItemType.CHECKBOX_GRID:
+      data.rows = typedItem.getRows();
+      data.columns = typedItem.getColumns();
+      break;
+
+    case FormApp.ItemType.DATE:
+    case FormApp.ItemType.DATETIME:
+      data.includesYear = typedItem.includesYear();
+      data.includesTime = itemType === FormApp.ItemType.DATETIME;
+      break;
+
+    case FormApp.ItemType.TIME:
+    case FormApp.ItemType.DURATION:
+      // Time and duration items have no configuration beyond title and required flag
+      break;
+
+    case FormApp.ItemType.RATING:
+      data.ratingScaleLevel = typedItem.getRatingScaleLevel();
+      data.ratingIcon = typedItem.getRatingIcon().toString();
+      break;
+
+    case FormApp.ItemType.FILE_UPLOAD:
+      // Apps Script exposes no settings (allowed types, size limits) for file upload items
+      break;
+
     case FormApp.ItemType.IMAGE:
       data.alignment = typedItem.getAlignment().toString();
-      var imageBlob = typedItem.getImage();
-      data.imageBlob = {
-        dataAsString: imageBlob.getDataAsString(),
-        name: imageBlob.getName(),
-        isGoogleType: imageBlob.isGoogleType()
-      };
+      data.width = typedItem.getWidth();
+      data.image = describeImage(typedItem, optionalMedia || readMediaOptions());
       break;
 
     case FormApp.ItemType.PAGE_BREAK:
       data.pageNavigationType = typedItem.getPageNavigationType().toString();
+      var goToPage = typedItem.getGoToPage();
+      if (goToPage) {
+        data.goToPageId = goToPage.getId();
+      }
       break;
 
     default:
-      // TEXT, PARAGRAPH_TEXT, etc. need no extra fields
+      // TEXT, PARAGRAPH_TEXT, SECTION_HEADER, etc. need no extra fields
       break;
   }
 
-  // Handle VIDEO type (Forms quirk)
+  // Handle VIDEO type (Forms quirk). Apps Script cannot read the URL, it comes from the Forms API when looked up.
   if (itemType.toString() === "VIDEO") {
+    var videoUrls = optionalMedia ? optionalMedia.videoUrls : {};
     data.alignment = typedItem.getAlignment().toString();
+    data.width = typedItem.getWidth();
+    data.videoUrl = videoUrls[data.id] || null;
+  }
+
+  if (isQuiz) {
+    addQuizFields_(data, typedItem);
   }
 
   return data;
 }
 
+/**
+ * Adds quiz grading fields to an exported item: points, correct answers, and feedback.
+ * Only gradable item types implement these methods, so each one is checked before use.
+ *
+ * @param {Object} data - Item object being built by itemToObject
+ * @param {FormApp.Item} typedItem - The downcast form item
+ * @return {void}
+ * @private
+ */
+function addQuizFields_(data, typedItem) {
+  if (typeof typedItem.getPoints === "function") {
+    data.points = typedItem.getPoints();
+  }
+
+  if (typeof typedItem.getChoices === "function") {
+    try {
+      data.correctAnswers = typedItem.getChoices().filter(function(choice) {
+        return choice.isCorrectAnswer();
+      }).map(function(choice) {
+        return choice.getValue();
+      });
+    } catch (e) {
+      Logger.log("Error getting correct answers for item " + data.id + ": " + e.message);
+    }
+  }
+
+  var feedback = {};
+  if (typeof typedItem.getGeneralFeedback === "function") {
+    feedback.general = quizFeedbackToObject_(typedItem.getGeneralFeedback());
+  }
+  if (typeof typedItem.getFeedbackForCorrect === "function") {
+    feedback.correct = quizFeedbackToObject_(typedItem.getFeedbackForCorrect());
+  }
+  if (typeof typedItem.getFeedbackForIncorrect === "function") {
+    feedback.incorrect = quizFeedbackToObject_(typedItem.getFeedbackForIncorrect());
+  }
+  if (Object.keys(feedback).length) {
+    data.feedback = feedback;
+  }
+}
+
+/**
+ * Converts quiz feedback into plain text and link URLs.
+ *
+ * @param {FormApp.QuizFeedback} feedback - Feedback object, or null when none is set
+ * @return {Object|null} Object with text and linkUrls, or null when there is no feedback
+ * @private
+ */
+function quizFeedbackToObject_(feedback) {
+  if (!feedback) return null;
+  return {
+    text: feedback.getText(),
+    linkUrls: feedback.getLinkUrls()
+  };
+}
+
+/**
+ * Creates a new Google Form from a JSON export produced by exportFormToJson.
+ * Items are created in index order; section navigation is applied in a second pass
+ * because a choice may point at a page break that appears later in the form.
+ * Fields that cannot be reproduced are skipped and listed in the returned report.
+ *
+ * @param {Object|string} exportJson - Parsed export object or its JSON string, of any schema version
+ * @param {FormApp} [optionalFormApp] - Form service to create the form with (defaults to FormApp, a stand-in can be passed for local testing)
+ * @return {Object} Object with the created form and an unsupported array of {index, id, title, field, reason}
+ */
+function importFormFromJson(exportJson, optionalFormApp) {
+  var formApp = optionalFormApp || FormApp;
+  var data = upgradeExport(exportJson);
+  var metadata = data.metadata || {};
+  var unsupported = [];
+
+  var form = formApp.create(metadata.title || "Untitled form");
+  if (metadata.isQuiz) form.setIsQuiz(true);
+  if (metadata.description) form.setDescription(metadata.description);
+  if (metadata.confirmationMessage) form.setConfirmationMessage(metadata.confirmationMessage);
+  if (metadata.customClosedFormMessage) form.setCustomClosedFormMessage(metadata.customClosedFormMessage);
+  if (metadata.editorEmails && metadata.editorEmails.length) {
+    // Sharing is left to the person running the import, the new form may live in another account
+    unsupported.push(unsupportedField_(null, "editorEmails", "Editors are not copied, share the new form manually"));
+  }
+  if (metadata.settings) {
+    applyFormSettings_(form, metadata.settings, unsupported);
+  }
+
+  var items = (data.items || []).slice().sort(function(a, b) {
+    return a.index - b.index;
+  });
+
+  // First pass: create every item, remembering page breaks by their exported ID
+  var pageBreaksById = {};
+  var pendingNavigation = [];
+
+  items.forEach(function(itemData) {
+    var created = createItemFromObject_(form, formApp, itemData, unsupported);
+    if (!created) return;
+
+    if (itemData.type === "PAGE_BREAK") {
+      pageBreaksById[itemData.id] = created;
+    }
+    if (itemData.type === "PAGE_BREAK" || itemData.type === "MULTIPLE_CHOICE" || itemData.type === "LIST") {
+      pendingNavigation.push({ itemData: itemData, item: created });
+    }
+  });
+
+  // Second pass: choices and page breaks can now reference any section
+  pendingNavigation.forEach(function(pending) {
+    if (pending.itemData.type === "PAGE_BREAK") {
+      applyPageBreakNavigation_(pending.item, pending.itemData, pageBreaksById, formApp, unsupported);
+    } else {
+      applyChoicesWithNavigation_(pending.item, pending.itemData, pageBreaksById, formApp, unsupported);
+    }
+  });
+
+  return {
+    form: form,
+    unsupported: unsupported
+  };
+}
+
+/**
+ * Adds a single item to the form and applies the fields that do not depend on other items.
+ * Choices for MULTIPLE_CHOICE and LIST items are set later by applyChoicesWithNavigation_.
+ *
+ * @param {FormApp.Form} form - Form being built
+ * @param {FormApp} formApp - Form service providing the enums
+ * @param {Object} itemData - Item object as produced by itemToObject
+ * @param {Object[]} unsupported - Report that skipped fields are appended to
+ * @return {FormApp.Item|null} The created typed item, or null if the type cannot be created
+ * @private
+ */
+function createItemFromObject_(form, formApp, itemData, unsupported) {
+  var item;
+
+  switch (itemData.type) {
+    case "TEXT":
+      item = form.addTextItem();
+      break;
+
+    case "PARAGRAPH_TEXT":
+      item = form.addParagraphTextItem();
+      break;
+
+    case "MULTIPLE_CHOICE":
+      item = form.addMultipleChoiceItem();
+      item.showOtherOption(!!itemData.hasOtherOption);
+      break;
+
+    case "LIST":
+      item = form.addListItem();
+      break;
+
+    case "CHECKBOX":
+      item = form.addCheckboxItem();
+      if (itemData.choices && itemData.choices.length) {
+        var correctAnswers = itemData.correctAnswers || [];
+        item.setChoices(itemData.choices.map(function(value) {
+          return item.createChoice(value, correctAnswers.indexOf(value) !== -1);
+        }));
+      } else {
+        unsupported.push(unsupportedField_(itemData, "choices", "Checkbox items need at least one choice"));
+      }
+      item.showOtherOption(!!itemData.hasOtherOption);
+      break;
+
+    case "SCALE":
+      item = form.addScaleItem();
+      try {
+        item.setBounds(itemData.lowerBound, itemData.upperBound);
+      } catch (e) {
+        unsupported.push(unsupportedField_(itemData, "lowerBound", "Invalid scale bounds: " + e.message));
+      }
+      item.setLabels(itemData.leftLabel || "", itemData.rightLabel || "");
+      break;
+
+    case "GRID":
+    case "CHECKBOX_GRID":
+      item = itemData.type === "GRID" ? form.addGridItem() : form.addCheckboxGridItem();
+      item.setRows(itemData.rows || []);
+      item.setColumns(itemData.columns || []);
+      break;
+
+    case "DATE":
+      item = form.addDateItem();
+      item.setIncludesYear(itemData.includesYear !== false);
+      break;
+
+    case "DATETIME":
+      item = form.addDateTimeItem();
+      item.setIncludesYear(itemData.includesYear !== false);
+      break;
+
+    case "TIME":
+      item = form.addTimeItem();
+      break;
+
+    case "DURATION":
+      item = form.addDurationItem();
+      break;
+
+    case "RATING":
+      item = form.addRatingItem();
+      if (itemData.ratingScaleLevel) item.setRatingScaleLevel(itemData.ratingScaleLevel);
+      if (itemData.ratingIcon) item.setRatingIcon(formApp.RatingIconType[itemData.ratingIcon]);
+      break;
+
+    case "PAGE_BREAK":
+      item = form.addPageBreakItem();
+      break;
+
+    case "SECTION_HEADER":
+      item = form.addSectionHeaderItem();
+      break;
+
+    case "IMAGE":
+      item = form.addImageItem();
+      restoreImage_(item, itemData, unsupported);
+      break;
+
+    case "VIDEO":
+      item = form.addVideoItem();
+      if (itemData.videoUrl) {
+        item.setVideoUrl(itemData.videoUrl);
+      } else {
+        unsupported.push(unsupportedField_(itemData, "videoUrl", "The export does not contain the video URL"));
+      }
+      if (itemData.width) item.setWidth(itemData.width);
+      break;
+
+    case "FILE_UPLOAD":
+      unsupported.push(unsupportedField_(itemData, "type", "File upload items cannot be created by Apps Script"));
+      return null;
+
+    default:
+      unsupported.push(unsupportedField_(itemData, "type", "Item type " + itemData.type + " cannot be created"));
+      return null;
+  }
+
+  item.setTitle(itemData.title || "");
+  if (itemData.helpText) item.setHelpText(itemData.helpText);
+
+  if (itemData.isRequired && typeof item.setRequired === "function") {
+    item.setRequired(true);
+  }
+
+  if (itemData.alignment && typeof item.setAlignment === "function") {
+    try {
+      item.setAlignment(formApp.Alignment[itemData.alignment]);
+    } catch (e) {
+      unsupported.push(unsupportedField_(itemData, "alignment", e.message));
+    }
+  }
+
+  if (itemData.points && typeof item.setPoints === "function") {
+    item.setPoints(itemData.points);
+  }
+  if (itemData.feedback) {
+    applyQuizFeedback_(item, itemData, formApp);
+  }
+
+  return item;
+}
+
+/**
+ * Restores the general, correct, and incorrect quiz feedback of an item.
+ *
+ * @param {FormApp.Item} item - Typed item created by createItemFromObject_
+ * @param {Object} itemData - Item object as produced by itemToObject
+ * @param {FormApp} formApp - Form service used to build feedback objects
+ * @return {void}
+ * @private
+ */
+function applyQuizFeedback_(item, itemData, formApp) {
+  var setters = {
+    general: "setGeneralFeedback",
+    correct: "setFeedbackForCorrect",
+    incorrect: "setFeedbackForIncorrect"
+  };
+
+  Object.keys(setters).forEach(function(key) {
+    var feedback = itemData.feedback[key];
+    if (!feedback || typeof item[setters[key]] !== "function") return;
+
+    var builder = formApp.createFeedback().setText(feedback.text || "");
+    (feedback.linkUrls || []).forEach(function(url) {
+      builder.addLink(url);
+    });
+    item[setters[key]](builder.build());
+  });
+}
+
+/**
+ * Sets the choices of a MULTIPLE_CHOICE or LIST item, restoring per-choice navigation.
+ *
+ * @param {FormApp.Item} item - Typed item created by createItemFromObject_
+ * @param {Object} itemData - Item object as produced by itemToObject
+ * @param {Object} pageBreaksById - Created page break items keyed by their exported ID
+ * @param {FormApp} formApp - Form service providing the enums
+ * @param {Object[]} unsupported - Report that skipped fields are appended to
+ * @return {void}
+ * @private
+ */
+function applyChoicesWithNavigation_(item, itemData, pageBreaksById, formApp, unsupported) {
+  var values = itemData.choices || [];
+  if (!values.length) {
+    unsupported.push(unsupportedField_(itemData, "choices", "Choice items need at least one choice"));
+    return;
+  }
+
+  var navigation = itemData.choiceNavigation || [];
+  var correctAnswers = itemData.correctAnswers || [];
+  var choices = values.map(function(value, i) {
+    var nav = navigation[i];
+    var isCorrect = correctAnswers.indexOf(value) !== -1;
+    if (!nav || nav.type === "CONTINUE") {
+      return isCorrect ? item.createChoice(value, true) : item.createChoice(value);
+    }
+    // Forms cannot mark a choice as correct and give it a navigation target at the same time
+    if (isCorrect) {
+      unsupported.push(unsupportedField_(itemData, "correctAnswers", "Choice \"" + value + "\" has section navigation, so it cannot also be marked correct"));
+    }
+    if (nav.type === "GO_TO_PAGE") {
+      var target = pageBreaksById[nav.goToPageId];
+      if (target) {
+        return item.createChoice(value, target);
+      }
+      unsupported.push(unsupportedField_(itemData, "choiceNavigation", "Target section " + nav.goToPageId + " of choice \"" + value + "\" is not in the export"));
+      return item.createChoice(value);
+    }
+    return item.createChoice(value, formApp.PageNavigationType[nav.type]);
+  });
+
+  item.setChoices(choices);
+}
+
+/**
+ * Restores where a section leads once its last question is answered.
+ *
+ * @param {FormApp.PageBreakItem} item - Page break created by createItemFromObject_
+ * @param {Object} itemData - Item object as produced by itemToObject
+ * @param {Object} pageBreaksById - Created page break items keyed by their exported ID
+ * @param {FormApp} formApp - Form service providing the enums
+ * @param {Object[]} unsupported - Report that skipped fields are appended to
+ * @return {void}
+ * @private
+ */
+function applyPageBreakNavigation_(item, itemData, pageBreaksById, formApp, unsupported) {
+  var navType = itemData.pageNavigationType;
+  if (!navType || navType === "CONTINUE") return;
+
+  if (navType === "GO_TO_PAGE") {
+    var target = pageBreaksById[itemData.goToPageId];
+    if (target) {
+      item.setGoToPage(target);
+    } else {
+      unsupported.push(unsupportedField_(itemData, "goToPageId", "Target section " + itemData.goToPageId + " is not in the export"));
+    }
+    return;
+  }
+
+  item.setGoToPage(formApp.PageNavigationType[navType]);
+}
+
+/**
+ * Sets the image and width of an imported image item. Images saved as separate files
+ * and images of exports before version 3 are reported instead.
+ *
+ * @param {FormApp.ImageItem} item - Image item being imported
+ * @param {Object} itemData - Exported item
+ * @param {Object[]} unsupported - Import report; a missing image is appended
+ * @return {void}
+ * @private
+ */
+function restoreImage_(item, itemData, unsupported) {
+  var image = itemData.image;
+  if (image && image.base64Data !== undefined) {
+    item.setImage(Utilities.newBlob(Utilities.base64Decode(image.base64Data), image.contentType, image.name));
+  } else if (image && image.file) {
+    unsupported.push(unsupportedField_(itemData, "image", "The image was saved as " + image.file + ", add it to the form manually"));
+  } else {
+    unsupported.push(unsupportedField_(itemData, "image", "The export does not contain the image"));
+  }
+  if (itemData.width) item.setWidth(itemData.width);
+}
+
+/**
+ * Applies exported response settings to an imported form. Settings the account cannot change
+ * are reported. The response destination is not linked: the new form would add its own sheet
+ * to the spreadsheet of the original form.
+ *
+ * @param {FormApp.Form} form - Form being imported
+ * @param {Object} settings - Exported metadata.settings
+ * @param {Object[]} unsupported - Import report; skipped settings are appended
+ * @return {void}
+ * @private
+ */
+function applyFormSettings_(form, settings, unsupported) {
+  FORM_SETTINGS.forEach(function(setting) {
+    var value = settings[setting.field];
+    if (typeof value !== "boolean") return;
+    try {
+      form[setting.setter](value);
+    } catch (e) {
+      unsupported.push(unsupportedField_(null, "settings." + setting.field, "Could not be changed: " + e.message));
+    }
+  });
+
+  if (settings.responseDestination) {
+    unsupported.push(unsupportedField_(null, "settings.responseDestination", "Responses are not linked, choose a spreadsheet for the new form manually"));
+  }
+}
+
+/**
+ * Builds an entry of the import report for a field that could not be reproduced.
+ *
+ * @param {Object|null} itemData - Item the field belongs to, or null for form-level fields
+ * @param {string} field - Name of the field in the export
+ * @param {string} reason - Why the field was skipped
+ * @return {Object} Report entry with index, id, title, field, and reason
+ * @private
+ */
+function unsupportedField_(itemData, field, reason) {
+  return {
+    index: itemData ? itemData.index : null,
+    id: itemData ? itemData.id : null,
+    title: itemData ? itemData.title : null,
+    field: field,
+    reason: reason
+  };
+}
+
+/**
+ * Describes where selecting a choice leads the respondent.
+ * The target page break is recorded by item ID so it can be resolved again on import.
+ *
+ * @param {FormApp.Choice} choice - A choice of a MULTIPLE_CHOICE or LIST item
+ * @return {Object} Object with the navigation type and, for GO_TO_PAGE, the target goToPageId
+ * @private
+ */
+function choiceNavigationToObject_(choice) {
+  var navigation = {
+    type: choice.getPageNavigationType().toString()
+  };
+  var goToPage = choice.getGotoPage();
+  if (goToPage) {
+    navigation.goToPageId = goToPage.getId();
+  }
+  return navigation;
+}
+
 /**
  * Converts a SNAKE_CASE string to camelCase format.
  * Used to convert FormApp item type names to method names (e.g., "AS_TEXT_ITEM" → "asTextItem").
@@ -175,7 +724,3 @@ function snakeCaseToCamelCase(s) {
     return m[1].toUpperCase();
   });
 }
-
-
-
-
@@ -0,0 +1,132 @@
+/**
+ * Ways images are written to exports, keyed by the name used in MEDIA_OPTIONS.mode:
+ * "base64" embeds each image in the export, "files" saves each image as its own file next to it.
+ */
+var MEDIA_MODES = ["base64", "files"];
+
+/**
+ * File extensions of image content types, for images saved as files.
+ */
+var IMAGE_FILE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/bmp": "bmp",
+  "image/svg+xml": "svg"
+};
+
+/**
+ * Reads media options, filling in defaults.
+ *
+ * @param {Object} [optionalOptions] - {media: "base64"|"files", mediaBaseName: string, videoUrls: Object}
+ * @return {Object} Options with mode, baseName (prefix of image file names), and videoUrls (URL by item ID)
+ * @throws {Error} If the mode is unknown, or images are saved as files without a base name
+ */
+function readMediaOptions(optionalOptions) {
+  var options = optionalOptions || {};
+  var mode = options.media || "base64";
+  if (MEDIA_MODES.indexOf(mode) === -1) {
+    throw new Error("Media mode must be " + MEDIA_MODES.join(" or ") + ", got " + mode);
+  }
+  if (mode === "files" && !options.mediaBaseName) {
+    throw new Error("Saving images as files needs a mediaBaseName");
+  }
+  return {
+    mode: mode,
+    baseName: options.mediaBaseName || "",
+    videoUrls: options.videoUrls || {}
+  };
+}
+
+/**
+ * Returns the name an image is saved under in the "files" media mode,
+ * for example form_export_2025-12-10_14-30-45_image_116.png.
+ *
+ * @param {string} baseName - Name of the export without its extension
+ * @param {number} itemId - ID of the image item
+ * @param {string} contentType - Content type of the image
+ * @return {string} File name
+ */
+function mediaFileName(baseName, itemId, contentType) {
+  return baseName + "_image_" + itemId + "." + (IMAGE_FILE_EXTENSIONS[contentType] || "bin");
+}
+
+/**
+ * Describes the image of an IMAGE item for the export: its content as base64, or the
+ * name of the file it is saved to.
+ *
+ * @param {FormApp.ImageItem} imageItem - Image item
+ * @param {Object} media - Options from readMediaOptions
+ * @return {Object} {name, contentType, base64Data} or {name, contentType, file}
+ */
+function describeImage(imageItem, media) {
+  var blob = imageItem.getImage();
+  var image = {
+    name: blob.getName(),
+    contentType: blob.getContentType()
+  };
+  if (media.mode === "files") {
+    image.file = mediaFileName(media.baseName, imageItem.getId(), image.contentType);
+  } else {
+    image.base64Data = Utilities.base64Encode(blob.getBytes());
+  }
+  return image;
+}
+
+/**
+ * Returns a URL that shows an image in Markdown: the saved file's name, or a data URL.
+ *
+ * @param {Object} image - Image description from describeImage
+ * @return {string} Relative file name or data URL
+ */
+function imageSource(image) {
+  return image.file || "data:" + image.contentType + ";base64," + image.base64Data;
+}
+
+/**
+ * Lists the image files to save next to an export in the "files" media mode.
+ *
+ * @param {FormApp.Item[]} items - Form items
+ * @param {string} baseName - Name of the export without its extension
+ * @return {Object[]} One {fileName, blob} per image item
+ */
+function collectImageFiles(items, baseName) {
+  return items.filter(function(item) {
+    return item.getType() === FormApp.ItemType.IMAGE;
+  }).map(function(item) {
+    var blob = item.asImageItem().getImage();
+    return {
+      fileName: mediaFileName(baseName, item.getId(), blob.getContentType()),
+      blob: blob
+    };
+  });
+}
+
+/**
+ * Looks up the YouTube URLs of a form's video items with the Google Forms API,
+ * since Apps Script can set a video URL but not read it back.
+ * Forms API item IDs are the hexadecimal form of Apps Script item IDs.
+ *
+ * @param {string} formId - Google Form ID
+ * @return {Object} Video URLs keyed by Apps Script item ID
+ * @throws {Error} If the Forms API does not return the form
+ */
+function fetchVideoUrls(formId) {
+  var response = UrlFetchApp.fetch("https://forms.googleapis.com/v1/forms/" + encodeURIComponent(formId), {
+    headers: { Authorization: "Bearer " + ScriptApp.getOAuthToken() },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200) {
+    throw new Error("Forms API responded with HTTP " + response.getResponseCode());
+  }
+
+  var urls = {};
+  (JSON.parse(response.getContentText()).items || []).forEach(function(item) {
+    var video = item.videoItem && item.videoItem.video;
+    if (video && video.youtubeUri) {
+      urls[parseInt(item.itemId, 16)] = video.youtubeUri;
+    }
+  });
+  return urls;
+}
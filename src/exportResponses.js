@@ -0,0 +1,315 @@
+/**
+ * Item types that collect answers. Layout items (page breaks, headers, images, videos)
+ * never appear in responses and are left out of response exports.
+ */
+var RESPONSE_ITEM_TYPES = [
+  "TEXT", "PARAGRAPH_TEXT", "MULTIPLE_CHOICE", "CHECKBOX", "LIST", "SCALE",
+  "GRID", "CHECKBOX_GRID", "DATE", "DATETIME", "TIME", "DURATION", "RATING", "FILE_UPLOAD"
+];
+
+/**
+ * Number of sample answers shown per text question in the Markdown summary.
+ */
+var RESPONSE_SAMPLE_SIZE = 5;
+
+/**
+ * Converts the responses of the Form with the given ID into a JSON object.
+ * Supports optional pre-fetched data to share one fetch with the structure exports.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @param {Object} [optionalOptions] - {startDate: Date, endDate: Date, omitRespondentEmails: boolean}
+ * @return {Object} Object with form info, questions (as produced by itemToObject), responses, and count
+ */
+function exportResponsesToJson(formId, optionalForm, optionalItems, optionalOptions) {
+  var form = optionalForm || FormApp.openById(formId);
+  var items = optionalItems || form.getItems();
+  var options = optionalOptions || {};
+
+  var questions = items.filter(function(item) {
+    return RESPONSE_ITEM_TYPES.indexOf(item.getType().toString()) !== -1;
+  }).map(function(item) {
+    return itemToObject(item);
+  });
+
+  // getResponses(date) only filters the start, the end of the range is applied here
+  var formResponses = options.startDate ? form.getResponses(options.startDate) : form.getResponses();
+  var responses = formResponses.filter(function(response) {
+    var timestamp = response.getTimestamp();
+    if (options.startDate && timestamp < options.startDate) return false;
+    if (options.endDate && timestamp > options.endDate) return false;
+    return true;
+  }).map(function(response) {
+    return responseToObject_(response, !options.omitRespondentEmails);
+  });
+
+  return {
+    form: {
+      id: form.getId(),
+      title: form.getTitle()
+    },
+    range: {
+      startDate: options.startDate ? options.startDate.toISOString() : null,
+      endDate: options.endDate ? options.endDate.toISOString() : null
+    },
+    questions: questions,
+    responses: responses,
+    count: responses.length
+  };
+}
+
+/**
+ * Converts a responses export into CSV with one row per response and one column per question.
+ * Column headers combine the question title and item ID so duplicate titles stay distinct.
+ *
+ * @param {Object} responsesJson - Object produced by exportResponsesToJson
+ * @return {string} CSV text with a header row
+ */
+function responsesToCsv(responsesJson) {
+  var includeEmail = responsesJson.responses.some(function(response) {
+    return response.hasOwnProperty("respondentEmail");
+  });
+
+  var header = ["Response ID", "Timestamp"];
+  if (includeEmail) header.push("Email");
+  responsesJson.questions.forEach(function(question) {
+    header.push(question.title + " [" + question.id + "]");
+  });
+
+  var rows = [header];
+  responsesJson.responses.forEach(function(response) {
+    var row = [response.id, response.timestamp];
+    if (includeEmail) row.push(response.respondentEmail || "");
+    responsesJson.questions.forEach(function(question) {
+      row.push(formatAnswerText_(response.answers[question.id]));
+    });
+    rows.push(row);
+  });
+
+  return rows.map(function(row) {
+    return row.map(escapeCsvField_).join(",");
+  }).join("\n");
+}
+
+/**
+ * Summarizes a responses export per question as Markdown.
+ * Choice questions get counts per choice, scales get a histogram, and text questions
+ * get a few sample answers.
+ *
+ * @param {Object} responsesJson - Object produced by exportResponsesToJson
+ * @return {string} Markdown summary
+ */
+function summarizeResponsesToMarkdown(responsesJson) {
+  var lines = [];
+  lines.push("# Responses: " + responsesJson.form.title);
+  lines.push("");
+  lines.push("_" + responsesJson.count + (responsesJson.count === 1 ? " response" : " responses") + describeResponseRange_(responsesJson.range) + "_");
+
+  responsesJson.questions.forEach(function(question) {
+    var answers = responsesJson.responses.map(function(response) {
+      return response.answers[question.id];
+    }).filter(function(answer) {
+      return answer !== undefined && answer !== null && answer !== "";
+    });
+
+    lines.push("");
+    lines.push("## " + convertToMarkdown(question.title || "Untitled"));
+    lines.push("");
+    lines.push("_" + answers.length + " of " + responsesJson.count + " answered_");
+    lines.push("");
+
+    switch (question.type) {
+      case "MULTIPLE_CHOICE":
+      case "CHECKBOX":
+      case "LIST":
+        lines = lines.concat(renderChoiceCountsMarkdown_(question, answers));
+        break;
+
+      case "SCALE":
+      case "RATING":
+        lines = lines.concat(renderHistogramMarkdown_(question, answers));
+        break;
+
+      default:
+        lines = lines.concat(renderSampleAnswersMarkdown_(answers));
+        break;
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Converts a single form response into a plain object keyed by item ID.
+ *
+ * @param {FormApp.FormResponse} response - The response to convert
+ * @param {boolean} includeEmail - Whether to include the respondent email
+ * @return {Object} Object with id, timestamp (ISO 8601), optional respondentEmail, and answers
+ * @private
+ */
+function responseToObject_(response, includeEmail) {
+  var data = {
+    id: response.getId(),
+    timestamp: response.getTimestamp().toISOString()
+  };
+
+  if (includeEmail) {
+    data.respondentEmail = response.getRespondentEmail();
+  }
+
+  data.answers = {};
+  response.getItemResponses().forEach(function(itemResponse) {
+    data.answers[itemResponse.getItem().getId()] = itemResponse.getResponse();
+  });
+
+  return data;
+}
+
+/**
+ * Counts how often each choice was picked, including answers given through "Other".
+ *
+ * @param {Object} question - Question as produced by itemToObject
+ * @param {Array} answers - Non-empty answers (strings, or string arrays for checkboxes)
+ * @return {string[]} Markdown table lines
+ * @private
+ */
+function renderChoiceCountsMarkdown_(question, answers) {
+  var counts = {};
+  var choices = (question.choices || []).slice();
+  choices.forEach(function(choice) {
+    counts[choice] = 0;
+  });
+
+  var otherCount = 0;
+  answers.forEach(function(answer) {
+    [].concat(answer).forEach(function(value) {
+      if (counts.hasOwnProperty(value)) {
+        counts[value] += 1;
+      } else {
+        otherCount += 1;
+      }
+    });
+  });
+
+  var lines = ["| Choice | Count | Share |", "|---|---|---|"];
+  choices.forEach(function(choice) {
+    lines.push("| " + convertToMarkdown(choice) + " | " + counts[choice] + " | " + formatShare_(counts[choice], answers.length) + " |");
+  });
+  if (otherCount) {
+    lines.push("| _Other_ | " + otherCount + " | " + formatShare_(otherCount, answers.length) + " |");
+  }
+  return lines;
+}
+
+/**
+ * Renders a text histogram for numeric answers between the question's bounds.
+ *
+ * @param {Object} question - SCALE or RATING question as produced by itemToObject
+ * @param {string[]} answers - Non-empty answers
+ * @return {string[]} Markdown lines inside a code block
+ * @private
+ */
+function renderHistogramMarkdown_(question, answers) {
+  var lower = question.type === "RATING" ? 1 : question.lowerBound;
+  var upper = question.type === "RATING" ? question.ratingScaleLevel : question.upperBound;
+
+  var counts = {};
+  var max = 0;
+  for (var value = lower; value <= upper; value++) {
+    counts[value] = 0;
+  }
+  answers.forEach(function(answer) {
+    var n = parseInt(answer, 10);
+    if (counts.hasOwnProperty(n)) {
+      counts[n] += 1;
+      max = Math.max(max, counts[n]);
+    }
+  });
+
+  var lines = ["```"];
+  for (value = lower; value <= upper; value++) {
+    var bar = max ? new Array(Math.round(counts[value] / max * 20) + 1).join("█") : "";
+    lines.push((value + "  ").slice(0, 3) + "| " + bar + " " + counts[value]);
+  }
+  lines.push("```");
+  return lines;
+}
+
+/**
+ * Lists the first few answers of a free-form question.
+ *
+ * @param {Array} answers - Non-empty answers
+ * @return {string[]} Markdown list lines, or a note when there are no answers
+ * @private
+ */
+function renderSampleAnswersMarkdown_(answers) {
+  if (!answers.length) return ["_No answers_"];
+
+  var lines = answers.slice(0, RESPONSE_SAMPLE_SIZE).map(function(answer) {
+    return "- " + formatAnswerText_(answer).replace(/\n/g, " ");
+  });
+  if (answers.length > RESPONSE_SAMPLE_SIZE) {
+    lines.push("- _… and " + (answers.length - RESPONSE_SAMPLE_SIZE) + " more_");
+  }
+  return lines;
+}
+
+/**
+ * Flattens an answer into text. Checkbox answers are string arrays and
+ * checkbox grid answers are arrays of string arrays (one per row).
+ *
+ * @param {string|Array|undefined} answer - Answer as returned by ItemResponse.getResponse()
+ * @return {string} Answer as a single line of text
+ * @private
+ */
+function formatAnswerText_(answer) {
+  if (answer === undefined || answer === null) return "";
+  if (!Array.isArray(answer)) return String(answer);
+  return answer.map(function(part) {
+    return Array.isArray(part) ? part.join(", ") : (part === null ? "" : String(part));
+  }).join("; ");
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote, or line break.
+ *
+ * @param {*} value - Field value
+ * @return {string} CSV-safe field
+ * @private
+ */
+function escapeCsvField_(value) {
+  var text = value === undefined || value === null ? "" : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return "\"" + text.replace(/"/g, "\"\"") + "\"";
+  }
+  return text;
+}
+
+/**
+ * Formats a count as a percentage of the total.
+ *
+ * @param {number} count - Number of matching answers
+ * @param {number} total - Number of answers to the question
+ * @return {string} Percentage rounded to whole numbers (e.g., "42%")
+ * @private
+ */
+function formatShare_(count, total) {
+  return total ? Math.round(count / total * 100) + "%" : "0%";
+}
+
+/**
+ * Describes the date range of a responses export for the summary subtitle.
+ * Dates are shown in the script time zone, which the ISO dates of the range are not in.
+ *
+ * @param {Object} range - Range object with ISO startDate and endDate (either may be null)
+ * @return {string} Text such as " from 2025-01-01 to 2025-02-01", or empty string for all responses
+ * @private
+ */
+function describeResponseRange_(range) {
+  var tz = Session.getScriptTimeZone();
+  var text = "";
+  if (range.startDate) text += " from " + Utilities.formatDate(new Date(range.startDate), tz, "yyyy-MM-dd");
+  if (range.endDate) text += " to " + Utilities.formatDate(new Date(range.endDate), tz, "yyyy-MM-dd");
+  return text;
+}
@@ -0,0 +1,444 @@
+/**
+ * Version of the JSON export format written by exportFormToJson.
+ * Exports without a schemaVersion field are version 1.
+ *
+ * Version history:
+ *   1 - Unversioned exports. Every item carries points (0 outside quizzes) and metadata repeats the item count.
+ *       The first of them have no metadata.isQuiz and no rows, date, or rating fields on grid, date, and rating items.
+ *   2 - Adds schemaVersion. points only appears on gradable items of quizzes; the item count is only kept at the root.
+ *   3 - Images are written as image ({name, contentType} with base64Data or file) instead of imageBlob, whose
+ *       dataAsString corrupted binary data. Images and videos carry their width, videos their videoUrl.
+ *       Exports upgraded from version 2 have image and videoUrl set to null.
+ *   4 - metadata records editUrl, summaryUrl and the response settings, which version 2 and 3 exports could carry
+ *       although their schema did not allow them. A setting the account cannot read is null.
+ */
+var EXPORT_SCHEMA_VERSION = 4;
+
+/**
+ * Item types that can carry quiz points, correct answers, and feedback.
+ */
+var GRADED_ITEM_TYPES = [
+  "TEXT", "PARAGRAPH_TEXT", "MULTIPLE_CHOICE", "CHECKBOX", "LIST", "SCALE",
+  "DATE", "DATETIME", "TIME", "DURATION"
+];
+
+/**
+ * JSON Schema (draft-07) of the current export format.
+ * The published copy in schema/form-export.schema.json must match this object.
+ */
+var EXPORT_JSON_SCHEMA = {
+  "$schema": "http://json-schema.org/draft-07/schema#",
+  "title": "Google Form export",
+  "description": "A Google Form exported by exportFormToJson.",
+  "type": "object",
+  "required": ["schemaVersion", "metadata", "items", "count"],
+  "additionalProperties": false,
+  "properties": {
+    "schemaVersion": { "const": 4 },
+    "metadata": { "$ref": "#/definitions/metadata" },
+    "items": { "type": "array", "items": { "$ref": "#/definitions/item" } },
+    "count": { "type": "integer", "minimum": 0, "description": "Number of items" }
+  },
+  "definitions": {
+    "metadata": {
+      "type": "object",
+      "required": ["title", "id", "description", "publishedUrl", "editorEmails", "isQuiz", "confirmationMessage", "customClosedFormMessage"],
+      "additionalProperties": false,
+      "properties": {
+        "title": { "type": "string" },
+        "id": { "type": "string" },
+        "description": { "type": "string" },
+        "publishedUrl": { "type": "string" },
+        "editUrl": { "type": "string" },
+        "summaryUrl": { "type": "string" },
+        "editorEmails": { "type": "array", "items": { "type": "string" } },
+        "isQuiz": { "type": "boolean" },
+        "confirmationMessage": { "type": "string" },
+        "customClosedFormMessage": { "type": "string" },
+        "settings": { "$ref": "#/definitions/settings" }
+      }
+    },
+    "settings": {
+      "type": "object",
+      "description": "Response settings, missing in exports made before they were recorded. A setting the account cannot read is null",
+      "required": [
+        "acceptingResponses", "collectsEmail", "requiresLogin", "limitOneResponsePerUser", "allowResponseEdits",
+        "showProgressBar", "showLinkToRespondAgain", "publishingSummary", "shuffleQuestions", "responseDestination"
+      ],
+      "additionalProperties": false,
+      "properties": {
+        "acceptingResponses": { "type": ["boolean", "null"] },
+        "collectsEmail": { "type": ["boolean", "null"] },
+        "requiresLogin": { "type": ["boolean", "null"], "description": "null when the account cannot read it (outside Google Workspace)" },
+        "limitOneResponsePerUser": { "type": ["boolean", "null"] },
+        "allowResponseEdits": { "type": ["boolean", "null"] },
+        "showProgressBar": { "type": ["boolean", "null"] },
+        "showLinkToRespondAgain": { "type": ["boolean", "null"] },
+        "publishingSummary": { "type": ["boolean", "null"] },
+        "shuffleQuestions": { "type": ["boolean", "null"] },
+        "responseDestination": {
+          "type": ["object", "null"],
+          "description": "Linked response spreadsheet, null when responses are only kept in the form",
+          "required": ["type", "id"],
+          "additionalProperties": false,
+          "properties": {
+            "type": { "enum": ["SPREADSHEET"] },
+            "id": { "type": "string" }
+          }
+        }
+      }
+    },
+    "item": {
+      "type": "object",
+      "required": ["type", "title", "helpText", "id", "index", "isRequired"],
+      "additionalProperties": false,
+      "properties": {
+        "type": {
+          "enum": [
+            "CHECKBOX", "CHECKBOX_GRID", "DATE", "DATETIME", "DURATION", "FILE_UPLOAD", "GRID", "IMAGE",
+            "LIST", "MULTIPLE_CHOICE", "PAGE_BREAK", "PARAGRAPH_TEXT", "RATING", "SCALE", "SECTION_HEADER",
+            "TEXT", "TIME", "VIDEO"
+          ]
+        },
+        "title": { "type": "string" },
+        "helpText": { "type": "string" },
+        "id": { "type": "integer" },
+        "index": { "type": "integer", "minimum": 0 },
+        "isRequired": { "type": "boolean" },
+        "choices": { "type": "array", "items": { "type": "string" } },
+        "hasOtherOption": { "type": "boolean" },
+        "choiceNavigation": { "type": "array", "items": { "$ref": "#/definitions/navigation" } },
+        "lowerBound": { "type": "integer" },
+        "upperBound": { "type": "integer" },
+        "leftLabel": { "type": "string" },
+        "rightLabel": { "type": "string" },
+        "rows": { "type": "array", "items": { "type": "string" } },
+        "columns": { "type": "array", "items": { "type": "string" } },
+        "includesYear": { "type": "boolean" },
+        "includesTime": { "type": "boolean" },
+        "ratingScaleLevel": { "type": "integer", "minimum": 1 },
+        "ratingIcon": { "enum": ["STAR", "HEART", "THUMB_UP"] },
+        "alignment": { "enum": ["LEFT", "CENTER", "RIGHT"] },
+        "width": { "type": "integer", "minimum": 0, "description": "Width in pixels of images and videos" },
+        "image": {
+          "type": ["object", "null"],
+          "description": "Embedded as base64Data, or saved next to the export as file; null in exports upgraded from version 2",
+          "required": ["name", "contentType"],
+          "additionalProperties": false,
+          "properties": {
+            "name": { "type": ["string", "null"] },
+            "contentType": { "type": "string" },
+            "base64Data": { "type": "string" },
+            "file": { "type": "string" }
+          }
+        },
+        "videoUrl": { "type": ["string", "null"], "description": "null when the URL was not looked up with the Forms API" },
+        "pageNavigationType": { "$ref": "#/definitions/navigationType" },
+        "goToPageId": { "type": "integer" },
+        "points": { "type": "integer", "minimum": 0, "description": "Only on gradable items of quizzes" },
+        "correctAnswers": { "type": "array", "items": { "type": "string" } },
+        "feedback": {
+          "type": "object",
+          "additionalProperties": false,
+          "properties": {
+            "general": { "$ref": "#/definitions/feedback" },
+            "correct": { "$ref": "#/definitions/feedback" },
+            "incorrect": { "$ref": "#/definitions/feedback" }
+          }
+        }
+      },
+      "allOf": [
+        {
+          "if": { "properties": { "type": { "enum": ["MULTIPLE_CHOICE", "CHECKBOX", "LIST"] } } },
+          "then": { "required": ["choices", "hasOtherOption"] }
+        },
+        {
+          "if": { "properties": { "type": { "const": "SCALE" } } },
+          "then": { "required": ["lowerBound", "upperBound", "leftLabel", "rightLabel"] }
+        },
+        {
+          "if": { "properties": { "type": { "enum": ["GRID", "CHECKBOX_GRID"] } } },
+          "then": { "required": ["rows", "columns"] }
+        },
+        {
+          "if": { "properties": { "type": { "enum": ["DATE", "DATETIME"] } } },
+          "then": { "required": ["includesYear", "includesTime"] }
+        },
+        {
+          "if": { "properties": { "type": { "const": "RATING" } } },
+          "then": { "required": ["ratingScaleLevel", "ratingIcon"] }
+        },
+        {
+          "if": { "properties": { "type": { "const": "IMAGE" } } },
+          "then": { "required": ["alignment", "image"] }
+        },
+        {
+          "if": { "properties": { "type": { "const": "VIDEO" } } },
+          "then": { "required": ["alignment", "videoUrl"] }
+        },
+        {
+          "if": { "properties": { "type": { "const": "PAGE_BREAK" } } },
+          "then": { "required": ["pageNavigationType"] }
+        }
+      ]
+    },
+    "navigationType": { "enum": ["CONTINUE", "GO_TO_PAGE", "RESTART", "SUBMIT"] },
+    "navigation": {
+      "type": "object",
+      "required": ["type"],
+      "additionalProperties": false,
+      "properties": {
+        "type": { "$ref": "#/definitions/navigationType" },
+        "goToPageId": { "type": "integer" }
+      }
+    },
+    "feedback": {
+      "type": ["object", "null"],
+      "required": ["text", "linkUrls"],
+      "additionalProperties": false,
+      "properties": {
+        "text": { "type": "string" },
+        "linkUrls": { "type": "array", "items": { "type": "string" } }
+      }
+    }
+  }
+};
+
+/**
+ * Upgrades from each older version to the next one, keyed by the version they upgrade from.
+ * Each upgrade receives a copy it may change in place.
+ */
+var EXPORT_UPGRADES = {
+  1: function(exportJson) {
+    var metadata = exportJson.metadata || {};
+    var items = exportJson.items || [];
+
+    delete metadata.count;
+    if (typeof exportJson.count !== "number") {
+      exportJson.count = items.length;
+    }
+
+    // The first exports did not record isQuiz; only quizzes have items worth points
+    if (typeof metadata.isQuiz !== "boolean") {
+      metadata.isQuiz = items.some(function(item) {
+        return item.points > 0;
+      });
+    }
+
+    // Version 1 wrote points: 0 on every item, graded or not
+    items.forEach(function(item) {
+      if (!metadata.isQuiz || GRADED_ITEM_TYPES.indexOf(item.type) === -1) {
+        delete item.points;
+      }
+      upgradeVersion1ItemFields_(item);
+    });
+
+    return {
+      schemaVersion: 2,
+      metadata: metadata,
+      items: items,
+      count: exportJson.count
+    };
+  },
+  2: function(exportJson) {
+    (exportJson.items || []).forEach(function(item) {
+      // Version 2 read images as text, which does not survive binary image data
+      if (item.type === "IMAGE") {
+        delete item.imageBlob;
+        item.image = null;
+      }
+      if (item.type === "VIDEO") {
+        item.videoUrl = null;
+      }
+    });
+    exportJson.schemaVersion = 3;
+    return exportJson;
+  },
+  3: function(exportJson) {
+    // Version 4 only adds fields to the schema that the exporter already wrote
+    exportJson.schemaVersion = 4;
+    return exportJson;
+  }
+};
+
+/**
+ * Fills in the type-specific fields that the first exports did not record for grid, date, and rating items,
+ * with the values the importer and Google Forms use when they are missing.
+ *
+ * @param {Object} item - Version 1 item; changed in place
+ * @return {void}
+ * @private
+ */
+function upgradeVersion1ItemFields_(item) {
+  switch (item.type) {
+    case "GRID":
+    case "CHECKBOX_GRID":
+      if (!Array.isArray(item.rows)) item.rows = [];
+      if (!Array.isArray(item.columns)) item.columns = [];
+      break;
+    case "DATE":
+    case "DATETIME":
+      if (typeof item.includesYear !== "boolean") item.includesYear = true;
+      if (typeof item.includesTime !== "boolean") item.includesTime = item.type === "DATETIME";
+      break;
+    case "RATING":
+      if (typeof item.ratingScaleLevel !== "number") item.ratingScaleLevel = 5;
+      if (typeof item.ratingIcon !== "string") item.ratingIcon = "STAR";
+      break;
+  }
+}
+
+/**
+ * Returns the schema version of an export. Exports without a schemaVersion field are version 1.
+ *
+ * @param {Object} exportJson - Parsed export
+ * @return {number} Schema version
+ */
+function getExportSchemaVersion(exportJson) {
+  return exportJson && exportJson.schemaVersion !== undefined ? exportJson.schemaVersion : 1;
+}
+
+/**
+ * Converts an export of any earlier schema version to the current shape.
+ * The input is not modified. Exports already at the current version are returned as a copy.
+ *
+ * @param {Object|string} exportJson - Parsed export or its JSON string
+ * @return {Object} Export at EXPORT_SCHEMA_VERSION
+ * @throws {Error} If the export is not an object or was written by a newer version of the exporter
+ */
+function upgradeExport(exportJson) {
+  var data = typeof exportJson === "string" ? JSON.parse(exportJson) : JSON.parse(JSON.stringify(exportJson));
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Export must be a JSON object");
+  }
+
+  var version = getExportSchemaVersion(data);
+  if (typeof version !== "number" || version < 1 || Math.floor(version) !== version) {
+    throw new Error("Unknown export schema version: " + JSON.stringify(version));
+  }
+  if (version > EXPORT_SCHEMA_VERSION) {
+    throw new Error("Export schema version " + version + " is newer than the supported version " + EXPORT_SCHEMA_VERSION);
+  }
+
+  while (version < EXPORT_SCHEMA_VERSION) {
+    data = EXPORT_UPGRADES[version](data);
+    version += 1;
+  }
+
+  return data;
+}
+
+/**
+ * Checks an export against EXPORT_JSON_SCHEMA, plus the rule that count matches the number of items.
+ * Older exports fail validation; run them through upgradeExport first.
+ *
+ * @param {Object} exportJson - Parsed export
+ * @return {Object} Result with valid (boolean) and errors [{path, message}]
+ */
+function validateExport(exportJson) {
+  var errors = [];
+  validateAgainstSchema_(exportJson, EXPORT_JSON_SCHEMA, "$", errors);
+
+  if (exportJson && Array.isArray(exportJson.items) && typeof exportJson.count === "number" &&
+      exportJson.count !== exportJson.items.length) {
+    errors.push({ path: "$.count", message: "must equal the number of items (" + exportJson.items.length + ")" });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by EXPORT_JSON_SCHEMA:
+ * $ref (local definitions), type, const, enum, minimum, required, properties,
+ * additionalProperties (boolean), items, and allOf with if/then.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema the value must match
+ * @param {string} path - Path of the value, for error messages (e.g., "$.items[2].title")
+ * @param {Object[]} errors - Errors found so far; new errors are appended
+ * @return {void}
+ * @private
+ */
+function validateAgainstSchema_(value, schema, path, errors) {
+  if (schema.$ref) {
+    var name = schema.$ref.replace(/^#\/definitions\//, "");
+    validateAgainstSchema_(value, EXPORT_JSON_SCHEMA.definitions[name], path, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    var actual = jsonSchemaTypeOf_(value);
+    var matches = types.some(function(type) {
+      return type === actual || (type === "number" && actual === "integer");
+    });
+    if (!matches) {
+      errors.push({ path: path, message: "must be " + types.join(" or ") + ", got " + actual });
+      return;
+    }
+  }
+
+  if (schema.hasOwnProperty("const") && value !== schema["const"]) {
+    errors.push({ path: path, message: "must be " + JSON.stringify(schema["const"]) });
+  }
+
+  if (schema["enum"] && schema["enum"].indexOf(value) === -1) {
+    errors.push({ path: path, message: "must be one of " + schema["enum"].join(", ") + ", got " + JSON.stringify(value) });
+  }
+
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path: path, message: "must be at least " + schema.minimum });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach(function(entry, i) {
+      validateAgainstSchema_(entry, schema.items, path + "[" + i + "]", errors);
+    });
+  }
+
+  if (jsonSchemaTypeOf_(value) === "object") {
+    (schema.required || []).forEach(function(key) {
+      if (!value.hasOwnProperty(key)) {
+        errors.push({ path: path, message: "is missing required field \"" + key + "\"" });
+      }
+    });
+
+    var properties = schema.properties || {};
+    Object.keys(value).forEach(function(key) {
+      if (properties.hasOwnProperty(key)) {
+        validateAgainstSchema_(value[key], properties[key], path + "." + key, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: path + "." + key, message: "is not part of the export schema" });
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(function(part) {
+    if (part["if"]) {
+      var conditionErrors = [];
+      validateAgainstSchema_(value, part["if"], path, conditionErrors);
+      if (conditionErrors.length === 0 && part.then) {
+        validateAgainstSchema_(value, part.then, path, errors);
+      }
+    } else {
+      validateAgainstSchema_(value, part, path, errors);
+    }
+  });
+}
+
+/**
+ * Returns the JSON Schema type name of a value.
+ *
+ * @param {*} value - Value to inspect
+ * @return {string} One of "null", "array", "integer", "number", "string", "boolean", "object", or "undefined"
+ * @private
+ */
+function jsonSchemaTypeOf_(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Math.floor(value) === value ? "integer" : "number";
+  return typeof value;
+}
@@ -0,0 +1,304 @@
+/**
+ * Checks a Google Form for structural problems that respondents would otherwise discover:
+ * unreachable sections, sections that can never lead to submitting, navigation cycles,
+ * navigation targets that no longer exist, untitled questions, and empty or duplicate choices.
+ *
+ * @param {string} formId - Google Form ID to check
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {Object} Report with form info, issues [{severity, rule, message, section, index, itemId}], errorCount, and warningCount
+ */
+function lintForm(formId, optionalForm, optionalItems) {
+  var form = optionalForm || FormApp.openById(formId);
+  var items = optionalItems || form.getItems();
+
+  var issues = [];
+  lintItems_(items, buildNavigationSectionMap(items), issues);
+  lintSectionGraph_(buildSectionGraph(form, items), issues);
+
+  var errorCount = issues.filter(function(issue) {
+    return issue.severity === "error";
+  }).length;
+
+  return {
+    form: {
+      id: form.getId(),
+      title: form.getTitle()
+    },
+    issues: issues,
+    errorCount: errorCount,
+    warningCount: issues.length - errorCount
+  };
+}
+
+/**
+ * Renders a lint report as a Markdown summary, errors first.
+ *
+ * @param {Object} report - Report produced by lintForm
+ * @return {string} Markdown summary
+ */
+function lintReportToMarkdown(report) {
+  var lines = [];
+  lines.push("# Form check: " + report.form.title);
+  lines.push("");
+
+  if (!report.issues.length) {
+    lines.push("No problems found.");
+    return lines.join("\n");
+  }
+
+  lines.push("_" + report.errorCount + (report.errorCount === 1 ? " error" : " errors") + ", " +
+    report.warningCount + (report.warningCount === 1 ? " warning" : " warnings") + "_");
+
+  [["error", "Errors"], ["warning", "Warnings"]].forEach(function(group) {
+    var matching = report.issues.filter(function(issue) {
+      return issue.severity === group[0];
+    });
+    if (!matching.length) return;
+
+    lines.push("");
+    lines.push("## " + group[1]);
+    lines.push("");
+    matching.forEach(function(issue) {
+      var where = issue.index === null ? "Section " + issue.section : "Section " + issue.section + ", item " + issue.index;
+      lines.push("- **" + issue.rule + "** (" + where + "): " + issue.message);
+    });
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Checks individual items: titles, choice lists, and navigation targets.
+ *
+ * @param {FormApp.Item[]} items - All form items
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @param {Object[]} issues - Issue list that findings are appended to
+ * @return {void}
+ * @private
+ */
+function lintItems_(items, sectionMap, issues) {
+  var existingIds = {};
+  items.forEach(function(item) {
+    existingIds[item.getId()] = true;
+  });
+
+  var section = 1;
+  items.forEach(function(item, index) {
+    var type = item.getType();
+
+    if (type === FormApp.ItemType.PAGE_BREAK) {
+      var pageBreak = item.asPageBreakItem();
+      if (pageBreak.getPageNavigationType() === FormApp.PageNavigationType.GO_TO_PAGE && !navigationTargetExists_(pageBreak.getGoToPage(), existingIds)) {
+        issues.push(lintIssue_("error", "missing-navigation-target", "Section " + section + " jumps to a section that no longer exists", section, index, item));
+      }
+      section = sectionMap[index].number;
+      return;
+    }
+
+    // Layout items may legitimately be untitled; questions are skipped by the Markdown export
+    var isLayout = type === FormApp.ItemType.IMAGE || type === FormApp.ItemType.VIDEO;
+    if (!item.getTitle() && !isLayout) {
+      issues.push(lintIssue_("warning", "untitled-item", type.toString() + " item has no title and is left out of the Markdown export", section, index, item));
+    }
+
+    if (type === FormApp.ItemType.MULTIPLE_CHOICE || type === FormApp.ItemType.CHECKBOX || type === FormApp.ItemType.LIST) {
+      var typedItem = item[snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM")]();
+      lintChoices_(typedItem, type, existingIds, section, index, item, issues);
+    }
+  });
+}
+
+/**
+ * Checks the choices of a choice item for emptiness, duplicates, and broken navigation.
+ *
+ * @param {FormApp.Item} typedItem - The downcast choice item
+ * @param {FormApp.ItemType} type - The type of the item
+ * @param {Object} existingIds - Set of item IDs present in the form
+ * @param {number} section - Section number the item belongs to
+ * @param {number} index - Index of the item in the form
+ * @param {FormApp.Item} item - The item, for issue details
+ * @param {Object[]} issues - Issue list that findings are appended to
+ * @return {void}
+ * @private
+ */
+function lintChoices_(typedItem, type, existingIds, section, index, item, issues) {
+  var choices = typedItem.getChoices();
+  if (!choices.length) {
+    issues.push(lintIssue_("error", "empty-choices", "\"" + item.getTitle() + "\" has no choices", section, index, item));
+    return;
+  }
+
+  var seen = {};
+  choices.forEach(function(choice) {
+    var value = choice.getValue();
+    if (seen[value]) {
+      issues.push(lintIssue_("error", "duplicate-choice", "\"" + item.getTitle() + "\" lists the choice \"" + value + "\" more than once", section, index, item));
+    }
+    seen[value] = true;
+
+    // Checkbox choices cannot branch
+    if (type === FormApp.ItemType.CHECKBOX) return;
+    if (choice.getPageNavigationType() === FormApp.PageNavigationType.GO_TO_PAGE && !navigationTargetExists_(choice.getGotoPage(), existingIds)) {
+      issues.push(lintIssue_("error", "missing-navigation-target", "Choice \"" + value + "\" of \"" + item.getTitle() + "\" jumps to a section that no longer exists", section, index, item));
+    }
+  });
+}
+
+/**
+ * Checks the section graph for unreachable sections, sections that cannot lead to submitting,
+ * and cycles. Cycles that still have a way out are warnings, because they may be intentional
+ * (for example, going back to review answers).
+ *
+ * @param {Object} graph - Graph produced by buildSectionGraph
+ * @param {Object[]} issues - Issue list that findings are appended to
+ * @return {void}
+ * @private
+ */
+function lintSectionGraph_(graph, issues) {
+  var outgoing = {};
+  var incoming = { SUBMIT: [] };
+  graph.sections.forEach(function(section) {
+    outgoing[section.number] = [];
+    incoming[section.number] = [];
+  });
+  graph.edges.forEach(function(edge) {
+    outgoing[edge.from].push(edge.to);
+    incoming[edge.to].push(edge.from);
+  });
+
+  var reachable = collectReachable_(1, outgoing);
+  var canSubmit = collectReachable_("SUBMIT", incoming);
+
+  graph.sections.forEach(function(section) {
+    if (!reachable[section.number]) {
+      issues.push(lintIssue_("error", "unreachable-section", "Section \"" + section.title + "\" cannot be reached from the start of the form", section.number, null, null));
+    } else if (!canSubmit[section.number]) {
+      issues.push(lintIssue_("error", "dead-end", "Respondents who reach section \"" + section.title + "\" can never submit the form", section.number, null, null));
+    }
+  });
+
+  findSectionCycles_(graph.sections, outgoing).forEach(function(cycle) {
+    var trapped = cycle.every(function(number) {
+      return !canSubmit[number];
+    });
+    // Trapping cycles are already reported as dead ends
+    if (trapped) return;
+    issues.push(lintIssue_("warning", "navigation-cycle", "Sections " + cycle.join(", ") + " can lead back to each other", cycle[0], null, null));
+  });
+}
+
+/**
+ * Collects every node reachable from a start node by following an adjacency list.
+ *
+ * @param {number|string} start - Start node
+ * @param {Object} adjacency - Lists of neighbour nodes keyed by node
+ * @return {Object} Set of reachable nodes (keys map to true), including the start node
+ * @private
+ */
+function collectReachable_(start, adjacency) {
+  var visited = {};
+  var queue = [start];
+  visited[start] = true;
+
+  while (queue.length) {
+    var node = queue.shift();
+    (adjacency[node] || []).forEach(function(next) {
+      if (!visited[next]) {
+        visited[next] = true;
+        queue.push(next);
+      }
+    });
+  }
+
+  return visited;
+}
+
+/**
+ * Finds navigation cycles as strongly connected components (Tarjan's algorithm).
+ * A single section only counts as a cycle when it links to itself.
+ *
+ * @param {Object[]} sections - Sections of the graph
+ * @param {Object} outgoing - Lists of target nodes keyed by section number
+ * @return {number[][]} Section numbers of each cycle, sorted ascending
+ * @private
+ */
+function findSectionCycles_(sections, outgoing) {
+  var indexOf = {};
+  var lowLink = {};
+  var onStack = {};
+  var stack = [];
+  var counter = 0;
+  var cycles = [];
+
+  function visit(node) {
+    indexOf[node] = lowLink[node] = counter++;
+    stack.push(node);
+    onStack[node] = true;
+
+    outgoing[node].forEach(function(next) {
+      if (next === "SUBMIT") return;
+      if (indexOf[next] === undefined) {
+        visit(next);
+        lowLink[node] = Math.min(lowLink[node], lowLink[next]);
+      } else if (onStack[next]) {
+        lowLink[node] = Math.min(lowLink[node], indexOf[next]);
+      }
+    });
+
+    if (lowLink[node] !== indexOf[node]) return;
+
+    var component = [];
+    var member;
+    do {
+      member = stack.pop();
+      onStack[member] = false;
+      component.push(member);
+    } while (member !== node);
+
+    if (component.length > 1 || outgoing[node].indexOf(node) !== -1) {
+      cycles.push(component.sort(function(a, b) { return a - b; }));
+    }
+  }
+
+  sections.forEach(function(section) {
+    if (indexOf[section.number] === undefined) visit(section.number);
+  });
+
+  return cycles;
+}
+
+/**
+ * Checks whether a navigation target page break is still part of the form.
+ *
+ * @param {FormApp.PageBreakItem} target - Target page break, or null
+ * @param {Object} existingIds - Set of item IDs present in the form
+ * @return {boolean} True if the target exists
+ * @private
+ */
+function navigationTargetExists_(target, existingIds) {
+  return !!target && !!existingIds[target.getId()];
+}
+
+/**
+ * Builds an issue entry for the lint report.
+ *
+ * @param {string} severity - "error" or "warning"
+ * @param {string} rule - Short rule identifier (e.g., "unreachable-section")
+ * @param {string} message - Human-readable description
+ * @param {number} section - Section number the issue belongs to
+ * @param {number|null} index - Item index, or null for section-level issues
+ * @param {FormApp.Item|null} item - The affected item, or null for section-level issues
+ * @return {Object} Issue with severity, rule, message, section, index, and itemId
+ * @private
+ */
+function lintIssue_(severity, rule, message, section, index, item) {
+  return {
+    severity: severity,
+    rule: rule,
+    message: message,
+    section: section,
+    index: index,
+    itemId: item ? item.getId() : null
+  };
+}
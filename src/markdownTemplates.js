@@ -0,0 +1,137 @@
+/**
+ * Largest number of partials that may include each other, which stops templates that include themselves.
+ */
+var TEMPLATE_MAX_DEPTH = 20;
+
+/**
+ * Renders a Mustache-style template. Supported tags:
+ * {{name}} and {{a.b}} insert a value ({{.}} is the current value), {{#name}}...{{/name}} repeats its
+ * content for each entry of a list or renders it once for any other value that is set,
+ * {{^name}}...{{/name}} renders its content when the value is unset, false or an empty list,
+ * {{> name}} includes another template from partials, and {{! text}} is a comment.
+ * Values are inserted as they are, without HTML escaping, since the output is Markdown.
+ * A line that only holds a section, comment or partial tag leaves no empty line behind.
+ *
+ * @param {string} template - Template text
+ * @param {Object} view - Values the template refers to
+ * @param {Object} [optionalPartials] - Templates that {{> name}} includes, keyed by name
+ * @return {string} Rendered text
+ * @throws {Error} If a section is not closed, or a partial is unknown or includes itself too deeply
+ */
+function renderTemplate(template, view, optionalPartials) {
+  return renderTemplateTokens_(parseTemplate_(template), [view], optionalPartials || {}, 0);
+}
+
+/**
+ * Parses a template into a tree of tokens: strings, {type, name} for values and partials,
+ * and {type, name, children} for sections.
+ *
+ * @param {string} template - Template text
+ * @return {Array} Tokens
+ * @throws {Error} If a section is not closed, or closed without being opened
+ * @private
+ */
+function parseTemplate_(template) {
+  // Lines that only hold a section, comment or partial tag are reduced to the tag
+  var lines = template.split("\n");
+  var text = lines.map(function(line, index) {
+    var standalone = /^\s*(\{\{[#^\/!>][^}]*\}\})\s*$/.exec(line);
+    if (standalone) return standalone[1];
+    return line + (index < lines.length - 1 ? "\n" : "");
+  }).join("");
+
+  var root = { name: null, children: [] };
+  var stack = [root];
+  var tagPattern = /\{\{([#^\/!>]?)\s*([^}]*?)\s*\}\}/g;
+  var last = 0;
+  var match;
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    var current = stack[stack.length - 1];
+    if (match.index > last) current.children.push(text.substring(last, match.index));
+    last = tagPattern.lastIndex;
+
+    var kind = match[1];
+    var name = match[2];
+    if (kind === "!") continue;
+    if (kind === "#" || kind === "^") {
+      var section = { type: kind === "#" ? "section" : "inverted", name: name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (current.name !== name) {
+        throw new Error("Template closes {{/" + name + "}}" + (current.name ? " before {{/" + current.name + "}}" : " without opening it"));
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: kind === ">" ? "partial" : "value", name: name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error("Template section {{#" + stack[stack.length - 1].name + "}} is not closed");
+  }
+  if (last < text.length) root.children.push(text.substring(last));
+  return root.children;
+}
+
+/**
+ * Renders parsed template tokens.
+ *
+ * @param {Array} tokens - Tokens from parseTemplate_
+ * @param {Object[]} contexts - Values in scope, innermost last
+ * @param {Object} partials - Templates that {{> name}} includes
+ * @param {number} depth - Number of partials this render is nested in
+ * @return {string} Rendered text
+ * @private
+ */
+function renderTemplateTokens_(tokens, contexts, partials, depth) {
+  return tokens.map(function(token) {
+    if (typeof token === "string") return token;
+
+    if (token.type === "partial") {
+      if (!partials.hasOwnProperty(token.name)) throw new Error("Unknown template partial \"" + token.name + "\"");
+      if (depth >= TEMPLATE_MAX_DEPTH) throw new Error("Template partial \"" + token.name + "\" is nested too deeply");
+      return renderTemplateTokens_(parseTemplate_(partials[token.name]), contexts, partials, depth + 1);
+    }
+
+    var value = lookUpTemplateValue_(token.name, contexts);
+    var isEmpty = value === undefined || value === null || value === false || value === "" ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (token.type === "value") {
+      return value === undefined || value === null ? "" : String(value);
+    }
+    if (token.type === "inverted") {
+      return isEmpty ? renderTemplateTokens_(token.children, contexts, partials, depth) : "";
+    }
+    if (isEmpty) return "";
+    var entries = Array.isArray(value) ? value : [value];
+    return entries.map(function(entry) {
+      return renderTemplateTokens_(token.children, contexts.concat([entry]), partials, depth);
+    }).join("");
+  }).join("");
+}
+
+/**
+ * Looks up a possibly dotted name in the values in scope, from the innermost outwards.
+ *
+ * @param {string} name - Name such as "title", "section.number" or "."
+ * @param {Object[]} contexts - Values in scope, innermost last
+ * @return {*} Value, or undefined when no scope has it
+ * @private
+ */
+function lookUpTemplateValue_(name, contexts) {
+  if (name === ".") return contexts[contexts.length - 1];
+
+  var parts = name.split(".");
+  for (var i = contexts.length - 1; i >= 0; i--) {
+    var context = contexts[i];
+    if (context !== null && typeof context === "object" && parts[0] in context) {
+      return parts.slice(1).reduce(function(value, part) {
+        return value === null || value === undefined ? undefined : value[part];
+      }, context[parts[0]]);
+    }
+  }
+  return undefined;
+}
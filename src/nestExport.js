@@ -0,0 +1,185 @@
+/**
+ * Longest slug produced by slugify. Longer titles are cut at a word boundary.
+ */
+var SLUG_MAX_LENGTH = 60;
+
+/**
+ * Exports a Google Form in the nested, section-based JSON layout.
+ * Supports optional pre-fetched data to optimize performance when exporting multiple formats.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {Object} Nested export (see nestExport)
+ */
+function exportFormToNestedJson(formId, optionalForm, optionalItems) {
+  return nestExport(exportFormToJson(formId, optionalForm, optionalItems));
+}
+
+/**
+ * Converts a flat JSON export into the nested layout, where each section holds its items
+ * and every section and item has a readable key derived from its title.
+ *
+ * Navigation refers to section keys instead of page break IDs:
+ * - Each section's navigation is what happens after its last item. Forms stores this on the
+ *   page break that follows the section; here it belongs to the section itself.
+ * - CONTINUE names the next section in goTo, and has no goTo after the last section (the form is submitted).
+ * - Choice navigation keeps CONTINUE without goTo, meaning the section's own navigation applies.
+ *
+ * Keys are unique within sections and within items. When two titles give the same slug, later
+ * ones get a numeric suffix in form order ("name", "name-2"). Untitled sections are keyed
+ * "section-<number>" and untitled items by their type (e.g., "image").
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson, of any schema version
+ * @return {Object} Object with schemaVersion, layout ("sections"), metadata, and sections [{key, id, title, helpText, navigation, items}]
+ */
+function nestExport(exportJson) {
+  var data = upgradeExport(exportJson);
+  var flatItems = (data.items || []).slice().sort(function(a, b) {
+    return a.index - b.index;
+  });
+
+  // Split the items at page breaks. The first section has no page break of its own.
+  var sections = [{ pageBreak: null, items: [] }];
+  flatItems.forEach(function(item) {
+    if (item.type === "PAGE_BREAK") {
+      sections.push({ pageBreak: item, items: [] });
+    } else {
+      sections[sections.length - 1].items.push(item);
+    }
+  });
+
+  var sectionKeys = {};
+  var keysByPageBreakId = {};
+  sections.forEach(function(section, i) {
+    var title = section.pageBreak ? section.pageBreak.title : "";
+    section.key = uniqueKey(slugify(title) || "section-" + (i + 1), sectionKeys);
+    if (section.pageBreak) {
+      keysByPageBreakId[section.pageBreak.id] = section.key;
+    }
+  });
+
+  var itemKeys = {};
+  return {
+    schemaVersion: data.schemaVersion,
+    layout: "sections",
+    metadata: data.metadata,
+    sections: sections.map(function(section, i) {
+      var next = sections[i + 1];
+      var closingBreak = next ? next.pageBreak : null;
+      var navigation = closingBreak
+        ? nestNavigation_(closingBreak.pageNavigationType, closingBreak.goToPageId, keysByPageBreakId, next.key, sections[0].key)
+        : { type: "CONTINUE" };
+
+      return {
+        key: section.key,
+        id: section.pageBreak ? section.pageBreak.id : null,
+        title: section.pageBreak ? section.pageBreak.title : "",
+        helpText: section.pageBreak ? section.pageBreak.helpText : "",
+        navigation: navigation,
+        items: section.items.map(function(item) {
+          var itemKey = uniqueKey(slugify(item.title) || item.type.toLowerCase().replace(/_/g, "-"), itemKeys);
+          return nestItem_(item, itemKey, keysByPageBreakId, sections[0].key);
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Turns a title into a lowercase, hyphen-separated key.
+ * Accents are removed, rich text tags are dropped, and long titles are cut at a word boundary.
+ *
+ * @param {string} text - Title to convert
+ * @return {string} Slug made of a-z, 0-9 and hyphens, or an empty string when nothing is left
+ */
+function slugify(text) {
+  var slug = String(text || "")
+    .replace(/<[^>]*>/g, " ")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (slug.length > SLUG_MAX_LENGTH) {
+    slug = slug.slice(0, SLUG_MAX_LENGTH + 1);
+    var lastBreak = slug.lastIndexOf("-");
+    slug = lastBreak > 0 ? slug.slice(0, lastBreak) : slug.slice(0, SLUG_MAX_LENGTH);
+  }
+
+  return slug;
+}
+
+/**
+ * Returns a key that is not taken yet and marks it as taken.
+ * Collisions get a numeric suffix, starting at 2 ("name", "name-2", "name-3").
+ *
+ * @param {string} base - Preferred key
+ * @param {Object} usedKeys - Keys already taken (keys map to true); updated in place
+ * @return {string} Unique key
+ */
+function uniqueKey(base, usedKeys) {
+  var candidate = base;
+  var counter = 1;
+  while (usedKeys.hasOwnProperty(candidate)) {
+    counter += 1;
+    candidate = base + "-" + counter;
+  }
+  usedKeys[candidate] = true;
+  return candidate;
+}
+
+/**
+ * Copies a flat export item into the nested layout: adds its key, drops the positional index,
+ * and resolves choice navigation targets to section keys.
+ *
+ * @param {Object} item - Item from the flat export
+ * @param {string} key - Unique key of the item
+ * @param {Object} keysByPageBreakId - Section keys keyed by the ID of the page break that starts the section
+ * @param {string} firstKey - Key of the first section, for RESTART
+ * @return {Object} Item in the nested layout
+ * @private
+ */
+function nestItem_(item, key, keysByPageBreakId, firstKey) {
+  var nested = { key: key };
+  Object.keys(item).forEach(function(field) {
+    if (field === "index") return;
+    nested[field] = item[field];
+  });
+
+  if (item.choiceNavigation) {
+    nested.choiceNavigation = item.choiceNavigation.map(function(navigation) {
+      // Choices that continue follow the section navigation, so they have no target of their own
+      if (navigation.type === "CONTINUE") return { type: "CONTINUE" };
+      return nestNavigation_(navigation.type, navigation.goToPageId, keysByPageBreakId, null, firstKey);
+    });
+  }
+
+  return nested;
+}
+
+/**
+ * Describes a navigation setting with section keys.
+ *
+ * @param {string} type - Navigation type (CONTINUE, GO_TO_PAGE, RESTART, or SUBMIT)
+ * @param {number} [goToPageId] - Target page break ID for GO_TO_PAGE
+ * @param {Object} keysByPageBreakId - Section keys keyed by page break ID
+ * @param {string} [nextKey] - Key of the section that follows, for CONTINUE
+ * @param {string} [firstKey] - Key of the first section, for RESTART
+ * @return {Object} Navigation as {type, goTo}; goTo is null when a GO_TO_PAGE target no longer exists
+ * @private
+ */
+function nestNavigation_(type, goToPageId, keysByPageBreakId, nextKey, firstKey) {
+  var navigation = { type: type };
+
+  if (type === "GO_TO_PAGE") {
+    navigation.goTo = keysByPageBreakId.hasOwnProperty(goToPageId) ? keysByPageBreakId[goToPageId] : null;
+  } else if (type === "CONTINUE" && nextKey) {
+    navigation.goTo = nextKey;
+  } else if (type === "RESTART" && firstKey) {
+    navigation.goTo = firstKey;
+  }
+
+  return navigation;
+}
@@ -0,0 +1,306 @@
+/**
+ * MIME types of exported files, keyed by file extension.
+ */
+var EXPORT_MIME_TYPES = {
+  json: "application/json",
+  md: "text/markdown",
+  html: "text/html",
+  csv: "text/csv",
+  mmd: "text/plain",
+  dot: "text/vnd.graphviz",
+  lss: "application/xml",
+  xlf: "application/xliff+xml",
+  po: "text/x-gettext-translation",
+  pot: "text/x-gettext-translation"
+};
+
+/**
+ * Places exported files can be saved to, keyed by the name used in OUTPUT_SINKS.
+ * Each sink saves one file and returns where it went, or null when it does not take the file.
+ */
+var OUTPUT_SINK_TYPES = {
+  drive: {
+    label: "Drive",
+    save: saveToDriveSink_
+  },
+  docs: {
+    label: "Google Docs",
+    save: saveToDocsSink_
+  },
+  webhook: {
+    label: "webhook",
+    save: postToWebhookSink_
+  },
+  git: {
+    label: "git",
+    save: commitToGitSink_
+  }
+};
+
+/**
+ * Saves a file to every configured sink. A sink that fails is logged and does not stop the others.
+ * Binary files, such as images saved next to an export, are passed as a blob.
+ *
+ * @param {string} fileName - Name of the exported file, with its timestamp
+ * @param {string|Blob} content - File content, as text or as a blob
+ * @param {Object} settings - Output settings from readOutputSettings
+ * @return {Object[]} One entry per sink that took the file: {sink, location} or {sink, error}
+ */
+function saveToSinks(fileName, content, settings) {
+  var file = typeof content === "string"
+    ? { name: fileName, content: content, blob: null, mimeType: mimeTypeForFile(fileName) }
+    : { name: fileName, content: null, blob: content, mimeType: content.getContentType() };
+  var results = [];
+
+  settings.sinks.forEach(function(name) {
+    var sink = OUTPUT_SINK_TYPES[name];
+    try {
+      var location = sink.save(file, settings[name]);
+      if (location === null) return;
+      Logger.log("Saved to " + sink.label + ": " + fileName + " at: \n" + location);
+      results.push({ sink: name, location: location });
+    } catch (e) {
+      Logger.log("Error saving to " + sink.label + ": " + e.message);
+      results.push({ sink: name, error: e.message });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Reads the raw output settings into plain settings per sink.
+ * Settings that are empty, or still hold a {{PLACEHOLDER}} left over from a Code.js that
+ * predates the Script Properties configuration, fall back to their defaults.
+ *
+ * @param {Object} values - Raw settings, keyed as in config.output (see CONFIG_SETTINGS in config.js)
+ * @param {string} exportFolderId - Export folder, used by the Drive sink and as the default Docs folder
+ * @return {Object} Object with sinks (names) and the settings of each sink keyed by its name
+ */
+function readOutputSettings(values, exportFolderId) {
+  function setting(name, fallback) {
+    var value = values[name] === undefined || values[name] === null ? "" : String(values[name]).trim();
+    return value && !/^\{\{\w+\}\}$/.test(value) ? value : fallback;
+  }
+
+  var sinks = setting("sinks", "drive").split(",").map(function(name) {
+    return name.trim().toLowerCase();
+  }).filter(function(name) {
+    return name;
+  });
+  sinks.forEach(function(name) {
+    if (!OUTPUT_SINK_TYPES.hasOwnProperty(name)) {
+      throw new Error("Unknown output sink \"" + name + "\" (available: " + Object.keys(OUTPUT_SINK_TYPES).join(", ") + ")");
+    }
+  });
+
+  return {
+    sinks: sinks,
+    drive: {
+      folderId: exportFolderId,
+      overwrite: setting("driveOverwrite", "false") === "true"
+    },
+    docs: {
+      folderId: setting("docsFolderId", exportFolderId)
+    },
+    webhook: {
+      url: setting("webhookUrl", ""),
+      token: setting("webhookToken", "")
+    },
+    git: {
+      apiUrl: setting("gitApiUrl", "https://api.github.com").replace(/\/+$/, ""),
+      repository: setting("gitRepository", ""),
+      branch: setting("gitBranch", "main"),
+      path: setting("gitPath", "").replace(/^\/+|\/+$/g, ""),
+      token: setting("gitToken", "")
+    }
+  };
+}
+
+/**
+ * Returns the MIME type of an exported file from its extension.
+ *
+ * @param {string} fileName - File name
+ * @return {string} MIME type, text/plain for unknown extensions
+ */
+function mimeTypeForFile(fileName) {
+  var extension = /\.([a-z0-9]+)$/i.exec(fileName);
+  var type = extension ? EXPORT_MIME_TYPES[extension[1].toLowerCase()] : null;
+  return type || "text/plain";
+}
+
+/**
+ * Removes the timestamp and its separator from an export file name, so every run writes to the same name
+ * (form_export_2025-12-10_14-30-45_nested.json becomes form_export_nested.json, and
+ * 2025-12-10_14-30-45_community-survey.md becomes community-survey.md).
+ *
+ * @param {string} fileName - File name with a yyyy-MM-dd_HH-mm-ss timestamp
+ * @return {string} File name without the timestamp
+ */
+function fixedExportName(fileName) {
+  var timestamp = "\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}";
+  var afterText = new RegExp("[-_.]" + timestamp);
+  if (afterText.test(fileName)) return fileName.replace(afterText, "");
+  // FILE_NAME_PATTERN can also start with the timestamp
+  return fileName.replace(new RegExp("^" + timestamp + "[-_.]"), "");
+}
+
+/**
+ * Returns the content of a file as base64, for sinks that send files over HTTP.
+ *
+ * @param {Object} file - {name, content, blob, mimeType}
+ * @return {string} Base64 of the text (as UTF-8) or of the blob's bytes
+ * @private
+ */
+function fileContentBase64_(file) {
+  return file.blob ? Utilities.base64Encode(file.blob.getBytes()) : Utilities.base64Encode(file.content, Utilities.Charset.UTF_8);
+}
+
+/**
+ * Saves a file to the export folder. With overwrite set, the file is saved under its fixed
+ * name (see fixedExportName) and replaces the content of an existing file of that name.
+ *
+ * @param {Object} file - {name, content, blob, mimeType}
+ * @param {Object} settings - {folderId, overwrite}
+ * @return {string|null} Folder URL, or null when no export folder is configured
+ * @private
+ */
+function saveToDriveSink_(file, settings) {
+  if (!settings.folderId) return null;
+
+  var folder = DriveApp.getFolderById(settings.folderId);
+  var name = settings.overwrite ? fixedExportName(file.name) : file.name;
+  var existing = settings.overwrite ? folder.getFilesByName(name) : null;
+
+  if (existing && existing.hasNext() && !file.blob) {
+    existing.next().setContent(file.content);
+  } else {
+    // Binary content cannot be replaced in place, so an older copy goes to the trash
+    while (existing && existing.hasNext()) {
+      existing.next().setTrashed(true);
+    }
+    if (file.blob) {
+      folder.createFile(file.blob.copyBlob().setName(name));
+    } else {
+      folder.createFile(name, file.content, file.mimeType);
+    }
+  }
+
+  return "https://drive.google.com/drive/folders/" + settings.folderId;
+}
+
+/**
+ * Converts a Markdown export into a Google Doc, using the Drive API's Markdown import
+ * (the Drive advanced service must be enabled). Each export type keeps one Doc, named after
+ * the fixed file name, that is updated in place; earlier versions stay in the Doc's version history.
+ * Files other than Markdown are not taken.
+ *
+ * @param {Object} file - {name, content, blob, mimeType}
+ * @param {Object} settings - {folderId}
+ * @return {string|null} Doc URL, or null when the file is not Markdown or no folder is configured
+ * @private
+ */
+function saveToDocsSink_(file, settings) {
+  if (file.mimeType !== "text/markdown" || !settings.folderId) return null;
+
+  var title = fixedExportName(file.name).replace(/\.md$/, "");
+  var blob = Utilities.newBlob(file.content, "text/markdown", file.name);
+  var existing = DriveApp.getFolderById(settings.folderId).getFilesByName(title);
+  var docId = null;
+  while (existing.hasNext() && !docId) {
+    var candidate = existing.next();
+    if (candidate.getMimeType() === MimeType.GOOGLE_DOCS) docId = candidate.getId();
+  }
+
+  if (docId) {
+    Drive.Files.update({}, docId, blob);
+  } else {
+    docId = Drive.Files.create({ name: title, mimeType: MimeType.GOOGLE_DOCS, parents: [settings.folderId] }, blob).id;
+  }
+
+  return "https://docs.google.com/document/d/" + docId + "/edit";
+}
+
+/**
+ * Posts a file to a webhook as JSON {name, mimeType, content}; binary files are sent with
+ * their content as base64 and encoding "base64". The token, if set,
+ * is sent as a bearer token. Any response other than 2xx is an error.
+ *
+ * @param {Object} file - {name, content, blob, mimeType}
+ * @param {Object} settings - {url, token}
+ * @return {string} Webhook URL
+ * @private
+ */
+function postToWebhookSink_(file, settings) {
+  if (!settings.url) throw new Error("WEBHOOK_URL is not set");
+
+  var headers = {};
+  if (settings.token) headers.Authorization = "Bearer " + settings.token;
+
+  var payload = { name: file.name, mimeType: file.mimeType, content: file.content };
+  if (file.blob) {
+    payload.content = fileContentBase64_(file);
+    payload.encoding = "base64";
+  }
+
+  var response = UrlFetchApp.fetch(settings.url, {
+    method: "post",
+    contentType: "application/json",
+    headers: headers,
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  var code = response.getResponseCode();
+  if (code < 200 || code >= 300) {
+    throw new Error("Webhook responded with HTTP " + code);
+  }
+
+  return settings.url;
+}
+
+/**
+ * Commits a file to a repository through the GitHub contents API (GitHub Enterprise works
+ * with its own GIT_API_URL). The file is written under its fixed name (see fixedExportName)
+ * in the configured path, so the repository history holds earlier versions.
+ * Nothing is committed when the file is unchanged.
+ *
+ * @param {Object} file - {name, content, blob, mimeType}
+ * @param {Object} settings - {apiUrl, repository, branch, path, token}
+ * @return {string} URL of the file in the repository
+ * @private
+ */
+function commitToGitSink_(file, settings) {
+  if (!settings.repository || !settings.token) throw new Error("GIT_REPOSITORY and GIT_TOKEN must be set");
+
+  var path = (settings.path ? settings.path + "/" : "") + fixedExportName(file.name);
+  var url = settings.apiUrl + "/repos/" + settings.repository + "/contents/" + path.split("/").map(encodeURIComponent).join("/");
+  var headers = { Authorization: "Bearer " + settings.token, Accept: "application/vnd.github+json" };
+
+  var current = UrlFetchApp.fetch(url + "?ref=" + encodeURIComponent(settings.branch), { headers: headers, muteHttpExceptions: true });
+  var content = fileContentBase64_(file);
+  var sha = null;
+  if (current.getResponseCode() === 200) {
+    var existing = JSON.parse(current.getContentText());
+    if (existing.content.replace(/\s/g, "") === content) return existing.html_url;
+    sha = existing.sha;
+  } else if (current.getResponseCode() !== 404) {
+    throw new Error("Reading " + path + " failed with HTTP " + current.getResponseCode());
+  }
+
+  var body = { message: "Update " + path, content: content, branch: settings.branch };
+  if (sha) body.sha = sha;
+
+  var response = UrlFetchApp.fetch(url, {
+    method: "put",
+    contentType: "application/json",
+    headers: headers,
+    payload: JSON.stringify(body),
+    muteHttpExceptions: true
+  });
+  var code = response.getResponseCode();
+  if (code !== 200 && code !== 201) {
+    throw new Error("Committing " + path + " failed with HTTP " + code);
+  }
+
+  return JSON.parse(response.getContentText()).content.html_url;
+}
@@ -0,0 +1,579 @@
+/**
+ * Named HTML entities that appear in Google Forms rich text, with the characters they stand for.
+ */
+var RICH_TEXT_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: "\u00a0"
+};
+
+/**
+ * Rich text tags that are understood, keyed by tag name, with the name they are treated as.
+ * Other tags are dropped and their content is kept.
+ */
+var RICH_TEXT_TAGS = {
+  b: "b",
+  strong: "b",
+  i: "i",
+  em: "i",
+  u: "u",
+  a: "a",
+  br: "br",
+  ul: "ul",
+  ol: "ol",
+  li: "li",
+  p: "p",
+  div: "p"
+};
+
+/**
+ * Parses Google Forms rich text into a tree. Tags may nest, span lines, carry extra attributes,
+ * and be left unclosed; closing tags without a matching opening tag are ignored.
+ * Entities are decoded, so text nodes hold plain characters.
+ *
+ * @param {string} text - The HTML-like text from Google Forms
+ * @return {Object} Root node {name: "root", children}, where children are strings
+ *   or nodes {name, children} (links also have href)
+ */
+function parseRichText(text) {
+  var root = { name: "root", children: [] };
+  var stack = [root];
+  var source = text ? String(text) : "";
+  var tagPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  var lastIndex = 0;
+  var match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    var current = stack[stack.length - 1];
+    if (match.index > lastIndex) current.children.push(decodeRichTextEntities(source.slice(lastIndex, match.index)));
+    lastIndex = tagPattern.lastIndex;
+
+    var name = match[2] ? RICH_TEXT_TAGS[match[2].toLowerCase()] : null;
+    if (!name) continue;
+
+    if (name === "br") {
+      current.children.push({ name: "br", children: [] });
+    } else if (match[1] !== "/") {
+      var node = { name: name, children: [] };
+      if (name === "a") {
+        var href = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i.exec(match[3]);
+        node.href = href ? decodeRichTextEntities(href[1] !== undefined ? href[1] : href[2] !== undefined ? href[2] : href[3]) : "";
+      }
+      current.children.push(node);
+      stack.push(node);
+    } else {
+      // A closing tag also closes the tags opened inside it
+      for (var i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+  }
+  if (lastIndex < source.length) stack[stack.length - 1].children.push(decodeRichTextEntities(source.slice(lastIndex)));
+
+  return root;
+}
+
+/**
+ * Decodes named (see RICH_TEXT_ENTITIES), decimal and hexadecimal entities. Unknown entities are kept as they are.
+ *
+ * @param {string} text - Text with entities
+ * @return {string} Plain text
+ */
+function decodeRichTextEntities(text) {
+  return text.replace(/&(#[0-9]+|#x[0-9a-fA-F]+|[a-zA-Z]+);/g, function(entity, body) {
+    if (body.charAt(0) === "#") {
+      var code = body.charAt(1).toLowerCase() === "x" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return RICH_TEXT_ENTITIES.hasOwnProperty(body) ? RICH_TEXT_ENTITIES[body] : entity;
+  });
+}
+
+/**
+ * Converts Google Forms rich text to Markdown.
+ * Bold, italic, links, line breaks, and bulleted and numbered lists are converted; underline is kept
+ * as <u> since Markdown has no underline syntax. Characters that Markdown would read as formatting,
+ * such as the asterisks in "*Important*" or the number in "1. Intro", are escaped.
+ *
+ * @param {string} text - The HTML-like text from Google Forms to convert
+ * @return {string} Markdown formatted text
+ */
+function convertToMarkdown(text) {
+  if (!text) return "";
+  return richTextNodesToMarkdown_(parseRichText(text).children, {}, true).replace(/^\n+|\n+$/g, "");
+}
+
+/**
+ * Converts Google Forms rich text to plain text: line breaks are kept, and paragraphs and list items
+ * start on lines of their own. Other tags are dropped and entities are decoded.
+ *
+ * @param {string} text - The HTML-like text from Google Forms
+ * @return {string} Plain text
+ */
+function richTextToPlainText(text) {
+  if (!text) return "";
+  return richTextNodesToPlainText_(parseRichText(text).children).replace(/^\n+|\n+$/g, "");
+}
+
+/**
+ * Tells whether rich text has any formatting, links, line breaks or lists, as opposed to plain text
+ * that may only contain entities.
+ *
+ * @param {string} text - The HTML-like text from Google Forms
+ * @return {boolean} True if the text has at least one tag that parseRichText understands
+ */
+function hasRichTextFormatting(text) {
+  return parseRichText(text).children.some(function(node) {
+    return typeof node !== "string";
+  });
+}
+
+/**
+ * Converts Markdown back to Google Forms rich text, the reverse of convertToMarkdown:
+ * **bold** and __bold__, *italic* and _italic_, [links](url), <u>underline</u>, line breaks,
+ * and bulleted and numbered lists. Backslash escapes are resolved, and other HTML is escaped.
+ *
+ * @param {string} markdown - Markdown text
+ * @return {string} Rich text for Google Forms
+ */
+function convertMarkdownToRichText(markdown) {
+  if (!markdown) return "";
+
+  var lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  var parts = [];
+  var i = 0;
+
+  while (i < lines.length) {
+    if (!MARKDOWN_LIST_ITEM_PATTERN.test(lines[i])) {
+      // Text runs until the next list, so emphasis can span its lines
+      var text = [];
+      while (i < lines.length && !MARKDOWN_LIST_ITEM_PATTERN.test(lines[i])) {
+        text.push(lines[i]);
+        i += 1;
+      }
+      parts.push({ list: false, lines: text });
+      continue;
+    }
+
+    // A list runs until the first line that is neither an item nor indented below one
+    var items = [];
+    while (i < lines.length) {
+      var item = MARKDOWN_LIST_ITEM_PATTERN.exec(lines[i]);
+      if (item) {
+        items.push({ indent: item[1].length, ordered: /\d/.test(item[2]), text: item[3] });
+      } else if (/^\s+\S/.test(lines[i])) {
+        items[items.length - 1].text += "\n" + lines[i].trim();
+      } else {
+        break;
+      }
+      i += 1;
+    }
+    parts.push({ list: true, html: markdownListsToRichText_(items) });
+  }
+
+  // Blank lines only separate a list from the text around it; elsewhere every line break is kept
+  return parts.map(function(part, index) {
+    if (part.list) return part.html;
+    var text = part.lines.slice();
+    if (index > 0 && text[0] === "") text.shift();
+    if (index < parts.length - 1 && text[text.length - 1] === "") text.pop();
+    return markdownInlineToRichText_(text.join("\n"));
+  }).join("");
+}
+
+/**
+ * Matches a Markdown list item: indentation, marker ("-", "*", "+", "1." or "1)") and text.
+ */
+var MARKDOWN_LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * Renders rich text nodes as Markdown.
+ *
+ * @param {Array} nodes - Nodes from parseRichText
+ * @param {Object} state - Formatting already applied by enclosing nodes: {b, i, a}
+ * @param {boolean} atLineStart - Whether the output starts at the beginning of a line
+ * @return {string} Markdown
+ * @private
+ */
+function richTextNodesToMarkdown_(nodes, state, atLineStart) {
+  var out = "";
+  // Lists and paragraphs are set apart by a blank line once more text follows them
+  var blockEnded = false;
+
+  function append(markdown) {
+    if (markdown === "") return;
+    if (blockEnded) {
+      out = out.replace(/\n*$/, "\n\n");
+      blockEnded = false;
+    }
+    out += markdown;
+  }
+  function lineStart() {
+    return blockEnded || (out === "" ? atLineStart : /\n$/.test(out));
+  }
+
+  nodes.forEach(function(node) {
+    if (typeof node === "string") {
+      append(escapeMarkdownText(node, lineStart()));
+      return;
+    }
+
+    switch (node.name) {
+      case "br":
+        append("\n");
+        break;
+
+      case "b":
+      case "i":
+        var inner = richTextNodesToMarkdown_(node.children, withRichTextState_(state, node.name), false);
+        append(state[node.name] ? inner : wrapMarkdown_(inner, node.name === "b" ? "**" : "*"));
+        break;
+
+      case "u":
+        var underlined = richTextNodesToMarkdown_(node.children, state, false);
+        if (underlined) append("<u>" + underlined + "</u>");
+        break;
+
+      case "a":
+        var label = richTextNodesToMarkdown_(node.children, withRichTextState_(state, "a"), false);
+        if (!node.href || state.a) {
+          append(label);
+        } else {
+          var url = /[\s()<>]/.test(node.href) ? "<" + node.href.replace(/</g, "%3C").replace(/>/g, "%3E") + ">" : node.href;
+          append("[" + (label || escapeMarkdownText(node.href, false)) + "](" + url + ")");
+        }
+        break;
+
+      case "ul":
+      case "ol":
+        var listLines = richTextListToMarkdown_(node, state);
+        if (listLines.length === 0) break;
+        if (out !== "") out = out.replace(/\n*$/, "\n\n");
+        blockEnded = false;
+        out += listLines.join("\n");
+        blockEnded = true;
+        break;
+
+      case "p":
+        var paragraph = richTextNodesToMarkdown_(node.children, state, true).replace(/^\n+|\n+$/g, "");
+        if (!paragraph) break;
+        if (out !== "") out = out.replace(/\n*$/, "\n\n");
+        blockEnded = false;
+        out += paragraph;
+        blockEnded = true;
+        break;
+
+      default:
+        // A list item outside a list is read as plain content
+        append(richTextNodesToMarkdown_(node.children, state, lineStart()));
+        break;
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Renders rich text nodes as plain text.
+ *
+ * @param {Array} nodes - Nodes from parseRichText
+ * @return {string} Plain text
+ * @private
+ */
+function richTextNodesToPlainText_(nodes) {
+  var out = "";
+  nodes.forEach(function(node) {
+    if (typeof node === "string") {
+      out += node;
+    } else if (node.name === "br") {
+      out += "\n";
+    } else if (node.name === "p" || node.name === "li" || node.name === "ul" || node.name === "ol") {
+      // Whitespace between list items is source formatting, not content
+      var children = node.name === "p" || node.name === "li" ? node.children : node.children.filter(function(child) {
+        return typeof child !== "string" || child.trim() !== "";
+      });
+      var block = richTextNodesToPlainText_(children).replace(/^\n+|\n+$/g, "");
+      if (block) out = out.replace(/\n*$/, out ? "\n" : "") + block + "\n";
+    } else {
+      out += richTextNodesToPlainText_(node.children);
+    }
+  });
+  return out;
+}
+
+/**
+ * Renders a <ul> or <ol> node as Markdown list lines. Line breaks inside an item and nested lists
+ * are indented below the item's text.
+ *
+ * @param {Object} list - List node from parseRichText
+ * @param {Object} state - Formatting applied by enclosing nodes
+ * @return {string[]} Markdown lines
+ * @private
+ */
+function richTextListToMarkdown_(list, state) {
+  var lines = [];
+  var number = 0;
+
+  list.children.forEach(function(child) {
+    // Text between items, such as whitespace in the source, is not part of any item
+    if (typeof child === "string" || child.name !== "li") {
+      var stray = typeof child === "string" ? child.trim() : "";
+      if (!stray && typeof child === "string") return;
+      child = { name: "li", children: [child] };
+    }
+
+    number += 1;
+    var marker = list.name === "ol" ? number + ". " : "- ";
+    var indent = new Array(marker.length + 1).join(" ");
+    var inline = [];
+    var nested = [];
+    child.children.forEach(function(node) {
+      if (typeof node !== "string" && (node.name === "ul" || node.name === "ol")) {
+        nested = nested.concat(richTextListToMarkdown_(node, state));
+      } else {
+        inline.push(node);
+      }
+    });
+
+    var text = richTextNodesToMarkdown_(inline, state, false).replace(/^\s+|\s+$/g, "");
+    text.split("\n").forEach(function(line, index) {
+      lines.push(index === 0 ? marker + line : indent + line);
+    });
+    nested.forEach(function(line) {
+      lines.push(indent + line);
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Returns formatting state with one more kind of formatting applied.
+ *
+ * @param {Object} state - Current state
+ * @param {string} name - "b", "i" or "a"
+ * @return {Object} New state
+ * @private
+ */
+function withRichTextState_(state, name) {
+  var next = { b: state.b, i: state.i, a: state.a };
+  next[name] = true;
+  return next;
+}
+
+/**
+ * Wraps Markdown in emphasis markers. Surrounding whitespace is moved outside the markers,
+ * since Markdown does not read "** bold **" as bold.
+ *
+ * @param {string} markdown - Markdown to wrap
+ * @param {string} marker - "**" or "*"
+ * @return {string} Wrapped Markdown, or whitespace only when there is no text
+ * @private
+ */
+function wrapMarkdown_(markdown, marker) {
+  var parts = /^(\s*)([\s\S]*?)(\s*)$/.exec(markdown);
+  return parts[2] ? parts[1] + marker + parts[2] + marker + parts[3] : markdown;
+}
+
+/**
+ * Escapes plain text so Markdown shows it as it is: formatting characters are backslash-escaped,
+ * "<" and entity-like "&" become entities, and line starts that would begin a heading, quote,
+ * list or horizontal rule are escaped.
+ *
+ * @param {string} text - Plain text
+ * @param {boolean} atLineStart - Whether the text starts at the beginning of a line
+ * @return {string} Escaped text
+ */
+function escapeMarkdownText(text, atLineStart) {
+  var escaped = text
+    .replace(/[\\`*_\[\]|]/g, "\\$&")
+    .replace(/&(?=#?[a-zA-Z0-9]+;)/g, "&amp;")
+    .replace(/</g, "&lt;");
+
+  return escaped.split("\n").map(function(line, index) {
+    if (index === 0 && !atLineStart) return line;
+    return line
+      .replace(/^(\s*)(#{1,6}(?:\s|$)|>|[-+](?:\s|$)|=+\s*$)/, "$1\\$2")
+      .replace(/^(\s*)(\d+)([.)])(\s|$)/, "$1$2\\$3$4");
+  }).join("\n");
+}
+
+/**
+ * Converts a Markdown list into nested <ul> and <ol> rich text.
+ *
+ * @param {Object[]} items - List items in order: {indent, ordered, text}
+ * @return {string} Rich text
+ * @private
+ */
+function markdownListsToRichText_(items) {
+  function build(start, indent) {
+    var ordered = items[start].ordered;
+    var html = ordered ? "<ol>" : "<ul>";
+    var i = start;
+    while (i < items.length && items[i].indent >= indent) {
+      if (items[i].indent > indent && /<\/li>$/.test(html)) {
+        var nested = build(i, items[i].indent);
+        html = html.replace(/<\/li>$/, nested.html + "</li>");
+        i = nested.next;
+        continue;
+      }
+      if (items[i].ordered !== ordered) break;
+      html += "<li>" + markdownInlineToRichText_(items[i].text).replace(/\n/g, "<br>") + "</li>";
+      i += 1;
+    }
+    return { html: html + (ordered ? "</ol>" : "</ul>"), next: i };
+  }
+
+  var html = "";
+  var i = 0;
+  while (i < items.length) {
+    var list = build(i, items[i].indent);
+    html += list.html;
+    i = list.next;
+  }
+  return html;
+}
+
+/**
+ * Converts inline Markdown to rich text: emphasis, links, underline and line break tags, and escapes.
+ * Emphasis markers that are not closed are kept as text.
+ *
+ * @param {string} text - Inline Markdown, which may contain line breaks
+ * @return {string} Rich text
+ * @private
+ */
+function markdownInlineToRichText_(text) {
+  var out = [];
+  var open = [];
+  var i = 0;
+
+  function literal(value) {
+    out.push(value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"));
+  }
+
+  while (i < text.length) {
+    var rest = text.slice(i);
+    var character = text.charAt(i);
+
+    if (character === "\\" && /^\\[!-\/:-@\[-`{-~]/.test(rest)) {
+      literal(rest.charAt(1));
+      i += 2;
+      continue;
+    }
+
+    var entity = /^&(#[0-9]+|#x[0-9a-fA-F]+|[a-zA-Z]+);/.exec(rest);
+    if (entity) {
+      out.push(entity[0]);
+      i += entity[0].length;
+      continue;
+    }
+
+    var tag = /^<(\/?)(u|br\s*\/?)>/i.exec(rest);
+    if (tag) {
+      out.push(/^br/i.test(tag[2]) ? "<br>" : "<" + tag[1] + "u>");
+      i += tag[0].length;
+      continue;
+    }
+
+    if (character === "[") {
+      var link = findMarkdownLink_(text, i);
+      if (link) {
+        out.push("<a href=\"" + link.url.replace(/&/g, "&amp;").replace(/"/g, "&quot;") + "\">" + markdownInlineToRichText_(link.label) + "</a>");
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (character === "*" || character === "_") {
+      var run = /^(\*+|_+)/.exec(rest)[1];
+      var before = i > 0 ? text.charAt(i - 1) : " ";
+      var after = text.charAt(i + run.length) || " ";
+      var canOpen = !/\s/.test(after);
+      var canClose = !/\s/.test(before);
+      // Underscores inside words, as in snake_case, are not emphasis
+      if (character === "_" && /[a-zA-Z0-9]/.test(before) && /[a-zA-Z0-9]/.test(after)) {
+        canOpen = canClose = false;
+      }
+
+      var remaining = run.length;
+      while (remaining > 0 && canClose) {
+        var index = nearestOpenMarker_(open, character, remaining);
+        if (index === -1) break;
+        var marker = open[index];
+        // Markers opened inside the closed one stay as text
+        open.splice(index).slice(1).forEach(function(inner) {
+          out[inner.position] = new Array(inner.length + 1).join(inner.character);
+        });
+        out.push(marker.length === 2 ? "</b>" : "</i>");
+        out[marker.position] = marker.length === 2 ? "<b>" : "<i>";
+        remaining -= marker.length;
+      }
+      while (remaining > 0 && canOpen) {
+        var length = remaining >= 2 ? 2 : 1;
+        open.push({ character: character, length: length, position: out.length });
+        out.push(new Array(length + 1).join(character));
+        remaining -= length;
+      }
+      if (remaining > 0) literal(new Array(remaining + 1).join(character));
+      i += run.length;
+      continue;
+    }
+
+    if (character === "\n") out.push("<br>");
+    else literal(character);
+    i += 1;
+  }
+
+  return out.join("");
+}
+
+/**
+ * Finds the innermost open emphasis marker that a closing run can close.
+ *
+ * @param {Object[]} open - Open markers {character, length, position}, innermost last
+ * @param {string} character - "*" or "_"
+ * @param {number} available - Number of marker characters left in the closing run
+ * @return {number} Index in open, or -1
+ * @private
+ */
+function nearestOpenMarker_(open, character, available) {
+  for (var i = open.length - 1; i >= 0; i--) {
+    if (open[i].character === character && open[i].length <= available) return i;
+  }
+  return -1;
+}
+
+/**
+ * Reads a Markdown link [label](url) or [label](<url>) starting at an opening bracket.
+ *
+ * @param {string} text - Inline Markdown
+ * @param {number} start - Index of the "["
+ * @return {Object|null} {label, url, end} where end is the index after the link, or null when it is not a link
+ * @private
+ */
+function findMarkdownLink_(text, start) {
+  var depth = 0;
+  for (var i = start; i < text.length; i++) {
+    var character = text.charAt(i);
+    if (character === "\\") {
+      i += 1;
+    } else if (character === "[") {
+      depth += 1;
+    } else if (character === "]" && --depth === 0) {
+      var target = /^\((?:<([^<>]*)>|([^\s()]*))\)/.exec(text.slice(i + 1));
+      if (!target) return null;
+      return {
+        label: text.slice(start + 1, i),
+        url: target[1] !== undefined ? target[1] : target[2],
+        end: i + 1 + target[0].length
+      };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Export fields that change without the form itself changing, and so are left out of the fingerprint.
+ * Paths are dot-separated; a path that starts with "items." applies to every item.
+ */
+var FINGERPRINT_IGNORED_FIELDS = [
+  // Sharing the form with another editor does not change its content
+  "metadata.editorEmails",
+  // Images saved as files are named after the export's timestamp
+  "items.image.file"
+];
+
+/**
+ * Matches the file names of plain timestamped exports (form_export_<timestamp>.json / .md).
+ * Batch exports and answer keys carry a suffix after the timestamp and are never matched.
+ */
+var SNAPSHOT_FILE_PATTERN = /^form_export_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})\.(json|md)$/;
+
+/**
+ * Matches the images saved next to a plain export (form_export_<timestamp>_image_<item id>.<ext>).
+ * They belong to the snapshot of their timestamp and are removed with it.
+ */
+var SNAPSHOT_IMAGE_PATTERN = /^form_export_(\d{4}-\d{2}-\d{2})_(\d{2}-\d{2}-\d{2})_image_\d+\.\w+$/;
+
+/**
+ * Computes a fingerprint of a JSON export that only changes when the form content changes.
+ * Fields in FINGERPRINT_IGNORED_FIELDS are left out and object keys are sorted,
+ * so two exports of an unchanged form always have the same fingerprint.
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson
+ * @return {string} Hex-encoded SHA-256 digest
+ */
+function fingerprintExport(exportJson) {
+  var canonical = JSON.stringify(canonicalizeExport_(exportJson, ""));
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, canonical, Utilities.Charset.UTF_8);
+
+  return digest.map(function(byte) {
+    // computeDigest returns signed bytes
+    return ("0" + (byte & 0xff).toString(16)).slice(-2);
+  }).join("");
+}
+
+/**
+ * Picks the timestamped exports that fall outside the retention policy.
+ * Files that share a timestamp (the .json and .md of one run, and the images saved next to them)
+ * form one snapshot and are kept or removed together.
+ *
+ * @param {DriveApp.File[]} files - Files in the export folder; names that are not plain exports are ignored
+ * @param {Object} retention - {keepLast: number (0 keeps every snapshot), onePerDay: boolean (keep only the newest snapshot of each day)}
+ * @param {Object} [optionalPatterns] - {file, image} regular expressions for exports named with FILE_NAME_PATTERN
+ *   (see fileNamePatternToRegExps); SNAPSHOT_FILE_PATTERN and SNAPSHOT_IMAGE_PATTERN when omitted
+ * @return {DriveApp.File[]} Files to remove
+ */
+function selectExpiredSnapshots(files, retention, optionalPatterns) {
+  var patterns = optionalPatterns || { file: SNAPSHOT_FILE_PATTERN, image: SNAPSHOT_IMAGE_PATTERN };
+  var snapshots = {};
+  files.forEach(function(file) {
+    var match = patterns.file.exec(file.getName());
+    if (!match) return;
+    var timestamp = match[1] + "_" + match[2];
+    if (!snapshots[timestamp]) {
+      snapshots[timestamp] = { day: match[1], files: [] };
+    }
+    snapshots[timestamp].files.push(file);
+  });
+
+  // Images only join a snapshot whose export is still there
+  files.forEach(function(file) {
+    var match = patterns.image.exec(file.getName());
+    var snapshot = match && snapshots[match[1] + "_" + match[2]];
+    if (snapshot) snapshot.files.push(file);
+  });
+
+  // Timestamps sort chronologically, newest first
+  var timestamps = Object.keys(snapshots).sort().reverse();
+  var expired = [];
+  var keptDays = {};
+  var keptCount = 0;
+
+  timestamps.forEach(function(timestamp) {
+    var snapshot = snapshots[timestamp];
+    var keep = true;
+
+    if (retention.onePerDay && keptDays[snapshot.day]) {
+      keep = false;
+    } else if (retention.keepLast > 0 && keptCount >= retention.keepLast) {
+      keep = false;
+    }
+
+    if (keep) {
+      keptDays[snapshot.day] = true;
+      keptCount += 1;
+    } else {
+      expired = expired.concat(snapshot.files);
+    }
+  });
+
+  return expired;
+}
+
+/**
+ * Copies an export value with ignored fields removed and object keys sorted.
+ *
+ * @param {*} value - Part of the export to copy
+ * @param {string} path - Dot-separated path of the value, with item indices left out
+ * @return {*} Canonical copy of the value
+ * @private
+ */
+function canonicalizeExport_(value, path) {
+  if (Array.isArray(value)) {
+    return value.map(function(entry) {
+      return canonicalizeExport_(entry, path);
+    });
+  }
+
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  var copy = {};
+  Object.keys(value).sort().forEach(function(key) {
+    var childPath = path ? path + "." + key : key;
+    if (FINGERPRINT_IGNORED_FIELDS.indexOf(childPath) !== -1) return;
+    copy[key] = canonicalizeExport_(value[key], childPath);
+  });
+  return copy;
+}
@@ -0,0 +1,382 @@
+/**
+ * Stylesheet embedded in the HTML export. Kept inline so the file is self-contained
+ * and prints the same way wherever it is opened.
+ */
+var HTML_EXPORT_STYLES = [
+  "body { font-family: Arial, Helvetica, sans-serif; color: #202124; max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.5; }",
+  "header { border-top: 10px solid #673ab7; border-radius: 8px; padding: 1em 1.5em; margin-bottom: 1.5em; box-shadow: 0 1px 3px rgba(0,0,0,0.2); }",
+  "h1 { margin: 0 0 0.5em; font-size: 2em; font-weight: normal; }",
+  "h2 { background: #673ab7; color: #fff; padding: 0.4em 0.8em; border-radius: 8px 8px 0 0; font-size: 1.1em; margin: 2em 0 0; }",
+  ".section-description { border: 1px solid #dadce0; border-top: none; padding: 0.8em 1em; margin-bottom: 1em; }",
+  ".item { border: 1px solid #dadce0; border-radius: 8px; padding: 1em 1.5em; margin: 1em 0; page-break-inside: avoid; }",
+  ".item-title { font-size: 1.05em; margin: 0 0 0.4em; }",
+  ".required { color: #d93025; }",
+  ".help { color: #5f6368; font-size: 0.9em; margin: 0 0 0.8em; }",
+  ".type { color: #5f6368; font-size: 0.85em; font-style: italic; }",
+  ".choices { list-style: none; padding: 0; margin: 0.5em 0; }",
+  ".choices li { margin: 0.3em 0; }",
+  ".control { display: inline-block; width: 14px; height: 14px; border: 2px solid #5f6368; vertical-align: middle; margin-right: 0.6em; }",
+  ".radio { border-radius: 50%; }",
+  ".checkbox { border-radius: 2px; }",
+  ".nav { color: #1a73e8; font-size: 0.85em; margin-left: 0.5em; }",
+  ".answer-line { border-bottom: 1px solid #9aa0a6; height: 1.6em; margin: 0.5em 0; }",
+  ".answer-box { border: 1px solid #9aa0a6; border-radius: 4px; height: 5em; margin: 0.5em 0; }",
+  ".select { display: inline-block; border: 1px solid #9aa0a6; border-radius: 4px; padding: 0.2em 2em 0.2em 0.6em; color: #5f6368; }",
+  "table { border-collapse: collapse; margin: 0.5em 0; }",
+  "th, td { padding: 0.3em 0.8em; text-align: center; }",
+  "th.row-label { text-align: left; font-weight: normal; }",
+  ".default-nav { color: #5f6368; font-style: italic; margin: 0.5em 0 1.5em; }",
+  ".image img { max-width: 100%; }",
+  ".align-CENTER { text-align: center; }",
+  ".align-RIGHT { text-align: right; }",
+  "@media print { body { margin: 0; } header, .item { box-shadow: none; } h2 { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }"
+].join("\n");
+
+/**
+ * Exports a Google Form to a self-contained HTML document for printing or archiving.
+ * Renders mock controls for each question type, inlines images as data URIs, and keeps
+ * rich text formatting (bold, italic, underline, links) as HTML.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {string} Complete HTML document
+ */
+function exportFormToHtml(formId, optionalForm, optionalItems) {
+  var form = optionalForm || FormApp.openById(formId);
+  var items = optionalItems || form.getItems();
+
+  var sectionMap = buildNavigationSectionMap(items);
+  var body = [];
+
+  body.push("<header>");
+  body.push("<h1>" + convertToHtml(form.getTitle()) + "</h1>");
+  var description = form.getDescription();
+  if (description) {
+    body.push("<div class=\"description\">" + convertToHtml(description) + "</div>");
+  }
+  body.push("</header>");
+
+  var questionCounter = 0;
+
+  items.forEach(function(item, index) {
+    var type = item.getType();
+
+    if (type === FormApp.ItemType.PAGE_BREAK) {
+      // A page break's navigation applies to the section that ends here
+      var defaultNav = renderSectionNavigationHtml(item, index, items, sectionMap);
+      if (defaultNav) {
+        body.push("<p class=\"default-nav\">After this section: " + defaultNav + "</p>");
+      }
+
+      var section = sectionMap[index];
+      body.push("<h2>Section " + section.number + ": " + convertToHtml(section.title) + "</h2>");
+      var help = item.getHelpText();
+      if (help) {
+        body.push("<div class=\"section-description\">" + convertToHtml(help) + "</div>");
+      }
+      return;
+    }
+
+    var title = item.getTitle();
+    var isLayout = type === FormApp.ItemType.SECTION_HEADER || type === FormApp.ItemType.IMAGE || type === FormApp.ItemType.VIDEO;
+    if (!title && !isLayout) {
+      return;
+    }
+
+    body.push("<div class=\"item item-" + type.toString().toLowerCase() + "\">");
+
+    if (isLayout) {
+      if (title) body.push("<p class=\"item-title\"><strong>" + convertToHtml(title) + "</strong></p>");
+    } else {
+      questionCounter += 1;
+      body.push("<p class=\"item-title\">" + questionCounter + ". " + convertToHtml(title) + (isItemRequired(item, type) ? " <span class=\"required\">*</span>" : "") + "</p>");
+    }
+
+    var helpText = item.getHelpText();
+    if (helpText) {
+      body.push("<div class=\"help\">" + convertToHtml(helpText) + "</div>");
+    }
+
+    body = body.concat(renderItemBodyHtml(item, type, items, sectionMap));
+    body.push("</div>");
+  });
+
+  return [
+    "<!DOCTYPE html>",
+    "<html lang=\"en\">",
+    "<head>",
+    "<meta charset=\"utf-8\">",
+    "<title>" + escapeHtml(richTextToPlainText(form.getTitle())) + "</title>",
+    "<style>",
+    HTML_EXPORT_STYLES,
+    "</style>",
+    "</head>",
+    "<body>",
+    body.join("\n"),
+    "</body>",
+    "</html>"
+  ].join("\n");
+}
+
+/**
+ * Renders the body of a form item as HTML lines with mock input controls.
+ *
+ * @param {FormApp.Item} item - The form item to render
+ * @param {FormApp.ItemType} type - The type of the form item
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @return {string[]} Array of HTML lines representing the item body
+ */
+function renderItemBodyHtml(item, type, allItems, sectionMap) {
+  var lines = [];
+
+  // FILE_UPLOAD has no asFileUploadItem(), so it stays a generic Item
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  var typedItem = typeof item[itemTypeConstructorName] === "function" ? item[itemTypeConstructorName]() : item;
+
+  switch (type) {
+    case FormApp.ItemType.TEXT:
+      lines.push("<div class=\"answer-line\"></div>");
+      break;
+
+    case FormApp.ItemType.PARAGRAPH_TEXT:
+      lines.push("<div class=\"answer-box\"></div>");
+      break;
+
+    case FormApp.ItemType.MULTIPLE_CHOICE:
+    case FormApp.ItemType.CHECKBOX:
+      var control = type === FormApp.ItemType.CHECKBOX ? "checkbox" : "radio";
+      lines.push("<ul class=\"choices\">");
+      typedItem.getChoices().forEach(function(choice) {
+        var nav = control === "radio" ? renderChoiceNavigationHtml(choice, allItems, sectionMap) : "";
+        lines.push("<li><span class=\"control " + control + "\"></span>" + convertToHtml(choice.getValue()) + nav + "</li>");
+      });
+      if (typedItem.hasOtherOption()) {
+        lines.push("<li><span class=\"control " + control + "\"></span>Other: <span class=\"answer-line\" style=\"display:inline-block;width:50%\"></span></li>");
+      }
+      lines.push("</ul>");
+      break;
+
+    case FormApp.ItemType.LIST:
+      lines.push("<p><span class=\"select\">Choose ▾</span></p>");
+      lines.push("<ul class=\"choices\">");
+      typedItem.getChoices().forEach(function(choice) {
+        lines.push("<li>" + convertToHtml(choice.getValue()) + renderChoiceNavigationHtml(choice, allItems, sectionMap) + "</li>");
+      });
+      lines.push("</ul>");
+      break;
+
+    case FormApp.ItemType.SCALE:
+      var cells = [];
+      for (var value = typedItem.getLowerBound(); value <= typedItem.getUpperBound(); value++) {
+        cells.push(value);
+      }
+      lines.push("<table class=\"scale\">");
+      lines.push("<tr><th></th>" + cells.map(function(n) { return "<th>" + n + "</th>"; }).join("") + "<th></th></tr>");
+      lines.push("<tr><td>" + convertToHtml(typedItem.getLeftLabel()) + "</td>" +
+        cells.map(function() { return "<td><span class=\"control radio\"></span></td>"; }).join("") +
+        "<td>" + convertToHtml(typedItem.getRightLabel()) + "</td></tr>");
+      lines.push("</table>");
+      break;
+
+    case FormApp.ItemType.GRID:
+    case FormApp.ItemType.CHECKBOX_GRID:
+      var gridControl = type === FormApp.ItemType.GRID ? "radio" : "checkbox";
+      var columns = typedItem.getColumns();
+      lines.push("<table class=\"grid\">");
+      lines.push("<tr><th></th>" + columns.map(function(column) { return "<th>" + convertToHtml(column) + "</th>"; }).join("") + "</tr>");
+      typedItem.getRows().forEach(function(row) {
+        lines.push("<tr><th class=\"row-label\">" + convertToHtml(row) + "</th>" +
+          columns.map(function() { return "<td><span class=\"control " + gridControl + "\"></span></td>"; }).join("") + "</tr>");
+      });
+      lines.push("</table>");
+      break;
+
+    case FormApp.ItemType.DATE:
+      lines.push("<p class=\"type\">" + (typedItem.includesYear() ? "Date: __ / __ / ____" : "Date: __ / __") + "</p>");
+      break;
+
+    case FormApp.ItemType.DATETIME:
+      lines.push("<p class=\"type\">" + (typedItem.includesYear() ? "Date: __ / __ / ____" : "Date: __ / __") + " Time: __ : __</p>");
+      break;
+
+    case FormApp.ItemType.TIME:
+      lines.push("<p class=\"type\">Time: __ : __</p>");
+      break;
+
+    case FormApp.ItemType.DURATION:
+      lines.push("<p class=\"type\">Duration: __ h __ min __ s</p>");
+      break;
+
+    case FormApp.ItemType.RATING:
+      var levels = [];
+      for (var level = 1; level <= typedItem.getRatingScaleLevel(); level++) {
+        levels.push("<span class=\"control radio\"></span>");
+      }
+      lines.push("<p>" + levels.join("") + " <span class=\"type\">(" + typedItem.getRatingIcon().toString().toLowerCase().replace(/_/g, " ") + " rating)</span></p>");
+      break;
+
+    case FormApp.ItemType.FILE_UPLOAD:
+      lines.push("<p class=\"type\">File upload</p>");
+      break;
+
+    case FormApp.ItemType.IMAGE:
+      var image = typedItem.getImage();
+      var width = typedItem.getWidth();
+      lines.push("<div class=\"image align-" + typedItem.getAlignment().toString() + "\">" +
+        "<img src=\"data:" + image.getContentType() + ";base64," + Utilities.base64Encode(image.getBytes()) + "\"" +
+        (width ? " width=\"" + width + "\"" : "") +
+        " alt=\"" + escapeHtml(richTextToPlainText(item.getTitle()) || image.getName() || "") + "\"></div>");
+      break;
+
+    case FormApp.ItemType.VIDEO:
+      lines.push("<p class=\"type align-" + typedItem.getAlignment().toString() + "\">Video</p>");
+      break;
+
+    case FormApp.ItemType.SECTION_HEADER:
+      // Title and description are rendered by the caller
+      break;
+
+    default:
+      lines.push("<p class=\"type\">Item type: " + escapeHtml(type.toString()) + "</p>");
+      break;
+  }
+
+  return lines;
+}
+
+/**
+ * Describes where a single-choice answer leads, as a small annotation after the choice.
+ *
+ * @param {FormApp.Choice} choice - The choice to describe
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @return {string} HTML annotation, or empty string when the choice continues normally
+ */
+function renderChoiceNavigationHtml(choice, allItems, sectionMap) {
+  var navType = choice.getPageNavigationType();
+  if (navType === FormApp.PageNavigationType.CONTINUE) return "";
+
+  var text = describeNavigationTargetHtml(resolveNavigationTarget(navType, choice.getGotoPage(), allItems, sectionMap, null), sectionMap);
+  return text ? "<span class=\"nav\">→ " + text + "</span>" : "";
+}
+
+/**
+ * Describes where the section ending at a page break leads.
+ *
+ * @param {FormApp.Item} pageBreakItem - The page break that closes the section
+ * @param {number} index - Index of the page break in the form
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @return {string} HTML description, or empty string when the section continues normally
+ */
+function renderSectionNavigationHtml(pageBreakItem, index, allItems, sectionMap) {
+  var typedItem = pageBreakItem.asPageBreakItem();
+  var navType = typedItem.getPageNavigationType();
+  if (navType === FormApp.PageNavigationType.CONTINUE) return "";
+
+  return describeNavigationTargetHtml(resolveNavigationTarget(navType, typedItem.getGoToPage(), allItems, sectionMap, sectionMap[index].number), sectionMap);
+}
+
+/**
+ * Renders a resolved navigation target as text.
+ *
+ * @param {number|string|null} target - Section number or "SUBMIT", as returned by resolveNavigationTarget
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @return {string} HTML text such as "Submit form" or "Go to section 3 (Contact)", or empty string
+ */
+function describeNavigationTargetHtml(target, sectionMap) {
+  if (target === "SUBMIT") return "Submit form";
+  if (target === 1) return "Go to section 1";
+
+  for (var index in sectionMap) {
+    if (sectionMap[index].number === target) {
+      return "Go to section " + target + " (" + convertToHtml(sectionMap[index].title) + ")";
+    }
+  }
+  return "";
+}
+
+/**
+ * Reads the required flag of an item, which only typed items implement.
+ *
+ * @param {FormApp.Item} item - The form item
+ * @param {FormApp.ItemType} type - The type of the form item
+ * @return {boolean} True if the item is required
+ */
+function isItemRequired(item, type) {
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  if (typeof item[itemTypeConstructorName] !== "function") return false;
+
+  var typedItem = item[itemTypeConstructorName]();
+  if (typeof typedItem.isRequired !== "function") return false;
+  try {
+    return typedItem.isRequired();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Converts Google Forms rich text to safe HTML.
+ * Bold, italic, underline, links, line breaks, lists, and paragraphs are kept; any other markup is dropped
+ * and its text kept, so the document cannot be broken by form content. Tags left open are closed at the end
+ * of the text, entities are decoded before the text is escaped again, and line breaks in plain text become <br>.
+ *
+ * @param {string} text - The HTML-like text from Google Forms to convert
+ * @return {string} HTML with only the supported formatting tags
+ */
+function convertToHtml(text) {
+  if (!text) return "";
+  return richTextNodesToHtml_(parseRichText(text).children);
+}
+
+/**
+ * Renders rich text nodes as HTML.
+ *
+ * @param {Array} nodes - Nodes from parseRichText
+ * @return {string} HTML
+ * @private
+ */
+function richTextNodesToHtml_(nodes) {
+  return nodes.map(function(node) {
+    if (typeof node === "string") {
+      return escapeHtml(node).replace(/\n/g, "<br>");
+    }
+
+    var children = node.children;
+    if (node.name === "ul" || node.name === "ol") {
+      // Whitespace between list items is source formatting, not content
+      children = children.filter(function(child) {
+        return typeof child !== "string" || child.trim() !== "";
+      });
+    }
+    var inner = richTextNodesToHtml_(children);
+
+    switch (node.name) {
+      case "br":
+        return "<br>";
+      case "a":
+        // Only web and mail links are kept, anything else (e.g., javascript:) keeps just its text
+        return /^(https?:|mailto:)/i.test(node.href) ? "<a href=\"" + escapeHtml(node.href) + "\">" + inner + "</a>" : inner;
+      default:
+        return "<" + node.name + ">" + inner + "</" + node.name + ">";
+    }
+  }).join("");
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ *
+ * @param {string} text - Plain text
+ * @return {string} Text with &, <, >, and quotes escaped
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,423 @@
+/**
+ * Longest question code LimeSurvey accepts. Codes are derived from item keys and cut to this length.
+ */
+var LIMESURVEY_CODE_MAX_LENGTH = 20;
+
+/**
+ * Columns of each table in a LimeSurvey 3.x survey structure (.lss) file, in file order.
+ * Rows only list the columns they set; LimeSurvey fills in defaults for the rest on import.
+ */
+var LIMESURVEY_TABLES = {
+  answers: ["qid", "code", "answer", "sortorder", "assessment_value", "language", "scale_id"],
+  groups: ["gid", "sid", "group_name", "group_order", "description", "language", "grelevance"],
+  questions: ["qid", "parent_qid", "sid", "gid", "type", "title", "question", "help", "other", "mandatory", "question_order", "language", "scale_id", "relevance"],
+  subquestions: ["qid", "parent_qid", "sid", "gid", "type", "title", "question", "help", "other", "mandatory", "question_order", "language", "scale_id", "relevance"],
+  question_attributes: ["qid", "attribute", "value"],
+  surveys: ["sid", "language", "additional_languages", "format", "anonymized", "datestamp", "allowprev", "showprogress", "assessments", "active"],
+  surveys_languagesettings: ["surveyls_survey_id", "surveyls_language", "surveyls_title", "surveyls_description", "surveyls_endtext"]
+};
+
+/**
+ * Exports a Google Form as a LimeSurvey survey structure (.lss) file.
+ * Supports optional pre-fetched data to optimize performance when exporting multiple formats.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @param {Object} [optionalOptions] - Options (see convertExportToLimeSurvey)
+ * @return {Object} Object with xml and report (see convertExportToLimeSurvey)
+ */
+function exportFormToLimeSurvey(formId, optionalForm, optionalItems, optionalOptions) {
+  return convertExportToLimeSurvey(exportFormToJson(formId, optionalForm, optionalItems), optionalOptions);
+}
+
+/**
+ * Converts a JSON export into a LimeSurvey 3.x survey structure (.lss) file.
+ *
+ * Each section becomes a question group, and section jumps become group relevance equations
+ * built by buildSectionConditions. Question codes are derived from item keys (see nestExport),
+ * choices get answer codes A1, A2, ... and grid rows subquestion codes SQ001, SQ002, ...
+ * On quizzes, the correct choice of single-choice questions carries the question's points as
+ * its assessment value.
+ *
+ * Anything LimeSurvey cannot express exactly is converted as closely as possible (or left out)
+ * and listed in the report.
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson, of any schema version
+ * @param {Object} [optionalOptions] - {language: string (default "en"), surveyId: number (default 100000; LimeSurvey assigns a new one if taken)}
+ * @return {Object} Object with xml and report [{key, id, title, field, reason}]
+ */
+function convertExportToLimeSurvey(exportJson, optionalOptions) {
+  var options = optionalOptions || {};
+  var language = options.language || "en";
+  var surveyId = options.surveyId || 100000;
+
+  var nested = nestExport(exportJson);
+  var metadata = nested.metadata;
+  var report = [];
+  var conditions = buildSectionConditions(nested, report);
+
+  var tables = {};
+  Object.keys(LIMESURVEY_TABLES).forEach(function(name) {
+    tables[name] = [];
+  });
+
+  var state = { nextQid: 1, usedCodes: {}, questions: {} };
+  nested.sections.forEach(function(section, i) {
+    var gid = i + 1;
+    var questionOrder = 0;
+
+    section.items.forEach(function(item) {
+      if (addLimeSurveyQuestion_(tables, state, item, { sid: surveyId, gid: gid, language: language, order: questionOrder }, report)) {
+        questionOrder += 1;
+      }
+    });
+
+    tables.groups.push({
+      gid: gid,
+      sid: surveyId,
+      group_name: richTextToPlainText(section.title) || metadata.title || "Section " + gid,
+      group_order: i,
+      description: convertToHtml(section.helpText),
+      language: language,
+      grelevance: limeSurveyRelevance_(conditions[i], state.questions)
+    });
+  });
+
+  var assessments = tables.answers.some(function(answer) {
+    return answer.assessment_value > 0;
+  });
+
+  tables.surveys.push({
+    sid: surveyId,
+    language: language,
+    additional_languages: "",
+    format: "G",
+    anonymized: "N",
+    datestamp: "N",
+    allowprev: "Y",
+    showprogress: "Y",
+    assessments: assessments ? "Y" : "N",
+    active: "N"
+  });
+
+  tables.surveys_languagesettings.push({
+    surveyls_survey_id: surveyId,
+    surveyls_language: language,
+    surveyls_title: richTextToPlainText(metadata.title),
+    surveyls_description: convertToHtml(metadata.description),
+    surveyls_endtext: convertToHtml(metadata.confirmationMessage)
+  });
+
+  var lines = [];
+  lines.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+  lines.push("<document>");
+  lines.push(" <LimeSurveyDocType>Survey</LimeSurveyDocType>");
+  lines.push(" <DBVersion>366</DBVersion>");
+  lines.push(" <languages>");
+  lines.push("  <language>" + language + "</language>");
+  lines.push(" </languages>");
+  Object.keys(LIMESURVEY_TABLES).forEach(function(name) {
+    if (tables[name].length) {
+      lines.push(renderLimeSurveyTable_(name, tables[name]));
+    }
+  });
+  lines.push("</document>");
+
+  return { xml: lines.join("\n"), report: report };
+}
+
+/**
+ * Adds the rows for one nested export item to the LimeSurvey tables.
+ *
+ * @param {Object} tables - Table rows keyed by table name; updated in place
+ * @param {Object} state - Conversion state: nextQid, usedCodes, and questions (code and answer codes keyed by item key)
+ * @param {Object} item - Item in the nested layout
+ * @param {Object} context - {sid, gid, language, order} of the question
+ * @param {Object[]} report - Conversion report; problems found are appended
+ * @return {boolean} True when a question was added, false when the item was left out
+ * @private
+ */
+function addLimeSurveyQuestion_(tables, state, item, context, report) {
+  var question = {
+    qid: 0,
+    parent_qid: 0,
+    sid: context.sid,
+    gid: context.gid,
+    type: "",
+    title: "",
+    question: convertToHtml(item.title),
+    help: convertToHtml(item.helpText),
+    other: item.hasOtherOption ? "Y" : "N",
+    mandatory: item.isRequired ? "Y" : "N",
+    question_order: context.order,
+    language: context.language,
+    scale_id: 0,
+    relevance: "1"
+  };
+  var answers = [];
+  var subquestions = [];
+  var attributes = {};
+
+  switch (item.type) {
+    case "TEXT":
+      question.type = "S";
+      break;
+
+    case "PARAGRAPH_TEXT":
+      question.type = "T";
+      break;
+
+    case "MULTIPLE_CHOICE":
+    case "LIST":
+      question.type = item.type === "MULTIPLE_CHOICE" ? "L" : "!";
+      answers = item.choices.map(function(choice) {
+        var correct = item.correctAnswers && item.correctAnswers.indexOf(choice) !== -1;
+        return { answer: choice, assessment_value: correct ? item.points || 0 : 0 };
+      });
+      break;
+
+    case "CHECKBOX":
+      // LimeSurvey stores the options of multiple choice questions as subquestions
+      question.type = "M";
+      subquestions = item.choices.map(function(choice) {
+        return { question: choice, scale_id: 0 };
+      });
+      break;
+
+    case "SCALE":
+      question.type = "L";
+      for (var value = item.lowerBound; value <= item.upperBound; value++) {
+        var label = value === item.lowerBound ? item.leftLabel : value === item.upperBound ? item.rightLabel : "";
+        answers.push({ code: String(value), answer: label ? value + " - " + label : String(value), assessment_value: 0 });
+      }
+      break;
+
+    case "RATING":
+      question.type = "L";
+      for (var level = 1; level <= item.ratingScaleLevel; level++) {
+        answers.push({ code: String(level), answer: String(level), assessment_value: 0 });
+      }
+      report.push(conversionIssue_(item, "ratingIcon", "LimeSurvey has no rating icons; converted to a numbered list"));
+      break;
+
+    case "GRID":
+      question.type = "F";
+      subquestions = item.rows.map(function(row) {
+        return { question: row, scale_id: 0 };
+      });
+      answers = item.columns.map(function(column) {
+        return { answer: column, assessment_value: 0 };
+      });
+      break;
+
+    case "CHECKBOX_GRID":
+      // An array of numbers shown as checkboxes: rows on scale 0, columns on scale 1
+      question.type = ":";
+      attributes.multiflexible_checkbox = "1";
+      subquestions = item.rows.map(function(row) {
+        return { question: row, scale_id: 0 };
+      }).concat(item.columns.map(function(column) {
+        return { question: column, scale_id: 1 };
+      }));
+      break;
+
+    case "DATE":
+    case "DATETIME":
+      question.type = "D";
+      attributes.date_format = (item.includesYear ? "yyyy-mm-dd" : "mm-dd") + (item.type === "DATETIME" ? " HH:MM" : "");
+      break;
+
+    case "TIME":
+      question.type = "D";
+      attributes.date_format = "HH:MM";
+      break;
+
+    case "DURATION":
+      question.type = "S";
+      report.push(conversionIssue_(item, "type", "LimeSurvey has no duration question; converted to a short text question"));
+      break;
+
+    case "FILE_UPLOAD":
+      question.type = "|";
+      break;
+
+    case "SECTION_HEADER":
+      question.type = "X";
+      question.question = "<h4>" + convertToHtml(item.title) + "</h4>" + (item.helpText ? "<p>" + convertToHtml(item.helpText) + "</p>" : "");
+      question.help = "";
+      break;
+
+    case "IMAGE":
+    case "VIDEO":
+      // Shown as a text display question holding the image or a link to the video
+      var source = mediaSource(item, report);
+      if (!source) return false;
+      var title = escapeHtml(richTextToPlainText(item.title));
+      question.type = "X";
+      question.question = item.type === "IMAGE"
+        ? "<img src=\"" + source + "\" alt=\"" + title + "\"" + (item.width ? " width=\"" + item.width + "\"" : "") + ">"
+        : "<a href=\"" + escapeHtml(source) + "\">" + (title || "Watch the video") + "</a>";
+      break;
+
+    default:
+      report.push(conversionIssue_(item, "type", "Unknown item type " + item.type + "; item left out"));
+      return false;
+  }
+
+  question.qid = state.nextQid++;
+  question.title = limeSurveyCode_(item.key, state.usedCodes);
+  tables.questions.push(question);
+
+  var answerCodes = {};
+  answers.forEach(function(answer, i) {
+    var code = answer.code || "A" + (i + 1);
+    answerCodes[answer.answer] = code;
+    tables.answers.push({
+      qid: question.qid,
+      code: code,
+      answer: answer.answer,
+      sortorder: i + 1,
+      assessment_value: answer.assessment_value,
+      language: context.language,
+      scale_id: 0
+    });
+  });
+
+  var subquestionNumbers = [0, 0];
+  subquestions.forEach(function(subquestion) {
+    var number = ++subquestionNumbers[subquestion.scale_id];
+    tables.subquestions.push({
+      qid: state.nextQid++,
+      parent_qid: question.qid,
+      sid: context.sid,
+      gid: context.gid,
+      type: "T",
+      title: (subquestion.scale_id ? "SC" : "SQ") + ("00" + number).slice(-3),
+      question: subquestion.question,
+      help: "",
+      other: "N",
+      mandatory: "N",
+      question_order: number,
+      language: context.language,
+      scale_id: subquestion.scale_id,
+      relevance: "1"
+    });
+  });
+
+  Object.keys(attributes).forEach(function(attribute) {
+    tables.question_attributes.push({ qid: question.qid, attribute: attribute, value: attributes[attribute] });
+  });
+
+  state.questions[item.key] = { code: question.title, answerCodes: answerCodes };
+  reportLimeSurveyQuizFields_(item, question.type, report);
+
+  return true;
+}
+
+/**
+ * Reports the quiz settings of an item that LimeSurvey assessments cannot hold.
+ *
+ * @param {Object} item - Item in the nested layout
+ * @param {string} type - LimeSurvey question type the item was converted to
+ * @param {Object[]} report - Conversion report; problems found are appended
+ * @return {void}
+ * @private
+ */
+function reportLimeSurveyQuizFields_(item, type, report) {
+  var scored = (type === "L" || type === "!") && item.correctAnswers && item.correctAnswers.length;
+  if (item.points && !scored) {
+    report.push(conversionIssue_(item, "points", "LimeSurvey assessments only score single-choice answers; " + item.points + " points not kept"));
+  }
+  if (item.feedback) {
+    var hasFeedback = Object.keys(item.feedback).some(function(kind) {
+      return item.feedback[kind] !== null;
+    });
+    if (hasFeedback) {
+      report.push(conversionIssue_(item, "feedback", "LimeSurvey has no per-question answer feedback; feedback left out"));
+    }
+  }
+}
+
+/**
+ * Makes a LimeSurvey question code from an item key: letters and digits only, starting with a
+ * letter, at most LIMESURVEY_CODE_MAX_LENGTH characters, and unique within the survey.
+ *
+ * @param {string} key - Item key
+ * @param {Object} usedCodes - Codes already taken (codes map to true); updated in place
+ * @return {string} Question code
+ * @private
+ */
+function limeSurveyCode_(key, usedCodes) {
+  var base = String(key).replace(/[^A-Za-z0-9]/g, "");
+  if (!/^[A-Za-z]/.test(base)) base = "Q" + base;
+  base = base.slice(0, LIMESURVEY_CODE_MAX_LENGTH);
+
+  var candidate = base;
+  var counter = 1;
+  while (usedCodes.hasOwnProperty(candidate.toLowerCase())) {
+    counter += 1;
+    candidate = base.slice(0, LIMESURVEY_CODE_MAX_LENGTH - String(counter).length) + counter;
+  }
+  // LimeSurvey compares codes case-insensitively
+  usedCodes[candidate.toLowerCase()] = true;
+  return candidate;
+}
+
+/**
+ * Renders a section condition as a LimeSurvey relevance equation.
+ *
+ * @param {Array[]} condition - Condition from buildSectionConditions
+ * @param {Object} questions - Question code and answer codes keyed by item key
+ * @return {string} Relevance equation ("1" when the group is always shown)
+ * @private
+ */
+function limeSurveyRelevance_(condition, questions) {
+  if (!condition.length) return "0";
+
+  var alternatives = [];
+  for (var i = 0; i < condition.length; i++) {
+    if (!condition[i].length) return "1";
+    alternatives.push(condition[i].map(function(literal) {
+      var question = questions[literal.key];
+      return question.code + ".NAOK " + (literal.op === "eq" ? "==" : "!=") + " \"" + question.answerCodes[literal.value] + "\"";
+    }).join(" and "));
+  }
+
+  if (alternatives.length === 1) return alternatives[0];
+  return alternatives.map(function(alternative) {
+    return "(" + alternative + ")";
+  }).join(" or ");
+}
+
+/**
+ * Renders the rows of one table in the .lss layout, with every value in a CDATA section.
+ *
+ * @param {string} name - Table name (a key of LIMESURVEY_TABLES)
+ * @param {Object[]} rows - Rows keyed by column name
+ * @return {string} XML for the table
+ * @private
+ */
+function renderLimeSurveyTable_(name, rows) {
+  var fields = LIMESURVEY_TABLES[name];
+  var lines = [];
+  lines.push(" <" + name + ">");
+  lines.push("  <fields>");
+  fields.forEach(function(field) {
+    lines.push("   <fieldname>" + field + "</fieldname>");
+  });
+  lines.push("  </fields>");
+  lines.push("  <rows>");
+  rows.forEach(function(row) {
+    lines.push("   <row>");
+    fields.forEach(function(field) {
+      if (row[field] === undefined) return;
+      var value = String(row[field]).replace(/]]>/g, "]]]]><![CDATA[>");
+      lines.push("    <" + field + "><![CDATA[" + value + "]]></" + field + ">");
+    });
+    lines.push("   </row>");
+  });
+  lines.push("  </rows>");
+  lines.push(" </" + name + ">");
+  return lines.join("\n");
+}
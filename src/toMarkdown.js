@@ -1,22 +1,47 @@
+/**
+ * Ways choices are listed in the Markdown export: "bullets" as a plain list,
+ * "checkboxes" as a task list ("- [ ] Choice") that reads like a paper form.
+ */
+var MARKDOWN_CHOICE_STYLES = ["bullets", "checkboxes"];
+
 /**
  * Exports a Google Form to a Markdown formatted string.
  * Supports optional pre-fetched data to optimize performance when exporting multiple formats.
  * Handles multi-page forms with section navigation and converts rich text formatting to Markdown.
+ * For quizzes, the answerKey option adds points, correct answers, and feedback to each question.
+ * A Settings block below the title lists the response settings and links of the form;
+ * the settings option set to false leaves it out.
+ * The diagram option embeds a Mermaid flowchart of the section navigation below the title.
+ * Images are embedded as data URLs, or linked by file name when the media option saves them as files
+ * (see exportMedia.js); videos link to their URL when it was looked up.
+ * The layout options and templates are described in readMarkdownOptions.
  *
  * @param {string} formId - Google Form ID to export
  * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
  * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @param {Object} [optionalOptions] - Rendering options (see readMarkdownOptions),
+ *   plus the media options of exportFormToJson: {media: "base64"|"files", mediaBaseName: string, videoUrls: Object}
  * @return {string} Markdown representation of the form with formatted questions and navigation
  */
-function exportFormToMarkdown(formId, optionalForm, optionalItems) {
+function exportFormToMarkdown(formId, optionalForm, optionalItems, optionalOptions) {
   // Use pre-fetched data if provided, otherwise fetch (backward compatible)
   var form = optionalForm || FormApp.openById(formId);
   var items = optionalItems || form.getItems();
+  var options = readMarkdownOptions(optionalOptions);
+
+  // An answer key only makes sense when the form actually has grading settings
+  var answerKey = options.answerKey && form.isQuiz();
+  var media = readMediaOptions(optionalOptions);
+  var templates = options.templates;
 
   var lines = [];
 
+  if (options.frontMatter) {
+    lines = lines.concat(renderFrontMatter(formId, form));
+  }
+
   // Title and description
-  lines.push("# " + form.getTitle());
+  lines.push(markdownHeading(1, options) + " " + convertToMarkdown(form.getTitle()));
   var description = form.getDescription();
   if (description) {
     lines.push("");
@@ -25,36 +50,50 @@ function exportFormToMarkdown(formId, optionalForm, optionalItems) {
 
   lines.push("");
 
+  if (options.settings) {
+    lines = lines.concat(renderSettingsMarkdown(form, markdownHeading(2, options)));
+    lines.push("");
+  }
+
+  if (options.diagram) {
+    lines.push("```mermaid");
+    lines.push(exportFormToMermaid(formId, form, items));
+    lines.push("```");
+    lines.push("");
+  }
+
+  // The table of contents lists the headings rendered from here on
+  var contentsIndex = lines.length;
+
   var questionCounter = 0;
   var sectionCounter = 1;
   var currentSection = "";
-  var currentPageBreakItem = null;
   
   // Build a map of page break indices to section numbers for navigation references
-  var sectionMap = buildSectionMap(items);
+  var sectionMap = buildNavigationSectionMap(items);
 
   items.forEach(function(item, index) {
     var type = item.getType();
 
     // Sections as markdown headings
     if (type === FormApp.ItemType.PAGE_BREAK) {
-      // Before starting a new section, add default navigation for the previous section
-      if (currentPageBreakItem) {
-        var defaultNav = getDefaultSectionNavigation(currentPageBreakItem, items, sectionMap);
-        if (defaultNav) {
-          lines.push("");
-          lines.push("_Default: " + defaultNav + "_");
-          lines.push("");
-        }
-      }
+      // A page break's navigation applies to the page before it, so it ends the previous section
+      lines = lines.concat(renderSectionEndMarkdown_(item, items, sectionMap, templates));
       
       sectionCounter += 1;
       currentSection = item.getTitle() || "";
-      currentPageBreakItem = item;
       
-      if (currentSection) {
+      if (currentSection && templates.section) {
+        lines = lines.concat(renderMarkdownTemplate_(templates, "section", {
+          id: item.getId(),
+          heading: markdownHeading(2, options),
+          number: sectionCounter,
+          title: convertToMarkdown(currentSection),
+          helpText: convertToMarkdown(item.getHelpText())
+        }));
+      } else if (currentSection) {
         lines.push("");
-        lines.push("## Section " + sectionCounter + ": " + convertToMarkdown(currentSection));
+        lines.push(markdownHeading(2, options) + " Section " + sectionCounter + ": " + convertToMarkdown(currentSection));
         var help = item.getHelpText();
         if (help) {
           lines.push("");
@@ -65,16 +104,49 @@ function exportFormToMarkdown(formId, optionalForm, optionalItems) {
       return;
     }
 
-    // Skip items with no title (should not happen but just in case)
+    // Skip items with no title unless asked to keep them
     var title = item.getTitle();
-    if (!title) {
+    if (!title && options.skipUntitled) {
+      return;
+    }
+
+    // Title-and-description blocks are not questions, so they are not numbered
+    if (type === FormApp.ItemType.SECTION_HEADER) {
+      if (templates.header) {
+        lines = lines.concat(renderMarkdownTemplate_(templates, "header", {
+          id: item.getId(),
+          title: convertToMarkdown(title),
+          helpText: convertToMarkdown(item.getHelpText())
+        }));
+        return;
+      }
+      lines.push("**" + convertToMarkdown(title) + "**");
+      var headerText = item.getHelpText();
+      if (headerText) {
+        lines.push("");
+        lines.push(convertToMarkdown(headerText));
+      }
+      lines.push("");
       return;
     }
 
     questionCounter += 1;
 
+    var bodyOptions = { answerKey: answerKey, allItems: items, media: media, choiceStyle: options.choiceStyle };
+    var template = templates[type.toString()] ? type.toString() : templates.question ? "question" : null;
+    if (template) {
+      var view = buildQuestionView(item, type, questionCounter, sectionMap, bodyOptions, options);
+      view.section = { number: sectionCounter, title: convertToMarkdown(currentSection) };
+      lines = lines.concat(renderMarkdownTemplate_(templates, template, view));
+      return;
+    }
+
     // Question heading
-    lines.push("### " + questionCounter + ". " + convertToMarkdown(title));
+    lines.push(
+      markdownHeading(3, options) + " " + questionCounter + ". " + convertToMarkdown(title) +
+      (isRequiredItem(item, type) ? options.requiredMarker : "") +
+      (answerKey ? renderPointsMarkdown(item, type) : "")
+    );
 
     var helpText = item.getHelpText();
     if (helpText) {
@@ -84,24 +156,294 @@ function exportFormToMarkdown(formId, optionalForm, optionalItems) {
 
     // Type specific rendering
     lines.push("");
-    lines = lines.concat(renderItemBodyMarkdown(item, type, sectionMap));
+    lines = lines.concat(renderItemBodyMarkdown(item, type, sectionMap, bodyOptions));
+    if (answerKey) {
+      lines = lines.concat(renderFeedbackMarkdown(item, type));
+    }
     lines.push("");
   });
 
-  // Add default navigation for the last section
-  if (currentPageBreakItem) {
-    var defaultNav = getDefaultSectionNavigation(currentPageBreakItem, items, sectionMap);
-    if (defaultNav) {
-      lines.push("");
-      lines.push("_Default: " + defaultNav + "_");
-    }
+  if (options.toc) {
+    var contents = renderTableOfContents(lines, contentsIndex, options);
+    lines.splice.apply(lines, [contentsIndex, 0].concat(contents));
   }
 
   return lines.join("\n");
 }
 
 /**
- * Gets the default navigation behavior for a page break section.
+ * Reads Markdown rendering options, filling in defaults that reproduce the standard layout.
+ *
+ * Options: answerKey (points, correct answers and feedback on quizzes), diagram (Mermaid flowchart),
+ * settings (Settings block, on by default), frontMatter (YAML front matter with the form ID, title and
+ * export date), toc (table of contents of the sections and questions), choiceStyle ("bullets" or
+ * "checkboxes"), requiredMarker (text appended to the heading of required questions, such as " *"),
+ * headingOffset (levels added to every heading, so the form title can sit below a page title),
+ * skipUntitled (leave out items without a title, on by default), and templates.
+ *
+ * templates holds Mustache-style templates (see renderTemplate) keyed by what they render:
+ * an item type name such as "MULTIPLE_CHOICE", "question" for every other question, "section" for
+ * section headings, "sectionEnd" for the default navigation at the end of a section, and "header" for
+ * title-and-description items. Templates can include each other, and any other entry, with {{> name}}.
+ * See buildQuestionView for the values a question template can use.
+ *
+ * @param {Object} [optionalOptions] - Rendering options as set in MARKDOWN_OPTIONS
+ * @return {Object} Options with every setting filled in
+ * @throws {Error} If the choice style is unknown, the heading offset is out of range, or a template is not text
+ */
+function readMarkdownOptions(optionalOptions) {
+  var values = optionalOptions || {};
+  var options = {
+    answerKey: !!values.answerKey,
+    diagram: !!values.diagram,
+    settings: values.settings !== false,
+    frontMatter: !!values.frontMatter,
+    toc: !!values.toc,
+    choiceStyle: values.choiceStyle || "bullets",
+    requiredMarker: values.requiredMarker || "",
+    headingOffset: values.headingOffset || 0,
+    skipUntitled: values.skipUntitled !== false,
+    templates: values.templates || {}
+  };
+
+  if (MARKDOWN_CHOICE_STYLES.indexOf(options.choiceStyle) === -1) {
+    throw new Error("Choice style must be " + MARKDOWN_CHOICE_STYLES.join(" or ") + ", got " + options.choiceStyle);
+  }
+  if (options.headingOffset !== Math.floor(options.headingOffset) || options.headingOffset < 0 || options.headingOffset > 3) {
+    throw new Error("Heading offset must be a whole number from 0 to 3, got " + options.headingOffset);
+  }
+  Object.keys(options.templates).forEach(function(name) {
+    if (typeof options.templates[name] !== "string") {
+      throw new Error("Markdown template \"" + name + "\" must be a string");
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Returns the Markdown heading marker for a level of the standard layout, shifted by the heading offset:
+ * 1 for the form title, 2 for sections and the Settings block, 3 for questions.
+ *
+ * @param {number} level - Heading level without offset
+ * @param {Object} options - Options from readMarkdownOptions
+ * @return {string} Heading marker such as "###"
+ */
+function markdownHeading(level, options) {
+  return new Array(level + options.headingOffset + 1).join("#");
+}
+
+/**
+ * Renders YAML front matter for static site generators, with the form ID, its plain-text title,
+ * and the time of the export.
+ *
+ * @param {string} formId - Google Form ID
+ * @param {FormApp.Form} form - The exported form
+ * @return {string[]} Array of Markdown lines, ending with an empty line
+ */
+function renderFrontMatter(formId, form) {
+  return [
+    "---",
+    "formId: " + JSON.stringify(formId),
+    "title: " + JSON.stringify(richTextToPlainText(form.getTitle())),
+    "exportedAt: " + JSON.stringify(new Date().toISOString()),
+    "---",
+    ""
+  ];
+}
+
+/**
+ * Renders a table of contents of the headings below the form title, linked with GitHub-style anchors
+ * (lower case, punctuation removed, spaces as hyphens, repeated anchors numbered).
+ * Fenced code blocks, such as the Mermaid diagram, are skipped.
+ *
+ * @param {string[]} lines - Markdown lines of the whole export
+ * @param {number} startIndex - Index of the line where the table of contents goes; it lists the headings after it
+ * @param {Object} options - Options from readMarkdownOptions
+ * @return {string[]} Array of Markdown lines, or an empty array when there are no headings to list
+ */
+function renderTableOfContents(lines, startIndex, options) {
+  var titleLevel = 1 + options.headingOffset;
+  var anchors = {};
+  function anchorFor(text) {
+    var anchor = markdownHeadingText(text).toLowerCase().replace(/[^\p{L}\p{N}\- _]/gu, "").replace(/ /g, "-");
+    var count = anchors[anchor] || 0;
+    anchors[anchor] = count + 1;
+    return count ? anchor + "-" + count : anchor;
+  }
+  function headingsOf(part) {
+    var inCode = false;
+    var headings = [];
+    part.forEach(function(line) {
+      if (/^```/.test(line)) inCode = !inCode;
+      var heading = inCode ? null : /^(#{1,6}) (.*)$/.exec(line);
+      if (heading) headings.push({ level: heading[1].length, text: heading[2].trim() });
+    });
+    return headings;
+  }
+
+  // Headings above the table of contents, and its own, take their anchors first
+  headingsOf(lines.slice(0, startIndex)).forEach(function(heading) {
+    anchorFor(heading.text);
+  });
+  anchorFor("Contents");
+
+  var entries = headingsOf(lines.slice(startIndex)).filter(function(heading) {
+    return heading.level > titleLevel;
+  }).map(function(heading) {
+    var indent = new Array((heading.level - titleLevel - 1) * 2 + 1).join(" ");
+    return indent + "- [" + escapeMarkdownText(markdownHeadingText(heading.text).trim(), false) + "](#" + anchorFor(heading.text) + ")";
+  });
+  if (entries.length === 0) return [];
+
+  return [markdownHeading(2, options) + " Contents", ""].concat(entries).concat([""]);
+}
+
+/**
+ * Returns the text of a Markdown heading as it reads: without formatting, links, HTML tags and escapes.
+ *
+ * @param {string} text - Heading text after the # marker
+ * @return {string} Plain text
+ */
+function markdownHeadingText(text) {
+  return decodeRichTextEntities(text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\[((?:\\.|[^\]\\])*)\]\([^)]*\)/g, "$1")
+    .replace(/\\([!-\/:-@\[-`{-~])|[*_`~\[\]]/g, function(character, escaped) {
+      return escaped || "";
+    }));
+}
+
+/**
+ * Tells whether a question is required. Items that cannot be required, such as images, are not.
+ *
+ * @param {FormApp.Item} item - The form item
+ * @param {FormApp.ItemType} type - The type of the form item
+ * @return {boolean} True when the question is required
+ */
+function isRequiredItem(item, type) {
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  var typedItem = typeof item[itemTypeConstructorName] === "function" ? item[itemTypeConstructorName]() : item;
+  return typeof typedItem.isRequired === "function" && typedItem.isRequired();
+}
+
+/**
+ * Builds the values a question template can use:
+ * id, number, type (such as "MULTIPLE_CHOICE"), title and helpText (as Markdown), heading (the "###" marker),
+ * required, requiredMarker (the configured marker on required questions, otherwise empty),
+ * body (the standard rendering of the answer area), choices ({value, correct, navigation} per choice,
+ * where navigation is a text such as "Go to section 2 (Drivers)"), hasOtherOption, rows and columns (grids),
+ * and in answer key mode points and feedback. exportFormToMarkdown adds section: {number, title}.
+ *
+ * @param {FormApp.Item} item - The question to describe
+ * @param {FormApp.ItemType} type - The type of the question
+ * @param {number} number - Question number
+ * @param {Object} sectionMap - Map of item indices to section information for navigation links
+ * @param {Object} bodyOptions - Options for renderItemBodyMarkdown
+ * @param {Object} options - Options from readMarkdownOptions
+ * @return {Object} Template values
+ */
+function buildQuestionView(item, type, number, sectionMap, bodyOptions, options) {
+  var answerKey = !!bodyOptions.answerKey;
+  var allItems = bodyOptions.allItems;
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  var typedItem = typeof item[itemTypeConstructorName] === "function" ? item[itemTypeConstructorName]() : item;
+  var required = isRequiredItem(item, type);
+  var navigates = type === FormApp.ItemType.MULTIPLE_CHOICE || type === FormApp.ItemType.LIST;
+
+  var view = {
+    id: item.getId(),
+    number: number,
+    type: type.toString(),
+    title: convertToMarkdown(item.getTitle()),
+    helpText: convertToMarkdown(item.getHelpText()),
+    heading: markdownHeading(3, options),
+    required: required,
+    requiredMarker: required ? options.requiredMarker : "",
+    body: renderItemBodyMarkdown(item, type, sectionMap, bodyOptions).join("\n"),
+    choices: [],
+    hasOtherOption: typeof typedItem.hasOtherOption === "function" && typedItem.hasOtherOption(),
+    rows: typeof typedItem.getRows === "function" ? typedItem.getRows().map(convertToMarkdown) : [],
+    columns: typeof typedItem.getColumns === "function" ? typedItem.getColumns().map(convertToMarkdown) : [],
+    points: answerKey && typeof typedItem.getPoints === "function" ? typedItem.getPoints() : null,
+    feedback: answerKey ? renderFeedbackMarkdown(item, type).join("\n").trim() : ""
+  };
+
+  if (typeof typedItem.getChoices === "function") {
+    view.choices = typedItem.getChoices().map(function(choice) {
+      return {
+        value: convertToMarkdown(choice.getValue()),
+        correct: answerKey && choice.isCorrectAnswer(),
+        navigation: navigates ? describeNavigationTarget(choice.getPageNavigationType(), choice.getGotoPage(), allItems, sectionMap) : ""
+      };
+    });
+  }
+
+  return view;
+}
+
+/**
+ * Renders one of the configured templates, with the other templates available as partials.
+ *
+ * @param {Object} templates - Templates from readMarkdownOptions
+ * @param {string} name - Name of the template to render
+ * @param {Object} view - Template values
+ * @return {string[]} Rendered Markdown lines
+ * @private
+ */
+function renderMarkdownTemplate_(templates, name, view) {
+  return renderTemplate(templates[name], view, templates).split("\n");
+}
+
+/**
+ * Renders the Settings block of a form: its response settings (see FORM_SETTINGS),
+ * where responses are stored, and the links to the form and its summary of responses.
+ *
+ * @param {FormApp.Form} form - The Google Form object to describe
+ * @param {string} [optionalHeading] - Heading marker of the block, "##" by default
+ * @return {string[]} Array of Markdown lines, starting with the "## Settings" heading
+ */
+function renderSettingsMarkdown(form, optionalHeading) {
+  var settings = getFormSettings(form);
+  var lines = [(optionalHeading || "##") + " Settings", ""];
+
+  FORM_SETTINGS.forEach(function(setting) {
+    var value = settings[setting.field];
+    lines.push("- " + setting.label + ": " + (value === null ? "_unknown_" : value ? "Yes" : "No"));
+  });
+
+  var destination = settings.responseDestination;
+  lines.push("- Responses saved to: " + (destination
+    ? "[Google Sheets](https://docs.google.com/spreadsheets/d/" + destination.id + "/edit)"
+    : "the form only"));
+  lines.push("- Form link: " + form.getPublishedUrl());
+  lines.push("- Summary of responses: " + form.getSummaryUrl());
+
+  return lines;
+}
+
+/**
+ * Renders the default navigation at the end of the section before a page break, with the sectionEnd
+ * template when there is one. The last section has no page break after it and always submits the form.
+ *
+ * @param {FormApp.Item} pageBreakItem - The page break item that ends the section
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @param {Object} templates - Templates from readMarkdownOptions
+ * @return {string[]} Markdown lines, empty when the section has no default navigation
+ * @private
+ */
+function renderSectionEndMarkdown_(pageBreakItem, allItems, sectionMap, templates) {
+  var defaultNav = getDefaultSectionNavigation(pageBreakItem, allItems, sectionMap);
+  if (!defaultNav) return [];
+  if (templates.sectionEnd) {
+    return renderMarkdownTemplate_(templates, "sectionEnd", { navigation: defaultNav });
+  }
+  return ["", "_Default: " + defaultNav + "_", ""];
+}
+
+/**
+ * Gets the default navigation behavior of the section before a page break.
  * Returns a human-readable description of where the section leads by default
  * (e.g., "Continue to next section", "Submit form", or specific section navigation).
  *
@@ -118,53 +460,9 @@ function getDefaultSectionNavigation(pageBreakItem, allItems, sectionMap) {
   if (navType === FormApp.PageNavigationType.CONTINUE) {
     return "Continue to next section";
   }
-  
-  if (navType === FormApp.PageNavigationType.SUBMIT) {
-    return "**Submit form**";
-  }
-  
-  if (navType === FormApp.PageNavigationType.GO_TO_PAGE && navItem) {
-    // Find the index of the navigation target
-    var targetIndex = -1;
-    for (var i = 0; i < allItems.length; i++) {
-      if (allItems[i].getId() === navItem.getId()) {
-        targetIndex = i;
-        break;
-      }
-    }
-    
-    if (targetIndex >= 0 && sectionMap[targetIndex]) {
-      var section = sectionMap[targetIndex];
-      return "**Go to section " + section.number + " (" + convertToMarkdown(section.title) + ")**";
-    }
-  }
-  
-  return "";
-}
 
-/**
- * Builds a map of page break item indices to section information.
- * This mapping enables section references in navigation links throughout the form.
- * Each page break item is tracked with its section number and title.
- *
- * @param {FormApp.Item[]} items - Array of all form items
- * @return {Object} Map with keys as item index, values as objects containing section number and title
- */
-function buildSectionMap(items) {
-  var sectionMap = {};
-  var sectionNumber = 0;
-  
-  items.forEach(function(item, index) {
-    if (item.getType() === FormApp.ItemType.PAGE_BREAK) {
-      sectionNumber += 1;
-      sectionMap[index] = {
-        number: sectionNumber,
-        title: item.getTitle() || "Section " + sectionNumber
-      };
-    }
-  });
-  
-  return sectionMap;
+  var target = describeNavigationTarget(navType, navItem, allItems, sectionMap);
+  return target ? "**" + target + "**" : "";
 }
 
 /**
@@ -179,12 +477,24 @@ function buildSectionMap(items) {
  * @return {string} Formatted navigation text to append to choice, or empty string for default (CONTINUE) behavior
  */
 function getNavigationText(navType, navItem, allItems, sectionMap) {
-  if (navType === FormApp.PageNavigationType.CONTINUE) {
-    return ""; // Default behavior, no need to mention
-  }
-  
+  // CONTINUE is the default behavior, no need to mention
+  var target = describeNavigationTarget(navType, navItem, allItems, sectionMap);
+  return target ? " → **" + target + "**" : "";
+}
+
+/**
+ * Describes where a page navigation leads, as plain text such as "Submit form" or
+ * "Go to section 2 (Contact Info)". Continuing to the next section is not described.
+ *
+ * @param {FormApp.PageNavigationType} navType - Type of navigation (CONTINUE, SUBMIT, or GO_TO_PAGE)
+ * @param {FormApp.Item} navItem - The target page break item to navigate to (or null)
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @return {string} Description of the target, or empty string for CONTINUE and targets that cannot be resolved
+ */
+function describeNavigationTarget(navType, navItem, allItems, sectionMap) {
   if (navType === FormApp.PageNavigationType.SUBMIT) {
-    return " → **Submit form**";
+    return "Submit form";
   }
   
   if (navType === FormApp.PageNavigationType.GO_TO_PAGE && navItem) {
@@ -199,7 +509,7 @@ function getNavigationText(navType, navItem, allItems, sectionMap) {
     
     if (targetIndex >= 0 && sectionMap[targetIndex]) {
       var section = sectionMap[targetIndex];
-      return " → **Go to section " + section.number + " (" + convertToMarkdown(section.title) + ")**";
+      return "Go to section " + section.number + " (" + convertToMarkdown(section.title) + ")";
     }
   }
   
@@ -209,22 +519,33 @@ function getNavigationText(navType, navItem, allItems, sectionMap) {
 /**
  * Renders the body content of a form item as Markdown lines.
  * Handles different item types: TEXT, PARAGRAPH_TEXT, MULTIPLE_CHOICE, CHECKBOX,
- * LIST, SCALE, and others. Includes choice options, scale bounds, and navigation links.
+ * LIST, SCALE, GRID, CHECKBOX_GRID, DATE, DATETIME, TIME, DURATION, RATING, FILE_UPLOAD,
+ * and others. Includes choice options, scale bounds, grid tables, and navigation links.
  *
  * @param {FormApp.Item} item - The form item to render
  * @param {FormApp.ItemType} type - The type of the form item
  * @param {Object} sectionMap - Map of item indices to section information for navigation links
+ * @param {Object} [optionalOptions] - Rendering options: {answerKey: boolean, allItems: FormApp.Item[], media: Object, choiceStyle: string}.
+ *   answerKey marks correct choices; allItems resolves navigation targets (defaults to the active form's items);
+ *   media holds the options from readMediaOptions (defaults to embedded images and no video URLs);
+ *   choiceStyle "checkboxes" lists choices as a task list instead of plain bullets
  * @return {string[]} Array of Markdown formatted strings representing the item body
  */
-function renderItemBodyMarkdown(item, type, sectionMap) {
+function renderItemBodyMarkdown(item, type, sectionMap, optionalOptions) {
   var lines = [];
+  var answerKey = !!(optionalOptions && optionalOptions.answerKey);
+  var bullet = optionalOptions && optionalOptions.choiceStyle === "checkboxes" ? "- [ ] " : "- ";
 
+  // FILE_UPLOAD has no asFileUploadItem(), so it stays a generic Item
   var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
-  var typedItem = item[itemTypeConstructorName]();
+  var typedItem = typeof item[itemTypeConstructorName] === "function" ? item[itemTypeConstructorName]() : item;
   
-  // Get all items for navigation lookup
-  var form = FormApp.getActiveForm();
-  var allItems = form ? form.getItems() : [];
+  // Get all items for navigation lookup. The active form only exists in bound scripts.
+  var allItems = optionalOptions && optionalOptions.allItems;
+  if (!allItems) {
+    var form = FormApp.getActiveForm();
+    allItems = form ? form.getItems() : [];
+  }
 
   switch (type) {
     case FormApp.ItemType.TEXT:
@@ -239,7 +560,7 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
       lines.push("_Single choice_");
       lines.push("");
       typedItem.getChoices().forEach(function(choice) {
-        var choiceText = "- " + convertToMarkdown(choice.getValue());
+        var choiceText = bullet + convertToMarkdown(choice.getValue()) + (answerKey ? renderCorrectMarkerMarkdown(choice) : "");
         
         // Check for page navigation
         var navType = choice.getPageNavigationType();
@@ -249,7 +570,7 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
         lines.push(choiceText + navText);
       });
       if (typedItem.hasOtherOption()) {
-        lines.push("- Other: _text response_");
+        lines.push(bullet + "Other: _text response_");
       }
       break;
 
@@ -257,10 +578,10 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
       lines.push("_Select all that apply_");
       lines.push("");
       typedItem.getChoices().forEach(function(choice) {
-        lines.push("- " + convertToMarkdown(choice.getValue()));
+        lines.push(bullet + convertToMarkdown(choice.getValue()) + (answerKey ? renderCorrectMarkerMarkdown(choice) : ""));
       });
       if (typedItem.hasOtherOption()) {
-        lines.push("- Other: _text response_");
+        lines.push(bullet + "Other: _text response_");
       }
       break;
 
@@ -268,7 +589,7 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
       lines.push("_Dropdown (single choice)_");
       lines.push("");
       typedItem.getChoices().forEach(function(choice) {
-        var choiceText = "- " + convertToMarkdown(choice.getValue());
+        var choiceText = bullet + convertToMarkdown(choice.getValue()) + (answerKey ? renderCorrectMarkerMarkdown(choice) : "");
         
         // Check for page navigation
         var navType = choice.getPageNavigationType();
@@ -294,6 +615,59 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
       );
       break;
 
+    case FormApp.ItemType.GRID:
+      lines.push("_Grid (one choice per row)_");
+      lines.push("");
+      lines = lines.concat(renderGridMarkdown(typedItem.getRows(), typedItem.getColumns()));
+      break;
+
+    case FormApp.ItemType.CHECKBOX_GRID:
+      lines.push("_Checkbox grid (any number of choices per row)_");
+      lines.push("");
+      lines = lines.concat(renderGridMarkdown(typedItem.getRows(), typedItem.getColumns()));
+      break;
+
+    case FormApp.ItemType.DATE:
+      lines.push(typedItem.includesYear() ? "_Date_" : "_Date (day and month, no year)_");
+      break;
+
+    case FormApp.ItemType.DATETIME:
+      lines.push(typedItem.includesYear() ? "_Date and time_" : "_Date and time (no year)_");
+      break;
+
+    case FormApp.ItemType.TIME:
+      lines.push("_Time of day_");
+      break;
+
+    case FormApp.ItemType.DURATION:
+      lines.push("_Duration (hours, minutes, seconds)_");
+      break;
+
+    case FormApp.ItemType.RATING:
+      lines.push(
+        "Rating: 1 to " +
+          typedItem.getRatingScaleLevel() +
+          " (" + typedItem.getRatingIcon().toString().toLowerCase().replace(/_/g, " ") + " icons)"
+      );
+      break;
+
+    case FormApp.ItemType.FILE_UPLOAD:
+      lines.push("_File upload_");
+      break;
+
+    case FormApp.ItemType.IMAGE:
+      var media = (optionalOptions && optionalOptions.media) || readMediaOptions();
+      var image = describeImage(typedItem, media);
+      var alt = (richTextToPlainText(item.getTitle()) || image.name || "Image").replace(/[\[\]]/g, "").replace(/\s+/g, " ");
+      lines.push("![" + alt + "](" + imageSource(image) + ")");
+      break;
+
+    case FormApp.ItemType.VIDEO:
+      var videoUrls = optionalOptions && optionalOptions.media ? optionalOptions.media.videoUrls : {};
+      var videoUrl = videoUrls[item.getId()];
+      lines.push(videoUrl ? "[▶ Watch the video](" + videoUrl + ")" : "_Video (URL not available)_");
+      break;
+
     default:
       lines.push("_Item type: " + type.toString() + " (not specially formatted)_");
       break;
@@ -303,34 +677,83 @@ function renderItemBodyMarkdown(item, type, sectionMap) {
 }
 
 /**
- * Converts Google Forms rich text (HTML-like tags) to Markdown format.
- * Handles bold (<b>), italic (<i>), underline (<u>), links (<a>), and line breaks (<br>).
- * Note: Underline formatting is preserved as HTML since Markdown has no native underline syntax.
+ * Renders the point value of a quiz question as a suffix for its heading.
  *
- * @param {string} text - The HTML-like text from Google Forms to convert
- * @return {string} Markdown formatted text with converted tags
+ * @param {FormApp.Item} item - The form item to read points from
+ * @param {FormApp.ItemType} type - The type of the form item
+ * @return {string} Heading suffix such as " _(2 points)_", or empty string for ungraded items
  */
-function convertToMarkdown(text) {
-  if (!text) return "";
-  
-  // Convert bold
-  text = text.replace(/<b>(.*?)<\/b>/g, "**$1**");
-  
-  // Convert italic
-  text = text.replace(/<i>(.*?)<\/i>/g, "*$1*");
-  
-  // Convert underline (Markdown doesn't have native underline, so we keep it as HTML or use emphasis)
-  text = text.replace(/<u>(.*?)<\/u>/g, "<u>$1</u>");
-  
-  // Convert links
-  text = text.replace(/<a href="(.*?)">(.*?)<\/a>/g, "[$2]($1)");
-  
-  // Handle line breaks
-  text = text.replace(/<br>/g, "\n");
-  text = text.replace(/<br\/>/g, "\n");
-  text = text.replace(/<br \/>/g, "\n");
-  
-  return text;
+function renderPointsMarkdown(item, type) {
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  if (typeof item[itemTypeConstructorName] !== "function") return "";
+  var typedItem = item[itemTypeConstructorName]();
+  if (typeof typedItem.getPoints !== "function") return "";
+
+  var points = typedItem.getPoints();
+  return " _(" + points + (points === 1 ? " point" : " points") + ")_";
+}
+
+/**
+ * Marks a choice as the correct answer in answer key mode.
+ *
+ * @param {FormApp.Choice} choice - The choice to check
+ * @return {string} Suffix " ✓ **correct**" for correct choices, or empty string
+ */
+function renderCorrectMarkerMarkdown(choice) {
+  return choice.isCorrectAnswer() ? " ✓ **correct**" : "";
+}
+
+/**
+ * Renders the general, correct, and incorrect quiz feedback of a question as quoted lines.
+ *
+ * @param {FormApp.Item} item - The form item to read feedback from
+ * @param {FormApp.ItemType} type - The type of the form item
+ * @return {string[]} Array of Markdown lines, empty when the question has no feedback
+ */
+function renderFeedbackMarkdown(item, type) {
+  var itemTypeConstructorName = snakeCaseToCamelCase("AS_" + type.toString() + "_ITEM");
+  if (typeof item[itemTypeConstructorName] !== "function") return [];
+  var typedItem = item[itemTypeConstructorName]();
+
+  var kinds = [
+    { label: "Feedback", getter: "getGeneralFeedback" },
+    { label: "Feedback if correct", getter: "getFeedbackForCorrect" },
+    { label: "Feedback if incorrect", getter: "getFeedbackForIncorrect" }
+  ];
+
+  var lines = [];
+  kinds.forEach(function(kind) {
+    if (typeof typedItem[kind.getter] !== "function") return;
+    var feedback = typedItem[kind.getter]();
+    if (!feedback || (!feedback.getText() && feedback.getLinkUrls().length === 0)) return;
+
+    var text = convertToMarkdown(feedback.getText());
+    feedback.getLinkUrls().forEach(function(url) {
+      text += " [" + url + "](" + url + ")";
+    });
+    lines.push("");
+    lines.push("> **" + kind.label + ":** " + text.trim());
+  });
+
+  return lines;
+}
+
+/**
+ * Renders the rows and columns of a grid item as a Markdown table.
+ * Each row of the form becomes a table row with an empty cell per column.
+ *
+ * @param {string[]} rows - Row labels of the grid
+ * @param {string[]} columns - Column labels of the grid
+ * @return {string[]} Array of Markdown table lines
+ */
+function renderGridMarkdown(rows, columns) {
+  var lines = [];
+  lines.push("| | " + columns.map(convertToMarkdown).join(" | ") + " |");
+  lines.push("|---|" + columns.map(function() { return "---"; }).join("|") + "|");
+  rows.forEach(function(row) {
+    lines.push("| " + convertToMarkdown(row) + " |" + columns.map(function() { return " "; }).join("|") + "|");
+  });
+  return lines;
 }
 
 /**
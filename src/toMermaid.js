@@ -0,0 +1,210 @@
+/**
+ * Exports the section navigation of a Google Form as a Mermaid flowchart.
+ * Each section becomes a node, the default next section a plain edge, and
+ * branching choices labelled edges. Submitting the form is a terminal node.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {string} Mermaid flowchart definition (without code fences)
+ */
+function exportFormToMermaid(formId, optionalForm, optionalItems) {
+  var form = optionalForm || FormApp.openById(formId);
+  var items = optionalItems || form.getItems();
+  var graph = buildSectionGraph(form, items);
+
+  var lines = ["flowchart TD"];
+  graph.sections.forEach(function(section) {
+    lines.push("  S" + section.number + "[\"" + escapeMermaidLabel(section.number + ". " + section.title) + "\"]");
+  });
+  lines.push("  SUBMIT([\"Submit\"])");
+
+  graph.edges.forEach(function(edge) {
+    var target = edge.to === "SUBMIT" ? "SUBMIT" : "S" + edge.to;
+    if (edge.label) {
+      lines.push("  S" + edge.from + " -- \"" + escapeMermaidLabel(edge.label) + "\" --> " + target);
+    } else {
+      lines.push("  S" + edge.from + " --> " + target);
+    }
+  });
+
+  return lines.join("\n");
+}
+
+/**
+ * Exports the section navigation of a Google Form as a Graphviz DOT digraph.
+ * Uses the same graph as exportFormToMermaid.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {string} DOT digraph definition
+ */
+function exportFormToDot(formId, optionalForm, optionalItems) {
+  var form = optionalForm || FormApp.openById(formId);
+  var items = optionalItems || form.getItems();
+  var graph = buildSectionGraph(form, items);
+
+  var lines = ["digraph form {", "  rankdir=TB;", "  node [shape=box];"];
+  graph.sections.forEach(function(section) {
+    lines.push("  S" + section.number + " [label=\"" + escapeDotLabel(section.number + ". " + section.title) + "\"];");
+  });
+  lines.push("  SUBMIT [label=\"Submit\", shape=doublecircle];");
+
+  graph.edges.forEach(function(edge) {
+    var target = edge.to === "SUBMIT" ? "SUBMIT" : "S" + edge.to;
+    var attributes = edge.label ? " [label=\"" + escapeDotLabel(edge.label) + "\"]" : "";
+    lines.push("  S" + edge.from + " -> " + target + attributes + ";");
+  });
+  lines.push("}");
+
+  return lines.join("\n");
+}
+
+/**
+ * Builds the section navigation graph of a form.
+ * Sections are numbered by buildNavigationSectionMap (items before the first page break are section 1).
+ * A section's default edge comes from the page break that ends it; the last section submits the form.
+ * Choices with their own navigation add labelled edges, grouped when several choices share a target.
+ *
+ * @param {FormApp.Form} form - The form, used to title section 1
+ * @param {FormApp.Item[]} items - All form items
+ * @return {Object} Graph with sections [{number, title}] and edges [{from, to, label}], where to is a section number or "SUBMIT"
+ */
+function buildSectionGraph(form, items) {
+  var sectionMap = buildNavigationSectionMap(items);
+  var lastSection = Object.keys(sectionMap).length + 1;
+  var sections = [{ number: 1, title: form.getTitle() || "Start" }];
+  var edges = [];
+  var current = 1;
+
+  items.forEach(function(item, index) {
+    var type = item.getType();
+
+    if (type === FormApp.ItemType.PAGE_BREAK) {
+      var pageBreak = item.asPageBreakItem();
+      var next = sectionMap[index].number;
+      var target = resolveNavigationTarget(pageBreak.getPageNavigationType(), pageBreak.getGoToPage(), items, sectionMap, next);
+      addSectionEdge(edges, current, target, "");
+      sections.push({ number: next, title: sectionMap[index].title });
+      current = next;
+      return;
+    }
+
+    if (type !== FormApp.ItemType.MULTIPLE_CHOICE && type !== FormApp.ItemType.LIST) return;
+
+    var typedItem = type === FormApp.ItemType.MULTIPLE_CHOICE ? item.asMultipleChoiceItem() : item.asListItem();
+    typedItem.getChoices().forEach(function(choice) {
+      var navType = choice.getPageNavigationType();
+      if (navType === FormApp.PageNavigationType.CONTINUE) return;
+
+      // A choice whose target is gone continues, which submits from the last section
+      var choiceTarget = resolveNavigationTarget(navType, choice.getGotoPage(), items, sectionMap, current < lastSection ? current + 1 : "SUBMIT");
+      addSectionEdge(edges, current, choiceTarget, choice.getValue());
+    });
+  });
+
+  // The last section has no closing page break and always ends with submitting
+  addSectionEdge(edges, current, "SUBMIT", "");
+
+  return {
+    sections: sections,
+    edges: edges
+  };
+}
+
+/**
+ * Builds a map of page break item indices to section information, numbered like the section headings:
+ * the items before the first page break form section 1, so the first page break starts section 2.
+ * Every export that describes navigation uses this map, so section numbers agree across formats.
+ *
+ * @param {FormApp.Item[]} items - Array of all form items
+ * @return {Object} Map with keys as item index, values as objects containing section number and title
+ */
+function buildNavigationSectionMap(items) {
+  var sectionMap = {};
+  var sectionNumber = 1;
+
+  items.forEach(function(item, index) {
+    if (item.getType() === FormApp.ItemType.PAGE_BREAK) {
+      sectionNumber += 1;
+      sectionMap[index] = {
+        number: sectionNumber,
+        title: item.getTitle() || "Section " + sectionNumber
+      };
+    }
+  });
+
+  return sectionMap;
+}
+
+/**
+ * Resolves a navigation setting to the section it leads to.
+ *
+ * @param {FormApp.PageNavigationType} navType - Type of navigation
+ * @param {FormApp.PageBreakItem} navItem - Target page break for GO_TO_PAGE (or null)
+ * @param {FormApp.Item[]} allItems - All form items for resolving navigation targets
+ * @param {Object} sectionMap - Map of item indices to section information
+ * @param {number} nextSection - Section number reached by continuing linearly
+ * @return {number|string|null} Target section number, "SUBMIT", or null when the target cannot be found
+ */
+function resolveNavigationTarget(navType, navItem, allItems, sectionMap, nextSection) {
+  if (navType === FormApp.PageNavigationType.SUBMIT) return "SUBMIT";
+  if (navType === FormApp.PageNavigationType.RESTART) return 1;
+
+  if (navType === FormApp.PageNavigationType.GO_TO_PAGE && navItem) {
+    for (var i = 0; i < allItems.length; i++) {
+      if (allItems[i].getId() === navItem.getId()) {
+        return sectionMap[i] ? sectionMap[i].number : null;
+      }
+    }
+    return null;
+  }
+
+  return nextSection;
+}
+
+/**
+ * Adds an edge to the graph, merging choice labels that lead to the same target.
+ * Unresolvable targets are skipped.
+ *
+ * @param {Object[]} edges - Edge list being built
+ * @param {number} from - Source section number
+ * @param {number|string|null} to - Target section number or "SUBMIT"
+ * @param {string} label - Choice value, or empty string for the default edge
+ * @return {void}
+ */
+function addSectionEdge(edges, from, to, label) {
+  if (to === null) return;
+
+  for (var i = 0; i < edges.length; i++) {
+    var edge = edges[i];
+    if (edge.from !== from || edge.to !== to || !edge.label !== !label) continue;
+    if (label && edge.label.split(" / ").indexOf(label) === -1) {
+      edge.label += " / " + label;
+    }
+    return;
+  }
+
+  edges.push({ from: from, to: to, label: label });
+}
+
+/**
+ * Escapes text for use inside a quoted Mermaid label.
+ *
+ * @param {string} text - Label text
+ * @return {string} Text with quotes replaced by the Mermaid entity and line breaks collapsed
+ */
+function escapeMermaidLabel(text) {
+  return String(text).replace(/"/g, "#quot;").replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Escapes text for use inside a quoted DOT label.
+ *
+ * @param {string} text - Label text
+ * @return {string} Text with backslashes and quotes escaped and line breaks collapsed
+ */
+function escapeDotLabel(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\s*\n\s*/g, " ");
+}
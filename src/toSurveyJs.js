@@ -0,0 +1,222 @@
+/**
+ * Exports a Google Form as a SurveyJS survey definition.
+ * Supports optional pre-fetched data to optimize performance when exporting multiple formats.
+ *
+ * @param {string} formId - Google Form ID to export
+ * @param {FormApp.Form} [optionalForm] - Pre-fetched form object (optional, for performance optimization)
+ * @param {FormApp.Item[]} [optionalItems] - Pre-fetched items array (optional, for performance optimization)
+ * @return {Object} Object with survey (SurveyJS JSON) and report (see convertExportToSurveyJs)
+ */
+function exportFormToSurveyJs(formId, optionalForm, optionalItems) {
+  return convertExportToSurveyJs(exportFormToJson(formId, optionalForm, optionalItems));
+}
+
+/**
+ * Converts a JSON export into a SurveyJS survey definition.
+ *
+ * Each section becomes a page named by its section key, and each item an element named by its
+ * item key (see nestExport). Section jumps become visibleIf conditions on pages, built by
+ * buildSectionConditions. Titles and descriptions are converted to plain text.
+ *
+ * Anything SurveyJS cannot express exactly is converted as closely as possible (or left out)
+ * and listed in the report.
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson, of any schema version
+ * @return {Object} Object with survey and report [{key, id, title, field, reason}]
+ */
+function convertExportToSurveyJs(exportJson) {
+  var nested = nestExport(exportJson);
+  var metadata = nested.metadata;
+  var report = [];
+  var conditions = buildSectionConditions(nested, report);
+
+  var survey = { title: richTextToPlainText(metadata.title) };
+  if (metadata.description) {
+    survey.description = richTextToPlainText(metadata.description);
+  }
+  if (metadata.confirmationMessage) {
+    survey.completedHtml = convertToHtml(metadata.confirmationMessage);
+  }
+  if (metadata.isQuiz) {
+    survey.showCorrectAnswer = "on";
+  }
+
+  survey.pages = nested.sections.map(function(section, i) {
+    var page = { name: section.key };
+    if (section.title) page.title = richTextToPlainText(section.title);
+    if (section.helpText) page.description = richTextToPlainText(section.helpText);
+
+    var visibleIf = surveyJsCondition_(conditions[i]);
+    if (visibleIf) page.visibleIf = visibleIf;
+
+    page.elements = [];
+    section.items.forEach(function(item) {
+      var element = surveyJsElement_(item, report);
+      if (element) page.elements.push(element);
+    });
+    return page;
+  });
+
+  return { survey: survey, report: report };
+}
+
+/**
+ * Converts one nested export item into a SurveyJS element.
+ *
+ * @param {Object} item - Item in the nested layout
+ * @param {Object[]} report - Conversion report; problems found are appended
+ * @return {Object|null} SurveyJS element, or null when the item has no SurveyJS equivalent
+ * @private
+ */
+function surveyJsElement_(item, report) {
+  var element = { type: "", name: item.key, title: richTextToPlainText(item.title) };
+  if (item.helpText) element.description = richTextToPlainText(item.helpText);
+
+  switch (item.type) {
+    case "TEXT":
+      element.type = "text";
+      break;
+
+    case "PARAGRAPH_TEXT":
+      element.type = "comment";
+      break;
+
+    case "MULTIPLE_CHOICE":
+    case "CHECKBOX":
+    case "LIST":
+      element.type = { MULTIPLE_CHOICE: "radiogroup", CHECKBOX: "checkbox", LIST: "dropdown" }[item.type];
+      element.choices = item.choices.slice();
+      if (item.hasOtherOption) element.showOtherItem = true;
+      break;
+
+    case "SCALE":
+      element.type = "rating";
+      element.rateMin = item.lowerBound;
+      element.rateMax = item.upperBound;
+      if (item.leftLabel) element.minRateDescription = item.leftLabel;
+      if (item.rightLabel) element.maxRateDescription = item.rightLabel;
+      break;
+
+    case "GRID":
+      element.type = "matrix";
+      element.columns = item.columns.slice();
+      element.rows = item.rows.slice();
+      break;
+
+    case "CHECKBOX_GRID":
+      // One checkbox cell per row, offering every grid column
+      element.type = "matrixdropdown";
+      element.cellType = "checkbox";
+      element.columns = [{ name: "selection", title: " " }];
+      element.choices = item.columns.slice();
+      element.rows = item.rows.slice();
+      break;
+
+    case "DATE":
+    case "DATETIME":
+      element.type = "text";
+      element.inputType = item.type === "DATE" ? "date" : "datetime-local";
+      if (!item.includesYear) {
+        report.push(conversionIssue_(item, "includesYear", "SurveyJS date inputs always ask for the year"));
+      }
+      break;
+
+    case "TIME":
+      element.type = "text";
+      element.inputType = "time";
+      break;
+
+    case "DURATION":
+      element.type = "text";
+      element.placeholder = "hh:mm:ss";
+      report.push(conversionIssue_(item, "type", "SurveyJS has no duration question; converted to a text question"));
+      break;
+
+    case "RATING":
+      element.type = "rating";
+      element.rateType = "stars";
+      element.rateMin = 1;
+      element.rateMax = item.ratingScaleLevel;
+      if (item.ratingIcon !== "STAR") {
+        report.push(conversionIssue_(item, "ratingIcon", "SurveyJS ratings have no " + item.ratingIcon + " icon; stars are used instead"));
+      }
+      break;
+
+    case "FILE_UPLOAD":
+      element.type = "file";
+      break;
+
+    case "SECTION_HEADER":
+      element = { type: "html", name: item.key, html: "<h4>" + convertToHtml(item.title) + "</h4>" };
+      if (item.helpText) element.html += "<p>" + convertToHtml(item.helpText) + "</p>";
+      return element;
+
+    case "IMAGE":
+    case "VIDEO":
+      var source = mediaSource(item, report);
+      if (!source) return null;
+      element = { type: "image", name: item.key, imageLink: source, contentMode: item.type === "VIDEO" ? "youtube" : "image" };
+      if (item.title) element.altText = richTextToPlainText(item.title);
+      if (item.width) element.imageWidth = String(item.width);
+      return element;
+
+    default:
+      report.push(conversionIssue_(item, "type", "Unknown item type " + item.type + "; item left out"));
+      return null;
+  }
+
+  if (item.isRequired) element.isRequired = true;
+  addSurveyJsQuizFields_(element, item, report);
+
+  return element;
+}
+
+/**
+ * Copies correct answers to a SurveyJS element and reports the quiz settings SurveyJS cannot hold.
+ *
+ * @param {Object} element - SurveyJS element being built
+ * @param {Object} item - Item in the nested layout
+ * @param {Object[]} report - Conversion report; problems found are appended
+ * @return {void}
+ * @private
+ */
+function addSurveyJsQuizFields_(element, item, report) {
+  if (item.correctAnswers && item.correctAnswers.length) {
+    element.correctAnswer = item.type === "CHECKBOX" ? item.correctAnswers.slice() : item.correctAnswers[0];
+  }
+  if (item.points > 1) {
+    report.push(conversionIssue_(item, "points", "SurveyJS counts every correct answer as one point; " + item.points + " points not kept"));
+  }
+  if (item.feedback) {
+    var hasFeedback = Object.keys(item.feedback).some(function(kind) {
+      return item.feedback[kind] !== null;
+    });
+    if (hasFeedback) {
+      report.push(conversionIssue_(item, "feedback", "SurveyJS has no per-question answer feedback; feedback left out"));
+    }
+  }
+}
+
+/**
+ * Renders a section condition as a SurveyJS expression.
+ *
+ * @param {Array[]} condition - Condition from buildSectionConditions
+ * @return {string} Expression, or an empty string when the section is always shown
+ * @private
+ */
+function surveyJsCondition_(condition) {
+  if (!condition.length) return "false";
+
+  var alternatives = [];
+  for (var i = 0; i < condition.length; i++) {
+    if (!condition[i].length) return "";
+    alternatives.push(condition[i].map(function(literal) {
+      return "{" + literal.key + "} " + (literal.op === "eq" ? "=" : "!=") + " '" + String(literal.value).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+    }).join(" and "));
+  }
+
+  if (alternatives.length === 1) return alternatives[0];
+  return alternatives.map(function(alternative) {
+    return "(" + alternative + ")";
+  }).join(" or ");
+}
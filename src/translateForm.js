@@ -0,0 +1,365 @@
+/**
+ * Item fields that hold lists of translatable strings, with the name used in their string IDs.
+ */
+var TRANSLATABLE_ITEM_LISTS = [
+  { field: "choices", name: "choice" },
+  { field: "rows", name: "row" },
+  { field: "columns", name: "column" }
+];
+
+/**
+ * Lists every translatable string of a JSON export with a stable ID.
+ *
+ * IDs are built from item IDs, so they survive reordering and retitling:
+ * - form.title, form.description, form.confirmationMessage, form.customClosedFormMessage
+ * - item.<id>.title and item.<id>.helpText
+ * - item.<id>.choice.<n>, item.<id>.row.<n>, and item.<id>.column.<n> (numbered from 1)
+ * - item.<id>.leftLabel and item.<id>.rightLabel for scales
+ * Empty strings are left out. Formatted text is given as Markdown, with "(Markdown)" at the end of its note,
+ * so translators can keep the formatting without editing HTML.
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson, of any schema version
+ * @return {Object[]} Array of {id, source, note}, in form order
+ */
+function extractFormStrings(exportJson) {
+  var data = upgradeExport(exportJson);
+  var metadata = data.metadata || {};
+  var strings = [];
+
+  function add(id, text, note) {
+    if (!text) return;
+    var translatable = translatableText_(text);
+    strings.push({ id: id, source: translatable.source, note: translatable.markdown ? note + " (Markdown)" : note });
+  }
+
+  add("form.title", metadata.title, "Form title");
+  add("form.description", metadata.description, "Form description");
+  add("form.confirmationMessage", metadata.confirmationMessage, "Message shown after submitting");
+  add("form.customClosedFormMessage", metadata.customClosedFormMessage, "Message shown when the form is closed");
+
+  (data.items || []).slice().sort(function(a, b) {
+    return a.index - b.index;
+  }).forEach(function(item) {
+    var prefix = "item." + item.id + ".";
+    var label = item.type === "PAGE_BREAK" ? "Section" : "Item " + (item.index + 1) + " (" + item.type + ")";
+
+    add(prefix + "title", item.title, label + " title");
+    add(prefix + "helpText", item.helpText, label + " description");
+    TRANSLATABLE_ITEM_LISTS.forEach(function(list) {
+      (item[list.field] || []).forEach(function(text, i) {
+        add(prefix + list.name + "." + (i + 1), text, label + " " + list.name + " " + (i + 1));
+      });
+    });
+    add(prefix + "leftLabel", item.leftLabel, label + " lower bound label");
+    add(prefix + "rightLabel", item.rightLabel, label + " upper bound label");
+  });
+
+  return strings;
+}
+
+/**
+ * Writes strings as an XLIFF 1.2 document, the format most translation tools import.
+ * Without a target language the file is a template with source text only.
+ *
+ * @param {Object[]} strings - Strings from extractFormStrings
+ * @param {Object} options - {sourceLanguage: string, targetLanguage: string (optional), original: string (form ID, optional)}
+ * @return {string} XLIFF document
+ */
+function stringsToXliff(strings, options) {
+  var lines = [];
+  lines.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+  lines.push("<xliff version=\"1.2\" xmlns=\"urn:oasis:names:tc:xliff:document:1.2\">");
+  lines.push("  <file original=\"" + escapeXml_(options.original || "form") + "\" source-language=\"" + escapeXml_(options.sourceLanguage) + "\"" +
+    (options.targetLanguage ? " target-language=\"" + escapeXml_(options.targetLanguage) + "\"" : "") + " datatype=\"plaintext\">");
+  lines.push("    <body>");
+  strings.forEach(function(string) {
+    lines.push("      <trans-unit id=\"" + escapeXml_(string.id) + "\">");
+    lines.push("        <source>" + escapeXml_(string.source) + "</source>");
+    lines.push("        <note>" + escapeXml_(string.note) + "</note>");
+    lines.push("      </trans-unit>");
+  });
+  lines.push("    </body>");
+  lines.push("  </file>");
+  lines.push("</xliff>");
+  return lines.join("\n");
+}
+
+/**
+ * Writes strings as a gettext PO file. The string ID is the message context (msgctxt),
+ * so identical texts in different places can be translated differently.
+ * Without a target language the file is a template (.pot).
+ *
+ * @param {Object[]} strings - Strings from extractFormStrings
+ * @param {Object} options - {sourceLanguage: string, targetLanguage: string (optional)}
+ * @return {string} PO file content
+ */
+function stringsToPo(strings, options) {
+  var lines = [];
+  lines.push("msgid \"\"");
+  lines.push("msgstr \"\"");
+  lines.push("\"Content-Type: text/plain; charset=UTF-8\\n\"");
+  lines.push("\"Language: " + (options.targetLanguage || "") + "\\n\"");
+  lines.push("\"X-Source-Language: " + options.sourceLanguage + "\\n\"");
+
+  strings.forEach(function(string) {
+    lines.push("");
+    lines.push("#. " + string.note);
+    lines.push("msgctxt " + poString_(string.id));
+    lines.push("msgid " + poString_(string.source));
+    lines.push("msgstr \"\"");
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Reads a translated XLIFF or PO file. The format is detected from the content.
+ * Untranslated entries, and PO entries marked fuzzy, are left out.
+ *
+ * @param {string} text - Content of the translated file
+ * @return {Object} Object with language (target language, "" when the file does not say)
+ *   and entries keyed by string ID, each {source, target}
+ */
+function parseTranslationFile(text) {
+  var content = String(text).replace(/^\uFEFF/, "");
+  return /^\s*</.test(content) ? parseXliff_(content) : parsePo_(content);
+}
+
+/**
+ * Applies a translated file to a JSON export and returns the localized export.
+ * Strings without a translation keep their source text. A translation whose source text
+ * no longer matches the export was made for an older version of the form; it is not used
+ * and the string is listed as stale. Translations of formatted text, which extractFormStrings gives
+ * as Markdown, are converted back to rich text. Correct quiz answers follow their translated choices.
+ *
+ * @param {Object} exportJson - Export produced by exportFormToJson, of any schema version
+ * @param {string} translationText - Content of a translated XLIFF or PO file
+ * @return {Object} Object with json (localized export), language, translatedCount, missing [ids], and stale [ids]
+ */
+function localizeExport(exportJson, translationText) {
+  var translation = parseTranslationFile(translationText);
+  var json = upgradeExport(exportJson);
+  var result = { json: json, language: translation.language, translatedCount: 0, missing: [], stale: [] };
+
+  function translate(id, source) {
+    if (!source) return source;
+    var entry = translation.entries.hasOwnProperty(id) ? translation.entries[id] : null;
+    if (!entry) {
+      result.missing.push(id);
+      return source;
+    }
+    var translatable = translatableText_(source);
+    if (entry.source !== translatable.source) {
+      result.stale.push(id);
+      return source;
+    }
+    result.translatedCount += 1;
+    return translatable.markdown ? convertMarkdownToRichText(entry.target) : entry.target;
+  }
+
+  var metadata = json.metadata;
+  ["title", "description", "confirmationMessage", "customClosedFormMessage"].forEach(function(field) {
+    metadata[field] = translate("form." + field, metadata[field]);
+  });
+
+  json.items.forEach(function(item) {
+    var prefix = "item." + item.id + ".";
+    var originalChoices = item.choices;
+
+    item.title = translate(prefix + "title", item.title);
+    item.helpText = translate(prefix + "helpText", item.helpText);
+    TRANSLATABLE_ITEM_LISTS.forEach(function(list) {
+      if (!item[list.field]) return;
+      item[list.field] = item[list.field].map(function(text, i) {
+        return translate(prefix + list.name + "." + (i + 1), text);
+      });
+    });
+    if (item.leftLabel !== undefined) item.leftLabel = translate(prefix + "leftLabel", item.leftLabel);
+    if (item.rightLabel !== undefined) item.rightLabel = translate(prefix + "rightLabel", item.rightLabel);
+
+    if (item.correctAnswers && originalChoices) {
+      item.correctAnswers = item.correctAnswers.map(function(answer) {
+        var position = originalChoices.indexOf(answer);
+        return position === -1 ? answer : item.choices[position];
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Returns the text translators work on: formatted rich text as Markdown, any other text as it is.
+ *
+ * @param {string} text - Text from the export
+ * @return {Object} Object with source (text to translate) and markdown (whether source is Markdown)
+ * @private
+ */
+function translatableText_(text) {
+  var markdown = hasRichTextFormatting(text);
+  return { source: markdown ? convertToMarkdown(text) : text, markdown: markdown };
+}
+
+/**
+ * Reads the translation units of an XLIFF 1.2 document.
+ *
+ * @param {string} text - XLIFF document
+ * @return {Object} Object with language and entries (see parseTranslationFile)
+ * @private
+ */
+function parseXliff_(text) {
+  var fileTag = /<file\b([^>]*)>/.exec(text);
+  var language = fileTag ? xmlAttribute_(fileTag[1], "target-language") : "";
+  var entries = {};
+  var unitPattern = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+  var unit;
+
+  while ((unit = unitPattern.exec(text)) !== null) {
+    var id = xmlAttribute_(unit[1], "id");
+    var source = /<source\b[^>]*>([\s\S]*?)<\/source>/.exec(unit[2]);
+    var target = /<target\b[^>]*>([\s\S]*?)<\/target>/.exec(unit[2]);
+    if (!id || !source || !target || !target[1]) continue;
+    entries[id] = { source: decodeXml_(source[1]), target: decodeXml_(target[1]) };
+  }
+
+  return { language: language, entries: entries };
+}
+
+/**
+ * Reads the entries of a gettext PO file, including multi-line strings.
+ *
+ * @param {string} text - PO file content
+ * @return {Object} Object with language and entries (see parseTranslationFile)
+ * @private
+ */
+function parsePo_(text) {
+  var language = "";
+  var entries = {};
+  var entry = null;
+  var field = null;
+
+  function finish() {
+    if (!entry) return;
+    if (entry.msgid === "") {
+      var header = /^Language:\s*(.*)$/m.exec(entry.msgstr);
+      language = header ? header[1].trim() : "";
+    } else if (entry.msgctxt && entry.msgstr && !entry.fuzzy) {
+      entries[entry.msgctxt] = { source: entry.msgid, target: entry.msgstr };
+    }
+    entry = null;
+    field = null;
+  }
+
+  text.split(/\r?\n/).forEach(function(line) {
+    var trimmed = line.trim();
+    if (!trimmed) {
+      finish();
+      return;
+    }
+    if (trimmed.charAt(0) === "#") {
+      // Comments start a new entry; a "#," line lists flags such as fuzzy
+      if (field) finish();
+      entry = entry || { msgctxt: "", msgid: null, msgstr: "", fuzzy: false };
+      if (/^#,.*\bfuzzy\b/.test(trimmed)) entry.fuzzy = true;
+      return;
+    }
+
+    var keyword = /^(msgctxt|msgid|msgstr)\s+(".*")$/.exec(trimmed);
+    if (keyword) {
+      if (keyword[1] !== "msgstr" && entry && entry.msgid !== null && field === "msgstr") finish();
+      entry = entry || { msgctxt: "", msgid: null, msgstr: "", fuzzy: false };
+      field = keyword[1];
+      entry[field] = parsePoString_(keyword[2]);
+    } else if (field && trimmed.charAt(0) === "\"") {
+      entry[field] += parsePoString_(trimmed);
+    }
+  });
+  finish();
+
+  return { language: language, entries: entries };
+}
+
+/**
+ * Quotes a string for a PO file. Line breaks are written as \n and split over several lines.
+ *
+ * @param {string} text - Text to quote
+ * @return {string} Quoted PO string
+ * @private
+ */
+function poString_(text) {
+  var escaped = String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\t/g, "\\t")
+    .replace(/\r?\n/g, "\\n\n");
+  var parts = escaped.split("\n");
+  if (parts.length === 1) return "\"" + escaped + "\"";
+
+  if (parts[parts.length - 1] === "") parts.pop();
+  return "\"\"\n" + parts.map(function(part) {
+    return "\"" + part + "\"";
+  }).join("\n");
+}
+
+/**
+ * Reads one quoted PO string.
+ *
+ * @param {string} quoted - String with its surrounding quotes
+ * @return {string} Unescaped text
+ * @private
+ */
+function parsePoString_(quoted) {
+  return quoted.slice(1, -1).replace(/\\(.)/g, function(match, character) {
+    return { n: "\n", t: "\t", r: "\r" }[character] || character;
+  });
+}
+
+/**
+ * Escapes text for XML content and attribute values.
+ *
+ * @param {string} text - Plain text
+ * @return {string} Escaped text
+ * @private
+ */
+function escapeXml_(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Decodes XML entities and CDATA sections in element content.
+ *
+ * @param {string} text - XML content
+ * @return {string} Plain text
+ * @private
+ */
+function decodeXml_(text) {
+  return text.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(function(part) {
+    if (part.indexOf("<![CDATA[") === 0) return part.slice(9, -3);
+    return part
+      .replace(/&#x([0-9a-f]+);/gi, function(match, hex) { return String.fromCharCode(parseInt(hex, 16)); })
+      .replace(/&#(\d+);/g, function(match, decimal) { return String.fromCharCode(parseInt(decimal, 10)); })
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, "\"")
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }).join("");
+}
+
+/**
+ * Reads an attribute from the attribute part of an XML start tag.
+ *
+ * @param {string} attributes - Text between the tag name and ">"
+ * @param {string} name - Attribute name
+ * @return {string} Decoded value, or "" when the attribute is missing
+ * @private
+ */
+function xmlAttribute_(attributes, name) {
+  var match = new RegExp("\\s" + name + "\\s*=\\s*(\"([^\"]*)\"|'([^']*)')").exec(attributes);
+  if (!match) return "";
+  return decodeXml_(match[2] !== undefined ? match[2] : match[3]);
+}
@@ -0,0 +1,207 @@
+/**
+ * Formats offered by the web app, in the order they are listed. Each names a BATCH_EXPORT_FORMATS entry.
+ */
+var WEB_APP_FORMATS = [
+  { format: "json", label: "JSON" },
+  { format: "nested", label: "Nested JSON" },
+  { format: "md", label: "Markdown" },
+  { format: "html", label: "Printable HTML" },
+  { format: "mmd", label: "Mermaid diagram" },
+  { format: "dot", label: "Graphviz diagram" }
+];
+
+/**
+ * Markdown options the web app lets users change. Others, such as templates, come from the MARKDOWN_OPTIONS setting.
+ */
+var WEB_APP_MARKDOWN_OPTIONS = ["settings", "diagram", "frontMatter", "toc", "choiceStyle", "requiredMarker", "headingOffset"];
+
+/**
+ * Number of recently changed forms offered in the web app's form picker.
+ */
+var WEB_APP_RECENT_FORMS = 20;
+
+/**
+ * Returns what the web app page needs when it opens: the formats, the recently changed forms
+ * of the signed-in user, and the Markdown options it starts from.
+ *
+ * @return {Object} {formats: [{format, label}], recentForms: [{id, title, updated}], markdown: Object}
+ */
+function getWebAppSettings() {
+  return {
+    formats: WEB_APP_FORMATS,
+    recentForms: listRecentForms(WEB_APP_RECENT_FORMS),
+    markdown: webAppMarkdownOptions_({})
+  };
+}
+
+/**
+ * Picks the Markdown options users can change (WEB_APP_MARKDOWN_OPTIONS), starting from the MARKDOWN_OPTIONS setting.
+ *
+ * @param {Object} chosen - Options chosen by the user; other keys are ignored
+ * @return {Object} Value of every option in WEB_APP_MARKDOWN_OPTIONS
+ * @private
+ */
+function webAppMarkdownOptions_(chosen) {
+  var defaults = readConfig().markdown;
+  var markdown = {};
+  WEB_APP_MARKDOWN_OPTIONS.forEach(function(key) {
+    markdown[key] = chosen && chosen.hasOwnProperty(key) ? chosen[key] : defaults[key];
+  });
+  return markdown;
+}
+
+/**
+ * Lists the Google Forms in the user's Drive, most recently changed first.
+ *
+ * @param {number} limit - Largest number of forms to return
+ * @return {Object[]} Array of {id, title, updated} where updated is an ISO date
+ */
+function listRecentForms(limit) {
+  var files = DriveApp.getFilesByType(MimeType.GOOGLE_FORMS);
+  var forms = [];
+  while (files.hasNext()) {
+    var file = files.next();
+    forms.push({ id: file.getId(), title: file.getName(), updated: file.getLastUpdated() });
+  }
+
+  forms.sort(function(a, b) {
+    return b.updated.getTime() - a.updated.getTime();
+  });
+  return forms.slice(0, limit).map(function(form) {
+    return { id: form.id, title: form.title, updated: form.updated.toISOString() };
+  });
+}
+
+/**
+ * Reads a form ID from what a user pasted: the form's edit link or the ID itself.
+ *
+ * @param {string} input - Edit URL (https://docs.google.com/forms/d/<id>/edit) or form ID
+ * @return {string} Form ID
+ * @throws {Error} If the input is the respondent link, which cannot be opened, or not a form at all
+ */
+function parseFormId(input) {
+  var text = String(input || "").trim();
+  if (/\/forms\/d\/e\//.test(text) || /\/forms\.gle\//.test(text)) {
+    throw new Error("This is the link respondents use. Paste the form's edit link instead (it contains /forms/d/<id>/edit)");
+  }
+
+  var url = /\/forms\/d\/([a-zA-Z0-9_-]+)/.exec(text);
+  if (url) return url[1];
+  if (/^[a-zA-Z0-9_-]{10,}$/.test(text)) return text;
+
+  throw new Error("Not a Google Form link or ID: " + (text || "(empty)"));
+}
+
+/**
+ * Reads a Drive folder ID from a folder link or the ID itself.
+ *
+ * @param {string} input - Folder URL (https://drive.google.com/drive/folders/<id>) or folder ID
+ * @return {string} Folder ID
+ * @throws {Error} If the input is not a folder link or ID
+ */
+function parseFolderId(input) {
+  var text = String(input || "").trim();
+  var url = /\/folders\/([a-zA-Z0-9_-]+)/.exec(text);
+  if (url) return url[1];
+  if (/^[a-zA-Z0-9_-]{10,}$/.test(text)) return text;
+
+  throw new Error("Not a Drive folder link or ID: " + (text || "(empty)"));
+}
+
+/**
+ * Exports a form in the formats picked in the web app. Nothing is saved; the page downloads the
+ * files or passes them to saveWebAppFiles. The Markdown rendering is always returned as a preview.
+ * Images are embedded as base64, since there is no folder to save them next to.
+ *
+ * @param {Object} request - {form: edit link or ID, formats: string[], markdown: Object (see WEB_APP_MARKDOWN_OPTIONS)}
+ * @return {Object} {formId, title, files: [{format, name, mimeType, content}], preview}
+ * @throws {Error} If the form cannot be read, or no or unknown formats are picked
+ */
+function exportFormForWebApp(request) {
+  var formats = request.formats || [];
+  checkWebAppFormats_(formats);
+
+  return renderWebAppFiles_(FormApp.openById(parseFormId(request.form)), formats, request.markdown);
+}
+
+/**
+ * Renders a form in several formats for a user, with the Markdown options the user chose.
+ *
+ * @param {FormApp.Form} form - Form to export
+ * @param {string[]} formats - Known formats, see checkWebAppFormats_
+ * @param {Object} chosenMarkdown - Markdown options chosen by the user, see webAppMarkdownOptions_
+ * @return {Object} {formId, title, files: [{format, name, mimeType, content}], preview}
+ * @private
+ */
+function renderWebAppFiles_(form, formats, chosenMarkdown) {
+  var formId = form.getId();
+  var items = form.getItems();
+  var config = readConfig(formId);
+
+  var media = { videoUrls: lookUpVideoUrls_(config, items) };
+  var markdown = markdownOptions_(config, media);
+  var chosen = webAppMarkdownOptions_(chosenMarkdown);
+  Object.keys(chosen).forEach(function(key) {
+    markdown[key] = chosen[key];
+  });
+  var renderOptions = { markdown: markdown, media: media };
+
+  // Named like the exports of the run* functions, so the import and diff commands find saved files
+  var baseName = exportBaseName_(config, form.getTitle());
+  var files = formats.map(function(format) {
+    var name = baseName + BATCH_EXPORT_FORMATS[format].extension;
+    return {
+      format: format,
+      name: name,
+      mimeType: mimeTypeForFile(name),
+      content: BATCH_EXPORT_FORMATS[format].render(form, items, renderOptions)
+    };
+  });
+
+  var markdownFile = files.filter(function(file) {
+    return file.format === "md";
+  })[0];
+
+  return {
+    formId: formId,
+    title: form.getTitle(),
+    files: files,
+    preview: markdownFile ? markdownFile.content : BATCH_EXPORT_FORMATS.md.render(form, items, renderOptions)
+  };
+}
+
+/**
+ * Checks that formats picked by a user are known to the batch export.
+ *
+ * @param {string[]} formats - Picked formats
+ * @return {void}
+ * @throws {Error} If no format is picked or one is unknown
+ * @private
+ */
+function checkWebAppFormats_(formats) {
+  if (formats.length === 0) {
+    throw new Error("Pick at least one format");
+  }
+  formats.forEach(function(format) {
+    if (!BATCH_EXPORT_FORMATS.hasOwnProperty(format)) {
+      throw new Error("Unknown export format \"" + format + "\" (available: " + Object.keys(BATCH_EXPORT_FORMATS).join(", ") + ")");
+    }
+  });
+}
+
+/**
+ * Saves files exported by exportFormForWebApp to a Drive folder of the signed-in user.
+ *
+ * @param {Object[]} files - Files from exportFormForWebApp: [{name, content}]
+ * @param {string} [optionalFolder] - Folder link or ID; the user's My Drive when empty
+ * @return {Object[]} One entry per file: {name, location} or {name, error}
+ */
+function saveWebAppFiles(files, optionalFolder) {
+  var folderId = optionalFolder ? parseFolderId(optionalFolder) : DriveApp.getRootFolder().getId();
+  var settings = readOutputSettings({ sinks: "drive" }, folderId);
+
+  return files.map(function(file) {
+    var result = saveToSinks(file.name, String(file.content), settings)[0];
+    return result.error ? { name: file.name, error: result.error } : { name: file.name, location: result.location };
+  });
+}
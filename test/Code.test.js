@@ -0,0 +1,331 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture } = require('./harness/appsScript');
+
+const TIMESTAMP = '\\d{4}-\\d{2}-\\d{2}_\\d{2}-\\d{2}-\\d{2}';
+
+function exportScript(options = {}) {
+  return createAppsScript({
+    forms: [loadFixture(options.fixture || 'form')],
+    folders: ['exports'],
+    properties: options.properties,
+    globals: options.globals
+  });
+}
+
+function savedFiles(script) {
+  return script.DriveApp.folders.exports.files;
+}
+
+function toPlainSchedule(trigger) {
+  return JSON.parse(JSON.stringify(trigger.schedule));
+}
+
+test('runExportAll saves the JSON and Markdown exports to the folder', () => {
+  const script = exportScript();
+
+  script.run('runExportAll');
+
+  const files = savedFiles(script);
+  assert.equal(files.length, 2);
+  assert.match(files[0].getName(), new RegExp('^form_export_' + TIMESTAMP + '\\.json$'));
+  assert.match(files[1].getName(), new RegExp('^form_export_' + TIMESTAMP + '\\.md$'));
+  assert.equal(files[0].getMimeType(), 'application/json');
+  assert.equal(files[1].getMimeType(), 'text/markdown');
+
+  const json = JSON.parse(files[0].content);
+  assert.equal(json.metadata.title, 'Community Survey');
+  assert.equal(json.count, 20);
+  assert.ok(files[1].content.startsWith('# Community Survey'));
+  assert.ok(script.Logger.messages.includes('Total items exported: 20'));
+});
+
+test('runExportAll passes the MARKDOWN_OPTIONS setting to the Markdown export', () => {
+  const script = exportScript({ properties: { MARKDOWN_OPTIONS: { diagram: true } } });
+
+  script.run('runExportAll');
+
+  assert.ok(savedFiles(script)[1].content.includes('```mermaid'));
+});
+
+test('runExportAll saves images next to the exports and looks up video URLs', () => {
+  const script = exportScript({ properties: { MEDIA_OPTIONS: { mode: 'files' } } });
+  script.UrlFetchApp.respond(() => ({
+    code: 200,
+    body: { items: [{ itemId: '75', videoItem: { video: { youtubeUri: 'https://www.youtube.com/watch?v=abc123' } } }] }
+  }));
+
+  script.run('runExportAll');
+
+  const files = savedFiles(script);
+  const baseName = files[0].getName().replace(/\.json$/, '');
+  assert.deepEqual(files.map((file) => file.getName()), [baseName + '.json', baseName + '.md', baseName + '_image_116.png']);
+  assert.equal(files[2].getMimeType(), 'image/png');
+  assert.equal(files[2].getBlob().getBytes().length, 8, 'the image is saved as binary');
+
+  const json = JSON.parse(files[0].content);
+  assert.equal(json.items[17].image.file, baseName + '_image_116.png');
+  assert.equal(json.items[18].videoUrl, 'https://www.youtube.com/watch?v=abc123');
+  assert.ok(files[1].content.includes('![Map](' + baseName + '_image_116.png)'));
+  assert.equal(script.UrlFetchApp.requests.length, 1, 'video URLs are looked up once per run');
+});
+
+test('runExportAll exports without video URLs when the Forms API cannot be reached', () => {
+  const script = exportScript();
+  script.UrlFetchApp.respond(() => ({ code: 403, body: '' }));
+
+  script.run('runExportAll');
+
+  assert.equal(JSON.parse(savedFiles(script)[0].content).items[18].videoUrl, null);
+  assert.ok(script.Logger.messages.includes('Could not look up video URLs: Forms API responded with HTTP 403'));
+});
+
+test('runExportAll logs and stops when the form cannot be opened', () => {
+  const script = exportScript({ properties: { FORM_ID: 'missing-form' } });
+
+  script.run('runExportAll');
+
+  assert.equal(savedFiles(script).length, 0);
+  assert.ok(script.Logger.messages.some((message) => message.startsWith('Error fetching form data: ')));
+});
+
+test('runExportToJSON and runExportToMarkdown save one file each', () => {
+  const script = exportScript();
+
+  script.run('runExportToJSON');
+  script.run('runExportToMarkdown');
+
+  const names = savedFiles(script).map((file) => file.getName());
+  assert.equal(names.length, 2);
+  assert.ok(names[0].endsWith('.json'));
+  assert.ok(names[1].endsWith('.md'));
+});
+
+test('saveOutput_ skips saving when no export folder is configured', () => {
+  const script = exportScript({ properties: { EXPORT_FOLDER_ID: '' } });
+
+  script.run('runExportAll');
+
+  assert.equal(savedFiles(script).length, 0);
+  assert.ok(!script.Logger.messages.some((message) => message.startsWith('Saved to Drive')));
+});
+
+test('saveOutput_ logs an error when the folder cannot be opened', () => {
+  const script = exportScript({ properties: { EXPORT_FOLDER_ID: 'missing-folder' } });
+
+  script.run('saveOutput_', 'notes.md', '# Notes');
+
+  assert.ok(script.Logger.messages.some((message) => message.startsWith('Error saving to Drive: ')));
+});
+
+test('runExportAnswerKeyToMarkdown saves an answer key for quizzes only', () => {
+  const quiz = exportScript({ fixture: 'quiz' });
+  quiz.run('runExportAnswerKeyToMarkdown');
+
+  const files = savedFiles(quiz);
+  assert.equal(files.length, 1);
+  assert.match(files[0].getName(), new RegExp('^form_export_' + TIMESTAMP + '_answer_key\\.md$'));
+  assert.ok(files[0].content.includes('- Paris ✓ **correct**'));
+
+  const survey = exportScript();
+  survey.run('runExportAnswerKeyToMarkdown');
+
+  assert.equal(savedFiles(survey).length, 0);
+  assert.ok(survey.Logger.messages.includes('Form is not a quiz, there is no answer key to export'));
+});
+
+test('runBatchExport exports the manifest and saves an index to the export folder', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form'), loadFixture('quiz')],
+    folders: ['exports'],
+    properties: { BATCH_EXPORT_MANIFEST: { forms: ['form-community', 'form-quiz'], formats: ['json'] } }
+  });
+
+  script.run('runBatchExport');
+
+  const names = savedFiles(script).map((file) => file.getName());
+  assert.equal(names.length, 4);
+  assert.match(names[2], new RegExp('^form_batch_' + TIMESTAMP + '\\.json$'));
+  assert.match(names[3], new RegExp('^form_batch_' + TIMESTAMP + '\\.md$'));
+  assert.ok(savedFiles(script)[3].content.includes('| Geography Quiz | [json]('));
+});
+
+test('runBatchExport reads the manifest from Drive and fails after saving the index when a form failed', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')], folders: ['exports'] });
+  const manifest = script.DriveApp.folders.exports.createFile('manifest.json', JSON.stringify({ forms: ['form-community', 'missing-form'] }));
+  script.PropertiesService.script.setProperty('BATCH_MANIFEST_FILE_ID', manifest.getId());
+
+  assert.throws(() => script.run('runBatchExport'), /Batch export failed for 1 of 2 form\(s\)/);
+
+  const index = savedFiles(script).find((file) => /^form_batch_.*\.md$/.test(file.getName()));
+  assert.ok(index.content.includes('| missing-form | **Failed:**'));
+});
+
+test('installScheduledExport replaces the trigger with the configured schedule', () => {
+  const script = exportScript({ properties: { SCHEDULED_EXPORT_OPTIONS: { everyHours: 6, keepLast: 0 } } });
+
+  script.run('installScheduledExport');
+  script.run('installScheduledExport');
+
+  assert.equal(script.ScriptApp.triggers.length, 1);
+  assert.equal(script.ScriptApp.triggers[0].getHandlerFunction(), 'runScheduledExport');
+  assert.deepEqual(toPlainSchedule(script.ScriptApp.triggers[0]), { everyHours: 6 });
+
+  script.PropertiesService.script.setProperty('SCHEDULED_EXPORT_OPTIONS', '{"everyHours": 24}');
+  script.run('installScheduledExport');
+  assert.deepEqual(toPlainSchedule(script.ScriptApp.triggers[0]), { everyDays: 1 });
+
+  script.run('removeScheduledExport');
+  assert.equal(script.ScriptApp.triggers.length, 0);
+});
+
+test('installScheduledExport rejects schedules time-based triggers do not support', () => {
+  const script = exportScript({ properties: { SCHEDULED_EXPORT_OPTIONS: { everyHours: 5 } } });
+
+  assert.throws(() => script.run('installScheduledExport'), /everyHours must be 1, 2, 4, 6, 8, 12 or 24, got 5/);
+  assert.equal(script.ScriptApp.triggers.length, 0);
+});
+
+test('runScheduledExport saves only when the form changed', () => {
+  const script = exportScript();
+
+  script.run('runScheduledExport');
+  assert.equal(savedFiles(script).length, 2);
+
+  script.run('runScheduledExport');
+  assert.equal(savedFiles(script).length, 2);
+  assert.ok(script.Logger.messages.some((message) => /^Form unchanged since form_export_.*\.json, nothing saved$/.test(message)));
+
+  // Pretend the saved export is older, then change the form
+  savedFiles(script).forEach((file) => file.setName(file.getName().replace(/^form_export_\d{4}/, 'form_export_2000')));
+  script.FormApp.openById('form-community').getItems()[0].setTitle('Your full name');
+
+  script.run('runScheduledExport');
+  assert.equal(savedFiles(script).length, 4);
+  assert.equal(JSON.parse(savedFiles(script)[2].content).items[0].title, 'Your full name');
+});
+
+test('runScheduledExport ignores batch exports when looking for the last export', () => {
+  const script = exportScript();
+  script.DriveApp.folders.exports.createFile('form_export_2999-01-01_00-00-00_other-form.json', JSON.stringify({ metadata: {}, items: [] }));
+
+  script.run('runScheduledExport');
+  script.run('runScheduledExport');
+
+  assert.equal(savedFiles(script).filter((file) => /^form_export_[\d_-]+\.json$/.test(file.getName())).length, 1);
+});
+
+test('runScheduledExport moves exports outside the retention policy to the trash', () => {
+  const script = exportScript({ properties: { SCHEDULED_EXPORT_OPTIONS: { keepLast: 2 } } });
+  const folder = script.DriveApp.folders.exports;
+  ['2000-01-01_00-00-00', '2000-01-02_00-00-00'].forEach((timestamp) => {
+    folder.createFile('form_export_' + timestamp + '.json', '{}');
+    folder.createFile('form_export_' + timestamp + '.md', '# Old');
+  });
+  const answerKey = folder.createFile('form_export_2000-01-01_00-00-00_answer_key.md', '# Key');
+
+  script.run('runScheduledExport');
+
+  const kept = savedFiles(script).filter((file) => !file.isTrashed()).map((file) => file.getName());
+  assert.equal(kept.length, 5);
+  assert.ok(kept.includes('form_export_2000-01-02_00-00-00.json'));
+  assert.ok(!kept.includes('form_export_2000-01-01_00-00-00.json'));
+  assert.ok(!answerKey.isTrashed());
+  assert.ok(script.Logger.messages.includes('Removed old export: form_export_2000-01-01_00-00-00.md'));
+});
+
+test('runScheduledExport fails when the form cannot be opened', () => {
+  const script = exportScript({ properties: { FORM_ID: 'missing-form' } });
+
+  assert.throws(() => script.run('runScheduledExport'), /Scheduled export could not fetch form missing-form/);
+});
+
+test('runValidateLatestExport checks the newest export, upgrading older versions first', () => {
+  const script = exportScript();
+  script.run('runExportToJSON');
+  const saved = savedFiles(script)[0];
+
+  script.run('runValidateLatestExport');
+  assert.ok(script.Logger.messages.includes(saved.getName() + ' matches export schema version 4'));
+
+  const legacy = JSON.parse(saved.content);
+  delete legacy.schemaVersion;
+  legacy.metadata.count = legacy.count;
+  legacy.items[0].isRequired = 'yes';
+  saved.setContent(JSON.stringify(legacy));
+
+  script.run('runValidateLatestExport');
+  assert.ok(script.Logger.messages.includes(saved.getName() + ' uses schema version 1, checking it upgraded to version 4'));
+  assert.ok(script.Logger.messages.includes(saved.getName() + ' has 1 schema error(s):'));
+  assert.ok(script.Logger.messages.includes('- $.items[0].isRequired must be boolean, got string'));
+});
+
+test('runExportToNestedJSON saves the nested layout', () => {
+  const script = exportScript();
+
+  script.run('runExportToNestedJSON');
+
+  const files = savedFiles(script);
+  assert.equal(files.length, 1);
+  assert.match(files[0].getName(), new RegExp('^form_export_' + TIMESTAMP + '_nested\\.json$'));
+  assert.deepEqual(JSON.parse(files[0].content).sections.map((section) => section.key), ['section-1', 'drivers', 'everyone']);
+});
+
+test('runExportToSurveyJs and runExportToLimeSurvey save the survey with a conversion report', () => {
+  const script = exportScript();
+
+  script.run('runExportToSurveyJs');
+  script.run('runExportToLimeSurvey');
+
+  const files = savedFiles(script);
+  assert.equal(files.length, 4);
+  assert.match(files[0].getName(), new RegExp('^form_export_' + TIMESTAMP + '_surveyjs\\.json$'));
+  assert.match(files[1].getName(), new RegExp('^form_export_' + TIMESTAMP + '_surveyjs_report\\.md$'));
+  assert.match(files[2].getName(), new RegExp('^form_export_' + TIMESTAMP + '\\.lss$'));
+  assert.match(files[3].getName(), new RegExp('^form_export_' + TIMESTAMP + '_limesurvey_report\\.md$'));
+
+  assert.deepEqual(JSON.parse(files[0].content).pages.map((page) => page.name), ['section-1', 'drivers', 'everyone']);
+  assert.ok(files[1].content.startsWith('# SurveyJS conversion: Community Survey'));
+  assert.ok(files[2].content.includes('<LimeSurveyDocType>Survey</LimeSurveyDocType>'));
+  assert.ok(script.Logger.messages.includes('LimeSurvey conversion: 3 item(s) could not be converted exactly'));
+});
+
+test('runExtractTranslations saves one file per target language, or a template', () => {
+  const script = exportScript({ properties: { TRANSLATION_OPTIONS: { format: 'po', targetLanguages: ['de', 'fr'] } } });
+
+  script.run('runExtractTranslations');
+  script.PropertiesService.script.deleteProperty('TRANSLATION_OPTIONS');
+  script.run('runExtractTranslations');
+
+  const files = savedFiles(script);
+  assert.deepEqual(files.map((file) => file.getName().replace(new RegExp(TIMESTAMP), '<ts>')), [
+    'form_strings_<ts>_de.po', 'form_strings_<ts>_fr.po', 'form_strings_<ts>.xlf'
+  ]);
+  assert.ok(files[1].content.includes('"Language: fr\\n"'));
+  assert.ok(files[2].content.includes('<file original="form-community" source-language="en" datatype="plaintext">'));
+
+  script.PropertiesService.script.setProperty('TRANSLATION_OPTIONS', '{"format": "csv"}');
+  assert.throws(() => script.run('runExtractTranslations'), /TRANSLATION_OPTIONS.format must be xliff or po, got csv/);
+});
+
+test('runBuildLocalizedForms creates a localized copy and its Markdown for each translated file', () => {
+  const script = exportScript();
+  const strings = script.run('extractFormStrings', script.run('exportFormToJson', script.formId));
+  const po = script.run('stringsToPo', strings, { sourceLanguage: 'en', targetLanguage: 'de' })
+    .replace('msgid "Community Survey"\nmsgstr ""', 'msgid "Community Survey"\nmsgstr "Umfrage"');
+  const translated = script.DriveApp.folders.exports.createFile('strings_de.po', po, 'text/plain');
+  script.PropertiesService.script.setProperty('TRANSLATION_OPTIONS', JSON.stringify({ translationFileIds: [translated.getId(), 'missing-file'], keepForms: false }));
+
+  assert.throws(() => script.run('runBuildLocalizedForms'), /Localization failed for 1 of 2 file\(s\)/);
+
+  const saved = savedFiles(script).filter((file) => file.getName().endsWith('.md'));
+  assert.equal(saved.length, 1);
+  assert.match(saved[0].getName(), new RegExp('^form_export_' + TIMESTAMP + '_de\\.md$'));
+  assert.ok(saved[0].content.startsWith('# Umfrage'));
+
+  const copy = Object.values(script.FormApp.forms).find((form) => form.getTitle() === 'Umfrage');
+  assert.equal(script.DriveApp.getFileById(copy.getId()).isTrashed(), true);
+  assert.ok(script.Logger.messages.includes('strings_de.po (de): 1 string(s) translated, ' + (strings.length - 1) + ' missing, 0 stale'));
+  assert.ok(script.Logger.messages.some((message) => message.startsWith('Error localizing with file missing-file: ')));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function addOnScript(options = {}) {
+  return createAppsScript({
+    forms: [loadFixture('form'), loadFixture('quiz')],
+    folders: ['exports', 'team-folder-1'],
+    activeFormId: 'form-quiz',
+    ...options
+  });
+}
+
+test('onOpen adds the Export submenu and the sidebar to the add-on menu', () => {
+  const script = addOnScript();
+
+  script.run('onInstall', { authMode: 'FULL' });
+
+  assert.deepEqual(toPlain(script.FormApp.ui.menus), [{
+    title: 'Add-on',
+    entries: [
+      {
+        title: 'Export',
+        entries: [
+          { caption: 'JSON', functionName: 'runAddOnExportToJSON' },
+          { caption: 'Markdown', functionName: 'runAddOnExportToMarkdown' },
+          { caption: 'All', functionName: 'runAddOnExportAll' }
+        ]
+      },
+      { separator: true },
+      { caption: 'Settings and last export', functionName: 'showAddOnSidebar' }
+    ]
+  }]);
+  script.FormApp.ui.menus[0].entries.flatMap((entry) => entry.entries || [entry]).forEach((entry) => {
+    if (entry.functionName) assert.equal(typeof script.global[entry.functionName], 'function', entry.functionName);
+  });
+});
+
+test('showAddOnSidebar shows a page that only calls public server functions', () => {
+  const script = addOnScript();
+
+  script.run('showAddOnSidebar');
+
+  const sidebar = script.FormApp.ui.sidebars[0];
+  assert.equal(sidebar.getTitle(), 'Form Exporter');
+  const calls = Array.from(sidebar.getContent().matchAll(/\.withFailureHandler\(\w+\)\.(\w+)\(/g), (match) => match[1]);
+  assert.deepEqual(Array.from(new Set(calls)).sort(), ['exportAddOnForm', 'getAddOnSidebarState', 'saveAddOnSettings']);
+  calls.forEach((name) => assert.equal(typeof script.global[name], 'function', name));
+});
+
+test('menu exports save the active form to My Drive and record the last export per user', () => {
+  const script = addOnScript();
+
+  script.run('runAddOnExportAll');
+
+  const saved = script.DriveApp.folders.root.files.map((file) => file.getName());
+  assert.equal(saved.length, 2);
+  assert.match(saved[0], /^form_export_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/);
+  assert.match(saved[1], /^form_export_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.md$/);
+  assert.equal(script.DriveApp.folders.exports.files.length, 0, 'FORM_ID and EXPORT_FOLDER_ID are not used');
+
+  const alert = script.FormApp.ui.alerts[0];
+  assert.equal(alert.title, 'Form export');
+  assert.equal(alert.prompt, saved.map((name) => name + ' saved to https://drive.google.com/drive/folders/root').join('\n'));
+
+  const lastExport = JSON.parse(script.PropertiesService.user.values['addOnLastExport.form-quiz']);
+  assert.deepEqual(lastExport.files.map((file) => file.name), saved);
+
+  const state = toPlain(script.run('getAddOnSidebarState'));
+  assert.deepEqual(state.form, { id: 'form-quiz', title: 'Geography Quiz' });
+  assert.deepEqual(state.folder, { id: '', name: 'My Drive', url: 'https://drive.google.com/drive/folders/root' });
+  assert.deepEqual(state.lastExport, lastExport);
+});
+
+test('saveAddOnSettings keeps the folder, formats and Markdown options of each user', () => {
+  const script = addOnScript();
+
+  assert.deepEqual(toPlain(script.run('readAddOnSettings')), {
+    folderId: '',
+    formats: ['json', 'md'],
+    markdown: { settings: true, diagram: false, frontMatter: false, toc: false, choiceStyle: 'bullets', requiredMarker: '', headingOffset: 0 }
+  });
+
+  const state = toPlain(script.run('saveAddOnSettings', {
+    folder: 'https://drive.google.com/drive/folders/team-folder-1',
+    formats: ['md'],
+    markdown: { settings: false, requiredMarker: ' *', templates: { question: 'ignored' } }
+  }));
+  assert.deepEqual(state.folder, { id: 'team-folder-1', name: 'team-folder-1', url: 'https://drive.google.com/drive/folders/team-folder-1' });
+  assert.deepEqual(state.settings.formats, ['md']);
+  assert.equal(state.lastExport, null);
+
+  const record = toPlain(script.run('exportAddOnForm'));
+  assert.equal(record.files.length, 1);
+  const markdown = script.DriveApp.folders['team-folder-1'].files[0].content;
+  assert.ok(markdown.includes('### 1. Capital of France? *'));
+  assert.ok(!markdown.includes('## Settings'));
+});
+
+test('saveAddOnSettings rejects folders, formats and options it cannot use', () => {
+  const script = addOnScript();
+  const valid = { folder: '', formats: ['json'], markdown: {} };
+
+  assert.throws(() => script.run('saveAddOnSettings', { ...valid, folder: 'missing-folder' }), /No item with the given ID/);
+  assert.throws(() => script.run('saveAddOnSettings', { ...valid, formats: [] }), /Pick at least one format/);
+  assert.throws(() => script.run('saveAddOnSettings', { ...valid, markdown: { headingOffset: 5 } }), /Heading offset must be a whole number/);
+  assert.deepEqual(script.PropertiesService.user.values, {});
+});
+
+test('the add-on needs a form open in the editor', () => {
+  const script = addOnScript({ activeFormId: undefined });
+
+  assert.throws(() => script.run('runAddOnExportToJSON'), /No form is open/);
+  assert.throws(() => script.run('getAddOnSidebarState'), /No form is open/);
+});
@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function configScript(options = {}) {
+  return createAppsScript({
+    forms: [loadFixture('form'), loadFixture('quiz')],
+    folders: ['exports', 'quiz-exports'],
+    ...options
+  });
+}
+
+function savedNames(script, folderId) {
+  return script.DriveApp.folders[folderId].files.map((file) => file.getName());
+}
+
+test('readConfig reads the Script Properties and fills in the defaults', () => {
+  const script = configScript();
+
+  const config = toPlain(script.run('readConfig'));
+
+  assert.equal(config.formId, 'form-community');
+  assert.equal(config.exportFolderId, 'exports');
+  assert.deepEqual(config.formats, ['json', 'md']);
+  assert.equal(config.fileNamePattern, 'form_export_{timestamp}');
+  assert.equal(config.timeZone, 'UTC');
+  assert.equal(config.output.sinks, '');
+  assert.equal(config.output.gitToken, '');
+});
+
+test('readConfig prefers a form\'s own settings, then the properties, then the .env seed', () => {
+  const script = configScript({
+    properties: { EXPORT_FORMATS: 'json', 'FORM.form-quiz.EXPORT_FOLDER_ID': 'quiz-exports', 'FORM.form-quiz.EXPORT_FORMATS': ' MD, html ' },
+    globals: { CONFIG_SEED: { EXPORT_FORMATS: 'dot', TIME_ZONE: 'Europe/Paris', WEBHOOK_URL: 'https://hooks.example.com/forms' } }
+  });
+
+  const general = toPlain(script.run('readConfig'));
+  assert.deepEqual(general.formats, ['json']);
+  assert.equal(general.timeZone, 'Europe/Paris');
+  assert.equal(general.output.webhookUrl, 'https://hooks.example.com/forms');
+
+  const quiz = toPlain(script.run('readConfig', 'form-quiz'));
+  assert.equal(quiz.formId, 'form-quiz');
+  assert.equal(quiz.exportFolderId, 'quiz-exports');
+  assert.deepEqual(quiz.formats, ['md', 'html']);
+  assert.equal(quiz.timeZone, 'Europe/Paris');
+});
+
+test('readConfig rejects unknown formats and invalid file name patterns', () => {
+  assert.throws(() => configScript({ properties: { EXPORT_FORMATS: 'json,pdf' } }).run('readConfig'),
+    /Unknown export format "pdf" in EXPORT_FORMATS \(available: json, nested, md, html, mmd, dot\)/);
+  assert.throws(() => configScript({ properties: { FILE_NAME_PATTERN: '{title}' } }).run('readConfig'),
+    /FILE_NAME_PATTERN must contain \{timestamp\} once, got \{title\}/);
+  assert.throws(() => configScript({ properties: { FILE_NAME_PATTERN: '{timestamp}_{author}' } }).run('readConfig'),
+    /Unknown placeholder \{author\} in FILE_NAME_PATTERN/);
+  ['{timestamp}', 'export{timestamp}', '_{timestamp}', '{timestamp}_'].forEach((pattern) => {
+    assert.throws(() => configScript({ properties: { FILE_NAME_PATTERN: pattern } }).run('readConfig'),
+      /FILE_NAME_PATTERN must separate \{timestamp\} from the rest of the name with _, - or \./);
+  });
+  ['{timestamp}_{title}', '{title}-{timestamp}', 'form.{timestamp}'].forEach((pattern) => {
+    assert.equal(configScript({ properties: { FILE_NAME_PATTERN: pattern } }).run('readConfig').fileNamePattern, pattern);
+  });
+  assert.throws(() => configScript({ properties: { FILE_NAME_PATTERN: 'forms/{timestamp}' } }).run('readConfig'),
+    /FILE_NAME_PATTERN cannot contain folders/);
+});
+
+test('readConfig merges JSON settings over their defaults, per form as well', () => {
+  const script = configScript({
+    properties: {
+      MARKDOWN_OPTIONS: { diagram: true, templates: { question: '{{title}}' } },
+      'FORM.form-quiz.MARKDOWN_OPTIONS': { toc: true },
+      LINT_FAIL_ON_ERROR: 'false',
+      SCHEDULED_EXPORT_OPTIONS: { keepLast: 5 }
+    }
+  });
+
+  const config = toPlain(script.run('readConfig'));
+  assert.equal(config.markdown.diagram, true);
+  assert.equal(config.markdown.choiceStyle, 'bullets');
+  assert.deepEqual(config.markdown.templates, { question: '{{title}}' });
+  assert.equal(config.lintFailOnError, false);
+  assert.deepEqual(config.schedule, { everyHours: 24, keepLast: 5, onePerDay: false });
+  assert.deepEqual(config.media, { mode: 'base64', videoUrls: true });
+
+  const quiz = toPlain(script.run('readConfig', 'form-quiz'));
+  assert.equal(quiz.markdown.toc, true);
+  assert.equal(quiz.markdown.diagram, false, 'a form\'s own setting replaces the general one');
+});
+
+test('readConfig rejects JSON settings that cannot be read', () => {
+  assert.throws(() => configScript({ properties: { MEDIA_OPTIONS: '{mode: files}' } }).run('readConfig'),
+    /MEDIA_OPTIONS is not valid JSON: /);
+  assert.throws(() => configScript({ properties: { TRANSLATION_OPTIONS: '["de"]' } }).run('readConfig'),
+    /TRANSLATION_OPTIONS must be a JSON object, got \["de"\]/);
+  assert.throws(() => configScript({ properties: { LINT_FAIL_ON_ERROR: 'yes' } }).run('readConfig'),
+    /LINT_FAIL_ON_ERROR is not valid JSON: /);
+  assert.throws(() => configScript({ properties: { LINT_FAIL_ON_ERROR: '1' } }).run('readConfig'),
+    /LINT_FAIL_ON_ERROR must be JSON boolean, got 1/);
+});
+
+test('seedConfig copies the .env values into the properties that are not set', () => {
+  const script = configScript({
+    properties: { EXPORT_FORMATS: 'json' },
+    globals: { CONFIG_SEED: { EXPORT_FORMATS: 'md', TIME_ZONE: 'Europe/Paris', GIT_BRANCH: '' } }
+  });
+
+  assert.deepEqual(toPlain(script.run('seedConfig')), ['TIME_ZONE']);
+  assert.equal(script.PropertiesService.script.values.EXPORT_FORMATS, 'json');
+  assert.equal(script.PropertiesService.script.values.TIME_ZONE, 'Europe/Paris');
+  assert.ok(!('GIT_BRANCH' in script.PropertiesService.script.values));
+  assert.equal(script.PropertiesService.script.values.CONFIG_SEEDED, 'EXPORT_FORMATS,TIME_ZONE,GIT_BRANCH');
+});
+
+test('a cleared property stays cleared once the seed has been copied', () => {
+  const script = configScript({ globals: { CONFIG_SEED: { TIME_ZONE: 'Europe/Paris' } } });
+  assert.equal(script.run('readConfig').timeZone, 'Europe/Paris', 'the seed applies until runSetup copies it');
+
+  script.run('seedConfig');
+  script.PropertiesService.script.deleteProperty('TIME_ZONE');
+
+  assert.equal(script.run('readConfig').timeZone, 'UTC');
+  assert.deepEqual(toPlain(script.run('seedConfig')), []);
+  assert.ok(!('TIME_ZONE' in script.PropertiesService.script.values));
+});
+
+test('secret settings are only read from the Script Properties', () => {
+  const script = configScript({
+    properties: { 'FORM.form-quiz.WEBHOOK_TOKEN': 'quiz-secret' },
+    globals: { CONFIG_SEED: { GIT_TOKEN: 'pushed', 'FORM.form-quiz.GIT_TOKEN': 'pushed', WEBHOOK_TOKEN: 'pushed' } }
+  });
+
+  assert.equal(script.run('readConfig').output.gitToken, '');
+  assert.equal(script.run('readConfig', 'form-quiz').output.webhookToken, 'quiz-secret');
+  assert.deepEqual(toPlain(script.run('seedConfig')), []);
+  assert.ok(!('GIT_TOKEN' in script.PropertiesService.script.values));
+});
+
+test('checkConfig checks the configured form, folders and output settings of every form', () => {
+  const script = configScript({
+    properties: {
+      OUTPUT_SINKS: 'drive,webhook',
+      'FORM.form-quiz.EXPORT_FOLDER_ID': 'missing-folder',
+      'FORM.form-quiz.OUTPUT_SINKS': 'drive',
+      'FORM.missing-form.EXPORT_FORMATS': 'json'
+    }
+  });
+
+  const checks = toPlain(script.run('checkConfig'));
+
+  assert.deepEqual(checks.map((check) => [check.setting, check.ok]), [
+    ['FORM_ID', true],
+    ['EXPORT_FOLDER_ID', true],
+    ['WEBHOOK_URL', false],
+    ['FORM.form-quiz', true],
+    ['FORM.form-quiz.EXPORT_FOLDER_ID', false],
+    ['FORM.missing-form', false],
+    ['FORM.missing-form.EXPORT_FOLDER_ID', true],
+    ['FORM.missing-form.WEBHOOK_URL', false]
+  ]);
+  assert.equal(checks[0].message, 'form "Community Survey"');
+  assert.equal(checks[1].message, 'folder "exports"');
+  assert.equal(checks[3].message, 'form "Geography Quiz"');
+});
+
+test('runSetup seeds the properties, logs every check and fails when one failed', () => {
+  const script = configScript({
+    properties: { FORM_ID: '' },
+    globals: { CONFIG_SEED: { FORM_ID: 'form-quiz' } }
+  });
+
+  script.run('runSetup');
+  assert.equal(script.PropertiesService.script.values.FORM_ID, 'form-quiz');
+  assert.ok(script.Logger.messages.includes('Set FORM_ID from .env'));
+  assert.ok(script.Logger.messages.includes('✓ FORM_ID: form "Geography Quiz"'));
+  assert.ok(script.Logger.messages.includes('✓ EXPORT_FOLDER_ID: folder "exports"'));
+
+  const broken = configScript({ properties: { FORM_ID: '', EXPORT_FOLDER_ID: '' } });
+  assert.throws(() => broken.run('runSetup'), /Setup found 1 problem\(s\), see the log/);
+  assert.ok(broken.Logger.messages.includes('✗ FORM_ID: is not set'));
+});
+
+test('runExportAll saves the EXPORT_FORMATS with FILE_NAME_PATTERN in TIME_ZONE', () => {
+  const script = configScript({
+    properties: { EXPORT_FORMATS: 'json,html', FILE_NAME_PATTERN: '{title}_{timestamp}', TIME_ZONE: 'Asia/Tokyo' }
+  });
+  const before = new Date();
+
+  script.run('runExportAll');
+
+  const names = savedNames(script, 'exports');
+  assert.equal(names.length, 2);
+  assert.match(names[0], /^community-survey_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/);
+  assert.match(names[1], /^community-survey_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.html$/);
+  // Tokyo is nine hours ahead of UTC, without daylight saving time
+  const hour = Number(names[0].split('_')[2].slice(0, 2));
+  assert.ok([9, 10].map((offset) => (before.getUTCHours() + offset) % 24).includes(hour));
+});
+
+test('runExportToJSON uses the folder and formats of the configured form\'s own settings', () => {
+  const script = configScript({
+    properties: { FORM_ID: 'form-quiz', 'FORM.form-quiz.EXPORT_FOLDER_ID': 'quiz-exports', 'FORM.form-quiz.FILE_NAME_PATTERN': 'quiz_{formId}_{timestamp}' }
+  });
+
+  script.run('runExportToJSON');
+
+  assert.deepEqual(savedNames(script, 'exports'), []);
+  assert.match(savedNames(script, 'quiz-exports')[0], /^quiz_form-quiz_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/);
+});
+
+test('fileNamePatternToRegExps recognizes the plain exports and images of a pattern', () => {
+  const script = configScript();
+
+  const patterns = script.run('fileNamePatternToRegExps', '{title}-{formId}.{timestamp}', 'form-quiz');
+
+  assert.deepEqual(toPlain(Array.from(patterns.file.exec('geography-quiz-form-quiz.2025-01-02_03-04-05.md'))), [
+    'geography-quiz-form-quiz.2025-01-02_03-04-05.md', '2025-01-02', '03-04-05', 'md'
+  ]);
+  assert.ok(patterns.image.test('geography-quiz-form-quiz.2025-01-02_03-04-05_image_117.png'));
+  assert.ok(!patterns.file.test('geography-quiz-form-quiz.2025-01-02_03-04-05_answer_key.md'));
+  assert.ok(!patterns.file.test('geography-quiz-form-quizX2025-01-02_03-04-05.md'));
+
+  assert.ok(patterns.fixedFile.test('geography-quiz-form-quiz.json'), 'the name DRIVE_OVERWRITE saves to');
+  assert.ok(!patterns.fixedFile.test('geography-quiz-form-quiz.2025-01-02_03-04-05.md'));
+  assert.ok(script.run('fileNamePatternToRegExps', '{timestamp}_{title}', 'form-quiz').fixedFile.test('geography-quiz.md'));
+});
+
+test('runScheduledExport applies the retention policy to exports named with FILE_NAME_PATTERN', () => {
+  const script = configScript({
+    properties: { FILE_NAME_PATTERN: 'survey_{timestamp}', SCHEDULED_EXPORT_OPTIONS: { keepLast: 1 } }
+  });
+  const folder = script.DriveApp.folders.exports;
+  folder.createFile('survey_2000-01-01_00-00-00.json', '{}');
+  const other = folder.createFile('form_export_2000-01-01_00-00-00.json', '{}');
+
+  script.run('runScheduledExport');
+
+  assert.ok(script.Logger.messages.includes('Removed old export: survey_2000-01-01_00-00-00.json'));
+  assert.ok(!other.isTrashed());
+});
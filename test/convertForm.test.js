@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function item(type, title, id, index, extra) {
+  return Object.assign({ type, title, helpText: '', id, index, isRequired: false }, extra);
+}
+
+function choiceItem(title, id, index, choices, navigation) {
+  return item('MULTIPLE_CHOICE', title, id, index, {
+    choices,
+    hasOtherOption: false,
+    choiceNavigation: navigation.map((target) => (typeof target === 'number' ? { type: 'GO_TO_PAGE', goToPageId: target } : { type: target }))
+  });
+}
+
+function flatExport(items) {
+  return {
+    schemaVersion: 2,
+    metadata: { title: 'Form', id: 'form', description: '', publishedUrl: '', editorEmails: [], isQuiz: false, confirmationMessage: '', customClosedFormMessage: '' },
+    items,
+    count: items.length
+  };
+}
+
+function conditionsOf(script, json) {
+  const report = [];
+  const conditions = toPlain(script.run('buildSectionConditions', script.run('nestExport', json), report));
+  return { conditions, report: toPlain(report) };
+}
+
+const eq = (key, value) => ({ key, op: 'eq', value });
+const ne = (key, value) => ({ key, op: 'ne', value });
+
+test('buildSectionConditions follows choice and section navigation in the fixture form', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const { conditions, report } = conditionsOf(script, script.run('exportFormToJson', script.formId));
+
+  assert.deepEqual(conditions, [
+    [[]],
+    [[eq('do-you-own-a-car', 'Yes')]],
+    [
+      [eq('do-you-own-a-car', 'No')],
+      [ne('do-you-own-a-car', 'Yes'), ne('do-you-own-a-car', 'No'), ne('do-you-own-a-car', 'Prefer not to say')],
+      [eq('do-you-own-a-car', 'Yes'), ne('how-often-do-you-drive', 'Rarely')]
+    ]
+  ]);
+  assert.deepEqual(report, []);
+});
+
+test('buildSectionConditions treats sections without branching as always shown', () => {
+  const script = createAppsScript();
+  const { conditions } = conditionsOf(script, flatExport([
+    item('TEXT', 'Name', 1, 0),
+    item('PAGE_BREAK', 'Two', 10, 1, { pageNavigationType: 'CONTINUE' }),
+    item('TEXT', 'Age', 2, 2)
+  ]));
+
+  assert.deepEqual(conditions, [[[]], [[]]]);
+});
+
+test('buildSectionConditions drops contradictory paths and reports unreachable sections', () => {
+  const script = createAppsScript();
+  const { conditions, report } = conditionsOf(script, flatExport([
+    choiceItem('Pick', 1, 0, ['A', 'B'], [10, 11]),
+    item('PAGE_BREAK', 'Two', 10, 1, { pageNavigationType: 'CONTINUE' }),
+    item('PAGE_BREAK', 'Three', 11, 2, { pageNavigationType: 'SUBMIT' }),
+    item('PAGE_BREAK', 'Four', 12, 3, { pageNavigationType: 'SUBMIT' })
+  ]));
+
+  assert.deepEqual(conditions[1], [[eq('pick', 'A')], [ne('pick', 'A'), ne('pick', 'B')]]);
+  assert.deepEqual(conditions[2], [[eq('pick', 'B')]]);
+  assert.deepEqual(conditions[3], []);
+  assert.deepEqual(report, [
+    { key: 'four', id: 12, title: 'Four', field: 'section', reason: 'No path reaches this section, so it is never shown' }
+  ]);
+});
+
+test('buildSectionConditions reports jumps back, removed targets, and several branching questions', () => {
+  const script = createAppsScript();
+  const { conditions, report } = conditionsOf(script, flatExport([
+    item('TEXT', 'Name', 1, 0),
+    item('PAGE_BREAK', 'Two', 10, 1, { pageNavigationType: 'CONTINUE' }),
+    choiceItem('First', 2, 2, ['A', 'B'], ['RESTART', 'CONTINUE']),
+    choiceItem('Second', 3, 3, ['C'], [99]),
+    item('PAGE_BREAK', 'Three', 11, 4, { pageNavigationType: 'GO_TO_PAGE', goToPageId: 10 })
+  ]));
+
+  assert.deepEqual(conditions, [[[]], [[]], []]);
+  assert.deepEqual(report.map((entry) => [entry.key, entry.field, entry.reason]), [
+    ['first', 'choiceNavigation', 'Going back to an earlier section ("section-1") cannot be expressed, respondents continue in order instead'],
+    ['second', 'choiceNavigation', 'Navigation target section no longer exists'],
+    ['two', 'choiceNavigation', 'Several questions in this section branch; each branch is applied as if it were the only one'],
+    ['two', 'navigation', 'Going back to an earlier section ("two") cannot be expressed, respondents continue in order instead'],
+    ['three', 'section', 'No path reaches this section, so it is never shown']
+  ]);
+});
+
+test('conversionReportToMarkdown lists every entry', () => {
+  const script = createAppsScript();
+  const report = [
+    { key: 'map', id: 116, title: 'Map', field: 'type', reason: 'Left out' },
+    { key: null, id: null, title: null, field: 'metadata', reason: 'Not kept' }
+  ];
+
+  assert.equal(script.run('conversionReportToMarkdown', report, 'SurveyJS', 'Survey'), [
+    '# SurveyJS conversion: Survey',
+    '',
+    '_2 items could not be converted exactly_',
+    '',
+    '- **Map** (`map`) type: Left out',
+    '- **Form** metadata: Not kept'
+  ].join('\n'));
+  assert.equal(script.run('conversionReportToMarkdown', [], 'SurveyJS', 'Survey'), '# SurveyJS conversion: Survey\n\nEverything in the form was converted.');
+});
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function exportOf(name) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+function copyOf(json) {
+  return JSON.parse(JSON.stringify(json));
+}
+
+/**
+ * Removes an item from an export and renumbers the indices, like deleting it in the editor.
+ */
+function withoutItem(json, id) {
+  const copy = copyOf(json);
+  copy.items = copy.items.filter((item) => item.id !== id);
+  copy.items.forEach((item, index) => { item.index = index; });
+  copy.count = copy.items.length;
+  return copy;
+}
+
+function changesOf(diff, id) {
+  const entry = diff.changed.find((item) => item.id === id);
+  return entry ? entry.changes : [];
+}
+
+test('diffExports finds no changes between identical exports', () => {
+  const { script, json } = exportOf('form');
+
+  const diff = toPlain(script.run('diffExports', json, copyOf(json)));
+
+  assert.deepEqual(diff, { metadata: [], added: [], removed: [], changed: [], hasChanges: false });
+  assert.equal(script.run('diffToMarkdown', diff), '# Form changes\n\nNo changes.');
+});
+
+test('diffExports reports added and removed items without marking later items as moved', () => {
+  const { script, json } = exportOf('form');
+  const before = withoutItem(json, 110);
+
+  const added = toPlain(script.run('diffExports', before, json));
+  assert.deepEqual(added.added, [{ id: 110, index: 11, type: 'DATE', title: 'Date of birth' }]);
+  assert.deepEqual(added.changed, [], 'shifted indices are not moves');
+
+  const removed = toPlain(script.run('diffExports', json, before));
+  assert.deepEqual(removed.removed, [{ id: 110, index: 11, type: 'DATE', title: 'Date of birth' }]);
+  assert.deepEqual(removed.added, []);
+});
+
+test('diffExports reports a moved item once', () => {
+  const { script, json } = exportOf('form');
+  const after = copyOf(json);
+  const [moved] = after.items.splice(0, 1);
+  after.items.splice(3, 0, moved);
+  after.items.forEach((item, index) => { item.index = index; });
+
+  const diff = toPlain(script.run('diffExports', json, after));
+
+  assert.deepEqual(diff.changed, [{
+    id: 101,
+    type: 'TEXT',
+    title: 'Your name',
+    changes: [{ kind: 'moved', field: 'index', from: 0, to: 3 }]
+  }]);
+});
+
+test('diffExports reports retitled, required, choice, scale, and other field changes', () => {
+  const { script, json } = exportOf('form');
+  const after = copyOf(json);
+  const byId = (id) => after.items.find((item) => item.id === id);
+  byId(101).title = 'Full name';
+  byId(101).isRequired = !byId(101).isRequired;
+  byId(105).choices = ['Library', 'Gym', 'Park'];
+  byId(107).upperBound = 10;
+  byId(108).helpText = 'Main roads only';
+
+  const diff = toPlain(script.run('diffExports', json, after));
+
+  assert.deepEqual(changesOf(diff, 101).map((change) => change.kind), ['retitled', 'required']);
+  assert.deepEqual(changesOf(diff, 105), [{
+    kind: 'choices',
+    field: 'choices',
+    from: ['Library', 'Pool', 'Park'],
+    to: ['Library', 'Gym', 'Park'],
+    added: ['Gym'],
+    removed: ['Pool']
+  }]);
+  assert.deepEqual(changesOf(diff, 107), [{ kind: 'scale', field: 'upperBound', from: 5, to: 10 }]);
+  assert.deepEqual(changesOf(diff, 108), [{ kind: 'field', field: 'helpText', from: '', to: 'Main roads only' }]);
+
+  const md = script.run('diffToMarkdown', diff, { from: 'form_export_a.json', to: 'live form' });
+  assert.ok(md.startsWith('# Form changes\n\n_Compared form_export_a.json with live form_\n\n## Changed items\n'));
+  assert.ok(md.includes([
+    '### "Full name" (TEXT)',
+    '',
+    '- Retitled from "Your name" to "Full name"',
+    '- ' + (byId(101).isRequired ? 'Now required' : 'No longer required')
+  ].join('\n')));
+  assert.ok(md.includes('- Choices added "Gym"; removed "Pool"'));
+  assert.ok(md.includes('- **upperBound**: 5 → 10'));
+  assert.ok(md.includes('- **helpText**: _empty_ → "Main roads only"'));
+});
+
+test('diffExports describes section and choice navigation changes by section title', () => {
+  const { script, json } = exportOf('form');
+  const after = copyOf(json);
+  const byId = (id) => after.items.find((item) => item.id === id);
+  byId(301).pageNavigationType = 'SUBMIT';
+  delete byId(301).goToPageId;
+  byId(103).choiceNavigation[2] = { type: 'GO_TO_PAGE', goToPageId: 301 };
+
+  const diff = toPlain(script.run('diffExports', json, after));
+
+  assert.deepEqual(changesOf(diff, 301), [{
+    kind: 'navigation',
+    field: 'pageNavigationType',
+    from: 'Go to section "Everyone"',
+    to: 'Submit form'
+  }]);
+  assert.deepEqual(changesOf(diff, 103), [{
+    kind: 'navigation',
+    field: 'choiceNavigation',
+    choice: 'Prefer not to say',
+    from: 'Submit form',
+    to: 'Go to section "Drivers"'
+  }]);
+
+  const md = script.run('diffToMarkdown', diff);
+  assert.ok(md.includes('- Section now leads to Submit form (was Go to section "Everyone")'));
+  assert.ok(md.includes('- Choice "Prefer not to say" now leads to Go to section "Drivers" (was Submit form)'));
+});
+
+test('diffExports does not count reordered choices as navigation changes', () => {
+  const { script, json } = exportOf('form');
+  const after = copyOf(json);
+  const item = after.items.find((entry) => entry.id === 103);
+  item.choices.reverse();
+  item.choiceNavigation.reverse();
+
+  assert.deepEqual(changesOf(toPlain(script.run('diffExports', json, after)), 103).map((change) => change.kind), ['choices']);
+});
+
+test('diffExports reports form title and settings changes', () => {
+  const { script, json } = exportOf('form');
+  const after = copyOf(json);
+  after.metadata.title = 'Community Survey 2025';
+  after.metadata.settings.acceptingResponses = false;
+
+  const diff = toPlain(script.run('diffExports', json, after));
+
+  assert.deepEqual(diff.metadata, [
+    { kind: 'metadata', field: 'title', from: 'Community Survey', to: 'Community Survey 2025' },
+    { kind: 'metadata', field: 'settings.acceptingResponses', from: true, to: false }
+  ]);
+  assert.ok(script.run('diffToMarkdown', diff).includes('## Form settings\n\n- **title**: "Community Survey" → "Community Survey 2025"\n- **settings.acceptingResponses**: true → false'));
+});
+
+test('diffExports compares images without their data and skips video URLs that were not looked up', () => {
+  const { script, json } = exportOf('form');
+  const saved = copyOf(json);
+  const image = saved.items.find((item) => item.id === 116).image;
+  delete image.base64Data;
+  image.file = 'form_export_2025-01-01_00-00-00_image_116.png';
+  saved.items.find((item) => item.id === 117).videoUrl = 'https://www.youtube.com/watch?v=abc';
+
+  assert.equal(script.run('diffExports', saved, json).hasChanges, false, 'an image saved as a file matches the embedded one');
+
+  const replaced = copyOf(json);
+  replaced.items.find((item) => item.id === 116).image.base64Data = Buffer.from('other image').toString('base64');
+  const diff = toPlain(script.run('diffExports', json, replaced));
+
+  assert.deepEqual(changesOf(diff, 116), [{
+    kind: 'image',
+    field: 'image',
+    from: { name: json.items.find((item) => item.id === 116).image.name, contentType: 'image/png' },
+    to: { name: json.items.find((item) => item.id === 116).image.name, contentType: 'image/png' }
+  }]);
+  const md = script.run('diffToMarkdown', diff);
+  assert.ok(md.includes('- Image replaced'));
+  assert.ok(!md.includes('base64') && !md.includes(json.items.find((item) => item.id === 116).image.base64Data), 'no image data in the changelog');
+});
+
+test('runDiffAgainstLiveForm exports the live form with the media options of the saved export', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')], folders: ['exports'], properties: { MEDIA_OPTIONS: { mode: 'files' } } });
+  script.run('runExportToJSON');
+  const saved = JSON.parse(script.DriveApp.folders.exports.files[0].content);
+  assert.ok(saved.items.find((item) => item.id === 116).image.file);
+
+  script.run('runDiffAgainstLiveForm');
+
+  const files = script.DriveApp.folders.exports.files;
+  const diff = JSON.parse(files.find((file) => /^form_diff_.*\.json$/.test(file.getName())).content);
+  assert.equal(diff.hasChanges, false);
+  assert.ok(files.find((file) => /^form_diff_.*\.md$/.test(file.getName())).content.endsWith('No changes.'));
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+const FORMS_MIME_TYPE = 'application/vnd.google-apps.form';
+
+function batchScript() {
+  return createAppsScript({
+    forms: [loadFixture('form'), loadFixture('quiz')],
+    folders: ['exports', 'quiz-exports', 'forms']
+  });
+}
+
+test('exportFormBatch exports each listed form to its folder in its formats', () => {
+  const script = batchScript();
+
+  const result = toPlain(script.run('exportFormBatch', {
+    folderId: 'exports',
+    forms: [
+      { formId: 'form-community' },
+      { formId: 'form-quiz', folderId: 'quiz-exports', formats: ['html', 'mmd'] }
+    ]
+  }, { timestamp: '2026-01-02_03-04-05' }));
+
+  assert.equal(result.exportedCount, 2);
+  assert.equal(result.failedCount, 0);
+  assert.deepEqual(result.exports.map((record) => record.title), ['Community Survey', 'Geography Quiz']);
+
+  const names = (folder) => script.DriveApp.folders[folder].files.map((file) => file.getName());
+  assert.deepEqual(names('exports'), [
+    'form_export_2026-01-02_03-04-05_community-survey.json',
+    'form_export_2026-01-02_03-04-05_community-survey.md'
+  ]);
+  assert.deepEqual(names('quiz-exports'), [
+    'form_export_2026-01-02_03-04-05_geography-quiz.html',
+    'form_export_2026-01-02_03-04-05_geography-quiz.mmd'
+  ]);
+
+  const saved = script.DriveApp.folders.exports.files[0];
+  assert.equal(JSON.parse(saved.content).metadata.id, 'form-community');
+  assert.deepEqual(script.DriveApp.folders['quiz-exports'].files.map((file) => file.getMimeType()), ['text/html', 'text/plain']);
+  assert.deepEqual(result.exports[0].files[0], { format: 'json', name: saved.getName(), url: saved.getUrl() });
+});
+
+test('exportFormBatch keeps going when a form fails', () => {
+  const script = batchScript();
+
+  const result = toPlain(script.run('exportFormBatch', {
+    folderId: 'exports',
+    forms: ['missing-form', 'form-quiz', { formId: 'form-community', folderId: 'missing-folder' }]
+  }));
+
+  assert.equal(result.exportedCount, 1);
+  assert.equal(result.failedCount, 2);
+  assert.deepEqual(result.exports.map((record) => record.status), ['failed', 'exported', 'failed']);
+  assert.ok(result.exports[0].error);
+  assert.equal(result.exports[2].title, 'Community Survey');
+  assert.equal(script.DriveApp.folders.exports.files.length, 2);
+  assert.ok(script.Logger.messages.some((message) => message.startsWith('Error exporting form missing-form: ')));
+});
+
+test('exportFormBatch fails a form that has no output folder', () => {
+  const script = batchScript();
+
+  const result = toPlain(script.run('exportFormBatch', { forms: ['form-quiz'] }));
+
+  assert.equal(result.exports[0].status, 'failed');
+  assert.equal(result.exports[0].error, 'No output folder configured');
+});
+
+test('exportFormBatch passes Markdown options through', () => {
+  const script = batchScript();
+
+  script.run('exportFormBatch', { folderId: 'exports', formats: ['md'], forms: ['form-community'] }, { markdown: { diagram: true } });
+
+  assert.ok(script.DriveApp.folders.exports.files[0].content.includes('```mermaid'));
+});
+
+test('exportFormBatch gives forms with the same title distinct file names', () => {
+  const copy = loadFixture('form');
+  copy.metadata.id = 'form-community-copy';
+  const script = createAppsScript({ forms: [loadFixture('form'), copy], folders: ['exports'] });
+
+  script.run('exportFormBatch', { folderId: 'exports', formats: ['json'], forms: ['form-community', 'form-community-copy'] }, { timestamp: 'ts' });
+
+  assert.deepEqual(script.DriveApp.folders.exports.files.map((file) => file.getName()), [
+    'form_export_ts_community-survey.json',
+    'form_export_ts_community-survey-2.json'
+  ]);
+});
+
+test('resolveBatchManifest fills in defaults and adds every form in the source folder', () => {
+  const script = batchScript();
+  const source = script.DriveApp.folders.forms;
+  source.addFile('form-quiz', 'B quiz', FORMS_MIME_TYPE);
+  source.addFile('form-community', 'A survey', FORMS_MIME_TYPE);
+  source.createFile('notes.txt', 'not a form');
+
+  const entries = toPlain(script.run('resolveBatchManifest', {
+    sourceFolderId: 'forms',
+    formats: ['html'],
+    forms: [{ formId: 'form-quiz', formats: ['json'] }]
+  }, 'exports'));
+
+  assert.deepEqual(entries, [
+    { formId: 'form-quiz', folderId: 'exports', formats: ['json'] },
+    { formId: 'form-community', folderId: 'exports', formats: ['html'] }
+  ]);
+});
+
+test('resolveBatchManifest rejects unknown formats before exporting anything', () => {
+  const script = batchScript();
+
+  assert.throws(
+    () => script.run('exportFormBatch', { folderId: 'exports', forms: ['form-community', { formId: 'form-quiz', formats: ['pdf'] }] }),
+    /Unknown export format "pdf" for form form-quiz/
+  );
+  assert.equal(script.DriveApp.folders.exports.files.length, 0);
+});
+
+test('batchResultToMarkdown links every exported file and lists failures', () => {
+  const script = batchScript();
+  const result = script.run('exportFormBatch', { folderId: 'exports', forms: ['form-community', 'missing|form'] }, { timestamp: 'ts' });
+
+  const md = script.run('batchResultToMarkdown', result);
+  const files = script.DriveApp.folders.exports.files;
+
+  assert.ok(md.startsWith('# Form exports ts\n\n_1 exported, 1 failed_'));
+  assert.ok(md.includes('| Community Survey | [json](' + files[0].getUrl() + ') · [md](' + files[1].getUrl() + ') |'));
+  assert.match(md, /\| missing\\\|form \| \*\*Failed:\*\* .+ \|/);
+});
+
+test('batchResultToMarkdown notes an empty batch', () => {
+  const script = batchScript();
+
+  const md = script.run('batchResultToMarkdown', script.run('exportFormBatch', { forms: [] }, { timestamp: 'ts' }));
+
+  assert.ok(md.endsWith('No forms to export.'));
+});
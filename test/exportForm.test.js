@@ -0,0 +1,318 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function exportFixture(name) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+function itemById(json, id) {
+  return json.items.find((item) => item.id === id);
+}
+
+test('exportFormToJson includes metadata, every item, and the count', () => {
+  const { json } = exportFixture('form');
+
+  assert.equal(json.metadata.title, 'Community Survey');
+  assert.equal(json.metadata.id, 'form-community');
+  assert.deepEqual(json.metadata.editorEmails, ['owner@example.com']);
+  assert.equal(json.metadata.confirmationMessage, 'Thanks for taking part!');
+  assert.equal(json.metadata.isQuiz, false);
+  assert.equal(json.schemaVersion, 4);
+  assert.equal(json.count, 20);
+  assert.equal(json.metadata.count, undefined, 'the item count is only kept at the root');
+  assert.deepEqual(json.items.map((item) => item.index), Array.from({ length: 20 }, (_, i) => i));
+});
+
+test('exportFormToJson includes the response settings, destination, and form URLs', () => {
+  const { json } = exportFixture('form');
+
+  assert.equal(json.metadata.editUrl, 'https://docs.google.com/forms/d/form-community/edit');
+  assert.equal(json.metadata.summaryUrl, 'https://docs.google.com/forms/d/form-community/viewanalytics');
+  assert.deepEqual(json.metadata.settings, {
+    acceptingResponses: true,
+    collectsEmail: true,
+    requiresLogin: null,
+    limitOneResponsePerUser: false,
+    allowResponseEdits: true,
+    showProgressBar: true,
+    showLinkToRespondAgain: false,
+    publishingSummary: false,
+    shuffleQuestions: false,
+    responseDestination: { type: 'SPREADSHEET', id: 'sheet-community' }
+  });
+  assert.equal(exportFixture('quiz').json.metadata.settings.responseDestination, null);
+});
+
+test('exportFormToJson uses pre-fetched form and items when given', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const form = script.FormApp.openById('form-community');
+  const items = form.getItems().slice(0, 2);
+
+  const json = toPlain(script.run('exportFormToJson', 'ignored-id', form, items));
+
+  assert.equal(json.count, 2);
+  assert.deepEqual(json.items.map((item) => item.title), ['Your name', 'What do you like about the area?']);
+});
+
+test('itemToObject exports the common fields of every item', () => {
+  const { json } = exportFixture('form');
+  const name = itemById(json, 101);
+
+  assert.deepEqual(name, {
+    type: 'TEXT',
+    title: 'Your name',
+    helpText: 'First name is enough',
+    id: 101,
+    index: 0,
+    isRequired: true
+  });
+});
+
+test('itemToObject exports choices, other option, and choice navigation', () => {
+  const { json } = exportFixture('form');
+
+  const car = itemById(json, 103);
+  assert.deepEqual(car.choices, ['Yes', 'No', 'Prefer not to say']);
+  assert.equal(car.hasOtherOption, false);
+  assert.deepEqual(car.choiceNavigation, [
+    { type: 'GO_TO_PAGE', goToPageId: 301 },
+    { type: 'GO_TO_PAGE', goToPageId: 302 },
+    { type: 'SUBMIT' }
+  ]);
+
+  const services = itemById(json, 105);
+  assert.deepEqual(services.choices, ['Library', 'Pool', 'Park']);
+  assert.equal(services.hasOtherOption, true);
+  assert.equal(services.choiceNavigation, undefined, 'checkbox choices cannot branch');
+
+  const list = itemById(json, 106);
+  assert.equal(list.hasOtherOption, false);
+  assert.deepEqual(list.choiceNavigation.map((nav) => nav.type), ['CONTINUE', 'CONTINUE', 'SUBMIT']);
+});
+
+test('itemToObject exports scale bounds and labels', () => {
+  const scale = itemById(exportFixture('form').json, 107);
+
+  assert.equal(scale.lowerBound, 1);
+  assert.equal(scale.upperBound, 5);
+  assert.equal(scale.leftLabel, 'Very hard');
+  assert.equal(scale.rightLabel, 'Very easy');
+});
+
+test('itemToObject exports grid rows and columns', () => {
+  const { json } = exportFixture('form');
+
+  assert.deepEqual(itemById(json, 108).rows, ['Main street', 'Ring road']);
+  assert.deepEqual(itemById(json, 108).columns, ['Poor', 'Fair', 'Good']);
+  assert.deepEqual(itemById(json, 109).rows, ['Library', 'Pool']);
+  assert.deepEqual(itemById(json, 109).columns, ['Mornings', 'Evenings']);
+});
+
+test('itemToObject exports date, time, duration, and rating settings', () => {
+  const { json } = exportFixture('form');
+
+  assert.equal(itemById(json, 110).includesYear, true);
+  assert.equal(itemById(json, 110).includesTime, false);
+  assert.equal(itemById(json, 111).includesYear, false);
+  assert.equal(itemById(json, 111).includesTime, true);
+  assert.equal(itemById(json, 112).type, 'TIME');
+  assert.equal(itemById(json, 113).type, 'DURATION');
+  assert.equal(itemById(json, 114).ratingScaleLevel, 5);
+  assert.equal(itemById(json, 114).ratingIcon, 'THUMB_UP');
+  assert.equal(itemById(json, 114).isRequired, true);
+});
+
+test('itemToObject handles items without a downcast method', () => {
+  const upload = itemById(exportFixture('form').json, 115);
+
+  assert.equal(upload.type, 'FILE_UPLOAD');
+  assert.equal(upload.isRequired, false);
+});
+
+test('itemToObject exports page break navigation', () => {
+  const { json } = exportFixture('form');
+
+  assert.equal(itemById(json, 301).pageNavigationType, 'GO_TO_PAGE');
+  assert.equal(itemById(json, 301).goToPageId, 302);
+  assert.equal(itemById(json, 302).pageNavigationType, 'CONTINUE');
+  assert.equal(itemById(json, 302).goToPageId, undefined);
+});
+
+test('itemToObject exports images as base64 and videos with their layout', () => {
+  const { json } = exportFixture('form');
+
+  assert.deepEqual(itemById(json, 116), {
+    type: 'IMAGE', title: 'Map', helpText: '', id: 116, index: 17, isRequired: false,
+    alignment: 'CENTER', width: 400, image: { name: 'map.png', contentType: 'image/png', base64Data: 'iVBORw0KGgo=' }
+  });
+  assert.equal(itemById(json, 117).alignment, 'LEFT');
+  assert.equal(itemById(json, 117).videoUrl, null, 'Apps Script cannot read video URLs');
+});
+
+test('exportFormToJson names saved image files and records looked-up video URLs', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const json = toPlain(script.run('exportFormToJson', script.formId, null, null, {
+    media: 'files',
+    mediaBaseName: 'form_export_2026-01-02_03-04-05',
+    videoUrls: { 117: 'https://www.youtube.com/watch?v=abc123' }
+  }));
+
+  assert.deepEqual(itemById(json, 116).image, { name: 'map.png', contentType: 'image/png', file: 'form_export_2026-01-02_03-04-05_image_116.png' });
+  assert.equal(itemById(json, 117).videoUrl, 'https://www.youtube.com/watch?v=abc123');
+  assert.throws(() => script.run('exportFormToJson', script.formId, null, null, { media: 'inline' }), /Media mode must be base64 or files, got inline/);
+});
+
+test('itemToObject exports points, correct answers, and feedback for quizzes', () => {
+  const { json } = exportFixture('quiz');
+
+  assert.equal(json.metadata.isQuiz, true);
+
+  const capital = itemById(json, 201);
+  assert.equal(capital.points, 2);
+  assert.deepEqual(capital.correctAnswers, ['Paris']);
+  assert.deepEqual(capital.feedback, {
+    correct: { text: 'Well done', linkUrls: [] },
+    incorrect: { text: 'Review chapter 2', linkUrls: ['https://example.com/ch2'] }
+  });
+
+  assert.deepEqual(itemById(json, 202).correctAnswers, ['Rhine', 'Danube']);
+
+  const essay = itemById(json, 203);
+  assert.equal(essay.points, 5);
+  assert.deepEqual(essay.feedback, { general: { text: 'See the textbook', linkUrls: [] } });
+});
+
+test('itemToObject leaves out grading fields when the form is not a quiz', () => {
+  const car = itemById(exportFixture('form').json, 103);
+
+  assert.equal(car.points, undefined);
+  assert.equal(car.correctAnswers, undefined);
+  assert.equal(car.feedback, undefined);
+});
+
+test('importFormFromJson recreates items, choices, and navigation', () => {
+  const { script, json } = exportFixture('form');
+
+  const result = script.run('importFormFromJson', JSON.stringify(json));
+  const copy = toPlain(script.run('exportFormToJson', null, result.form));
+
+  assert.notEqual(copy.metadata.id, json.metadata.id);
+  assert.equal(copy.metadata.title, json.metadata.title);
+  assert.equal(copy.metadata.description, json.metadata.description);
+  assert.equal(copy.metadata.confirmationMessage, json.metadata.confirmationMessage);
+
+  // File uploads cannot be created, everything else comes back in order
+  const expected = json.items.filter((item) => item.type !== 'FILE_UPLOAD');
+  assert.deepEqual(copy.items.map((item) => item.type), expected.map((item) => item.type));
+  assert.deepEqual(copy.items.map((item) => item.title), expected.map((item) => item.title));
+  assert.deepEqual(copy.items.map((item) => item.isRequired), expected.map((item) => item.isRequired));
+
+  const byTitle = (items, title) => items.find((item) => item.title === title);
+  const newIds = {};
+  expected.forEach((item, i) => {
+    newIds[item.id] = copy.items[i].id;
+  });
+
+  const car = byTitle(copy.items, 'Do you own a car?');
+  assert.deepEqual(car.choices, ['Yes', 'No', 'Prefer not to say']);
+  assert.deepEqual(car.choiceNavigation, [
+    { type: 'GO_TO_PAGE', goToPageId: newIds[301] },
+    { type: 'GO_TO_PAGE', goToPageId: newIds[302] },
+    { type: 'SUBMIT' }
+  ]);
+
+  const drivers = byTitle(copy.items, 'Drivers');
+  assert.equal(drivers.pageNavigationType, 'GO_TO_PAGE');
+  assert.equal(drivers.goToPageId, newIds[302]);
+
+  const scale = byTitle(copy.items, 'How easy is parking?');
+  assert.deepEqual([scale.lowerBound, scale.upperBound, scale.leftLabel, scale.rightLabel], [1, 5, 'Very hard', 'Very easy']);
+
+  assert.deepEqual(byTitle(copy.items, 'Rate the roads').columns, ['Poor', 'Fair', 'Good']);
+  assert.equal(byTitle(copy.items, 'Last visit').includesYear, false);
+  assert.equal(byTitle(copy.items, 'Overall rating').ratingIcon, 'THUMB_UP');
+  assert.equal(byTitle(copy.items, 'Which services do you use?').hasOtherOption, true);
+  assert.equal(byTitle(copy.items, 'Map').alignment, 'CENTER');
+  assert.deepEqual(byTitle(copy.items, 'Map').image, json.items[17].image, 'embedded images are restored');
+  assert.equal(byTitle(copy.items, 'Map').width, 400);
+});
+
+test('importFormFromJson reports the fields it could not reproduce', () => {
+  const { script, json } = exportFixture('form');
+
+  const unsupported = toPlain(script.run('importFormFromJson', json).unsupported);
+  const fields = unsupported.map((entry) => (entry.id === null ? 'form' : entry.id) + ':' + entry.field);
+
+  assert.deepEqual(fields.sort(), ['115:type', '117:videoUrl', 'form:editorEmails', 'form:settings.responseDestination']);
+});
+
+test('importFormFromJson sets looked-up video URLs and reports images saved as files', () => {
+  const { script, json } = exportFixture('form');
+  json.items[17].image = { name: 'map.png', contentType: 'image/png', file: 'form_export_2026-01-02_03-04-05_image_116.png' };
+  json.items[18].videoUrl = 'https://www.youtube.com/watch?v=abc123';
+
+  const result = script.run('importFormFromJson', json);
+  const unsupported = toPlain(result.unsupported).filter((entry) => entry.id === 116 || entry.id === 117);
+
+  assert.deepEqual(unsupported, [{
+    index: 17, id: 116, title: 'Map', field: 'image',
+    reason: 'The image was saved as form_export_2026-01-02_03-04-05_image_116.png, add it to the form manually'
+  }]);
+  const video = result.form.getItems().find((item) => item.getTitle() === 'Welcome video');
+  assert.equal(script.FormApp.forms[result.form.getId()].findRecord(video.getId()).videoUrl, 'https://www.youtube.com/watch?v=abc123');
+});
+
+test('importFormFromJson restores response settings and reports the ones it cannot change', () => {
+  const { script, json } = exportFixture('quiz');
+  const target = createAppsScript({ forms: [{ metadata: { id: 'workspace-less', settings: { requiresLogin: null } } }] });
+  const consumerFormApp = Object.assign({}, target.FormApp, { create: () => target.FormApp.openById('workspace-less') });
+
+  const copy = toPlain(script.run('exportFormToJson', null, script.run('importFormFromJson', json).form));
+  const restricted = toPlain(script.run('importFormFromJson', json, consumerFormApp).unsupported);
+
+  assert.deepEqual(copy.metadata.settings, json.metadata.settings);
+  assert.deepEqual(restricted.map((entry) => entry.field), ['settings.requiresLogin']);
+  assert.match(restricted[0].reason, /^Could not be changed: /);
+});
+
+test('importFormFromJson reports navigation targets missing from the export', () => {
+  const { script, json } = exportFixture('form');
+  json.items = json.items.filter((item) => item.id !== 301);
+
+  const unsupported = toPlain(script.run('importFormFromJson', json).unsupported);
+
+  assert.ok(unsupported.some((entry) => entry.id === 103 && entry.field === 'choiceNavigation'));
+});
+
+test('importFormFromJson restores quiz points, correct answers, and feedback', () => {
+  const { script, json } = exportFixture('quiz');
+
+  const result = script.run('importFormFromJson', json);
+  const copy = toPlain(script.run('exportFormToJson', null, result.form));
+
+  assert.equal(copy.metadata.isQuiz, true);
+  assert.deepEqual(copy.items.map((item) => item.points), [2, 1, 5]);
+  assert.deepEqual(copy.items[0].correctAnswers, ['Paris']);
+  assert.deepEqual(copy.items[1].correctAnswers, ['Rhine', 'Danube']);
+  assert.deepEqual(copy.items[0].feedback, json.items[0].feedback);
+  assert.deepEqual(copy.items[2].feedback, json.items[2].feedback);
+});
+
+test('importFormFromJson creates forms through the given form service', () => {
+  const { json } = exportFixture('form');
+  const target = createAppsScript();
+
+  const result = target.run('importFormFromJson', json, target.FormApp);
+
+  assert.equal(target.FormApp.forms[result.form.getId()], result.form);
+});
+
+test('snakeCaseToCamelCase builds downcast method names', () => {
+  const script = createAppsScript();
+
+  assert.equal(script.run('snakeCaseToCamelCase', 'AS_MULTIPLE_CHOICE_ITEM'), 'asMultipleChoiceItem');
+  assert.equal(script.run('snakeCaseToCamelCase', 'AS_TEXT_ITEM'), 'asTextItem');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+test('mediaFileName names images after the export, the item, and the content type', () => {
+  const script = createAppsScript();
+
+  assert.equal(script.run('mediaFileName', 'form_export_2026-01-02_03-04-05', 116, 'image/png'), 'form_export_2026-01-02_03-04-05_image_116.png');
+  assert.equal(script.run('mediaFileName', 'form_export', 7, 'image/jpeg'), 'form_export_image_7.jpg');
+  assert.equal(script.run('mediaFileName', 'form_export', 7, 'application/octet-stream'), 'form_export_image_7.bin');
+});
+
+test('readMediaOptions defaults to embedded images and checks the mode', () => {
+  const script = createAppsScript();
+
+  assert.deepEqual(toPlain(script.run('readMediaOptions')), { mode: 'base64', baseName: '', videoUrls: {} });
+  assert.throws(() => script.run('readMediaOptions', { media: 'links' }), /Media mode must be base64 or files, got links/);
+  assert.throws(() => script.run('readMediaOptions', { media: 'files' }), /Saving images as files needs a mediaBaseName/);
+});
+
+test('collectImageFiles returns the bytes of every image with its file name', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const items = script.FormApp.openById('form-community').getItems();
+
+  const files = script.run('collectImageFiles', items, 'form_export_2026-01-02_03-04-05');
+
+  assert.deepEqual(Array.from(files, (file) => [file.fileName, file.blob.getContentType(), Buffer.from(file.blob.getBytes()).toString('base64')]), [
+    ['form_export_2026-01-02_03-04-05_image_116.png', 'image/png', 'iVBORw0KGgo=']
+  ]);
+});
+
+test('fetchVideoUrls reads YouTube URLs from the Forms API by hexadecimal item ID', () => {
+  const script = createAppsScript();
+  script.UrlFetchApp.respond(() => ({
+    code: 200,
+    body: {
+      items: [
+        { itemId: '00000075', videoItem: { video: { youtubeUri: 'https://www.youtube.com/watch?v=abc123' } } },
+        { itemId: '00000074', imageItem: { image: {} } },
+        { itemId: '0000004f', title: 'Question' }
+      ]
+    }
+  }));
+
+  assert.deepEqual(toPlain(script.run('fetchVideoUrls', 'form-community')), { 117: 'https://www.youtube.com/watch?v=abc123' });
+  assert.equal(script.UrlFetchApp.requests[0].url, 'https://forms.googleapis.com/v1/forms/form-community');
+  assert.equal(script.UrlFetchApp.requests[0].params.headers.Authorization, 'Bearer fake-oauth-token');
+
+  script.UrlFetchApp.respond(() => ({ code: 403, body: '' }));
+  assert.throws(() => script.run('fetchVideoUrls', 'form-community'), /Forms API responded with HTTP 403/);
+});
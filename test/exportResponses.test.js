@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function responsesOf(options, scriptOptions = {}) {
+  const script = createAppsScript(Object.assign({ forms: [loadFixture('form')] }, scriptOptions));
+  return { script, json: toPlain(script.run('exportResponsesToJson', script.formId, null, null, options)) };
+}
+
+test('exportResponsesToJson lists the answering questions and each response by item ID', () => {
+  const { json } = responsesOf();
+
+  assert.deepEqual(json.form, { id: 'form-community', title: 'Community Survey' });
+  assert.deepEqual(json.range, { startDate: null, endDate: null });
+  assert.deepEqual(json.questions.map((question) => question.id), [101, 102, 103, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 118]);
+  assert.equal(json.count, 2);
+  assert.deepEqual(json.responses[0], {
+    id: 'resp-1',
+    timestamp: '2025-01-10T09:00:00.000Z',
+    respondentEmail: 'ana@example.com',
+    answers: { 101: 'Ana', 103: 'Yes', 105: ['Library', 'Park'], 107: '4' }
+  });
+});
+
+test('exportResponsesToJson filters by start and inclusive end date, and can leave out emails', () => {
+  assert.deepEqual(responsesOf({ startDate: new Date('2025-02-01T00:00:00Z') }).json.responses.map((response) => response.id), ['resp-2']);
+  assert.deepEqual(responsesOf({ endDate: new Date('2025-01-10T09:00:00Z') }).json.responses.map((response) => response.id), ['resp-1']);
+
+  const { json } = responsesOf({
+    startDate: new Date('2025-01-01T00:00:00Z'),
+    endDate: new Date('2025-01-31T23:59:59.999Z'),
+    omitRespondentEmails: true
+  });
+  assert.equal(json.count, 1);
+  assert.deepEqual(json.range, { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-31T23:59:59.999Z' });
+  assert.equal(json.responses[0].respondentEmail, undefined);
+});
+
+test('responsesToCsv writes one row per response and quotes fields with commas and quotes', () => {
+  const { script, json } = responsesOf();
+
+  const lines = script.run('responsesToCsv', json).split('\n');
+
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('Response ID,Timestamp,Email,Your name [101],What do you like about the area? [102],Do you own a car? [103]'));
+  assert.ok(lines[0].endsWith(',Photo of your street [115], [118]'));
+  assert.equal(lines[2], 'resp-2,2025-02-20T18:30:00.000Z,ben@example.com,Ben,"The ""old"" market, mostly",No,Library; Bowling,,2,,,,,,,,,');
+});
+
+test('responsesToCsv leaves out the email column without emails and flattens grid answers', () => {
+  const { script, json } = responsesOf({ omitRespondentEmails: true });
+  json.responses[0].answers[109] = [['Morning', 'Evening'], null];
+  json.responses[0].answers[102] = 'Line one\nline two';
+
+  const csv = script.run('responsesToCsv', json);
+
+  assert.ok(csv.startsWith('Response ID,Timestamp,Your name [101],'));
+  assert.ok(csv.includes(',"Line one\nline two",'), 'line breaks are quoted');
+  assert.ok(csv.includes(',"Morning, Evening; ",'));
+});
+
+test('summarizeResponsesToMarkdown counts choices, draws histograms, and samples text answers', () => {
+  const { script, json } = responsesOf();
+
+  const md = script.run('summarizeResponsesToMarkdown', json);
+
+  assert.ok(md.startsWith('# Responses: Community Survey\n\n_2 responses_\n'));
+  assert.ok(md.includes([
+    '## Which services do you use?',
+    '',
+    '_2 of 2 answered_',
+    '',
+    '| Choice | Count | Share |',
+    '|---|---|---|',
+    '| Library | 2 | 100% |',
+    '| Pool | 0 | 0% |',
+    '| Park | 1 | 50% |',
+    '| _Other_ | 1 | 50% |'
+  ].join('\n')));
+  assert.ok(md.includes([
+    '```',
+    '1  |  0',
+    '2  | ████████████████████ 1',
+    '3  |  0',
+    '4  | ████████████████████ 1',
+    '5  |  0',
+    '```'
+  ].join('\n')));
+  assert.ok(md.includes('## What do you like about the area?\n\n_1 of 2 answered_\n\n- The "old" market, mostly\n'));
+  assert.ok(md.includes('## Rate the roads\n\n_0 of 2 answered_\n\n_No answers_'));
+  assert.ok(md.includes('## Untitled\n'));
+});
+
+test('summarizeResponsesToMarkdown shows the first answers of long text questions', () => {
+  const { script, json } = responsesOf();
+  json.responses = ['A', 'B', 'C', 'D', 'E', 'F', 'G'].map((name, i) => ({ id: 'r' + i, timestamp: '', answers: { 101: name } }));
+  json.count = json.responses.length;
+
+  const md = script.run('summarizeResponsesToMarkdown', json);
+
+  assert.ok(md.startsWith('# Responses: Community Survey\n\n_7 responses_\n'));
+  assert.ok(md.includes('- A\n- B\n- C\n- D\n- E\n- _… and 2 more_\n'));
+});
+
+test('summarizeResponsesToMarkdown shows the range as dates in the script time zone', () => {
+  // Midnight at the start of January 10 and the end of January 31 in Berlin
+  const { script, json } = responsesOf({
+    startDate: new Date('2025-01-09T23:00:00Z'),
+    endDate: new Date('2025-01-31T22:59:59.999Z')
+  }, { timeZone: 'Europe/Berlin' });
+
+  const md = script.run('summarizeResponsesToMarkdown', json);
+
+  assert.ok(md.startsWith('# Responses: Community Survey\n\n_1 response from 2025-01-10 to 2025-01-31_\n'));
+});
+
+test('runExportResponses saves JSON, CSV, and a summary for the configured range', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form')],
+    folders: ['exports'],
+    properties: { RESPONSE_EXPORT_OPTIONS: { startDate: '2025-02-01', endDate: '2025-02-20', omitRespondentEmails: true } }
+  });
+
+  script.run('runExportResponses');
+
+  const files = script.DriveApp.folders.exports.files;
+  assert.deepEqual(files.map((file) => file.getName().replace(/\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}/, '<timestamp>')), [
+    'form_responses_<timestamp>.json',
+    'form_responses_<timestamp>.csv',
+    'form_responses_<timestamp>_summary.md'
+  ]);
+  const json = JSON.parse(files[0].content);
+  assert.deepEqual(json.responses.map((response) => response.id), ['resp-2'], 'the end date includes the whole day');
+  assert.equal(json.responses[0].respondentEmail, undefined);
+  assert.ok(files[2].content.includes('_1 response from 2025-02-01 to 2025-02-20_'));
+});
@@ -0,0 +1,248 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function exportOf(name) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+/**
+ * Rewrites a current export the way version 2 of the exporter wrote it.
+ */
+function toVersion2(json) {
+  const legacy = JSON.parse(JSON.stringify(json));
+  legacy.schemaVersion = 2;
+  legacy.items.forEach((item) => {
+    if (item.type === 'IMAGE') {
+      item.imageBlob = { dataAsString: Buffer.from(item.image.base64Data, 'base64').toString('utf8'), name: item.image.name, isGoogleType: false };
+      delete item.image;
+    }
+    if (item.type === 'IMAGE' || item.type === 'VIDEO') {
+      delete item.width;
+      delete item.videoUrl;
+    }
+  });
+  return legacy;
+}
+
+/**
+ * Rewrites a current export the way version 1 of the exporter wrote it.
+ */
+function toVersion1(json) {
+  const legacy = toVersion2(json);
+  delete legacy.schemaVersion;
+  legacy.metadata.count = legacy.items.length;
+  legacy.items.forEach((item) => {
+    if (item.points === undefined) item.points = 0;
+  });
+  return legacy;
+}
+
+/**
+ * Returns what upgrading an older copy of a current export gives: the image content,
+ * video URLs and media widths were not recorded.
+ */
+function withoutMedia(json) {
+  const upgraded = JSON.parse(JSON.stringify(json));
+  upgraded.items.forEach((item) => {
+    if (item.type === 'IMAGE') item.image = null;
+    if (item.type === 'VIDEO') item.videoUrl = null;
+    if (item.type === 'IMAGE' || item.type === 'VIDEO') delete item.width;
+  });
+  return upgraded;
+}
+
+/**
+ * Exports a fixture with the exporter as it was before exports were versioned,
+ * kept in specs/001-reduce-export-redundancy/.baseline-backup.
+ * That exporter could not downcast file upload items, so they are left out.
+ */
+function baselineExportOf(name) {
+  const fixture = loadFixture(name);
+  fixture.items = fixture.items.filter((item) => item.type !== 'FILE_UPLOAD');
+  const script = createAppsScript({ forms: [fixture] });
+  const exporter = path.join(__dirname, '..', 'specs', '001-reduce-export-redundancy', '.baseline-backup', 'exportForm.js.backup');
+  vm.runInContext(fs.readFileSync(exporter, 'utf8'), script.global);
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+function errorsOf(script, json) {
+  return toPlain(script.run('validateExport', json).errors);
+}
+
+test('the published schema matches EXPORT_JSON_SCHEMA', () => {
+  const script = createAppsScript();
+  const published = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', 'form-export.schema.json'), 'utf8'));
+
+  assert.deepEqual(published, toPlain(script.global.EXPORT_JSON_SCHEMA));
+  assert.equal(published.properties.schemaVersion.const, script.global.EXPORT_SCHEMA_VERSION);
+});
+
+test('exports of every item type and of quizzes are valid', () => {
+  ['form', 'quiz'].forEach((name) => {
+    const { script, json } = exportOf(name);
+    assert.deepEqual(toPlain(script.run('validateExport', json)), { valid: true, errors: [] }, name);
+  });
+});
+
+test('validateExport reports missing, mistyped, and unknown fields with their path', () => {
+  const { script, json } = exportOf('form');
+  delete json.items[0].title;
+  json.items[1].isRequired = 'yes';
+  json.items[2].colour = 'red';
+  json.metadata.isQuiz = null;
+
+  assert.deepEqual(errorsOf(script, json), [
+    { path: '$.metadata.isQuiz', message: 'must be boolean, got null' },
+    { path: '$.items[0]', message: 'is missing required field "title"' },
+    { path: '$.items[1].isRequired', message: 'must be boolean, got string' },
+    { path: '$.items[2].colour', message: 'is not part of the export schema' }
+  ]);
+});
+
+test('validateExport checks enums, type-specific fields, and the item count', () => {
+  const { script, json } = exportOf('form');
+  json.items[2].choiceNavigation[0].type = 'JUMP';
+  delete json.items[7].lowerBound;
+  json.items[5].goToPageId = 3.5;
+  json.count = 3;
+
+  assert.deepEqual(errorsOf(script, json), [
+    { path: '$.items[2].choiceNavigation[0].type', message: 'must be one of CONTINUE, GO_TO_PAGE, RESTART, SUBMIT, got "JUMP"' },
+    { path: '$.items[5].goToPageId', message: 'must be integer, got number' },
+    { path: '$.items[7]', message: 'is missing required field "lowerBound"' },
+    { path: '$.count', message: 'must equal the number of items (20)' }
+  ]);
+});
+
+test('validateExport rejects exports of older schema versions', () => {
+  const { script, json } = exportOf('form');
+
+  const errors = errorsOf(script, toVersion1(json));
+
+  assert.ok(errors.some((error) => error.path === '$' && error.message === 'is missing required field "schemaVersion"'));
+  assert.ok(errors.some((error) => error.path === '$.metadata.count'));
+});
+
+test('upgradeExport converts version 1 exports to the current shape', () => {
+  ['form', 'quiz'].forEach((name) => {
+    const { script, json } = exportOf(name);
+    const legacy = toVersion1(json);
+    const snapshot = JSON.stringify(legacy);
+
+    assert.deepEqual(toPlain(script.run('upgradeExport', legacy)), withoutMedia(json), name);
+    assert.deepEqual(toPlain(script.run('upgradeExport', snapshot)), withoutMedia(json), name + ' as a string');
+    assert.equal(JSON.stringify(legacy), snapshot, 'the input is left unchanged');
+  });
+});
+
+test('exports of the first, unversioned exporter upgrade to valid exports', () => {
+  ['form', 'quiz'].forEach((name) => {
+    const { script, json } = baselineExportOf(name);
+    assert.equal(json.metadata.isQuiz, undefined);
+
+    const upgraded = toPlain(script.run('upgradeExport', json));
+
+    assert.deepEqual(toPlain(script.run('validateExport', upgraded)), { valid: true, errors: [] }, name);
+    assert.equal(upgraded.metadata.isQuiz, false, 'the first exports wrote 0 points on every item');
+    assert.ok(upgraded.items.every((item) => item.points === undefined));
+  });
+
+  const { script, json } = baselineExportOf('form');
+  const upgraded = toPlain(script.run('upgradeExport', json)).items;
+  assert.deepEqual(upgraded.filter((item) => item.type === 'GRID').map((item) => [item.rows, item.columns]), [[[], []]]);
+  assert.deepEqual(upgraded.filter((item) => /^DATE/.test(item.type)).map((item) => [item.includesYear, item.includesTime]), [[true, false], [true, true]]);
+  assert.deepEqual(upgraded.filter((item) => item.type === 'RATING').map((item) => [item.ratingScaleLevel, item.ratingIcon]), [[5, 'STAR']]);
+});
+
+test('upgradeExport reads isQuiz from the points of version 1 exports that did not record it', () => {
+  const { script, json } = exportOf('quiz');
+  const legacy = toVersion1(json);
+  delete legacy.metadata.isQuiz;
+
+  const upgraded = toPlain(script.run('upgradeExport', legacy));
+
+  assert.equal(upgraded.metadata.isQuiz, true);
+  assert.deepEqual(upgraded.items.map((item) => item.points), [2, 1, 5]);
+});
+
+test('upgradeExport keeps real quiz points and drops them from layout items', () => {
+  const { script, json } = exportOf('quiz');
+  const legacy = toVersion1(json);
+  legacy.items.push({ type: 'PAGE_BREAK', title: 'Part 2', helpText: '', id: 900, index: 3, isRequired: false, points: 0, pageNavigationType: 'CONTINUE' });
+  legacy.items[0].points = 0;
+
+  const upgraded = toPlain(script.run('upgradeExport', legacy));
+
+  assert.equal(upgraded.items[0].points, 0, 'an ungraded quiz question keeps its 0 points');
+  assert.equal(upgraded.items[3].points, undefined);
+});
+
+test('upgradeExport fills in a missing count and leaves current exports unchanged', () => {
+  const { script, json } = exportOf('form');
+  const legacy = toVersion1(json);
+  delete legacy.count;
+
+  assert.equal(toPlain(script.run('upgradeExport', legacy)).count, 20);
+  assert.deepEqual(toPlain(script.run('upgradeExport', json)), json);
+});
+
+test('upgradeExport drops the corrupted image data of version 2 exports', () => {
+  const { script, json } = exportOf('form');
+
+  const upgraded = toPlain(script.run('upgradeExport', toVersion2(json)));
+
+  assert.deepEqual(upgraded, withoutMedia(json));
+  assert.deepEqual(toPlain(script.run('validateExport', upgraded)), { valid: true, errors: [] });
+});
+
+test('upgradeExport accepts the URLs and settings that version 3 exports already carried', () => {
+  const { script, json } = exportOf('form');
+  const legacy = Object.assign(JSON.parse(JSON.stringify(json)), { schemaVersion: 3 });
+
+  assert.deepEqual(toPlain(script.run('upgradeExport', legacy)), json);
+  assert.equal(script.run('validateExport', legacy).valid, false, 'version 3 exports are not valid version 4 exports');
+});
+
+test('settings the account cannot read are valid as null', () => {
+  const script = createAppsScript({ forms: [{ metadata: { id: 'restricted', settings: { requiresLogin: null, collectsEmail: null } } }] });
+  const json = toPlain(script.run('exportFormToJson', script.formId));
+
+  assert.equal(json.metadata.settings.collectsEmail, null);
+  assert.deepEqual(toPlain(script.run('validateExport', json)), { valid: true, errors: [] });
+});
+
+test('upgradeExport rejects newer and unknown versions', () => {
+  const { script, json } = exportOf('form');
+
+  assert.throws(() => script.run('upgradeExport', Object.assign({}, json, { schemaVersion: 5 })), /schema version 5 is newer than the supported version 4/);
+  assert.throws(() => script.run('upgradeExport', Object.assign({}, json, { schemaVersion: '2' })), /Unknown export schema version: "2"/);
+  assert.throws(() => script.run('upgradeExport', '[]'), /Export must be a JSON object/);
+});
+
+test('getExportSchemaVersion treats unversioned exports as version 1', () => {
+  const { script, json } = exportOf('form');
+
+  assert.equal(script.run('getExportSchemaVersion', json), 4);
+  assert.equal(script.run('getExportSchemaVersion', toVersion1(json)), 1);
+});
+
+test('older exports can still be diffed and imported', () => {
+  const { script, json } = exportOf('quiz');
+  const legacy = toVersion1(json);
+
+  assert.equal(script.run('diffExports', legacy, json).hasChanges, false);
+
+  const beforeSettings = JSON.parse(JSON.stringify(json));
+  delete beforeSettings.metadata.settings;
+  delete beforeSettings.metadata.summaryUrl;
+  assert.equal(script.run('diffExports', beforeSettings, json).hasChanges, false, 'fields the older export did not record are not changes');
+
+  const copy = toPlain(script.run('exportFormToJson', null, script.run('importFormFromJson', legacy).form));
+  assert.deepEqual(copy.items.map((item) => item.points), [2, 1, 5]);
+});
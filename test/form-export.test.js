@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { main } = require('../bin/form-export');
+const { createAppsScript, loadFixture } = require('./harness/appsScript');
+
+const VIDEO_URLS = { 117: 'https://www.youtube.com/watch?v=abc123' };
+
+/**
+ * Writes an export of a fixture form to a new temporary folder, like a snapshot archived from Drive.
+ *
+ * @param {string} fixture - Fixture name
+ * @param {Object} [media] - Media options for exportFormToJson
+ * @return {Object} {dir, file, script} where script holds the original form
+ */
+function writeSnapshot(fixture, media = { videoUrls: VIDEO_URLS }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'form-export-'));
+  const script = createAppsScript({ forms: [loadFixture(fixture)] });
+  const json = script.run('exportFormToJson', script.formId, undefined, undefined, media);
+  const file = path.join(dir, 'form_export_2026-01-02_03-04-05.json');
+  fs.writeFileSync(file, JSON.stringify(json, null, 2));
+  return { dir, file, script };
+}
+
+/**
+ * Writes an export made by the exporter as it was before exports were versioned, kept in
+ * specs/001-reduce-export-redundancy/.baseline-backup. That exporter could not export file upload items.
+ *
+ * @param {string} fixture - Fixture name
+ * @return {Object} {dir, file}
+ */
+function writeUnversionedSnapshot(fixture) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'form-export-'));
+  const form = loadFixture(fixture);
+  form.items = form.items.filter((item) => item.type !== 'FILE_UPLOAD');
+  const script = createAppsScript({ forms: [form] });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'specs', '001-reduce-export-redundancy', '.baseline-backup', 'exportForm.js.backup'), 'utf8'), script.global);
+  const file = path.join(dir, 'form_export_2024-05-06_07-08-09.json');
+  fs.writeFileSync(file, JSON.stringify(script.run('exportFormToJson', script.formId), null, 2));
+  return { dir, file };
+}
+
+function runCli(args) {
+  const output = { stdout: [], stderr: [] };
+  const code = main(args, { stdout: (line) => output.stdout.push(line), stderr: (line) => output.stderr.push(line) });
+  return { code, stdout: output.stdout.join('\n'), stderr: output.stderr.join('\n') };
+}
+
+test('renders a snapshot in the chosen formats as the live form would be', (t) => {
+  const { dir, file, script } = writeSnapshot('form');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outDir = path.join(dir, 'docs');
+
+  const result = runCli([file, '-o', outDir, '-f', 'md,html', '--format', 'json']);
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), [
+    'form_export_2026-01-02_03-04-05.html',
+    'form_export_2026-01-02_03-04-05.json',
+    'form_export_2026-01-02_03-04-05.md'
+  ]);
+  assert.equal(result.stdout, ['md', 'html', 'json'].map((extension) => '✓ ' + path.join(outDir, 'form_export_2026-01-02_03-04-05.' + extension)).join('\n'));
+
+  const form = script.FormApp.openById('form-community');
+  const markdown = script.run('exportFormToMarkdown', 'form-community', form, form.getItems(), script.run('markdownOptions_', script.run('readConfig'), { videoUrls: VIDEO_URLS }));
+  assert.equal(fs.readFileSync(path.join(outDir, 'form_export_2026-01-02_03-04-05.md'), 'utf8'), markdown);
+  assert.equal(fs.readFileSync(path.join(outDir, 'form_export_2026-01-02_03-04-05.json'), 'utf8'), fs.readFileSync(file, 'utf8'));
+  assert.equal(fs.readFileSync(path.join(outDir, 'form_export_2026-01-02_03-04-05.html'), 'utf8'), script.run('exportFormToHtml', 'form-community'));
+});
+
+test('applies Markdown options from a file and from flags', (t) => {
+  const { dir, file } = writeSnapshot('quiz');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const optionsFile = path.join(dir, 'markdown.json');
+  fs.writeFileSync(optionsFile, JSON.stringify({ requiredMarker: ' (required)', templates: { question: '{{heading}} Q{{number}}: {{title}}{{requiredMarker}}' } }));
+
+  const result = runCli([file, '-o', dir, '--name', 'quiz', '--options', optionsFile, '--no-settings', '--answer-key', '--required-marker', ' *']);
+
+  assert.equal(result.code, 0, result.stderr);
+  const markdown = fs.readFileSync(path.join(dir, 'quiz.md'), 'utf8');
+  assert.ok(markdown.includes('### Q1: Capital of France? *'));
+  assert.ok(!markdown.includes('## Settings'));
+  assert.ok(!fs.existsSync(path.join(dir, 'form_export_2026-01-02_03-04-05.md')));
+});
+
+test('saves images next to the output, and reads images exported as files from next to the snapshot', (t) => {
+  const { dir, file } = writeSnapshot('form', { media: 'files', mediaBaseName: 'form_export_2026-01-02_03-04-05', videoUrls: VIDEO_URLS });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outDir = path.join(dir, 'docs');
+
+  const missing = runCli([file, '-o', outDir]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /Image of item 116 was exported as form_export_2026-01-02_03-04-05_image_116\.png, which is not next to/);
+
+  fs.writeFileSync(path.join(dir, 'form_export_2026-01-02_03-04-05_image_116.png'), Buffer.from('iVBORw0KGgo=', 'base64'));
+  const result = runCli([file, '-o', outDir, '--name', 'survey', '--images', 'files']);
+
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(fs.readFileSync(path.join(outDir, 'survey_image_116.png')), Buffer.from('iVBORw0KGgo=', 'base64'));
+  assert.ok(fs.readFileSync(path.join(outDir, 'survey.md'), 'utf8').includes('\n![Map](survey_image_116.png)\n'));
+
+  const embedded = runCli([file, '-o', outDir, '--name', 'embedded']);
+  assert.equal(embedded.code, 0, embedded.stderr);
+  assert.ok(fs.readFileSync(path.join(outDir, 'embedded.md'), 'utf8').includes('\n![Map](data:image/png;base64,iVBORw0KGgo=)\n'));
+});
+
+test('re-renders snapshots archived before exports were versioned', (t) => {
+  const { dir, file } = writeUnversionedSnapshot('form');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).schemaVersion, undefined);
+
+  const result = runCli([file, '-o', path.join(dir, 'docs'), '-f', 'md,json']);
+
+  assert.equal(result.code, 0, result.stderr);
+  const upgraded = JSON.parse(fs.readFileSync(path.join(dir, 'docs', 'form_export_2024-05-06_07-08-09.json'), 'utf8'));
+  assert.equal(upgraded.schemaVersion, 4);
+  assert.equal(upgraded.metadata.isQuiz, false);
+  const markdown = fs.readFileSync(path.join(dir, 'docs', 'form_export_2024-05-06_07-08-09.md'), 'utf8');
+  assert.ok(markdown.startsWith('# Community Survey\n'));
+  assert.ok(markdown.includes('Your name'));
+});
+
+test('reports invalid snapshots and keeps going with the others', (t) => {
+  const { dir, file } = writeSnapshot('form');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const invalid = path.join(dir, 'invalid.json');
+  fs.writeFileSync(invalid, JSON.stringify({ schemaVersion: 3, metadata: { title: 'No items' } }));
+
+  const result = runCli([invalid, file, '-o', path.join(dir, 'docs')]);
+
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /^✗ .*invalid\.json: .*invalid\.json does not match the export schema:\n {2}\$ is missing required field/);
+  assert.match(result.stdout, /^✓ .*form_export_2026-01-02_03-04-05\.md$/);
+});
+
+test('rejects invalid command lines and outputs that would overwrite the snapshot', (t) => {
+  const { dir, file } = writeSnapshot('form');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.equal(runCli(['--help']).code, 0);
+  assert.match(runCli(['--help']).stdout, /^Usage: form-export <snapshot\.json>\.\.\. \[options\]/);
+
+  const cases = [
+    [[], /Name at least one snapshot file/],
+    [[file, '--colour'], /Unknown option '--colour'/],
+    [[file, file, '--name', 'x'], /--name can only be used with one snapshot/],
+    [[file, '--images', 'links'], /--images must be base64 or files, got links/],
+    [[file, '-f', 'md,pdf'], /Unknown format pdf \(available: json, nested, md, html, mmd, dot\)/]
+  ];
+  cases.forEach(([args, message]) => {
+    const result = runCli(args);
+    assert.equal(result.code, 2, args.join(' '));
+    assert.match(result.stderr, message);
+  });
+
+  const overwrite = runCli([file, '-o', dir, '-f', 'json']);
+  assert.equal(overwrite.code, 1);
+  assert.match(overwrite.stderr, /would overwrite the snapshot; choose another --out-dir or --name/);
+  assert.equal(fs.readdirSync(dir).length, 1);
+});
@@ -0,0 +1,27 @@
+/**
+ * Test harness: the Apps Script sandbox from lib/appsScript.js, plus the form fixtures in test/fixtures.
+ *
+ * Usage:
+ *   const script = createAppsScript({ forms: [loadFixture('form')], folders: ['exports'] });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createAppsScript, toPlain } = require('../../lib/appsScript');
+
+/**
+ * Loads a JSON fixture from test/fixtures.
+ *
+ * @param {string} name - File name without extension
+ * @return {Object} Parsed fixture (a fresh copy on every call)
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name + '.json'), 'utf8'));
+}
+
+module.exports = {
+  createAppsScript,
+  loadFixture,
+  toPlain
+};
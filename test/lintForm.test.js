@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function lintFixture(fixture) {
+  const script = createAppsScript({ forms: [typeof fixture === 'string' ? loadFixture(fixture) : fixture] });
+  return { script, report: toPlain(script.run('lintForm', script.formId)) };
+}
+
+function rulesOf(report) {
+  return report.issues.map((issue) => issue.severity + ' ' + issue.rule + ' @' + issue.section + (issue.index === null ? '' : ':' + issue.index));
+}
+
+test('lintForm finds nothing wrong with well-formed forms', () => {
+  const { report } = lintFixture('quiz');
+
+  assert.deepEqual(report, { form: { id: 'form-quiz', title: 'Geography Quiz' }, issues: [], errorCount: 0, warningCount: 0 });
+});
+
+test('lintForm reports a section that no navigation leads to', () => {
+  const { report } = lintFixture('lint-unreachable');
+
+  assert.deepEqual(report.issues, [{
+    severity: 'error',
+    rule: 'unreachable-section',
+    message: 'Section "Forgotten" cannot be reached from the start of the form',
+    section: 2,
+    index: null,
+    itemId: null
+  }]);
+  assert.equal(report.errorCount, 1);
+});
+
+test('lintForm reports a section that can never lead to submitting', () => {
+  const { report } = lintFixture('lint-dead-end');
+
+  assert.deepEqual(rulesOf(report), ['error dead-end @2'], 'the section jumping to itself is a dead end, not a separate cycle');
+  assert.equal(report.issues[0].message, 'Respondents who reach section "Details" can never submit the form');
+});
+
+test('lintForm warns about a cycle that still has a way to submit', () => {
+  const { report } = lintFixture('lint-cycle');
+
+  assert.deepEqual(rulesOf(report), ['warning navigation-cycle @1']);
+  assert.equal(report.issues[0].message, 'Sections 1, 2 can lead back to each other');
+  assert.equal(report.warningCount, 1);
+  assert.equal(report.errorCount, 0);
+});
+
+test('lintForm reports choices and page breaks that jump to a deleted section', () => {
+  const fixture = loadFixture('lint-deleted-target');
+  const { report } = lintFixture(fixture);
+
+  assert.deepEqual(report.issues, [{
+    severity: 'error',
+    rule: 'missing-navigation-target',
+    message: 'Choice "Yes" of "Do you drive?" jumps to a section that no longer exists',
+    section: 1,
+    index: 0,
+    itemId: 431
+  }]);
+
+  Object.assign(fixture.items[1], { pageNavigationType: 'GO_TO_PAGE', goToPageId: 439 });
+  assert.deepEqual(rulesOf(lintFixture(fixture).report), [
+    'error missing-navigation-target @1:0',
+    'error missing-navigation-target @1:1'
+  ]);
+});
+
+test('lintForm reports untitled questions and empty or duplicate choices', () => {
+  const fixture = loadFixture('lint-deleted-target');
+  fixture.items[0].choiceNavigation = [];
+  fixture.items[0].choices = ['Yes', 'Yes'];
+  fixture.items[2].title = '';
+  fixture.items.push({ type: 'CHECKBOX', title: 'Pick some', helpText: '', id: 434, index: 3, isRequired: false, choices: [], hasOtherOption: false });
+
+  const { report } = lintFixture(fixture);
+
+  assert.deepEqual(rulesOf(report), ['error duplicate-choice @1:0', 'warning untitled-item @2:2', 'error empty-choices @2:3']);
+  assert.equal(report.issues[1].message, 'TEXT item has no title and is left out of the Markdown export');
+});
+
+test('lintReportToMarkdown lists errors before warnings', () => {
+  const fixture = loadFixture('lint-cycle');
+  fixture.items[0].title = '';
+  fixture.items[2].choiceNavigation[0] = { type: 'GO_TO_PAGE', goToPageId: 499 };
+  const { script, report } = lintFixture(fixture);
+
+  assert.equal(script.run('lintReportToMarkdown', report), [
+    '# Form check: Review Loop',
+    '',
+    '_1 error, 2 warnings_',
+    '',
+    '## Errors',
+    '',
+    '- **missing-navigation-target** (Section 2, item 2): Choice "Yes" of "Are your answers right?" jumps to a section that no longer exists',
+    '',
+    '## Warnings',
+    '',
+    '- **untitled-item** (Section 1, item 0): TEXT item has no title and is left out of the Markdown export',
+    '- **navigation-cycle** (Section 1): Sections 1, 2 can lead back to each other'
+  ].join('\n'));
+  assert.equal(script.run('lintReportToMarkdown', lintFixture('quiz').report), '# Form check: Geography Quiz\n\nNo problems found.');
+});
+
+test('runLintForm saves the report and fails on errors unless LINT_FAIL_ON_ERROR is off', () => {
+  const failing = createAppsScript({ forms: [loadFixture('lint-dead-end')], folders: ['exports'] });
+
+  assert.throws(() => failing.run('runLintForm'), /Form check found 1 error\(s\)/);
+  const files = failing.DriveApp.folders.exports.files;
+  assert.deepEqual(files.map((file) => file.getName().replace(/\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}/, '<timestamp>')), [
+    'form_lint_<timestamp>.json',
+    'form_lint_<timestamp>.md'
+  ], 'the report is saved before the run fails');
+  assert.equal(JSON.parse(files[0].content).errorCount, 1);
+
+  const reporting = createAppsScript({ forms: [loadFixture('lint-dead-end')], folders: ['exports'], properties: { LINT_FAIL_ON_ERROR: 'false' } });
+  reporting.run('runLintForm');
+  assert.equal(reporting.DriveApp.folders.exports.files.length, 2);
+
+  const warningsOnly = createAppsScript({ forms: [loadFixture('lint-cycle')], folders: ['exports'] });
+  warningsOnly.run('runLintForm');
+  assert.ok(warningsOnly.DriveApp.folders.exports.files[1].content.includes('_0 errors, 1 warning_'), 'warnings never fail the run');
+});
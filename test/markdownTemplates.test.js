@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript } = require('./harness/appsScript');
+
+function render(template, view, partials) {
+  return createAppsScript().run('renderTemplate', template, view, partials);
+}
+
+test('renderTemplate inserts values, dotted names, and leaves out unset ones', () => {
+  assert.equal(render('{{ heading }} {{number}}. {{title}}{{missing}}', { heading: '###', number: 2, title: '**Name**' }), '### 2. **Name**');
+  assert.equal(render('Section {{section.number}}: {{section.title}}{{section.none.deeper}}', { section: { number: 3, title: 'Everyone' } }), 'Section 3: Everyone');
+  assert.equal(render('{{a}}<{{b}}', { a: 0, b: null }), '0<');
+});
+
+test('renderTemplate repeats sections over lists and drops lines that only hold tags', () => {
+  const template = [
+    '{{! one line per choice }}',
+    '{{#choices}}',
+    '- {{value}}{{#navigation}} → {{navigation}}{{/navigation}}',
+    '{{/choices}}',
+    '{{^choices}}',
+    '_No choices_',
+    '{{/choices}}',
+    'End'
+  ].join('\n');
+
+  assert.equal(render(template, { choices: [{ value: 'Yes', navigation: 'Submit form' }, { value: 'No', navigation: '' }] }), '- Yes → Submit form\n- No\nEnd');
+  assert.equal(render(template, { choices: [] }), '_No choices_\nEnd');
+  assert.equal(render('{{#required}}*{{/required}}{{#tags}}[{{.}}]{{/tags}}', { required: true, tags: ['a', 'b'] }), '*[a][b]');
+  assert.equal(render('{{#choice}}{{value}} of {{title}}{{/choice}}', { title: 'Q', choice: { value: 'A' } }), 'A of Q');
+});
+
+test('renderTemplate includes partials with the current values', () => {
+  const partials = { choices: '{{#choices}}- [ ] {{value}}\n{{/choices}}', question: '{{title}}\n{{> choices}}' };
+
+  assert.equal(render('{{> question}}', { title: 'Pick', choices: [{ value: 'A' }, { value: 'B' }] }, partials), 'Pick\n- [ ] A\n- [ ] B\n');
+  assert.throws(() => render('{{> nothing}}', {}, partials), /Unknown template partial "nothing"/);
+  assert.throws(() => render('{{> loop}}', {}, { loop: '{{> loop}}' }), /Template partial "loop" is nested too deeply/);
+});
+
+test('renderTemplate reports sections that are not closed or closed out of order', () => {
+  assert.throws(() => render('{{#choices}}- {{value}}', {}), /Template section \{\{#choices\}\} is not closed/);
+  assert.throws(() => render('{{#a}}{{#b}}{{/a}}{{/b}}', {}), /Template closes \{\{\/a\}\} before \{\{\/b\}\}/);
+  assert.throws(() => render('{{/a}}', {}), /Template closes \{\{\/a\}\} without opening it/);
+});
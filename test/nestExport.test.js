@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function nestedOf(fixture) {
+  const script = createAppsScript({ forms: [fixture] });
+  return { script, nested: toPlain(script.run('exportFormToNestedJson', script.formId)) };
+}
+
+function item(type, title, id, index, extra) {
+  return Object.assign({ type, title, helpText: '', id, index, isRequired: false }, extra);
+}
+
+function flatExport(items) {
+  return {
+    schemaVersion: 2,
+    metadata: { title: 'Form', id: 'form', description: '', publishedUrl: '', editorEmails: [], isQuiz: false, confirmationMessage: '', customClosedFormMessage: '' },
+    items,
+    count: items.length
+  };
+}
+
+test('exportFormToNestedJson groups items into sections keyed by title', () => {
+  const { nested } = nestedOf(loadFixture('form'));
+
+  assert.equal(nested.layout, 'sections');
+  assert.equal(nested.schemaVersion, 4);
+  assert.equal(nested.metadata.title, 'Community Survey');
+  assert.deepEqual(nested.sections.map((section) => [section.key, section.id, section.title, section.items.length]), [
+    ['section-1', null, '', 5],
+    ['drivers', 301, 'Drivers', 3],
+    ['everyone', 302, 'Everyone', 10]
+  ]);
+  assert.equal(nested.sections[1].helpText, 'Questions for car owners');
+});
+
+test('exportFormToNestedJson attaches navigation to the section it leaves', () => {
+  const { nested } = nestedOf(loadFixture('form'));
+
+  assert.deepEqual(nested.sections.map((section) => section.navigation), [
+    { type: 'GO_TO_PAGE', goTo: 'everyone' },
+    { type: 'CONTINUE', goTo: 'everyone' },
+    { type: 'CONTINUE' }
+  ]);
+});
+
+test('exportFormToNestedJson gives items keys and resolves choice navigation to section keys', () => {
+  const { nested } = nestedOf(loadFixture('form'));
+  const car = nested.sections[0].items[2];
+
+  assert.deepEqual(nested.sections[0].items.map((entry) => entry.key), [
+    'your-name', 'what-do-you-like-about-the-area', 'do-you-own-a-car', 'about-you', 'which-services-do-you-use'
+  ]);
+  assert.deepEqual(car, {
+    key: 'do-you-own-a-car',
+    type: 'MULTIPLE_CHOICE',
+    title: 'Do you own a car?',
+    helpText: '',
+    id: 103,
+    isRequired: true,
+    choices: ['Yes', 'No', 'Prefer not to say'],
+    hasOtherOption: false,
+    choiceNavigation: [
+      { type: 'GO_TO_PAGE', goTo: 'drivers' },
+      { type: 'GO_TO_PAGE', goTo: 'everyone' },
+      { type: 'SUBMIT' }
+    ]
+  });
+  assert.deepEqual(nested.sections[1].items[0].choiceNavigation, [{ type: 'CONTINUE' }, { type: 'CONTINUE' }, { type: 'SUBMIT' }]);
+});
+
+test('exportFormToNestedJson keys untitled items by type', () => {
+  const { nested } = nestedOf(loadFixture('form'));
+
+  assert.equal(nested.sections[2].items[9].key, 'text');
+});
+
+test('nestExport resolves key collisions in form order', () => {
+  const script = createAppsScript();
+  const nested = toPlain(script.run('nestExport', flatExport([
+    item('TEXT', 'Name', 1, 0),
+    item('PAGE_BREAK', 'Details', 10, 1, { pageNavigationType: 'CONTINUE' }),
+    item('TEXT', 'Name', 2, 2),
+    item('TEXT', 'Name 2', 3, 3),
+    item('PAGE_BREAK', 'Details', 11, 4, { pageNavigationType: 'RESTART' }),
+    item('TEXT', 'Name', 4, 5)
+  ])));
+
+  assert.deepEqual(nested.sections.map((section) => section.key), ['section-1', 'details', 'details-2']);
+  assert.deepEqual(nested.sections.flatMap((section) => section.items.map((entry) => entry.key)), ['name', 'name-2', 'name-2-2', 'name-3']);
+  assert.deepEqual(nested.sections[1].navigation, { type: 'RESTART', goTo: 'section-1' });
+});
+
+test('nestExport marks navigation to removed sections with a null target', () => {
+  const script = createAppsScript();
+  const nested = toPlain(script.run('nestExport', flatExport([
+    item('LIST', 'Pick', 1, 0, { choices: ['A'], hasOtherOption: false, choiceNavigation: [{ type: 'GO_TO_PAGE', goToPageId: 99 }] }),
+    item('PAGE_BREAK', 'Two', 10, 1, { pageNavigationType: 'GO_TO_PAGE', goToPageId: 98 })
+  ])));
+
+  assert.deepEqual(nested.sections[0].items[0].choiceNavigation, [{ type: 'GO_TO_PAGE', goTo: null }]);
+  assert.deepEqual(nested.sections[0].navigation, { type: 'GO_TO_PAGE', goTo: null });
+});
+
+test('nestExport accepts older exports and leaves its input unchanged', () => {
+  const script = createAppsScript();
+  const legacy = flatExport([item('TEXT', 'Name', 1, 0, { points: 0 })]);
+  delete legacy.schemaVersion;
+  const snapshot = JSON.stringify(legacy);
+
+  const nested = toPlain(script.run('nestExport', legacy));
+
+  assert.equal(nested.schemaVersion, 4);
+  assert.equal(nested.sections[0].items[0].points, undefined);
+  assert.equal(JSON.stringify(legacy), snapshot);
+});
+
+test('slugify makes lowercase ASCII keys from titles', () => {
+  const script = createAppsScript();
+  const slugify = (text) => script.run('slugify', text);
+
+  assert.equal(slugify('Do you own a car?'), 'do-you-own-a-car');
+  assert.equal(slugify('Café & Crème brûlée'), 'cafe-creme-brulee');
+  assert.equal(slugify('<b>Bold</b> title'), 'bold-title');
+  assert.equal(slugify('???'), '');
+  assert.equal(slugify(null), '');
+
+  const long = slugify('word '.repeat(30));
+  assert.ok(long.length <= 60);
+  assert.ok(!long.endsWith('-'));
+  assert.ok(long.endsWith('word'));
+});
+
+test('uniqueKey adds numeric suffixes to taken keys', () => {
+  const script = createAppsScript();
+  const used = {};
+
+  assert.equal(script.run('uniqueKey', 'name', used), 'name');
+  assert.equal(script.run('uniqueKey', 'name', used), 'name-2');
+  assert.equal(script.run('uniqueKey', 'name', used), 'name-3');
+  assert.equal(script.run('uniqueKey', 'constructor', used), 'constructor');
+});
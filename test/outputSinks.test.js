@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+const NAME = 'form_export_2026-01-02_03-04-05.md';
+
+function sinkScript() {
+  return createAppsScript({ folders: ['exports', 'docs'] });
+}
+
+function save(script, values, fileName, content) {
+  const settings = script.run('readOutputSettings', values, 'exports');
+  return toPlain(script.run('saveToSinks', fileName, content, settings));
+}
+
+function base64(text) {
+  return Buffer.from(text, 'utf8').toString('base64');
+}
+
+test('mimeTypeForFile and fixedExportName describe export files', () => {
+  const script = createAppsScript();
+
+  assert.deepEqual(['a.json', 'a.md', 'a.html', 'a.csv', 'a.lss', 'a.xlf', 'a.pot', 'a.mmd', 'a.txt', 'README'].map((name) => script.run('mimeTypeForFile', name)), [
+    'application/json', 'text/markdown', 'text/html', 'text/csv', 'application/xml', 'application/xliff+xml',
+    'text/x-gettext-translation', 'text/plain', 'text/plain', 'text/plain'
+  ]);
+  assert.equal(script.run('fixedExportName', 'form_export_2026-01-02_03-04-05_nested.json'), 'form_export_nested.json');
+  assert.equal(script.run('fixedExportName', 'form_batch_2026-01-02_03-04-05.md'), 'form_batch.md');
+  assert.equal(script.run('fixedExportName', '2026-01-02_03-04-05_community-survey_nested.json'), 'community-survey_nested.json');
+  assert.equal(script.run('fixedExportName', 'survey.2026-01-02_03-04-05.md'), 'survey.md');
+  assert.equal(script.run('fixedExportName', 'notes.md'), 'notes.md');
+});
+
+test('readOutputSettings uses defaults for empty and uninjected settings', () => {
+  const script = createAppsScript();
+
+  assert.deepEqual(toPlain(script.run('readOutputSettings', { sinks: '{{OUTPUT_SINKS}}', gitBranch: '', gitApiUrl: 'https://git.example.com/api/v3/' }, 'exports')), {
+    sinks: ['drive'],
+    drive: { folderId: 'exports', overwrite: false },
+    docs: { folderId: 'exports' },
+    webhook: { url: '', token: '' },
+    git: { apiUrl: 'https://git.example.com/api/v3', repository: '', branch: 'main', path: '', token: '' }
+  });
+  assert.deepEqual(toPlain(script.run('readOutputSettings', { sinks: ' Drive, git ,', gitPath: '/docs/forms/' }, 'exports')).sinks, ['drive', 'git']);
+  assert.throws(() => script.run('readOutputSettings', { sinks: 'drive,s3' }, 'exports'), /Unknown output sink "s3" \(available: drive, docs, webhook, git\)/);
+});
+
+test('the Drive sink saves with the MIME type of the file, overwriting a fixed name when set', () => {
+  const script = sinkScript();
+  const files = script.DriveApp.folders.exports.files;
+
+  save(script, {}, NAME, '# One');
+  save(script, { driveOverwrite: 'true' }, NAME, '# Two');
+  save(script, { driveOverwrite: 'true' }, 'form_export_2026-01-03_03-04-05.md', '# Three');
+
+  assert.deepEqual(files.map((file) => [file.getName(), file.getMimeType(), file.content]), [
+    [NAME, 'text/markdown', '# One'],
+    ['form_export.md', 'text/markdown', '# Three']
+  ]);
+  assert.ok(script.Logger.messages.includes('Saved to Drive: ' + NAME + ' at: \nhttps://drive.google.com/drive/folders/exports'));
+});
+
+test('the Drive sink saves blobs as binary files and replaces them when overwriting', () => {
+  const script = sinkScript();
+  const image = () => script.Utilities.newBlob([0x89, 0x50, 0x4e, 0x47], 'image/png', 'map.png');
+
+  save(script, { driveOverwrite: 'true' }, 'form_export_2026-01-02_03-04-05_image_116.png', image());
+  save(script, { driveOverwrite: 'true' }, 'form_export_2026-01-03_03-04-05_image_116.png', image());
+
+  const files = script.DriveApp.folders.exports.files;
+  assert.deepEqual(files.map((file) => [file.getName(), file.getMimeType(), file.isTrashed()]), [
+    ['form_export_image_116.png', 'image/png', true],
+    ['form_export_image_116.png', 'image/png', false]
+  ]);
+  assert.deepEqual(files[1].getBlob().getBytes(), [0x89, 0x50, 0x4e, 0x47]);
+});
+
+test('the Docs sink converts Markdown into one Doc per export type and skips other files', () => {
+  const script = sinkScript();
+  const values = { sinks: 'docs', docsFolderId: 'docs' };
+
+  const first = save(script, values, NAME, '# One');
+  const second = save(script, values, 'form_export_2026-01-03_03-04-05.md', '# Two');
+  const skipped = save(script, values, 'form_export_2026-01-03_03-04-05.json', '{}');
+
+  const docs = script.DriveApp.folders.docs.files;
+  assert.deepEqual(docs.map((file) => [file.getName(), file.getMimeType(), file.content]), [
+    ['form_export', 'application/vnd.google-apps.document', '# Two']
+  ]);
+  assert.deepEqual(first, [{ sink: 'docs', location: 'https://docs.google.com/document/d/' + docs[0].getId() + '/edit' }]);
+  assert.deepEqual(second, first);
+  assert.deepEqual(skipped, []);
+});
+
+test('the webhook sink posts the file as JSON and reports error responses', () => {
+  const script = sinkScript();
+  const values = { sinks: 'webhook,drive', webhookUrl: 'https://hooks.example.com/forms', webhookToken: 'secret' };
+
+  save(script, values, NAME, '# One');
+  script.UrlFetchApp.respond(() => ({ code: 500, body: 'down' }));
+  const results = save(script, values, NAME, '# Two');
+
+  const request = script.UrlFetchApp.requests[0];
+  assert.equal(request.url, 'https://hooks.example.com/forms');
+  assert.equal(request.params.method, 'post');
+  assert.equal(request.params.headers.Authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(request.params.payload), { name: NAME, mimeType: 'text/markdown', content: '# One' });
+
+  assert.deepEqual(results, [
+    { sink: 'webhook', error: 'Webhook responded with HTTP 500' },
+    { sink: 'drive', location: 'https://drive.google.com/drive/folders/exports' }
+  ]);
+  assert.ok(script.Logger.messages.includes('Error saving to webhook: Webhook responded with HTTP 500'));
+  assert.equal(script.DriveApp.folders.exports.files.length, 2, 'a failing sink does not stop the others');
+});
+
+test('the webhook sink sends blobs as base64', () => {
+  const script = sinkScript();
+
+  save(script, { sinks: 'webhook', webhookUrl: 'https://hooks.example.com/forms' }, 'form_export_image_116.png', script.Utilities.newBlob([1, 2, 3], 'image/png', 'map.png'));
+
+  assert.deepEqual(JSON.parse(script.UrlFetchApp.requests[0].params.payload), {
+    name: 'form_export_image_116.png', mimeType: 'image/png', content: 'AQID', encoding: 'base64'
+  });
+});
+
+test('the git sink commits new and changed files under their fixed name', () => {
+  const script = sinkScript();
+  const values = { sinks: 'git', gitRepository: 'acme/docs', gitPath: 'forms', gitBranch: 'wiki', gitToken: 'token' };
+  const url = 'https://api.github.com/repos/acme/docs/contents/forms/form_export.md';
+  let stored = null;
+  script.UrlFetchApp.respond((requestUrl, params) => {
+    if (!params.method) {
+      return stored === null ? { code: 404, body: '' } : { code: 200, body: { sha: 'abc', content: base64(stored).replace(/(.{8})/g, '$1\n'), html_url: 'https://github.com/acme/docs/blob/wiki/forms/form_export.md' } };
+    }
+    stored = Buffer.from(JSON.parse(params.payload).content, 'base64').toString('utf8');
+    return { code: stored === '# One' ? 201 : 200, body: { content: { html_url: 'https://github.com/acme/docs/blob/wiki/forms/form_export.md' } } };
+  });
+
+  save(script, values, NAME, '# One');
+  save(script, values, NAME, '# One');
+  const results = save(script, values, 'form_export_2026-01-03_03-04-05.md', '# Two ✓');
+
+  const requests = script.UrlFetchApp.requests.map((request) => [request.params.method || 'get', request.url]);
+  assert.deepEqual(requests, [
+    ['get', url + '?ref=wiki'], ['put', url],
+    ['get', url + '?ref=wiki'],
+    ['get', url + '?ref=wiki'], ['put', url]
+  ]);
+  const puts = script.UrlFetchApp.requests.filter((request) => request.params.method === 'put').map((request) => JSON.parse(request.params.payload));
+  assert.equal(puts[0].sha, undefined);
+  assert.equal(puts[1].sha, 'abc');
+  assert.equal(puts[1].branch, 'wiki');
+  assert.equal(puts[1].message, 'Update forms/form_export.md');
+  assert.equal(stored, '# Two ✓');
+  assert.equal(script.UrlFetchApp.requests[0].params.headers.Authorization, 'Bearer token');
+  assert.deepEqual(results, [{ sink: 'git', location: 'https://github.com/acme/docs/blob/wiki/forms/form_export.md' }]);
+});
+
+test('the git sink needs a repository and token, and reports failed requests', () => {
+  const script = sinkScript();
+
+  assert.deepEqual(save(script, { sinks: 'git' }, NAME, '# One'), [{ sink: 'git', error: 'GIT_REPOSITORY and GIT_TOKEN must be set' }]);
+
+  script.UrlFetchApp.respond(() => ({ code: 403, body: '' }));
+  assert.deepEqual(save(script, { sinks: 'git', gitRepository: 'acme/docs', gitToken: 'token' }, NAME, '# One'), [
+    { sink: 'git', error: 'Reading form_export.md failed with HTTP 403' }
+  ]);
+});
+
+test('the Drive sink overwrites one file when FILE_NAME_PATTERN starts with the timestamp', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form')],
+    folders: ['exports'],
+    properties: { FILE_NAME_PATTERN: '{timestamp}_{title}', DRIVE_OVERWRITE: 'true' }
+  });
+
+  script.run('runExportToMarkdown');
+  script.FormApp.openById('form-community').getItems()[0].setTitle('Your full name');
+  script.run('runExportToMarkdown');
+
+  const files = script.DriveApp.folders.exports.files;
+  assert.deepEqual(files.map((file) => file.getName()), ['community-survey.md']);
+  assert.match(files[0].content, /Your full name/);
+});
+
+test('the commands that read earlier exports find the file the Drive sink overwrites', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form')],
+    folders: ['exports'],
+    properties: { DRIVE_OVERWRITE: 'true' }
+  });
+  script.DriveApp.folders.exports.createFile('form_export_2020-01-02_03-04-05.json', '{}', 'application/json');
+
+  script.run('runScheduledExport');
+  script.run('runScheduledExport');
+
+  assert.deepEqual(script.DriveApp.folders.exports.files.map((file) => file.getName()), ['form_export_2020-01-02_03-04-05.json', 'form_export.json', 'form_export.md']);
+  assert.ok(script.Logger.messages.includes('Form unchanged since form_export.json, nothing saved'));
+  assert.deepEqual(toPlain(script.run('listExports_', '.json').map((file) => file.getName())), ['form_export.json', 'form_export_2020-01-02_03-04-05.json']);
+});
+
+test('the git sink commits to one path when FILE_NAME_PATTERN starts with the timestamp', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form')],
+    folders: ['exports'],
+    properties: { FILE_NAME_PATTERN: '{timestamp}_{title}', OUTPUT_SINKS: 'git', GIT_REPOSITORY: 'acme/docs', GIT_TOKEN: 'token' }
+  });
+  script.UrlFetchApp.respond((url, params) => (params.method ? { code: 201, body: { content: { html_url: 'https://github.com/acme/docs' } } } : { code: 404, body: '' }));
+
+  script.run('runExportToMarkdown');
+  script.run('runExportToMarkdown');
+
+  const puts = script.UrlFetchApp.requests.filter((request) => request.params.method === 'put').map((request) => request.url);
+  assert.deepEqual(puts, [
+    'https://api.github.com/repos/acme/docs/contents/community-survey.md',
+    'https://api.github.com/repos/acme/docs/contents/community-survey.md'
+  ]);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, toPlain } = require('./harness/appsScript');
+
+const script = createAppsScript();
+const toMarkdown = (text) => script.run('convertToMarkdown', text);
+const toRichText = (markdown) => script.run('convertMarkdownToRichText', markdown);
+
+test('parseRichText builds a tree of nested tags, decoding entities and dropping unknown tags', () => {
+  assert.deepEqual(toPlain(script.run('parseRichText', '<b>a <span>&amp; <em>b</em></span></b><a href=\'x\'>c')), {
+    name: 'root',
+    children: [
+      { name: 'b', children: ['a ', '& ', { name: 'i', children: ['b'] }] },
+      { name: 'a', href: 'x', children: ['c'] }
+    ]
+  });
+});
+
+test('decodeRichTextEntities decodes named and numeric entities and keeps unknown ones', () => {
+  assert.equal(script.run('decodeRichTextEntities', '&lt;&gt;&quot;&#39;&apos;&amp;&#233;&#x2713;&nbsp;&copy;'), '<>"\'\'&é✓ &copy;');
+});
+
+test('convertToMarkdown handles nested and multi-line formatting', () => {
+  assert.equal(toMarkdown('<b>bold <i>both</i></b> and <i>italic</i>'), '**bold *both*** and *italic*');
+  assert.equal(toMarkdown('<b>multi<br>line</b>'), '**multi\nline**');
+  assert.equal(toMarkdown('<B>upper</B> <strong>strong</strong> <em>em</em>'), '**upper** **strong** *em*');
+  assert.equal(toMarkdown('<b><b>twice</b></b>'), '**twice**');
+  assert.equal(toMarkdown('<b> spaced </b>out'), ' **spaced** out');
+  assert.equal(toMarkdown('<b>unclosed'), '**unclosed**');
+  assert.equal(toMarkdown('stray</i> tag'), 'stray tag');
+});
+
+test('convertToMarkdown reads links with single quotes and extra attributes', () => {
+  assert.equal(
+    toMarkdown('See <a class="x" href=\'https://example.com/?a=1&amp;b=2\' target="_blank">the <b>site</b></a>'),
+    'See [the **site**](https://example.com/?a=1&b=2)'
+  );
+  assert.equal(toMarkdown('<a href="https://example.com/a (b)">here</a>'), '[here](<https://example.com/a (b)>)');
+  assert.equal(toMarkdown('<a href="https://example.com"></a>'), '[https://example.com](https://example.com)');
+  assert.equal(toMarkdown('<a name="top">anchor</a>'), 'anchor');
+});
+
+test('convertToMarkdown converts bulleted, numbered, and nested lists apart from the text around them', () => {
+  assert.equal(
+    toMarkdown('Intro<ul><li>one</li><li>two<ul><li>deep</li></ul></li></ul>After'),
+    'Intro\n\n- one\n- two\n  - deep\n\nAfter'
+  );
+  assert.equal(toMarkdown('<ol>\n<li>first</li>\n<li>second<br>more</li>\n</ol>'), '1. first\n2. second\n   more');
+  assert.equal(toMarkdown('<p>Para one</p><p>Para two</p>'), 'Para one\n\nPara two');
+});
+
+test('convertToMarkdown escapes characters Markdown would read as formatting', () => {
+  assert.equal(toMarkdown('*Important*'), '\\*Important\\*');
+  assert.equal(toMarkdown('1. Intro'), '1\\. Intro');
+  assert.equal(toMarkdown('Step<br>2) Go'), 'Step\n2\\) Go');
+  assert.equal(toMarkdown('# tag'), '\\# tag');
+  assert.equal(toMarkdown('- dash<br>+ plus<br>> quote'), '\\- dash\n\\+ plus\n\\> quote');
+  assert.equal(toMarkdown('Version 1. Intro'), 'Version 1. Intro');
+  assert.equal(toMarkdown('snake_case [x] a | b `code` back\\slash'), 'snake\\_case \\[x\\] a \\| b \\`code\\` back\\\\slash');
+  assert.equal(toMarkdown('a < b &amp; c &amp;amp; &lt;tag&gt;'), 'a &lt; b & c &amp;amp; &lt;tag>');
+  assert.equal(toMarkdown('<b>*</b>'), '**\\***');
+});
+
+test('convertMarkdownToRichText converts formatting, links, and lists', () => {
+  assert.equal(toRichText('**bold** __too__ *italic* _also_ ***both***'), '<b>bold</b> <b>too</b> <i>italic</i> <i>also</i> <b><i>both</i></b>');
+  assert.equal(toRichText('**multi\nline**'), '<b>multi<br>line</b>');
+  assert.equal(toRichText('[the **site**](https://example.com/?a=1&b=2) [x](<https://example.com/a (b)>)'),
+    '<a href="https://example.com/?a=1&amp;b=2">the <b>site</b></a> <a href="https://example.com/a (b)">x</a>');
+  assert.equal(toRichText('Intro\n\n- one\n* two\n  1. deep\n\nAfter'), 'Intro<ul><li>one</li><li>two<ol><li>deep</li></ol></li></ul>After');
+  assert.equal(toRichText('1. first\n2. second\n   more'), '<ol><li>first</li><li>second<br>more</li></ol>');
+  assert.equal(toRichText('a\n\nb'), 'a<br><br>b');
+});
+
+test('convertMarkdownToRichText resolves escapes and keeps unmatched markers as text', () => {
+  assert.equal(toRichText('\\*Important\\* 1\\. snake_case'), '*Important* 1. snake_case');
+  assert.equal(toRichText('**open *x'), '**open *x');
+  assert.equal(toRichText('[not](a link'), '[not](a link');
+  assert.equal(toRichText('<u>kept</u><br/><div>escaped</div> & &amp;'), '<u>kept</u><br>&lt;div&gt;escaped&lt;/div&gt; &amp; &amp;');
+  assert.equal(toRichText(''), '');
+});
+
+test('rich text survives a round trip through Markdown', () => {
+  [
+    'Tell us about <b>your</b> neighbourhood.<br>It takes <i>five minutes</i>.',
+    '<b>bold <i>both</i></b> and <i>italic</i>',
+    '<b>multi<br>line</b>',
+    'See <a href="https://example.com/?a=1&amp;b=2">the <b>site</b></a>',
+    '*Important* 1. Intro # snake_case a | b',
+    '1. Intro',
+    'a &lt; b &amp; c &gt; d',
+    'Intro<ul><li>one</li><li>two<ul><li>deep</li></ul></li></ul>After',
+    '<ol><li>first</li><li>second<br>more</li></ol>',
+    '<u>under</u> and <a href="https://example.com/a (b)">odd link</a>'
+  ].forEach((richText) => {
+    assert.equal(toRichText(toMarkdown(richText)), richText);
+  });
+});
+
+test('richTextToPlainText keeps line breaks and drops formatting', () => {
+  assert.equal(script.run('richTextToPlainText', '<b>Bold</b> &amp; <i>more</i><br>Next line'), 'Bold & more\nNext line');
+  assert.equal(script.run('richTextToPlainText', 'Intro<ul>\n  <li>One</li>\n  <li><b>Two</li>\n</ul>After'), 'Intro\nOne\nTwo\nAfter');
+  assert.equal(script.run('richTextToPlainText', '<p>First</p><div>Second'), 'First\nSecond');
+  assert.equal(script.run('richTextToPlainText', 'Tom &amp;amp; Jerry &#233;'), 'Tom &amp; Jerry é', 'entities are decoded once');
+  assert.equal(script.run('richTextToPlainText', null), '');
+});
+
+test('hasRichTextFormatting tells formatted text from plain text with entities', () => {
+  assert.equal(script.run('hasRichTextFormatting', 'Line one<br>line two'), true);
+  assert.equal(script.run('hasRichTextFormatting', '<a href="https://example.com">Link</a>'), true);
+  assert.equal(script.run('hasRichTextFormatting', 'Fish &amp; chips <span>plain</span>'), false);
+  assert.equal(script.run('hasRichTextFormatting', ''), false);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function exportOf(fixture) {
+  const script = createAppsScript({ forms: [fixture] });
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+function fileNamed(name) {
+  return { getName: () => name };
+}
+
+function names(files) {
+  // Arrays from the sandbox have a foreign prototype, so copy them first
+  return Array.from(files, (file) => file.getName());
+}
+
+test('fingerprintExport returns a SHA-256 hex digest', () => {
+  const { script, json } = exportOf(loadFixture('form'));
+
+  assert.match(script.run('fingerprintExport', json), /^[0-9a-f]{64}$/);
+});
+
+test('fingerprintExport is stable across exports of an unchanged form and key order', () => {
+  const { script, json } = exportOf(loadFixture('form'));
+  const again = exportOf(loadFixture('form')).json;
+  const reordered = { count: json.count, items: json.items, metadata: json.metadata, schemaVersion: json.schemaVersion };
+
+  assert.equal(script.run('fingerprintExport', json), script.run('fingerprintExport', again));
+  assert.equal(script.run('fingerprintExport', json), script.run('fingerprintExport', reordered));
+});
+
+test('fingerprintExport ignores editor changes', () => {
+  const { script, json } = exportOf(loadFixture('form'));
+  const shared = JSON.parse(JSON.stringify(json));
+  shared.metadata.editorEmails.push('colleague@example.com');
+
+  assert.equal(script.run('fingerprintExport', json), script.run('fingerprintExport', shared));
+});
+
+test('fingerprintExport ignores the timestamped names of saved images', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const exportAt = (baseName) => script.run('exportFormToJson', script.formId, null, null, { media: 'files', mediaBaseName: baseName });
+
+  assert.equal(
+    script.run('fingerprintExport', exportAt('form_export_2026-01-01_09-00-00')),
+    script.run('fingerprintExport', exportAt('form_export_2026-01-02_09-00-00'))
+  );
+});
+
+test('fingerprintExport changes when the form content changes', () => {
+  const { script, json } = exportOf(loadFixture('form'));
+  const retitled = JSON.parse(JSON.stringify(json));
+  retitled.items[0].title = 'Your full name';
+  const rechoiced = JSON.parse(JSON.stringify(json));
+  rechoiced.items[2].choices.reverse();
+
+  assert.notEqual(script.run('fingerprintExport', json), script.run('fingerprintExport', retitled));
+  assert.notEqual(script.run('fingerprintExport', json), script.run('fingerprintExport', rechoiced));
+});
+
+test('selectExpiredSnapshots keeps the newest snapshots and removes their files together', () => {
+  const script = createAppsScript();
+  const files = [
+    'form_export_2026-01-01_09-00-00.json',
+    'form_export_2026-01-01_09-00-00.md',
+    'form_export_2026-01-02_09-00-00.json',
+    'form_export_2026-01-02_09-00-00.md',
+    'form_export_2026-01-03_09-00-00.json',
+    'form_export_2026-01-03_09-00-00.md'
+  ].map(fileNamed);
+
+  const expired = script.run('selectExpiredSnapshots', files, { keepLast: 2 });
+
+  assert.deepEqual(names(expired).sort(), ['form_export_2026-01-01_09-00-00.json', 'form_export_2026-01-01_09-00-00.md']);
+});
+
+test('selectExpiredSnapshots removes saved images with their snapshot', () => {
+  const script = createAppsScript();
+  const files = [
+    'form_export_2026-01-01_09-00-00.json',
+    'form_export_2026-01-01_09-00-00_image_116.png',
+    'form_export_2026-01-02_09-00-00.json',
+    'form_export_2026-01-02_09-00-00_image_116.png',
+    'form_export_2025-12-31_09-00-00_image_116.png'
+  ].map(fileNamed);
+
+  const expired = script.run('selectExpiredSnapshots', files, { keepLast: 1 });
+
+  assert.deepEqual(names(expired).sort(), ['form_export_2026-01-01_09-00-00.json', 'form_export_2026-01-01_09-00-00_image_116.png']);
+});
+
+test('selectExpiredSnapshots keeps the newest snapshot of each day', () => {
+  const script = createAppsScript();
+  const files = [
+    'form_export_2026-01-01_09-00-00.json',
+    'form_export_2026-01-01_18-00-00.json',
+    'form_export_2026-01-02_09-00-00.json',
+    'form_export_2026-01-02_12-00-00.json',
+    'form_export_2026-01-02_18-00-00.json'
+  ].map(fileNamed);
+
+  const expired = script.run('selectExpiredSnapshots', files, { keepLast: 0, onePerDay: true });
+
+  assert.deepEqual(names(expired).sort(), [
+    'form_export_2026-01-01_09-00-00.json',
+    'form_export_2026-01-02_09-00-00.json',
+    'form_export_2026-01-02_12-00-00.json'
+  ]);
+
+  const limited = script.run('selectExpiredSnapshots', files, { keepLast: 1, onePerDay: true });
+  assert.equal(limited.length, 4);
+  assert.ok(!names(limited).includes('form_export_2026-01-02_18-00-00.json'));
+});
+
+test('selectExpiredSnapshots never touches other files in the folder', () => {
+  const script = createAppsScript();
+  const files = [
+    'form_export_2026-01-01_09-00-00.json',
+    'form_export_2026-01-01_09-00-00_answer_key.md',
+    'form_export_2026-01-01_09-00-00_community-survey.json',
+    'form_batch_2026-01-01_09-00-00.md',
+    'form_lint_2026-01-01_09-00-00.json',
+    'notes.txt'
+  ].map(fileNamed);
+
+  assert.equal(script.run('selectExpiredSnapshots', files, { keepLast: 0 }).length, 0);
+  assert.deepEqual(names(script.run('selectExpiredSnapshots', files, { keepLast: 0, onePerDay: true })), []);
+
+  const onlyNewest = files.concat([fileNamed('form_export_2026-01-02_09-00-00.json')]);
+  assert.deepEqual(names(script.run('selectExpiredSnapshots', onlyNewest, { keepLast: 1 })), ['form_export_2026-01-01_09-00-00.json']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture } = require('./harness/appsScript');
+
+function htmlOf(fixture) {
+  const script = createAppsScript({ forms: [fixture] });
+  return script.run('exportFormToHtml', script.formId);
+}
+
+test('exportFormToHtml renders the form with mock controls, sections, and navigation', () => {
+  const html = htmlOf(loadFixture('form'));
+
+  assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>Community Survey</title>\n<style>\n'));
+  assert.ok(html.includes([
+    '<header>',
+    '<h1>Community Survey</h1>',
+    '<div class="description">Tell us about <b>your</b> neighbourhood.<br>It takes <i>five minutes</i>.</div>',
+    '</header>',
+    '<div class="item item-text">',
+    '<p class="item-title">1. Your name <span class="required">*</span></p>',
+    '<div class="help">First name is enough</div>',
+    '<div class="answer-line"></div>',
+    '</div>'
+  ].join('\n')));
+  assert.ok(html.includes('<li><span class="control radio"></span>Yes<span class="nav">→ Go to section 2 (Drivers)</span></li>'));
+  assert.ok(html.includes('<p class="default-nav">After this section: Go to section 3 (Everyone)</p>\n<h2>Section 2: Drivers</h2>'));
+  assert.ok(html.endsWith('</body>\n</html>'));
+});
+
+test('convertToHtml keeps supported formatting and closes tags left open', () => {
+  const script = createAppsScript();
+  const convert = (text) => script.run('convertToHtml', text);
+
+  assert.equal(convert('<b>Bold and <i>italic</b> text'), '<b>Bold and <i>italic</i></b> text');
+  assert.equal(convert('<strong>Never closed'), '<b>Never closed</b>', 'bold does not run into the rest of the page');
+  assert.equal(convert('<b>First\nsecond</b>'), '<b>First<br>second</b>');
+  assert.equal(convert('<em>a</em> <u>b</u><br/>c'), '<i>a</i> <u>b</u><br>c');
+  assert.equal(convert('<ul>\n  <li>One</li>\n  <li>Two<ol><li>Nested</li></ol></li>\n</ul>'), '<ul><li>One</li><li>Two<ol><li>Nested</li></ol></li></ul>');
+  assert.equal(convert('<p>One</p><div>Two'), '<p>One</p><p>Two</p>');
+  assert.equal(convert(''), '');
+  assert.equal(convert(null), '');
+});
+
+test('convertToHtml decodes entities once and escapes everything else', () => {
+  const script = createAppsScript();
+  const convert = (text) => script.run('convertToHtml', text);
+
+  assert.equal(convert('Tom &amp; Jerry'), 'Tom &amp; Jerry');
+  assert.equal(convert('1 < 2 &lt; 3 &gt; "x"'), '1 &lt; 2 &lt; 3 &gt; &quot;x&quot;');
+  assert.equal(convert('Caf&#233;&nbsp;!'), 'Café\u00a0!');
+  assert.equal(convert('<span style="color:red">kept</span><script>alert(1)</script>'), 'keptalert(1)');
+  assert.equal(convert("<a class='link' href='https://example.com/?a=1&amp;b=2' target=\"_blank\">Docs</a>"), '<a href="https://example.com/?a=1&amp;b=2">Docs</a>');
+  assert.equal(convert('<a href="mailto:team@example.com">Mail</a>'), '<a href="mailto:team@example.com">Mail</a>');
+  assert.equal(convert('<a href="javascript:alert(1)">Click</a>'), 'Click', 'only web and mail links are kept');
+});
+
+test('exportFormToHtml treats titles, choices, and labels as rich text like the Markdown export', () => {
+  const fixture = loadFixture('form');
+  fixture.metadata.title = 'Tom &amp; Jerry <b>survey</b>';
+  const byId = (id) => fixture.items.find((item) => item.id === id);
+  byId(101).title = 'Your <i>full</i> name';
+  byId(103).choices[0] = 'Yes &amp; daily';
+  byId(107).leftLabel = 'Very <b>hard</b>';
+  byId(301).title = 'Drivers &amp; riders';
+  byId(104).title = 'About <u>you</u>';
+
+  const html = htmlOf(fixture);
+
+  assert.ok(html.includes('<title>Tom &amp; Jerry survey</title>'));
+  assert.ok(html.includes('<h1>Tom &amp; Jerry <b>survey</b></h1>'));
+  assert.ok(html.includes('<p class="item-title">1. Your <i>full</i> name <span class="required">*</span></p>'));
+  assert.ok(html.includes('<li><span class="control radio"></span>Yes &amp; daily<span class="nav">→ Go to section 2 (Drivers &amp; riders)</span></li>'));
+  assert.ok(html.includes('<tr><td>Very <b>hard</b></td>'));
+  assert.ok(html.includes('<h2>Section 2: Drivers &amp; riders</h2>'));
+  assert.ok(html.includes('<p class="item-title"><strong>About <u>you</u></strong></p>'));
+  assert.ok(!html.includes('&amp;amp;'));
+});
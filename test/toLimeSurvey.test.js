@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function limeSurveyOf(name, options) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return toPlain(script.run('exportFormToLimeSurvey', script.formId, null, null, options));
+}
+
+/**
+ * Reads the rows of one table of an .lss file as objects keyed by column name.
+ */
+function rowsOf(xml, table) {
+  const body = new RegExp('<' + table + '>([\\s\\S]*?)</' + table + '>').exec(xml);
+  if (!body) return [];
+  return [...body[1].matchAll(/<row>([\s\S]*?)<\/row>/g)].map((row) => Object.fromEntries(
+    [...row[1].matchAll(/<(\w+)><!\[CDATA\[([\s\S]*?)\]\]><\/\1>/g)].map((cell) => [cell[1], cell[2]])
+  ));
+}
+
+test('exportFormToLimeSurvey writes a survey structure file with one group per section', () => {
+  const { xml } = limeSurveyOf('form');
+  const groups = rowsOf(xml, 'groups');
+
+  assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<document>\n <LimeSurveyDocType>Survey</LimeSurveyDocType>\n <DBVersion>366</DBVersion>'));
+  assert.deepEqual(groups.map((group) => [group.gid, group.group_name, group.grelevance]), [
+    ['1', 'Community Survey', '1'],
+    ['2', 'Drivers', 'doyouownacar.NAOK == "A1"'],
+    ['3', 'Everyone',
+      '(doyouownacar.NAOK == "A2")' +
+      ' or (doyouownacar.NAOK != "A1" and doyouownacar.NAOK != "A2" and doyouownacar.NAOK != "A3")' +
+      ' or (doyouownacar.NAOK == "A1" and howoftendoyoudrive.NAOK != "A3")']
+  ]);
+  assert.equal(rowsOf(xml, 'surveys_languagesettings')[0].surveyls_title, 'Community Survey');
+  assert.equal(rowsOf(xml, 'surveys')[0].assessments, 'N');
+});
+
+test('exportFormToLimeSurvey maps item types, other options, and required flags', () => {
+  const { xml } = limeSurveyOf('form');
+  const questions = rowsOf(xml, 'questions');
+  const byCode = Object.fromEntries(questions.map((question) => [question.title, question]));
+
+  assert.deepEqual(questions.map((question) => question.type), [
+    'S', 'T', 'L', 'X', 'M',
+    '!', 'L', 'F',
+    ':', 'D', 'D', 'D', 'S', 'L', '|', 'X', 'S'
+  ]);
+  assert.deepEqual(questions.map((question) => question.gid), ['1', '1', '1', '1', '1', '2', '2', '2', '3', '3', '3', '3', '3', '3', '3', '3', '3']);
+  assert.equal(byCode.yourname.mandatory, 'Y');
+  assert.equal(byCode.whatdoyoulikeaboutth.mandatory, 'N');
+  assert.equal(byCode.whichservicesdoyouus.other, 'Y');
+  assert.equal(byCode.aboutyou.question, '<h4>About you</h4><p>A few questions about <u>yourself</u></p>');
+
+  const scale = rowsOf(xml, 'answers').filter((answer) => answer.qid === byCode.howeasyisparking.qid);
+  assert.deepEqual(scale.map((answer) => [answer.code, answer.answer]), [
+    ['1', '1 - Very hard'], ['2', '2'], ['3', '3'], ['4', '4'], ['5', '5 - Very easy']
+  ]);
+
+  const grid = rowsOf(xml, 'subquestions').filter((subquestion) => subquestion.parent_qid === byCode.whendoyouvisit.qid);
+  assert.deepEqual(grid.map((subquestion) => [subquestion.title, subquestion.question, subquestion.scale_id]), [
+    ['SQ001', 'Library', '0'], ['SQ002', 'Pool', '0'], ['SC001', 'Mornings', '1'], ['SC002', 'Evenings', '1']
+  ]);
+
+  assert.deepEqual(rowsOf(xml, 'question_attributes').map((attribute) => [attribute.attribute, attribute.value]), [
+    ['multiflexible_checkbox', '1'], ['date_format', 'yyyy-mm-dd'], ['date_format', 'mm-dd HH:MM'], ['date_format', 'HH:MM']
+  ]);
+});
+
+test('exportFormToLimeSurvey reports what LimeSurvey cannot express', () => {
+  const { report } = limeSurveyOf('form');
+
+  assert.deepEqual(report.map((entry) => [entry.key, entry.field]), [
+    ['time-spent-per-visit', 'type'],
+    ['overall-rating', 'ratingIcon'],
+    ['welcome-video', 'videoUrl']
+  ]);
+});
+
+test('exportFormToLimeSurvey shows images and video links as text display questions', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const json = toPlain(script.run('exportFormToJson', script.formId, null, null, { videoUrls: { 117: 'https://www.youtube.com/watch?v=abc123' } }));
+  const { xml } = toPlain(script.run('convertExportToLimeSurvey', json));
+  const byCode = Object.fromEntries(rowsOf(xml, 'questions').map((question) => [question.title, question]));
+
+  assert.deepEqual([byCode.map.type, byCode.map.question], ['X', '<img src="data:image/png;base64,iVBORw0KGgo=" alt="Map" width="400">']);
+  assert.deepEqual([byCode.welcomevideo.type, byCode.welcomevideo.question], ['X', '<a href="https://www.youtube.com/watch?v=abc123">Welcome video</a>']);
+});
+
+test('exportFormToLimeSurvey scores correct single choices as assessments', () => {
+  const { xml, report } = limeSurveyOf('quiz', { language: 'fr' });
+  const answers = rowsOf(xml, 'answers');
+
+  assert.deepEqual(answers.map((answer) => [answer.answer, answer.assessment_value, answer.language]), [
+    ['Paris', '2', 'fr'], ['Lyon', '0', 'fr'], ['Nice', '0', 'fr']
+  ]);
+  assert.equal(rowsOf(xml, 'surveys')[0].assessments, 'Y');
+  assert.ok(xml.includes('<language>fr</language>'));
+  assert.deepEqual(report.map((entry) => [entry.key, entry.field]), [
+    ['capital-of-france', 'feedback'],
+    ['which-are-rivers', 'points'],
+    ['explain-plate-tectonics', 'points'],
+    ['explain-plate-tectonics', 'feedback']
+  ]);
+});
+
+test('convertExportToLimeSurvey makes unique question codes and keeps CDATA intact', () => {
+  const script = createAppsScript();
+  const text = (title, id, index) => ({ type: 'TEXT', title, helpText: '', id, index, isRequired: false });
+  const { xml } = toPlain(script.run('convertExportToLimeSurvey', {
+    schemaVersion: 2,
+    metadata: { title: 'Odd ]]> title', id: 'form', description: '', publishedUrl: '', editorEmails: [], isQuiz: false, confirmationMessage: '', customClosedFormMessage: '' },
+    items: [text('2024 plans', 1, 0), text('A very long question title indeed', 2, 1), text('A very long question title indeed!', 3, 2)],
+    count: 3
+  }));
+
+  assert.deepEqual(rowsOf(xml, 'questions').map((question) => question.title), ['Q2024plans', 'averylongquestiontit', 'averylongquestionti2']);
+  assert.ok(xml.includes('<surveyls_title><![CDATA[Odd ]]]]><![CDATA[> title]]></surveyls_title>'));
+});
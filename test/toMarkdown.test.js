@@ -0,0 +1,393 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function markdownFor(name, options) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return script.run('exportFormToMarkdown', script.formId, null, null, options);
+}
+
+/**
+ * Renders the body of a single fixture item, resolving navigation against the whole form.
+ */
+function bodyFor(itemId, options = {}) {
+  const script = createAppsScript({ forms: [loadFixture(options.fixture || 'form')] });
+  const items = script.FormApp.openById(script.formId).getItems();
+  const item = items.find((candidate) => candidate.getId() === itemId);
+  const sectionMap = script.run('buildNavigationSectionMap', items);
+  return toPlain(script.run('renderItemBodyMarkdown', item, item.getType(), sectionMap, {
+    allItems: items,
+    answerKey: options.answerKey
+  }));
+}
+
+test('convertToMarkdown converts bold, italic, links, and line breaks', () => {
+  const script = createAppsScript();
+  const convert = (text) => script.run('convertToMarkdown', text);
+
+  assert.equal(convert('<b>bold</b> and <i>italic</i>'), '**bold** and *italic*');
+  assert.equal(convert('See <a href="https://example.com">the site</a>'), 'See [the site](https://example.com)');
+  assert.equal(convert('one<br>two<br/>three<br />four'), 'one\ntwo\nthree\nfour');
+  assert.equal(convert('<u>kept</u>'), '<u>kept</u>');
+  assert.equal(convert(''), '');
+  assert.equal(convert(null), '');
+});
+
+test('exportFormToMarkdown renders the title and converted description', () => {
+  const markdown = markdownFor('form');
+
+  assert.ok(markdown.startsWith('# Community Survey\n\nTell us about **your** neighbourhood.\nIt takes *five minutes*.\n'));
+});
+
+test('exportFormToMarkdown escapes the form title like item titles', () => {
+  const fixture = loadFixture('quiz');
+  fixture.metadata.title = '*New* [beta] survey_v2 for ages < 18';
+  fixture.items[0].title = fixture.metadata.title;
+  const script = createAppsScript({ forms: [fixture] });
+
+  const lines = script.run('exportFormToMarkdown', script.formId, null, null, { settings: false }).split('\n');
+
+  assert.equal(lines[0], '# \\*New\\* \\[beta\\] survey\\_v2 for ages &lt; 18');
+  assert.equal(lines[2], '### 1. ' + lines[0].slice(2));
+});
+
+test('exportFormToMarkdown lists the form settings below the description', () => {
+  const markdown = markdownFor('form');
+
+  assert.ok(markdown.includes([
+    '## Settings',
+    '',
+    '- Accepting responses: Yes',
+    '- Collects email addresses: Yes',
+    '- Requires sign-in: _unknown_',
+    '- Limited to one response: No',
+    '- Respondents can edit responses: Yes',
+    '- Shows progress bar: Yes',
+    '- Shows link to respond again: No',
+    '- Shows summary of responses: No',
+    '- Shuffles question order: No',
+    '- Responses saved to: [Google Sheets](https://docs.google.com/spreadsheets/d/sheet-community/edit)',
+    '- Form link: https://docs.google.com/forms/d/e/form-community/viewform',
+    '- Summary of responses: https://docs.google.com/forms/d/form-community/viewanalytics',
+    ''
+  ].join('\n')));
+  assert.ok(markdownFor('quiz').includes('\n- Responses saved to: the form only\n'));
+  assert.ok(!markdownFor('form', { settings: false }).includes('## Settings'));
+});
+
+test('exportFormToMarkdown numbers questions across sections and skips untitled items', () => {
+  const headings = markdownFor('form').split('\n').filter((line) => line.startsWith('### '));
+
+  assert.equal(headings.length, 16);
+  assert.equal(headings[0], '### 1. Your name');
+  assert.equal(headings[4], '### 5. How often do you drive?');
+  assert.equal(headings[15], '### 16. Welcome video');
+});
+
+test('exportFormToMarkdown renders section headers and page breaks', () => {
+  const markdown = markdownFor('form');
+
+  assert.ok(markdown.includes('\n**About you**\n\nA few questions about <u>yourself</u>\n'));
+  assert.ok(markdown.includes('\n## Section 2: Drivers\n\nQuestions for car owners\n'));
+  assert.ok(markdown.includes('\n## Section 3: Everyone\n'));
+  assert.ok(!markdown.includes('### 4. About you'), 'section headers are not numbered questions');
+});
+
+test('exportFormToMarkdown shows the default navigation of each page break at the end of the section before it', () => {
+  const markdown = markdownFor('form');
+
+  assert.match(markdown, /\n- Other: _text response_\n+_Default: \*\*Go to section 3 \(Everyone\)\*\*_\n+## Section 2: Drivers\n/, 'the first page break sets where section 1 leads');
+  assert.match(markdown, /\n_Default: Continue to next section_\n+## Section 3: Everyone\n/);
+  assert.equal(markdown.match(/_Default:/g).length, 2, 'the last section has no page break after it');
+  assert.ok(markdown.endsWith('\n'));
+});
+
+test('exportFormToMarkdown renders help text in italics', () => {
+  assert.ok(markdownFor('form').includes('### 1. Your name\n\n_First name is enough_\n\n_Open text response_'));
+});
+
+test('renderItemBodyMarkdown renders text items', () => {
+  assert.deepEqual(bodyFor(101), ['_Open text response_']);
+  assert.deepEqual(bodyFor(102), ['_Long open text response_']);
+});
+
+test('renderItemBodyMarkdown renders multiple choice navigation per choice', () => {
+  assert.deepEqual(bodyFor(103), [
+    '_Single choice_',
+    '',
+    '- Yes → **Go to section 2 (Drivers)**',
+    '- No → **Go to section 3 (Everyone)**',
+    '- Prefer not to say → **Submit form**'
+  ]);
+});
+
+test('renderItemBodyMarkdown renders checkboxes with the other option', () => {
+  assert.deepEqual(bodyFor(105), [
+    '_Select all that apply_',
+    '',
+    '- Library',
+    '- Pool',
+    '- Park',
+    '- Other: _text response_'
+  ]);
+});
+
+test('renderItemBodyMarkdown renders dropdown navigation and omits continue', () => {
+  assert.deepEqual(bodyFor(106), [
+    '_Dropdown (single choice)_',
+    '',
+    '- Daily',
+    '- Weekly',
+    '- Rarely → **Submit form**'
+  ]);
+});
+
+test('renderItemBodyMarkdown renders scales with labels', () => {
+  assert.deepEqual(bodyFor(107), ['Scale: 1 to 5 (Very hard … Very easy)']);
+});
+
+test('renderItemBodyMarkdown renders grids as tables', () => {
+  assert.deepEqual(bodyFor(108), [
+    '_Grid (one choice per row)_',
+    '',
+    '| | Poor | Fair | Good |',
+    '|---|---|---|---|',
+    '| Main street | | | |',
+    '| Ring road | | | |'
+  ]);
+  assert.deepEqual(bodyFor(109), [
+    '_Checkbox grid (any number of choices per row)_',
+    '',
+    '| | Mornings | Evenings |',
+    '|---|---|---|',
+    '| Library | | |',
+    '| Pool | | |'
+  ]);
+});
+
+test('renderItemBodyMarkdown renders date, time, and duration items', () => {
+  assert.deepEqual(bodyFor(110), ['_Date_']);
+  assert.deepEqual(bodyFor(111), ['_Date and time (no year)_']);
+  assert.deepEqual(bodyFor(112), ['_Time of day_']);
+  assert.deepEqual(bodyFor(113), ['_Duration (hours, minutes, seconds)_']);
+});
+
+test('renderItemBodyMarkdown renders ratings and file uploads', () => {
+  assert.deepEqual(bodyFor(114), ['Rating: 1 to 5 (thumb up icons)']);
+  assert.deepEqual(bodyFor(115), ['_File upload_']);
+});
+
+test('renderItemBodyMarkdown embeds images and links videos when their URL is known', () => {
+  assert.deepEqual(bodyFor(116), ['![Map](data:image/png;base64,iVBORw0KGgo=)']);
+  assert.deepEqual(bodyFor(117), ['_Video (URL not available)_']);
+});
+
+test('exportFormToMarkdown links images saved as files and looked-up videos', () => {
+  const markdown = markdownFor('form', {
+    media: 'files',
+    mediaBaseName: 'form_export_2026-01-02_03-04-05',
+    videoUrls: { 117: 'https://www.youtube.com/watch?v=abc123' }
+  });
+
+  assert.ok(markdown.includes('\n![Map](form_export_2026-01-02_03-04-05_image_116.png)\n'));
+  assert.ok(markdown.includes('\n[▶ Watch the video](https://www.youtube.com/watch?v=abc123)\n'));
+});
+
+test('renderItemBodyMarkdown resolves navigation through the active form when no items are given', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')], activeFormId: 'form-community' });
+  const items = script.FormApp.getActiveForm().getItems();
+  const item = items[2];
+
+  const lines = toPlain(script.run('renderItemBodyMarkdown', item, item.getType(), script.run('buildNavigationSectionMap', items)));
+
+  assert.equal(lines[2], '- Yes → **Go to section 2 (Drivers)**');
+});
+
+test('renderItemBodyMarkdown leaves out navigation targets it cannot resolve', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const items = script.FormApp.openById('form-community').getItems();
+  const item = items[2];
+
+  const lines = toPlain(script.run('renderItemBodyMarkdown', item, item.getType(), script.run('buildNavigationSectionMap', items)));
+
+  assert.deepEqual(lines.slice(2), ['- Yes', '- No', '- Prefer not to say → **Submit form**']);
+});
+
+test('exportFormToMarkdown adds points, correct answers, and feedback in answer key mode', () => {
+  const markdown = markdownFor('quiz', { answerKey: true });
+
+  assert.ok(markdown.includes('### 1. Capital of France? _(2 points)_'));
+  assert.ok(markdown.includes('### 2. Which are rivers? _(1 point)_'));
+  assert.ok(markdown.includes('- Paris ✓ **correct**\n- Lyon\n'));
+  assert.ok(markdown.includes('- Rhine ✓ **correct**\n- Alps\n- Danube ✓ **correct**'));
+  assert.ok(markdown.includes('> **Feedback if correct:** Well done'));
+  assert.ok(markdown.includes('> **Feedback if incorrect:** Review chapter 2 [https://example.com/ch2](https://example.com/ch2)'));
+  assert.ok(markdown.includes('> **Feedback:** See the textbook'));
+});
+
+test('exportFormToMarkdown hides the answer key unless asked, and for forms that are not quizzes', () => {
+  const quiz = markdownFor('quiz');
+  assert.ok(!quiz.includes('✓'));
+  assert.ok(!quiz.includes('points)'));
+  assert.ok(!quiz.includes('Feedback'));
+
+  assert.ok(!markdownFor('form', { answerKey: true }).includes('point'));
+});
+
+test('exportFormToMarkdown embeds a Mermaid diagram when asked', () => {
+  const markdown = markdownFor('form', { diagram: true });
+
+  assert.ok(markdown.includes('\n```mermaid\nflowchart TD\n'));
+  assert.ok(!markdownFor('form').includes('```mermaid'));
+});
+
+test('exportFormToMarkdown describes the same navigation as its embedded diagram', () => {
+  const markdown = markdownFor('form', { diagram: true });
+  const [, diagram, text] = markdown.match(/```mermaid\n([\s\S]*?)\n```\n([\s\S]*)/);
+  const node = (target) => target === 'Submit form' ? 'SUBMIT' : 'S' + target.match(/^Go to section (\d+)/)[1];
+
+  const diagramEdges = diagram.split('\n')
+    .map((line) => line.match(/^ {2}(S\d+) (?:-- "(.*)" )?--> (\w+)$/))
+    .filter(Boolean)
+    .map(([, from, label, to]) => [from, to, label || ''].join(' '));
+
+  let section = 1;
+  const textEdges = [];
+  text.split('\n').forEach((line) => {
+    const heading = line.match(/^## Section (\d+):/);
+    const choice = line.match(/^- (.*) → \*\*(.*)\*\*$/);
+    const sectionEnd = line.match(/^_Default: (?:\*\*(.*)\*\*|Continue to next section)_$/);
+    if (heading) section = Number(heading[1]);
+    if (choice) textEdges.push(['S' + section, node(choice[2]), choice[1]].join(' '));
+    if (sectionEnd) textEdges.push(['S' + section, sectionEnd[1] ? node(sectionEnd[1]) : 'S' + (section + 1), ''].join(' '));
+  });
+  // The last section always submits, which the Markdown leaves unsaid
+  textEdges.push(['S' + section, 'SUBMIT', ''].join(' '));
+
+  assert.deepEqual(textEdges.sort(), diagramEdges.sort());
+  assert.equal(textEdges.length, 7);
+});
+
+test('exportFormToMarkdown keeps the standard layout with default options', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+
+  assert.equal(
+    script.run('exportFormToMarkdown', 'form-community', null, null, {}),
+    script.run('exportFormToMarkdown', 'form-community', null, null, { choiceStyle: 'bullets', headingOffset: 0, skipUntitled: true, templates: {} })
+  );
+});
+
+test('exportFormToMarkdown starts with YAML front matter when asked', () => {
+  const markdown = markdownFor('form', { frontMatter: true });
+
+  assert.match(markdown, /^---\nformId: "form-community"\ntitle: "Community Survey"\nexportedAt: "\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z"\n---\n\n# Community Survey\n/);
+  assert.ok(markdownFor('form').startsWith('# Community Survey'));
+});
+
+test('exportFormToMarkdown adds a table of contents linking sections and questions', () => {
+  const markdown = markdownFor('form', { toc: true, diagram: true, requiredMarker: ' *' });
+  const contents = markdown.slice(markdown.indexOf('## Contents'), markdown.indexOf('### 1. '));
+
+  assert.ok(markdown.indexOf('## Contents') > markdown.indexOf('```mermaid'), 'the contents follow the diagram');
+  assert.ok(contents.startsWith([
+    '## Contents',
+    '',
+    '  - [1. Your name](#1-your-name-)',
+    '  - [2. What do you like about the area?](#2-what-do-you-like-about-the-area)'
+  ].join('\n')));
+  assert.ok(contents.includes('\n- [Section 2: Drivers](#section-2-drivers)\n  - [5. How often do you drive?](#5-how-often-do-you-drive)\n'));
+  assert.ok(contents.endsWith('  - [16. Welcome video](#16-welcome-video)\n\n'));
+  assert.ok(!contents.includes('Settings'), 'headings above the contents are not listed');
+});
+
+test('renderTableOfContents numbers repeated anchors and strips formatting', () => {
+  const script = createAppsScript();
+  const options = script.run('readMarkdownOptions', {});
+  const lines = ['# Form', '## Settings', '', '## Settings', '### 1. **Bold** <u>and</u> [linked](https://example.com)', '### 2. \\*Important\\* &lt;3', '```', '## Not a heading', '```'];
+
+  assert.deepEqual(Array.from(script.run('renderTableOfContents', lines, 3, options)), [
+    '## Contents',
+    '',
+    '- [Settings](#settings-1)',
+    '  - [1. Bold and linked](#1-bold-and-linked)',
+    '  - [2. \\*Important\\* &lt;3](#2-important-3)',
+    ''
+  ]);
+  assert.deepEqual(Array.from(script.run('renderTableOfContents', ['# Form'], 1, options)), []);
+});
+
+test('exportFormToMarkdown lists choices as checkboxes and marks required questions', () => {
+  const markdown = markdownFor('form', { choiceStyle: 'checkboxes', requiredMarker: ' _(required)_' });
+
+  assert.ok(markdown.includes('### 1. Your name _(required)_\n'));
+  assert.ok(markdown.includes('### 2. What do you like about the area?\n'));
+  assert.ok(markdown.includes('\n- [ ] Yes → **Go to section 2 (Drivers)**\n'));
+  assert.ok(markdown.includes('\n- [ ] Park\n- [ ] Other: _text response_\n'));
+  assert.ok(markdown.includes('\n- [ ] Rarely → **Submit form**\n'));
+});
+
+test('exportFormToMarkdown shifts every heading by the heading offset', () => {
+  const markdown = markdownFor('form', { headingOffset: 2 });
+
+  assert.ok(markdown.startsWith('### Community Survey\n'));
+  assert.ok(markdown.includes('\n#### Settings\n'));
+  assert.ok(markdown.includes('\n#### Section 2: Drivers\n'));
+  assert.ok(markdown.includes('\n##### 1. Your name\n'));
+});
+
+test('exportFormToMarkdown keeps untitled items when skipUntitled is off', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  script.FormApp.openById('form-community').getItems()[1].setTitle('');
+
+  const headings = (options) => script.run('exportFormToMarkdown', 'form-community', null, null, options).split('\n').filter((line) => line.startsWith('### '));
+
+  assert.equal(headings({}).length, 15);
+  assert.equal(headings({ skipUntitled: false })[1], '### 2. ');
+});
+
+test('exportFormToMarkdown renders questions, sections, and headers with templates', () => {
+  const markdown = markdownFor('form', {
+    requiredMarker: ' *',
+    templates: {
+      question: '{{heading}} {{title}}{{requiredMarker}}\n\n{{body}}\n',
+      MULTIPLE_CHOICE: '{{heading}} Q{{number}} ({{type}}, section {{section.number}})\n\n{{> choiceList}}\n',
+      choiceList: '{{#choices}}\n* {{value}}{{#navigation}} ({{navigation}}){{/navigation}}\n{{/choices}}',
+      section: '{{heading}} {{title}}\n\n{{helpText}}\n',
+      sectionEnd: '> Then: {{navigation}}\n',
+      header: '> {{title}}\n'
+    }
+  });
+
+  assert.ok(markdown.includes('\n### Your name *\n\n_Open text response_\n\n### What do you like about the area?\n'));
+  assert.ok(markdown.includes('\n### Q3 (MULTIPLE_CHOICE, section 1)\n\n* Yes (Go to section 2 (Drivers))\n* No (Go to section 3 (Everyone))\n* Prefer not to say (Submit form)\n\n'));
+  assert.ok(markdown.includes('\n> About you\n\n'));
+  assert.ok(markdown.includes('\n## Drivers\n\nQuestions for car owners\n\n'));
+  assert.ok(markdown.includes('\n> Then: **Go to section 3 (Everyone)**\n\n## Drivers\n'));
+  assert.ok(markdown.includes('\n> Then: Continue to next section\n\n## Everyone\n'));
+  assert.ok(!markdown.includes('Section 2:'));
+});
+
+test('buildQuestionView describes choices, grids, and the answer key', () => {
+  const script = createAppsScript({ forms: [loadFixture('quiz')] });
+  const items = script.FormApp.openById(script.formId).getItems();
+  const options = script.run('readMarkdownOptions', { requiredMarker: ' *' });
+  const view = (item, answerKey) => toPlain(script.run('buildQuestionView', item, item.getType(), 1, {}, { answerKey, allItems: items }, options));
+
+  const question = view(items[0], true);
+  assert.deepEqual([question.type, question.points, question.choices[0]], ['MULTIPLE_CHOICE', 2, { value: 'Paris', correct: true, navigation: '' }]);
+  assert.equal(question.feedback, '> **Feedback if correct:** Well done\n\n> **Feedback if incorrect:** Review chapter 2 [https://example.com/ch2](https://example.com/ch2)');
+  assert.deepEqual([view(items[0], false).points, view(items[0], false).choices[0].correct], [null, false]);
+});
+
+test('readMarkdownOptions fills in defaults and checks the options', () => {
+  const script = createAppsScript();
+
+  assert.deepEqual(toPlain(script.run('readMarkdownOptions')), {
+    answerKey: false, diagram: false, settings: true, frontMatter: false, toc: false, choiceStyle: 'bullets',
+    requiredMarker: '', headingOffset: 0, skipUntitled: true, templates: {}
+  });
+  assert.throws(() => script.run('readMarkdownOptions', { choiceStyle: 'numbers' }), /Choice style must be bullets or checkboxes, got numbers/);
+  assert.throws(() => script.run('readMarkdownOptions', { headingOffset: 4 }), /Heading offset must be a whole number from 0 to 3, got 4/);
+  assert.throws(() => script.run('readMarkdownOptions', { templates: { question: ['### {{title}}'] } }), /Markdown template "question" must be a string/);
+});
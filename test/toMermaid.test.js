@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function scriptFor(fixture) {
+  return createAppsScript({ forms: [typeof fixture === 'string' ? loadFixture(fixture) : fixture] });
+}
+
+test('exportFormToMermaid draws sections, default navigation, and branching choices', () => {
+  const script = scriptFor('form');
+
+  assert.equal(script.run('exportFormToMermaid', script.formId), [
+    'flowchart TD',
+    '  S1["1. Community Survey"]',
+    '  S2["2. Drivers"]',
+    '  S3["3. Everyone"]',
+    '  SUBMIT(["Submit"])',
+    '  S1 -- "Yes" --> S2',
+    '  S1 -- "No" --> S3',
+    '  S1 -- "Prefer not to say" --> SUBMIT',
+    '  S1 --> S3',
+    '  S2 -- "Rarely" --> SUBMIT',
+    '  S2 --> S3',
+    '  S3 --> SUBMIT'
+  ].join('\n'));
+});
+
+test('exportFormToDot draws the same graph as a Graphviz digraph', () => {
+  const script = scriptFor('form');
+
+  assert.equal(script.run('exportFormToDot', script.formId), [
+    'digraph form {',
+    '  rankdir=TB;',
+    '  node [shape=box];',
+    '  S1 [label="1. Community Survey"];',
+    '  S2 [label="2. Drivers"];',
+    '  S3 [label="3. Everyone"];',
+    '  SUBMIT [label="Submit", shape=doublecircle];',
+    '  S1 -> S2 [label="Yes"];',
+    '  S1 -> S3 [label="No"];',
+    '  S1 -> SUBMIT [label="Prefer not to say"];',
+    '  S1 -> S3;',
+    '  S2 -> SUBMIT [label="Rarely"];',
+    '  S2 -> S3;',
+    '  S3 -> SUBMIT;',
+    '}'
+  ].join('\n'));
+});
+
+test('the diagrams group choices with the same target and escape their labels', () => {
+  const fixture = loadFixture('lint-cycle');
+  fixture.metadata.title = 'Say "hi" \\ bye';
+  fixture.items[2].choices = ['Yes', 'Sure', 'Start\nover'];
+  fixture.items[2].choiceNavigation = [{ type: 'SUBMIT' }, { type: 'SUBMIT' }, { type: 'RESTART' }];
+  const script = scriptFor(fixture);
+
+  const mermaid = script.run('exportFormToMermaid', script.formId).split('\n');
+  assert.ok(mermaid.includes('  S1["1. Say #quot;hi#quot; \\ bye"]'));
+  assert.ok(mermaid.includes('  S2 -- "Yes / Sure" --> SUBMIT'));
+  assert.ok(mermaid.includes('  S2 -- "Start over" --> S1'));
+
+  const dot = script.run('exportFormToDot', script.formId).split('\n');
+  assert.ok(dot.includes('  S1 [label="1. Say \\"hi\\" \\\\ bye"];'));
+  assert.ok(dot.includes('  S2 -> SUBMIT [label="Yes / Sure"];'));
+});
+
+test('buildNavigationSectionMap numbers page breaks from section 2, like the section headings', () => {
+  const script = scriptFor('form');
+  const items = script.FormApp.openById('form-community').getItems();
+
+  assert.deepEqual(toPlain(script.run('buildNavigationSectionMap', items)), {
+    5: { number: 2, title: 'Drivers' },
+    9: { number: 3, title: 'Everyone' }
+  });
+});
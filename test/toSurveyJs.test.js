@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function surveyOf(name) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return toPlain(script.run('exportFormToSurveyJs', script.formId));
+}
+
+function elements(survey) {
+  return survey.pages.flatMap((page) => page.elements);
+}
+
+test('exportFormToSurveyJs turns sections into pages shown by their branching conditions', () => {
+  const { survey } = surveyOf('form');
+
+  assert.equal(survey.title, 'Community Survey');
+  assert.equal(survey.completedHtml, 'Thanks for taking part!');
+  assert.deepEqual(survey.pages.map((page) => [page.name, page.title, page.visibleIf]), [
+    ['section-1', undefined, undefined],
+    ['drivers', 'Drivers', "{do-you-own-a-car} = 'Yes'"],
+    ['everyone', 'Everyone',
+      "({do-you-own-a-car} = 'No')" +
+      " or ({do-you-own-a-car} != 'Yes' and {do-you-own-a-car} != 'No' and {do-you-own-a-car} != 'Prefer not to say')" +
+      " or ({do-you-own-a-car} = 'Yes' and {how-often-do-you-drive} != 'Rarely')"]
+  ]);
+});
+
+test('exportFormToSurveyJs maps item types, choices, scales, and required flags', () => {
+  const { survey } = surveyOf('form');
+  const byName = Object.fromEntries(elements(survey).map((element) => [element.name, element]));
+
+  assert.deepEqual(elements(survey).map((element) => element.type), [
+    'text', 'comment', 'radiogroup', 'html', 'checkbox',
+    'dropdown', 'rating', 'matrix',
+    'matrixdropdown', 'text', 'text', 'text', 'text', 'rating', 'file', 'image', 'text'
+  ]);
+  assert.deepEqual(byName['your-name'], { type: 'text', name: 'your-name', title: 'Your name', description: 'First name is enough', isRequired: true });
+  assert.equal(byName['which-services-do-you-use'].showOtherItem, true);
+  assert.deepEqual(byName['how-easy-is-parking'], {
+    type: 'rating', name: 'how-easy-is-parking', title: 'How easy is parking?',
+    rateMin: 1, rateMax: 5, minRateDescription: 'Very hard', maxRateDescription: 'Very easy'
+  });
+  assert.deepEqual(byName['rate-the-roads'].rows, ['Main street', 'Ring road']);
+  assert.equal(byName['when-do-you-visit'].cellType, 'checkbox');
+  assert.deepEqual(byName['when-do-you-visit'].choices, ['Mornings', 'Evenings']);
+  assert.equal(byName['last-visit'].inputType, 'datetime-local');
+  assert.equal(byName['about-you'].html, '<h4>About you</h4><p>A few questions about <u>yourself</u></p>');
+});
+
+test('exportFormToSurveyJs reports what SurveyJS cannot express', () => {
+  const { report } = surveyOf('form');
+
+  assert.deepEqual(report.map((entry) => [entry.key, entry.field]), [
+    ['last-visit', 'includesYear'],
+    ['time-spent-per-visit', 'type'],
+    ['overall-rating', 'ratingIcon'],
+    ['welcome-video', 'videoUrl']
+  ]);
+});
+
+test('exportFormToSurveyJs shows images and videos with the image element', () => {
+  const script = createAppsScript({ forms: [loadFixture('form')] });
+  const json = toPlain(script.run('exportFormToJson', script.formId, null, null, { videoUrls: { 117: 'https://www.youtube.com/watch?v=abc123' } }));
+  const { survey, report } = toPlain(script.run('convertExportToSurveyJs', json));
+  const byName = Object.fromEntries(elements(survey).map((element) => [element.name, element]));
+
+  assert.deepEqual(byName.map, {
+    type: 'image', name: 'map', imageLink: 'data:image/png;base64,iVBORw0KGgo=', contentMode: 'image', altText: 'Map', imageWidth: '400'
+  });
+  assert.deepEqual(byName['welcome-video'], {
+    type: 'image', name: 'welcome-video', imageLink: 'https://www.youtube.com/watch?v=abc123', contentMode: 'youtube', altText: 'Welcome video'
+  });
+  assert.ok(!report.some((entry) => entry.key === 'map' || entry.key === 'welcome-video'));
+});
+
+test('exportFormToSurveyJs keeps correct answers and reports points and feedback', () => {
+  const { survey, report } = surveyOf('quiz');
+  const [capital, rivers] = elements(survey);
+
+  assert.equal(survey.showCorrectAnswer, 'on');
+  assert.equal(capital.correctAnswer, 'Paris');
+  assert.deepEqual(rivers.correctAnswer, ['Rhine', 'Danube']);
+  assert.deepEqual(report.map((entry) => [entry.key, entry.field]), [
+    ['capital-of-france', 'points'],
+    ['capital-of-france', 'feedback'],
+    ['explain-plate-tectonics', 'points'],
+    ['explain-plate-tectonics', 'feedback']
+  ]);
+});
+
+test('convertExportToSurveyJs quotes choice values in conditions', () => {
+  const script = createAppsScript();
+  const { survey } = toPlain(script.run('convertExportToSurveyJs', {
+    schemaVersion: 2,
+    metadata: { title: 'Form', id: 'form', description: '', publishedUrl: '', editorEmails: [], isQuiz: false, confirmationMessage: '', customClosedFormMessage: '' },
+    items: [
+      { type: 'LIST', title: 'Pick', helpText: '', id: 1, index: 0, isRequired: true, choices: ["It's fine"], hasOtherOption: false, choiceNavigation: [{ type: 'GO_TO_PAGE', goToPageId: 11 }] },
+      { type: 'PAGE_BREAK', title: 'Two', helpText: '', id: 10, index: 1, isRequired: false, pageNavigationType: 'SUBMIT' },
+      { type: 'PAGE_BREAK', title: 'Three', helpText: '', id: 11, index: 2, isRequired: false, pageNavigationType: 'CONTINUE' }
+    ],
+    count: 3
+  }));
+
+  assert.equal(survey.pages[2].visibleIf, "{pick} = 'It\\'s fine'");
+});
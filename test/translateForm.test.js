@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function exportOf(name) {
+  const script = createAppsScript({ forms: [loadFixture(name)] });
+  return { script, json: toPlain(script.run('exportFormToJson', script.formId)) };
+}
+
+/**
+ * Fills in every msgstr of a PO file the way a translator would, prefixing the source text.
+ * Sources that span several lines start with an empty msgid line.
+ */
+function translatePo(po, prefix) {
+  return po.replace(/msgid (""\n(?:".+"\n)+|".+"\n)msgstr ""/g, (match, source) => 'msgid ' + source + 'msgstr "' + prefix + '"\n' + source.replace(/^""\n/, '').trimEnd());
+}
+
+/**
+ * Adds a target after every source of an XLIFF document, prefixing the source text.
+ */
+function translateXliff(xliff, prefix) {
+  return xliff.replace(/<source>([\s\S]*?)<\/source>/g, (match, source) => match + '\n        <target>' + prefix + source + '</target>');
+}
+
+test('extractFormStrings lists translatable strings with IDs based on item IDs', () => {
+  const { script, json } = exportOf('form');
+  const strings = toPlain(script.run('extractFormStrings', json));
+  const ids = strings.map((string) => string.id);
+
+  assert.deepEqual(ids.slice(0, 10), [
+    'form.title', 'form.description', 'form.confirmationMessage',
+    'item.101.title', 'item.101.helpText', 'item.102.title',
+    'item.103.title', 'item.103.choice.1', 'item.103.choice.2', 'item.103.choice.3'
+  ]);
+  assert.ok(ids.includes('item.107.leftLabel') && ids.includes('item.107.rightLabel'));
+  assert.ok(ids.includes('item.108.row.2') && ids.includes('item.108.column.3'));
+  assert.deepEqual(strings.find((string) => string.id === 'item.301.title'), { id: 'item.301.title', source: 'Drivers', note: 'Section title' });
+  assert.ok(!ids.some((id) => id.startsWith('item.118.')), 'empty strings are left out');
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('stringsToPo writes the string ID as message context', () => {
+  const script = createAppsScript();
+  const po = script.run('stringsToPo', [
+    { id: 'item.1.title', source: 'Say "hi"', note: 'Item 1 (TEXT) title' },
+    { id: 'item.1.helpText', source: 'Line one\nLine two', note: 'Item 1 (TEXT) description' }
+  ], { sourceLanguage: 'en', targetLanguage: 'de' });
+
+  assert.equal(po, [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Language: de\\n"',
+    '"X-Source-Language: en\\n"',
+    '',
+    '#. Item 1 (TEXT) title',
+    'msgctxt "item.1.title"',
+    'msgid "Say \\"hi\\""',
+    'msgstr ""',
+    '',
+    '#. Item 1 (TEXT) description',
+    'msgctxt "item.1.helpText"',
+    'msgid ""',
+    '"Line one\\n"',
+    '"Line two"',
+    'msgstr ""',
+    ''
+  ].join('\n'));
+});
+
+test('parseTranslationFile reads PO files, skipping fuzzy and untranslated entries', () => {
+  const script = createAppsScript();
+  const parsed = toPlain(script.run('parseTranslationFile', [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: fr\\n"',
+    '',
+    'msgctxt "item.1.helpText"',
+    'msgid ""',
+    '"Line one\\n"',
+    '"Line two"',
+    'msgstr ""',
+    '"Ligne un\\n"',
+    '"Ligne deux"',
+    '',
+    '#, fuzzy',
+    'msgctxt "item.1.title"',
+    'msgid "Name"',
+    'msgstr "Nom ?"',
+    '',
+    'msgctxt "item.2.title"',
+    'msgid "Age"',
+    'msgstr ""'
+  ].join('\n')));
+
+  assert.deepEqual(parsed, {
+    language: 'fr',
+    entries: { 'item.1.helpText': { source: 'Line one\nLine two', target: 'Ligne un\nLigne deux' } }
+  });
+});
+
+test('parseTranslationFile reads XLIFF targets and decodes entities', () => {
+  const script = createAppsScript();
+  const parsed = toPlain(script.run('parseTranslationFile', [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2"><file original="form" source-language="en" target-language=\'es\'><body>',
+    '<trans-unit id="item.1.title"><source>Fish &amp; chips</source><target state="translated">Pescado &amp; patatas &#233;</target></trans-unit>',
+    '<trans-unit id="item.2.title"><source>Age</source><target/></trans-unit>',
+    '<trans-unit id="item.3.title"><source>Name</source><target><![CDATA[<b>Nombre</b>]]></target></trans-unit>',
+    '</body></file></xliff>'
+  ].join('\n')));
+
+  assert.deepEqual(parsed, {
+    language: 'es',
+    entries: {
+      'item.1.title': { source: 'Fish & chips', target: 'Pescado & patatas é' },
+      'item.3.title': { source: 'Name', target: '<b>Nombre</b>' }
+    }
+  });
+});
+
+test('localizeExport applies PO and XLIFF translations to every string', () => {
+  const { script, json } = exportOf('form');
+  const strings = script.run('extractFormStrings', json);
+
+  [
+    translatePo(script.run('stringsToPo', strings, { sourceLanguage: 'en', targetLanguage: 'de' }), 'DE '),
+    translateXliff(script.run('stringsToXliff', strings, { sourceLanguage: 'en', targetLanguage: 'de' }), 'DE ')
+  ].forEach((translated) => {
+    const result = toPlain(script.run('localizeExport', json, translated));
+
+    assert.equal(result.language, 'de');
+    assert.equal(result.translatedCount, strings.length);
+    assert.deepEqual(result.missing, []);
+    assert.equal(result.json.metadata.title, 'DE Community Survey');
+    assert.equal(result.json.metadata.description, 'DE Tell us about <b>your</b> neighbourhood.<br>It takes <i>five minutes</i>.');
+    assert.deepEqual(result.json.items[2].choices, ['DE Yes', 'DE No', 'DE Prefer not to say']);
+    assert.equal(result.json.items[7].leftLabel, 'DE Very hard');
+    assert.deepEqual(result.json.items[2].choiceNavigation, json.items[2].choiceNavigation);
+    assert.equal(result.json.items[19].title, '');
+  });
+});
+
+test('localizeExport keeps the source text of missing and stale strings', () => {
+  const { script, json } = exportOf('form');
+  const strings = toPlain(script.run('extractFormStrings', json)).filter((string) => string.id.startsWith('item.103.'));
+  const po = translatePo(script.run('stringsToPo', strings, { sourceLanguage: 'en', targetLanguage: 'de' }), 'DE ');
+  json.items[2].choices[1] = 'Nope';
+
+  const result = toPlain(script.run('localizeExport', json, po));
+
+  assert.deepEqual(result.json.items[2].choices, ['DE Yes', 'Nope', 'DE Prefer not to say']);
+  assert.deepEqual(result.stale, ['item.103.choice.2']);
+  assert.ok(result.missing.includes('form.title'));
+  assert.equal(result.json.metadata.title, 'Community Survey');
+});
+
+test('formatted text is translated as Markdown and goes back into the form as rich text', () => {
+  const { script, json } = exportOf('form');
+  json.items[0].helpText = 'Use <b>capitals</b> &amp; <a href="https://example.com/names">this list</a>';
+  const strings = toPlain(script.run('extractFormStrings', json));
+
+  assert.deepEqual(strings.find((string) => string.id === 'form.description'), {
+    id: 'form.description',
+    source: 'Tell us about **your** neighbourhood.\nIt takes *five minutes*.',
+    note: 'Form description (Markdown)'
+  });
+  assert.deepEqual(strings.find((string) => string.id === 'item.101.title'), { id: 'item.101.title', source: 'Your name', note: 'Item 1 (TEXT) title' });
+
+  const xliff = script.run('stringsToXliff', strings, { sourceLanguage: 'en', targetLanguage: 'de' }).replace(
+    '<source>Use **capitals** &amp; [this list](https://example.com/names)</source>',
+    '$&\n        <target>**Großbuchstaben** &amp; [diese Liste](https://example.com/names) verwenden</target>'
+  );
+  const result = toPlain(script.run('localizeExport', json, xliff));
+
+  assert.equal(result.json.items[0].helpText, '<b>Großbuchstaben</b> &amp; <a href="https://example.com/names">diese Liste</a> verwenden');
+  assert.equal(result.translatedCount, 1);
+
+  const copy = script.run('importFormFromJson', result.json).form;
+  const markdown = script.run('exportFormToMarkdown', copy.getId(), copy);
+  assert.ok(markdown.includes('_**Großbuchstaben** & [diese Liste](https://example.com/names) verwenden_'), 'the localized form keeps the formatting');
+});
+
+test('localizeExport moves correct quiz answers to the translated choices', () => {
+  const { script, json } = exportOf('quiz');
+  const strings = script.run('extractFormStrings', json);
+  const po = translatePo(script.run('stringsToPo', strings, { sourceLanguage: 'en', targetLanguage: 'fr' }), 'FR ');
+
+  const result = toPlain(script.run('localizeExport', json, po));
+
+  assert.deepEqual(result.json.items[0].correctAnswers, ['FR Paris']);
+  assert.deepEqual(result.json.items[1].correctAnswers, ['FR Rhine', 'FR Danube']);
+});
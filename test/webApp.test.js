@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAppsScript, loadFixture, toPlain } = require('./harness/appsScript');
+
+function webAppScript() {
+  return createAppsScript({ forms: [loadFixture('form'), loadFixture('quiz')], folders: ['exports', 'team-folder-1'] });
+}
+
+test('doGet serves the web app page, which only calls public server functions', () => {
+  const script = webAppScript();
+
+  const page = script.run('doGet', {});
+
+  assert.equal(page.getTitle(), 'Google Form Exporter');
+  assert.equal(page.metaTags.viewport, 'width=device-width, initial-scale=1');
+  const calls = Array.from(page.getContent().matchAll(/\.withFailureHandler\(\w+\)\.(\w+)\(/g), (match) => match[1]);
+  assert.deepEqual(calls, ['exportFormForWebApp', 'saveWebAppFiles', 'getWebAppSettings']);
+  calls.forEach((name) => assert.equal(typeof script.global[name], 'function', name));
+});
+
+test('parseFormId and parseFolderId read IDs from links and reject respondent links', () => {
+  const script = webAppScript();
+
+  assert.equal(script.run('parseFormId', 'https://docs.google.com/forms/d/1FAIpQLSf-abc_123/edit#responses'), '1FAIpQLSf-abc_123');
+  assert.equal(script.run('parseFormId', '  1FAIpQLSf-abc_123 '), '1FAIpQLSf-abc_123');
+  assert.throws(() => script.run('parseFormId', 'https://docs.google.com/forms/d/e/1FAIpQLSf/viewform'), /link respondents use/);
+  assert.throws(() => script.run('parseFormId', 'https://forms.gle/abc123'), /link respondents use/);
+  assert.throws(() => script.run('parseFormId', 'my form'), /Not a Google Form link or ID: my form/);
+  assert.throws(() => script.run('parseFormId', ''), /Not a Google Form link or ID: \(empty\)/);
+
+  assert.equal(script.run('parseFolderId', 'https://drive.google.com/drive/u/0/folders/team-folder-1?usp=sharing'), 'team-folder-1');
+  assert.throws(() => script.run('parseFolderId', 'https://drive.google.com/file/d/x/view'), /Not a Drive folder link or ID/);
+});
+
+test('getWebAppSettings lists the formats, recent forms, and Markdown defaults', () => {
+  const script = webAppScript();
+  script.DriveApp.getFileById('form-quiz').updated = new Date('2026-02-01T00:00:00Z');
+  script.DriveApp.getFileById('form-community').updated = new Date('2026-01-01T00:00:00Z');
+
+  const settings = toPlain(script.run('getWebAppSettings'));
+
+  assert.deepEqual(settings.formats.map((format) => format.format), ['json', 'nested', 'md', 'html', 'mmd', 'dot']);
+  assert.deepEqual(settings.recentForms, [
+    { id: 'form-quiz', title: 'Geography Quiz', updated: '2026-02-01T00:00:00.000Z' },
+    { id: 'form-community', title: 'Community Survey', updated: '2026-01-01T00:00:00.000Z' }
+  ]);
+  assert.deepEqual(settings.markdown, {
+    settings: true, diagram: false, frontMatter: false, toc: false, choiceStyle: 'bullets', requiredMarker: '', headingOffset: 0
+  });
+  assert.equal(toPlain(script.run('listRecentForms', 1)).length, 1);
+});
+
+test('exportFormForWebApp renders the picked formats with the chosen Markdown options', () => {
+  const script = webAppScript();
+
+  const result = toPlain(script.run('exportFormForWebApp', {
+    form: 'https://docs.google.com/forms/d/form-quiz/edit',
+    formats: ['json', 'md'],
+    markdown: { settings: false, requiredMarker: ' *', templates: { question: 'ignored' } }
+  }));
+
+  assert.equal(result.formId, 'form-quiz');
+  assert.equal(result.title, 'Geography Quiz');
+  assert.deepEqual(result.files.map((file) => [file.format, file.mimeType]), [['json', 'application/json'], ['md', 'text/markdown']]);
+  assert.match(result.files[0].name, /^form_export_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/);
+  assert.equal(JSON.parse(result.files[0].content).metadata.id, 'form-quiz');
+  assert.equal(result.preview, result.files[1].content);
+  assert.ok(!result.preview.includes('## Settings'));
+  assert.ok(result.preview.includes('### 1. Capital of France? *'), 'web app options apply, templates do not');
+  assert.equal(script.DriveApp.folders.exports.files.length, 0, 'nothing is saved');
+});
+
+test('exportFormForWebApp previews Markdown without exporting it, and checks the request', () => {
+  const script = webAppScript();
+
+  const result = toPlain(script.run('exportFormForWebApp', { form: 'form-community', formats: ['html'] }));
+  assert.deepEqual(result.files.map((file) => file.format), ['html']);
+  assert.ok(result.preview.startsWith('# Community Survey'));
+
+  assert.throws(() => script.run('exportFormForWebApp', { form: 'form-community', formats: [] }), /Pick at least one format/);
+  assert.throws(() => script.run('exportFormForWebApp', { form: 'form-community', formats: ['pdf'] }), /Unknown export format "pdf"/);
+});
+
+test('saveWebAppFiles saves to My Drive or a pasted folder and reports failures', () => {
+  const script = webAppScript();
+  const files = [{ name: 'form_export_2026-01-02_03-04-05_community-survey.md', content: '# One' }];
+
+  assert.deepEqual(toPlain(script.run('saveWebAppFiles', files, '')), [
+    { name: files[0].name, location: 'https://drive.google.com/drive/folders/root' }
+  ]);
+  assert.deepEqual(script.DriveApp.folders.root.files.map((file) => [file.getName(), file.getMimeType(), file.content]), [
+    [files[0].name, 'text/markdown', '# One']
+  ]);
+
+  script.run('saveWebAppFiles', files, 'https://drive.google.com/drive/folders/team-folder-1');
+  assert.equal(script.DriveApp.folders['team-folder-1'].files.length, 1);
+
+  assert.deepEqual(toPlain(script.run('saveWebAppFiles', files, 'missing-folder')), [
+    { name: files[0].name, error: 'No item with the given ID could be found, or you do not have permission to access it.' }
+  ]);
+});
+
+test('exportFormForWebApp names files like the exports that the import and diff functions look for', () => {
+  const script = createAppsScript({
+    forms: [loadFixture('form')],
+    folders: ['team-folder-1'],
+    properties: { FORM_ID: 'form-community', EXPORT_FOLDER_ID: 'team-folder-1', 'FORM.form-community.FILE_NAME_PATTERN': '{title}_{timestamp}' }
+  });
+
+  const result = toPlain(script.run('exportFormForWebApp', { form: 'form-community', formats: ['json'] }));
+  assert.match(result.files[0].name, /^community-survey_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.json$/);
+
+  script.run('saveWebAppFiles', result.files, 'team-folder-1');
+  assert.equal(script.run('findLatestExport_', '.json').getName(), result.files[0].name);
+});